@@ -52,6 +52,37 @@ function shouldIgnoreRequest(url) {
   }
 }
 
+// Path segments and query values of links that end the session or change data
+// when followed: /logout, /account/delete-me, ?action=unsubscribe
+const UNSAFE_WORDS = [
+  'log-?out',
+  'log_out',
+  'logoff',
+  'sign-?out',
+  'sign_out',
+  'delete',
+  'remove',
+  'destroy',
+  'unsubscribe',
+  'cancel',
+  'deactivate',
+  'revoke',
+];
+const UNSAFE_LINK = new RegExp(`(^|[/?&=])(${UNSAFE_WORDS.join('|')})([-_/?&=.]|$)`, 'i');
+
+/**
+ * Check if following a link could log the session out or change data
+ * Crawling and link checking never request these
+ */
+function isUnsafeLink(url) {
+  try {
+    const parsed = new URL(url);
+    return UNSAFE_LINK.test(decodeURIComponent(parsed.pathname + parsed.search));
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Wait for page to be truly ready (not just DOM loaded)
  *
@@ -300,6 +331,7 @@ function createConsoleLogger(page) {
       type: 'pageerror',
       text: error.message,
       stack: error.stack,
+      location: parseStackLocation(error.stack),
     });
   };
 
@@ -348,10 +380,59 @@ function createConsoleLogger(page) {
   };
 }
 
+/**
+ * Get the location of the top stack frame
+ * Handles V8 (`at fn (url:1:2)`) and Firefox/WebKit (`fn@url:1:2`) stacks.
+ * Line and column are 0-based to match Playwright's console message locations.
+ *
+ * @param {string} [stack] - Error stack
+ * @returns {{url: string, lineNumber: number, columnNumber: number}|null}
+ */
+function parseStackLocation(stack) {
+  for (const line of (stack || '').split('\n')) {
+    const match = line.match(/(?:\(|@|at )((?:https?|file):\/\/[^\s)]+?):(\d+):(\d+)\)?\s*$/);
+    if (match) {
+      return {
+        url: match[1],
+        lineNumber: parseInt(match[2], 10) - 1,
+        columnNumber: parseInt(match[3], 10) - 1,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * One console error with its kind and source location, e.g.
+ * `Uncaught exception: x is undefined (https://site/app.js:10:5)`, or
+ * `(src/cart.ts:42:7, built: https://site/main.js:1:48213)` when a source map resolved it
+ */
+function formatConsoleEntry(entry) {
+  const prefix = entry.type === 'pageerror' ? 'Uncaught exception: ' : '';
+  let location = formatLocation(entry.location);
+  if (entry.originalLocation) {
+    const { source, line, column } = entry.originalLocation;
+    location = `${source}:${line}:${column}${location ? `, built: ${location}` : ''}`;
+  }
+  return `${prefix}${entry.text}${location ? ` (${location})` : ''}`;
+}
+
+/**
+ * Format a 0-based Playwright location as url:line:column (1-based)
+ */
+function formatLocation(location) {
+  if (!location?.url) return '';
+  return `${location.url}:${location.lineNumber + 1}:${location.columnNumber + 1}`;
+}
+
 module.exports = {
   waitForPageReady,
   createNetworkLogger,
   createConsoleLogger,
   shouldIgnoreRequest,
+  isUnsafeLink,
+  parseStackLocation,
+  formatLocation,
+  formatConsoleEntry,
   IGNORED_DOMAINS,
 };
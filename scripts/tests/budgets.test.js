@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeBudgets,
+  evaluateBudgets,
+  budgetViolationsToBugs,
+  formatValue,
+} = require('../../src/budgets');
+
+const METRICS = {
+  lcp: 3000,
+  cls: 0.05,
+  tbt: null,
+  requests: 70,
+  transferSize: 900 * 1024,
+  resources: { script: { transferSize: 350 * 1024 } },
+};
+
+describe('normalizeBudgets', () => {
+  it('splits defaults, viewport overrides and path overrides', () => {
+    const budgets = normalizeBudgets({
+      maxLCP: 2500,
+      viewports: { mobile: { maxLCP: 4000 } },
+      paths: { '/blog/*': { maxImageKB: 800 } },
+    });
+    assert.deepEqual(budgets, {
+      limits: { maxLCP: 2500 },
+      viewports: { mobile: { maxLCP: 4000 } },
+      paths: [{ pattern: '/blog/*', limits: { maxImageKB: 800 } }],
+    });
+  });
+
+  it('rejects unknown budgets and non-numeric limits', () => {
+    assert.throws(() => normalizeBudgets({ maxLcp: 2500 }), /Unknown budget "maxLcp" in budget/);
+    assert.throws(
+      () => normalizeBudgets({ viewports: { mobile: { maxCLS: '0.1' } } }),
+      /Budget "maxCLS" in viewport mobile must be a number/,
+    );
+    assert.throws(() => normalizeBudgets(null), /must be an object/);
+  });
+});
+
+describe('evaluateBudgets', () => {
+  it('reports metrics over their limit', () => {
+    const budgets = normalizeBudgets({ maxLCP: 2500, maxCLS: 0.1, maxScriptKB: 300 });
+    const { checked, violations } = evaluateBudgets(budgets, 'https://site.test/', {
+      desktop: METRICS,
+    });
+    assert.equal(checked, 3);
+    assert.deepEqual(
+      violations.map(({ budget, actual, limit }) => ({ budget, actual, limit })),
+      [
+        { budget: 'maxLCP', actual: 3000, limit: 2500 },
+        { budget: 'maxScriptKB', actual: 350, limit: 300 },
+      ],
+    );
+  });
+
+  it('skips unmeasured metrics and missing viewports', () => {
+    const budgets = normalizeBudgets({ maxTBT: 100, maxINP: 100 });
+    const result = evaluateBudgets(budgets, 'https://site.test/', {
+      desktop: METRICS,
+      mobile: null,
+    });
+    assert.deepEqual(result, { checked: 0, violations: [] });
+  });
+
+  it('lets path overrides win over viewport overrides and defaults', () => {
+    const budgets = normalizeBudgets({
+      maxRequests: 50,
+      viewports: { mobile: { maxRequests: 60 } },
+      paths: { '/blog/**': { maxRequests: 80 } },
+    });
+    const metrics = { desktop: METRICS, mobile: METRICS };
+    const home = evaluateBudgets(budgets, 'https://site.test/', metrics).violations;
+    assert.deepEqual(
+      home.map((v) => [v.viewport, v.limit]),
+      [
+        ['desktop', 50],
+        ['mobile', 60],
+      ],
+    );
+    assert.deepEqual(
+      evaluateBudgets(budgets, 'https://site.test/blog/a/b', metrics).violations,
+      [],
+    );
+  });
+});
+
+describe('budgetViolationsToBugs', () => {
+  it('turns violations into performance bugs, high when 50% over', () => {
+    const bugs = budgetViolationsToBugs([
+      { budget: 'maxLCP', label: 'LCP', viewport: 'mobile', actual: 3000, limit: 2500, unit: 'ms' },
+      {
+        budget: 'maxLCP',
+        label: 'LCP',
+        viewport: 'desktop',
+        actual: 4000,
+        limit: 2500,
+        unit: 'ms',
+      },
+    ]);
+    assert.deepEqual(
+      bugs.map((b) => b.severity),
+      ['medium', 'high'],
+    );
+    assert.equal(bugs[0].title, 'LCP over budget on mobile');
+    assert.equal(bugs[0].description, 'LCP is 3000 ms, exceeding the budget of 2500 ms.');
+    assert.equal(bugs[0].rule, 'budget-maxLCP');
+    assert.equal(bugs[0].category, 'performance');
+  });
+});
+
+describe('formatValue', () => {
+  it('adds the unit when there is one', () => {
+    assert.equal(formatValue(300, 'KB'), '300 KB');
+    assert.equal(formatValue(0.2, ''), '0.2');
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { globToRegExp, matchesAny, normalizeUrl, pageSlug } = require('../../src/crawl');
+const { isUnsafeLink } = require('../page-utils');
+
+describe('globToRegExp', () => {
+  it('matches * within one path segment', () => {
+    const pattern = globToRegExp('/blog/*');
+    assert.ok(pattern.test('/blog/first-post'));
+    assert.ok(!pattern.test('/blog/2024/first-post'));
+  });
+
+  it('matches ** across path segments', () => {
+    const pattern = globToRegExp('/docs/**');
+    assert.ok(pattern.test('/docs/guide/install'));
+    assert.ok(!pattern.test('/documents'));
+  });
+
+  it('matches ? as one character', () => {
+    assert.ok(globToRegExp('/v?/api').test('/v2/api'));
+    assert.ok(!globToRegExp('/v?/api').test('/v10/api'));
+  });
+
+  it('escapes regular expression characters', () => {
+    assert.ok(globToRegExp('/search.html').test('/search.html'));
+    assert.ok(!globToRegExp('/search.html').test('/searchxhtml'));
+    assert.ok(globToRegExp('/(group)/*').test('/(group)/page'));
+  });
+});
+
+describe('matchesAny', () => {
+  it('matches path patterns against the pathname only', () => {
+    assert.ok(matchesAny('https://site.test/admin/users?page=2', ['/admin/**']));
+    assert.ok(!matchesAny('https://site.test/pricing', ['/admin/**', '/blog/*']));
+  });
+
+  it('matches patterns with a scheme against the full URL', () => {
+    assert.ok(matchesAny('https://site.test/admin', ['https://site.test/**']));
+    assert.ok(!matchesAny('https://other.test/admin', ['https://site.test/**']));
+  });
+
+  it('matches nothing without patterns', () => {
+    assert.ok(!matchesAny('https://site.test/', []));
+  });
+});
+
+describe('normalizeUrl', () => {
+  it('drops the fragment', () => {
+    assert.equal(normalizeUrl('https://site.test/page#section'), 'https://site.test/page');
+  });
+});
+
+describe('pageSlug', () => {
+  it('turns the path and query into a directory name', () => {
+    assert.match(pageSlug('https://site.test/blog/post?id=2'), /^blog-post-id-2-[0-9a-f]{8}$/);
+    assert.match(pageSlug('https://site.test/'), /^index-[0-9a-f]{8}$/);
+  });
+
+  it('is stable for the same page', () => {
+    assert.equal(pageSlug('https://site.test/a/b'), pageSlug('https://site.test/a/b#top'));
+  });
+
+  it('keeps pages apart whose readable parts collide', () => {
+    const pairs = [
+      ['/a-b', '/a/b'],
+      ['/x?y=1', '/x-y-1'],
+      ['/', '/index'],
+      ['/docs/', '/docs'],
+    ];
+    for (const [first, second] of pairs) {
+      assert.notEqual(
+        pageSlug(`https://site.test${first}`),
+        pageSlug(`https://site.test${second}`),
+        `${first} and ${second}`,
+      );
+    }
+  });
+});
+
+describe('isUnsafeLink', () => {
+  it('flags logout and delete links', () => {
+    assert.ok(isUnsafeLink('https://site.test/logout'));
+    assert.ok(isUnsafeLink('https://site.test/account/sign-out'));
+    assert.ok(isUnsafeLink('https://site.test/items/4/delete'));
+    assert.ok(isUnsafeLink('https://site.test/session?action=logout'));
+  });
+
+  it('leaves ordinary pages alone', () => {
+    assert.ok(!isUnsafeLink('https://site.test/blog/deleted-scenes-review'));
+    assert.ok(!isUnsafeLink('https://site.test/catalog'));
+    assert.ok(!isUnsafeLink('https://site.test/login'));
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getChecks, findingsToBugs, scoreBugs } = require('../../src/findings');
+
+const finding = (rule, severity, selector) => ({
+  rule,
+  severity,
+  title: `${rule} title`,
+  description: `${rule} description`,
+  recommendation: `${rule} fix`,
+  selector,
+});
+
+describe('getChecks', () => {
+  it('maps focus areas to built-in checks', () => {
+    assert.deepEqual(getChecks('all'), ['accessibility', 'keyboard', 'links']);
+    assert.deepEqual(getChecks('accessibility'), ['accessibility', 'keyboard']);
+    assert.deepEqual(getChecks('forms'), ['forms']);
+    assert.deepEqual(getChecks('performance'), []);
+    assert.deepEqual(getChecks('unknown'), []);
+  });
+});
+
+describe('findingsToBugs', () => {
+  it('groups findings by rule with every selector', () => {
+    const bugs = findingsToBugs(
+      [
+        finding('image-alt', 'high', 'img:nth-of-type(1)'),
+        finding('image-alt', 'high', 'img:nth-of-type(2)'),
+        finding('focus-visible', 'medium', null),
+      ],
+      'accessibility',
+    );
+    assert.equal(bugs.length, 2);
+    assert.deepEqual(bugs[0], {
+      severity: 'high',
+      category: 'accessibility',
+      title: 'image-alt title (2 elements)',
+      description: 'image-alt description',
+      recommendation: 'image-alt fix',
+      rule: 'image-alt',
+      wcag: undefined,
+      selectors: ['img:nth-of-type(1)', 'img:nth-of-type(2)'],
+      source: 'rules',
+    });
+    assert.equal(bugs[1].title, 'focus-visible title');
+    assert.deepEqual(bugs[1].selectors, []);
+  });
+
+  it('uses the highest severity of a rule and sorts by severity', () => {
+    const bugs = findingsToBugs(
+      [
+        finding('tab-order', 'low', '#a'),
+        finding('keyboard-trap', 'medium', '#b'),
+        finding('keyboard-trap', 'critical', '#c'),
+      ],
+      'accessibility',
+    );
+    assert.deepEqual(
+      bugs.map((b) => [b.rule, b.severity]),
+      [
+        ['keyboard-trap', 'critical'],
+        ['tab-order', 'low'],
+      ],
+    );
+  });
+
+  it('returns no bugs without findings', () => {
+    assert.deepEqual(findingsToBugs([], 'links'), []);
+  });
+});
+
+describe('scoreBugs', () => {
+  it('deducts points per severity', () => {
+    assert.equal(scoreBugs([]), 100);
+    assert.equal(
+      scoreBugs([{ severity: 'critical' }, { severity: 'high' }, { severity: 'low' }]),
+      63,
+    );
+  });
+
+  it('ignores unknown severities and never goes below zero', () => {
+    assert.equal(scoreBugs([{ severity: 'info' }]), 100);
+    assert.equal(scoreBugs(Array.from({ length: 5 }, () => ({ severity: 'critical' }))), 0);
+  });
+});
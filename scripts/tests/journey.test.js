@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeJourney } = require('../../src/journey');
+
+/**
+ * Normalize a journey of one step and return that step
+ */
+function normalizeOne(step) {
+  return normalizeJourney([step]).steps[0];
+}
+
+describe('normalizeJourney', () => {
+  it('accepts a bare step array and names the journey', () => {
+    const journey = normalizeJourney([{ goto: '/' }], 'checkout');
+    assert.equal(journey.name, 'checkout');
+    assert.equal(journey.steps.length, 1);
+    assert.equal(normalizeJourney({ name: 'Signup', steps: [{ goto: '/' }] }).name, 'Signup');
+  });
+
+  it('rejects journeys without steps', () => {
+    assert.throws(() => normalizeJourney({ name: 'empty' }), /non-empty "steps" array/);
+    assert.throws(() => normalizeJourney([]), /non-empty "steps" array/);
+  });
+
+  it('normalizes every action', () => {
+    assert.deepEqual(normalizeOne({ goto: '/products' }), {
+      action: 'goto',
+      name: undefined,
+      url: '/products',
+      label: 'goto /products',
+    });
+    assert.equal(normalizeOne({ click: 'text=Add to cart' }).selector, 'text=Add to cart');
+    assert.equal(normalizeOne({ click: { selector: '#buy' } }).selector, '#buy');
+    assert.deepEqual(normalizeOne({ fill: { selector: '#qty', value: 3 } }), {
+      action: 'fill',
+      name: undefined,
+      selector: '#qty',
+      value: '3',
+      label: 'fill "#qty"',
+    });
+    assert.equal(normalizeOne({ fill: { selector: '#note' } }).value, '');
+    assert.equal(normalizeOne({ press: 'Escape' }).label, 'press Escape');
+    assert.equal(
+      normalizeOne({ press: { selector: '#search', key: 'Enter' } }).label,
+      'press Enter in "#search"',
+    );
+  });
+
+  it('accepts wait-for as waitFor', () => {
+    const step = normalizeOne({ 'wait-for': '.order-confirmation' });
+    assert.equal(step.action, 'waitFor');
+    assert.equal(step.selector, '.order-confirmation');
+  });
+
+  it('labels a step with its name', () => {
+    assert.equal(normalizeOne({ click: '#buy', name: 'Buy now' }).label, 'Buy now');
+  });
+
+  it('rejects steps without an action', () => {
+    assert.throws(() => normalizeOne({ hover: '#menu' }), /Journey step 1 has no action/);
+    assert.throws(() => normalizeOne('click #buy'), /Journey step 1 must be an object/);
+  });
+
+  it('rejects malformed step values with the step number', () => {
+    const journey = (step) => () => normalizeJourney([{ goto: '/' }, step]);
+    assert.throws(journey({ fill: '#email' }), /Journey step 2 \(fill\) needs \{ selector/);
+    assert.throws(journey({ fill: { value: 'x' } }), /Journey step 2 \(fill\)/);
+    assert.throws(journey({ fill: { selector: '#a', value: {} } }), /Journey step 2 \(fill\)/);
+    assert.throws(journey({ press: {} }), /Journey step 2 \(press\) needs a key/);
+    assert.throws(journey({ press: { selector: 5, key: 'Enter' } }), /Journey step 2 \(press\)/);
+    assert.throws(journey({ click: { text: 'Buy' } }), /Journey step 2 \(click\) needs a selector/);
+    assert.throws(journey({ 'wait-for': '' }), /Journey step 2 \(wait-for\)/);
+    assert.throws(journey({ goto: 42 }), /Journey step 2 \(goto\) needs a URL/);
+  });
+});
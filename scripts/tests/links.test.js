@@ -0,0 +1,179 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { runLinkCheck, describeLinkProblem } = require('../../src/links');
+
+const ORIGIN = 'https://example.com';
+
+/**
+ * Stand-in page whose request context answers from a table of
+ * `{ url: { status, location?, head? } }`, recording every request made
+ */
+function fakePage(references, responses) {
+  const requested = [];
+  const respond = (method) => async (url) => {
+    requested.push(`${method} ${url}`);
+    const answer = responses[url];
+    if (!answer) throw new Error(`apiRequestContext.${method}: connect ECONNREFUSED ${url}`);
+    const status = method === 'HEAD' && answer.head ? answer.head : answer.status;
+    return {
+      status: () => status,
+      headers: () => (answer.location ? { location: answer.location } : {}),
+      dispose: async () => {},
+    };
+  };
+  const request = { head: respond('HEAD'), get: respond('GET') };
+  return {
+    requested,
+    url: () => `${ORIGIN}/`,
+    evaluate: async (fn) => (fn.name === 'collectReferencesInPage' ? references : undefined),
+    context: () => ({ request }),
+  };
+}
+
+const link = (url, selector = 'a') => ({ url, kind: 'link', selector });
+
+describe('runLinkCheck', () => {
+  it('reports broken links and resources under their own rules', async () => {
+    const page = fakePage(
+      [
+        link(`${ORIGIN}/missing`, '#nav > a'),
+        { url: `${ORIGIN}/logo.png`, kind: 'image', selector: 'img' },
+        link(`${ORIGIN}/ok`),
+      ],
+      {
+        [`${ORIGIN}/missing`]: { status: 404 },
+        [`${ORIGIN}/logo.png`]: { status: 500 },
+        [`${ORIGIN}/ok`]: { status: 200 },
+      },
+    );
+    const result = await runLinkCheck(page);
+
+    assert.equal(result.checked, 3);
+    assert.deepEqual(
+      result.findings.map((f) => [f.rule, f.selector]),
+      [
+        ['broken-link', '#nav > a'],
+        ['broken-resource', 'img'],
+      ],
+    );
+    assert.deepEqual(
+      result.problems.map((p) => [p.url, p.status, p.kind]),
+      [
+        [`${ORIGIN}/missing`, 404, 'link'],
+        [`${ORIGIN}/logo.png`, 500, 'image'],
+      ],
+    );
+  });
+
+  it('reports network errors as broken without the request context prefix', async () => {
+    const page = fakePage([link(`${ORIGIN}/down`)], {});
+    const [problem] = (await runLinkCheck(page)).problems;
+    assert.equal(problem.status, null);
+    assert.equal(problem.error, `connect ECONNREFUSED ${ORIGIN}/down`);
+  });
+
+  it('follows redirects hop by hop and reports chains', async () => {
+    const page = fakePage([link(`${ORIGIN}/old`), link(`${ORIGIN}/moved`)], {
+      [`${ORIGIN}/old`]: { status: 301, location: '/older' },
+      [`${ORIGIN}/older`]: { status: 302, location: `${ORIGIN}/new` },
+      [`${ORIGIN}/new`]: { status: 200 },
+      [`${ORIGIN}/moved`]: { status: 301, location: '/new' },
+    });
+    const result = await runLinkCheck(page);
+
+    assert.equal(result.problems.length, 1);
+    const [problem] = result.problems;
+    assert.equal(problem.finalUrl, `${ORIGIN}/new`);
+    assert.deepEqual(problem.redirects, [
+      { url: `${ORIGIN}/old`, status: 301 },
+      { url: `${ORIGIN}/older`, status: 302 },
+    ]);
+    assert.deepEqual(
+      result.findings.map((f) => f.rule),
+      ['redirect-chain'],
+    );
+  });
+
+  it('retries with GET when the server refuses HEAD', async () => {
+    const page = fakePage([link(`${ORIGIN}/no-head`)], {
+      [`${ORIGIN}/no-head`]: { status: 200, head: 405 },
+    });
+    const result = await runLinkCheck(page);
+
+    assert.deepEqual(result.problems, []);
+    assert.deepEqual(page.requested, [`HEAD ${ORIGIN}/no-head`, `GET ${ORIGIN}/no-head`]);
+  });
+
+  it('never requests logout or delete links, nor redirects into them', async () => {
+    const page = fakePage(
+      [link(`${ORIGIN}/logout`), link(`${ORIGIN}/account/delete?id=1`), link(`${ORIGIN}/exit`)],
+      { [`${ORIGIN}/exit`]: { status: 302, location: '/logout' } },
+    );
+    const result = await runLinkCheck(page);
+
+    assert.deepEqual(result.unsafe, [`${ORIGIN}/logout`, `${ORIGIN}/account/delete?id=1`]);
+    assert.deepEqual(page.requested, [`HEAD ${ORIGIN}/exit`]);
+    assert.deepEqual(result.problems, []);
+  });
+
+  it('skips other origins and non-http URLs unless external checking is on', async () => {
+    const references = [
+      link('https://other.test/page'),
+      link('mailto:hello@example.com'),
+      link(`${ORIGIN}/page#section`),
+    ];
+    const responses = {
+      'https://other.test/page': { status: 404 },
+      [`${ORIGIN}/page`]: { status: 200 },
+    };
+
+    const local = fakePage(references, responses);
+    const localResult = await runLinkCheck(local);
+    assert.equal(localResult.checked, 1);
+    assert.equal(localResult.external, false);
+    assert.deepEqual(local.requested, [`HEAD ${ORIGIN}/page`]);
+
+    const all = fakePage(references, responses);
+    const allResult = await runLinkCheck(all, { external: true });
+    assert.equal(allResult.checked, 2);
+    assert.deepEqual(
+      allResult.findings.map((f) => f.rule),
+      ['broken-link'],
+    );
+  });
+
+  it('reuses cached results between pages', async () => {
+    const cache = new Map();
+    const responses = { [`${ORIGIN}/shared`]: { status: 404 } };
+    await runLinkCheck(fakePage([link(`${ORIGIN}/shared`)], responses), { cache });
+
+    const second = fakePage([link(`${ORIGIN}/shared`)], responses);
+    const result = await runLinkCheck(second, { cache });
+    assert.deepEqual(second.requested, []);
+    assert.equal(result.problems[0].status, 404);
+  });
+});
+
+describe('describeLinkProblem', () => {
+  it('combines status, redirects and slowness', () => {
+    assert.equal(
+      describeLinkProblem({
+        status: 404,
+        finalUrl: `${ORIGIN}/gone`,
+        redirects: [
+          { url: `${ORIGIN}/a`, status: 301 },
+          { url: `${ORIGIN}/b`, status: 302 },
+        ],
+        duration: 4200,
+      }),
+      `HTTP 404, 2 redirects (301, 302) to ${ORIGIN}/gone, slow (4200 ms)`,
+    );
+  });
+
+  it('prefers the network error over the status', () => {
+    assert.equal(
+      describeLinkProblem({ status: null, error: 'timeout', redirects: [], duration: 10 }),
+      'timeout',
+    );
+  });
+});
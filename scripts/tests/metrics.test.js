@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { rateMetric, formatMetric, formatBytes } = require('../../src/metrics');
+
+describe('rateMetric', () => {
+  it('rates values against the Core Web Vitals thresholds, inclusive', () => {
+    assert.equal(rateMetric('lcp', 2500), 'good');
+    assert.equal(rateMetric('lcp', 2501), 'needs-improvement');
+    assert.equal(rateMetric('lcp', 4000), 'needs-improvement');
+    assert.equal(rateMetric('lcp', 4001), 'poor');
+    assert.equal(rateMetric('cls', 0.05), 'good');
+    assert.equal(rateMetric('cls', 0.3), 'poor');
+  });
+
+  it('does not rate unmeasured values or metrics without thresholds', () => {
+    assert.equal(rateMetric('tbt', null), null);
+    assert.equal(rateMetric('inp', undefined), null);
+    assert.equal(rateMetric('domNodes', 900), null);
+  });
+
+  it('rates a zero as good', () => {
+    assert.equal(rateMetric('tbt', 0), 'good');
+  });
+});
+
+describe('formatMetric', () => {
+  it('formats each kind of metric with its unit', () => {
+    assert.equal(formatMetric('lcp', 1234), '1234 ms');
+    assert.equal(formatMetric('cls', 0.12), '0.12');
+    assert.equal(formatMetric('domNodes', 800), '800');
+    assert.equal(formatMetric('requests', 42), '42');
+    assert.equal(formatMetric('transferSize', 2048), '2.0 KB');
+  });
+
+  it('shows n/a for unmeasured values', () => {
+    assert.equal(formatMetric('tbt', null), 'n/a');
+    assert.equal(formatMetric('inp', undefined), 'n/a');
+  });
+});
+
+describe('formatBytes', () => {
+  it('picks B, KB or MB', () => {
+    assert.equal(formatBytes(512), '512 B');
+    assert.equal(formatBytes(1536), '1.5 KB');
+    assert.equal(formatBytes(3 * 1024 * 1024), '3.00 MB');
+  });
+});
@@ -0,0 +1,104 @@
+const { after, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { parseReadiness, waitForReady } = require('../../src/readiness');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qai-ready-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Page stand-in that is always loaded and emits request events on demand
+ */
+function fakePage() {
+  const page = new EventEmitter();
+  page.waitForLoadState = async () => {};
+  page.waitForSelector = async () => {};
+  return page;
+}
+
+describe('parseReadiness', () => {
+  it('defaults to smart and accepts networkidle', () => {
+    assert.deepEqual(parseReadiness(), { strategy: 'smart' });
+    assert.deepEqual(parseReadiness('networkidle'), { strategy: 'networkidle' });
+  });
+
+  it('parses selector strategies', () => {
+    assert.deepEqual(parseReadiness('selector:main .loaded'), {
+      strategy: 'selector',
+      selector: 'main .loaded',
+    });
+  });
+
+  it('wraps functions', () => {
+    const fn = async () => {};
+    assert.deepEqual(parseReadiness(fn), { strategy: 'function', fn });
+  });
+
+  it('loads script strategies', () => {
+    const file = path.join(tempDir, 'ready.js');
+    fs.writeFileSync(file, 'module.exports = async () => {};');
+    const readiness = parseReadiness(`script:${file}`);
+    assert.equal(readiness.strategy, 'function');
+    assert.equal(typeof readiness.fn, 'function');
+  });
+
+  it('rejects scripts that do not export a function', () => {
+    const file = path.join(tempDir, 'not-a-function.js');
+    fs.writeFileSync(file, 'module.exports = { ready: true };');
+    assert.throws(() => parseReadiness(`script:${file}`), /must export a function/);
+  });
+
+  it('rejects unknown strategies', () => {
+    assert.throws(() => parseReadiness('load'), /Unknown readiness strategy: load/);
+  });
+});
+
+describe('waitForReady', () => {
+  it('reports a function strategy as ready once it resolves', async () => {
+    const result = await waitForReady(
+      fakePage(),
+      parseReadiness(async () => {}),
+      {
+        timeout: 1000,
+      },
+    );
+    assert.equal(result.ready, true);
+    assert.equal(result.strategy, 'function');
+    assert.deepEqual(result.pendingRequests, []);
+  });
+
+  it('gives up on a function that never resolves', async () => {
+    const never = () => new Promise(() => {});
+    const result = await waitForReady(fakePage(), parseReadiness(never), { timeout: 50 });
+    assert.equal(result.ready, false);
+    assert.equal(result.error, 'Readiness function did not resolve within 50ms');
+  });
+
+  it('lists requests still pending, ignoring analytics', async () => {
+    const page = fakePage();
+    const request = (url) => ({ url: () => url });
+    const wait = async (p) => {
+      p.emit('request', request('https://site.test/api/slow'));
+      p.emit('request', request('https://www.google-analytics.com/collect'));
+      const done = request('https://site.test/api/done');
+      p.emit('request', done);
+      p.emit('response', { request: () => done });
+    };
+    const result = await waitForReady(page, parseReadiness(wait), { timeout: 1000 });
+    assert.deepEqual(result.pendingRequests, ['https://site.test/api/slow']);
+    assert.equal(page.listenerCount('request'), 0);
+  });
+
+  it('reports a failed wait without throwing', async () => {
+    const page = fakePage();
+    page.waitForSelector = async () => {
+      throw new Error('Timeout 50ms exceeded.\nwaiting for locator');
+    };
+    const result = await waitForReady(page, parseReadiness('selector:#app'), { timeout: 50 });
+    assert.equal(result.ready, false);
+    assert.equal(result.error, 'Timeout 50ms exceeded.');
+  });
+});
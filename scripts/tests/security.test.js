@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { unsafeScriptSources, parseSetCookie, isFirstParty } = require('../../src/security');
+
+describe('unsafeScriptSources', () => {
+  it('reports unsafe script sources', () => {
+    assert.deepEqual(
+      unsafeScriptSources("script-src 'self' 'unsafe-inline' 'unsafe-eval' https:"),
+      ["'unsafe-inline'", "'unsafe-eval'", 'https:'],
+    );
+  });
+
+  it('falls back to default-src without script-src', () => {
+    assert.deepEqual(unsafeScriptSources("default-src * data:; img-src 'self'"), ['*', 'data:']);
+  });
+
+  it('prefers script-src over default-src', () => {
+    assert.deepEqual(unsafeScriptSources("default-src *; script-src 'self'"), []);
+  });
+
+  it("ignores 'unsafe-inline' next to a nonce or hash", () => {
+    assert.deepEqual(unsafeScriptSources("script-src 'nonce-abc123' 'unsafe-inline'"), []);
+    assert.deepEqual(unsafeScriptSources("script-src 'sha256-xyz=' 'unsafe-inline'"), []);
+  });
+
+  it('is case-insensitive and keeps the original spelling', () => {
+    assert.deepEqual(unsafeScriptSources("Script-Src 'Unsafe-Eval'"), ["'Unsafe-Eval'"]);
+  });
+
+  it('reports nothing for policies without script directives', () => {
+    assert.deepEqual(unsafeScriptSources("frame-ancestors 'none'"), []);
+    assert.deepEqual(unsafeScriptSources(''), []);
+  });
+});
+
+describe('parseSetCookie', () => {
+  it('reads the name and flags', () => {
+    assert.deepEqual(parseSetCookie('sid=abc=1; Path=/; Secure; HttpOnly; SameSite=Lax'), {
+      name: 'sid',
+      secure: true,
+      httpOnly: true,
+      sameSite: 'Lax',
+    });
+  });
+
+  it('defaults the flags to false', () => {
+    assert.deepEqual(parseSetCookie('theme=dark'), {
+      name: 'theme',
+      secure: false,
+      httpOnly: false,
+    });
+  });
+});
+
+describe('isFirstParty', () => {
+  const page = 'https://shop.example.co.uk/cart';
+
+  it('accepts the page host only, not its siblings', () => {
+    assert.ok(isFirstParty('https://shop.example.co.uk/app.js', page));
+    assert.ok(!isFirstParty('https://cdn.example.co.uk/app.js', page));
+    assert.ok(!isFirstParty('https://evil.co.uk/app.js', page));
+  });
+
+  it('accepts configured hosts and their subdomains', () => {
+    const firstParty = ['example.co.uk', '*.assets.test'];
+    assert.ok(isFirstParty('https://cdn.example.co.uk/app.js', page, firstParty));
+    assert.ok(isFirstParty('https://img.assets.test/a.png', page, firstParty));
+    assert.ok(!isFirstParty('https://notexample.co.uk/app.js', page, firstParty));
+  });
+
+  it('rejects invalid URLs', () => {
+    assert.ok(!isFirstParty('not a url', page));
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSourceMap, originalPosition, parseStackFrames } = require('../../src/sourcemaps');
+
+const MAP = {
+  version: 3,
+  sources: ['webpack://app/./src/cart.ts'],
+  sourcesContent: ['const total = 0;\nfunction checkout() {\n  throw new Error("empty");\n}'],
+  names: ['checkout'],
+  // Line 0: col 0 -> 0:0. Line 1: col 0 -> 1:0, col 4 -> 1:9 (checkout),
+  // col 20 -> 2:2 (a two-digit VLQ and a negative column step)
+  mappings: 'AAAA;AACA,IAASA,gBACP',
+};
+
+describe('parseSourceMap', () => {
+  it('decodes VLQ mappings into absolute segments per line', () => {
+    const map = parseSourceMap(JSON.stringify(MAP));
+    assert.deepEqual(map.lines, [
+      [[0, 0, 0, 0]],
+      [
+        [0, 0, 1, 0],
+        [4, 0, 1, 9, 0],
+        [20, 0, 2, 2],
+      ],
+    ]);
+  });
+
+  it('shortens webpack source URLs', () => {
+    assert.deepEqual(parseSourceMap(JSON.stringify(MAP)).sources, ['src/cart.ts']);
+  });
+
+  it('prefixes sources with sourceRoot', () => {
+    const map = parseSourceMap(JSON.stringify({ ...MAP, sources: ['a.js'], sourceRoot: 'lib' }));
+    assert.deepEqual(map.sources, ['lib/a.js']);
+  });
+
+  it('strips an XSSI guard', () => {
+    const map = parseSourceMap(`)]}'\n${JSON.stringify(MAP)}`);
+    assert.equal(map.lines.length, 2);
+  });
+
+  it('rejects invalid VLQ characters', () => {
+    assert.throws(
+      () => parseSourceMap(JSON.stringify({ ...MAP, mappings: 'AA!A' })),
+      /Invalid VLQ character "!"/,
+    );
+  });
+});
+
+describe('originalPosition', () => {
+  const map = parseSourceMap(JSON.stringify(MAP));
+
+  it('maps to the closest segment at or before the column', () => {
+    assert.deepEqual(originalPosition(map, 1, 10), {
+      source: 'src/cart.ts',
+      line: 2,
+      column: 10,
+      name: 'checkout',
+      snippet: 'function checkout() {',
+    });
+    assert.deepEqual(originalPosition(map, 1, 25), {
+      source: 'src/cart.ts',
+      line: 3,
+      column: 3,
+      snippet: 'throw new Error("empty");',
+    });
+  });
+
+  it('returns null for unmapped positions', () => {
+    assert.equal(originalPosition(map, 5, 0), null);
+  });
+
+  it('resolves positions inside index map sections', () => {
+    const indexMap = parseSourceMap(
+      JSON.stringify({
+        version: 3,
+        sections: [
+          { offset: { line: 0, column: 0 }, map: { ...MAP, sources: ['first.js'] } },
+          { offset: { line: 10, column: 5 }, map: { ...MAP, sources: ['second.js'] } },
+        ],
+      }),
+    );
+    assert.equal(originalPosition(indexMap, 1, 4).source, 'first.js');
+    const position = originalPosition(indexMap, 10, 5);
+    assert.equal(position.source, 'second.js');
+    assert.equal(position.line, 1);
+    assert.equal(originalPosition(indexMap, 11, 4).name, 'checkout');
+  });
+});
+
+describe('parseStackFrames', () => {
+  it('parses V8 and Firefox frames and keeps other lines as text', () => {
+    const frames = parseStackFrames(
+      [
+        'Error: empty',
+        '    at checkout (https://shop.test/main.js:2:21)',
+        '    at https://shop.test/main.js:1:5',
+        'submit@https://shop.test/vendor.js:3:7',
+      ].join('\n'),
+    );
+    assert.deepEqual(frames[0], { text: 'Error: empty' });
+    assert.deepEqual(
+      frames.slice(1).map(({ fn, url, line, column }) => ({ fn, url, line, column })),
+      [
+        { fn: 'checkout', url: 'https://shop.test/main.js', line: 2, column: 21 },
+        { fn: undefined, url: 'https://shop.test/main.js', line: 1, column: 5 },
+        { fn: 'submit', url: 'https://shop.test/vendor.js', line: 3, column: 7 },
+      ],
+    );
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PNG } = require('pngjs');
+const {
+  fitCanvas,
+  findDiffRegions,
+  computeSsim,
+  formatSizeDelta,
+} = require('../visual-regression.cjs');
+
+/**
+ * Image filled with one color
+ */
+function solid(width, height, [r, g, b, a = 255]) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < png.data.length; i += 4) png.data.set([r, g, b, a], i);
+  return png;
+}
+
+/**
+ * Paint a rectangle of an image
+ */
+function paint(png, { x, y, width, height }, color) {
+  for (let row = y; row < y + height; row++) {
+    for (let column = x; column < x + width; column++) {
+      png.data.set(color, (row * png.width + column) * 4);
+    }
+  }
+  return png;
+}
+
+describe('findDiffRegions', () => {
+  it('finds no regions in an unchanged diff', () => {
+    assert.deepEqual(findDiffRegions(solid(32, 32, [200, 200, 200]), 16), []);
+  });
+
+  it('clusters nearby changes and separates distant ones, largest first', () => {
+    const diff = solid(200, 100, [200, 200, 200]);
+    paint(diff, { x: 10, y: 10, width: 4, height: 4 }, [255, 0, 0, 255]);
+    paint(diff, { x: 20, y: 12, width: 4, height: 4 }, [0, 255, 0, 255]);
+    paint(diff, { x: 150, y: 70, width: 2, height: 2 }, [255, 0, 0, 255]);
+
+    const regions = findDiffRegions(diff, 16);
+    assert.equal(regions.length, 2);
+    assert.deepEqual(regions[0], { x: 8, y: 8, width: 16, height: 8, pixels: 32 });
+    assert.deepEqual(regions[1], { x: 144, y: 64, width: 8, height: 8, pixels: 4 });
+  });
+
+  it('keeps changes apart when the gap is smaller than their distance', () => {
+    const diff = solid(200, 40, [200, 200, 200]);
+    paint(diff, { x: 0, y: 0, width: 2, height: 2 }, [255, 0, 0, 255]);
+    paint(diff, { x: 40, y: 0, width: 2, height: 2 }, [255, 0, 0, 255]);
+    assert.equal(findDiffRegions(diff, 8).length, 2);
+    assert.equal(findDiffRegions(diff, 40).length, 1);
+  });
+
+  it('clips regions to the image edge', () => {
+    const diff = solid(20, 20, [200, 200, 200]);
+    paint(diff, { x: 18, y: 18, width: 2, height: 2 }, [255, 0, 0, 255]);
+    assert.deepEqual(findDiffRegions(diff, 8), [{ x: 16, y: 16, width: 4, height: 4, pixels: 4 }]);
+  });
+});
+
+describe('computeSsim', () => {
+  it('is 1 for identical images', () => {
+    const image = paint(
+      solid(16, 16, [255, 255, 255]),
+      { x: 4, y: 4, width: 4, height: 4 },
+      [0, 0, 0, 255],
+    );
+    assert.equal(computeSsim(image, image), 1);
+  });
+
+  it('drops further for structural changes than for a slight color shift', () => {
+    const base = paint(
+      solid(16, 16, [255, 255, 255]),
+      { x: 0, y: 0, width: 8, height: 16 },
+      [100, 100, 100, 255],
+    );
+    const shifted = paint(
+      solid(16, 16, [250, 250, 250]),
+      { x: 0, y: 0, width: 8, height: 16 },
+      [105, 105, 105, 255],
+    );
+    const moved = paint(
+      solid(16, 16, [255, 255, 255]),
+      { x: 0, y: 0, width: 16, height: 8 },
+      [100, 100, 100, 255],
+    );
+    const shiftedScore = computeSsim(base, shifted);
+    const movedScore = computeSsim(base, moved);
+    assert.ok(shiftedScore > 0.95, `color shift scored ${shiftedScore}`);
+    assert.ok(movedScore < 0.9, `moved block scored ${movedScore}`);
+  });
+
+  it('blends transparent pixels onto white', () => {
+    assert.equal(computeSsim(solid(8, 8, [0, 0, 0, 0]), solid(8, 8, [255, 255, 255])), 1);
+  });
+});
+
+describe('fitCanvas', () => {
+  it('returns the image itself when the size already matches', () => {
+    const image = solid(4, 4, [1, 2, 3]);
+    assert.equal(fitCanvas(image, 4, 4), image);
+  });
+
+  it('pads with transparent pixels and crops', () => {
+    const padded = fitCanvas(solid(2, 2, [9, 9, 9]), 3, 1);
+    assert.equal(padded.width, 3);
+    assert.equal(padded.height, 1);
+    assert.deepEqual([...padded.data], [9, 9, 9, 255, 9, 9, 9, 255, 0, 0, 0, 0]);
+  });
+});
+
+describe('formatSizeDelta', () => {
+  it('formats signed width and height changes', () => {
+    assert.equal(formatSizeDelta({ width: 0, height: 120 }), '+0x+120');
+    assert.equal(formatSizeDelta({ width: -15, height: 4 }), '-15x+4');
+  });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMasks } = require('../../src/visual');
+
+describe('parseMasks', () => {
+  it('treats x,y,width,height as a rectangle', () => {
+    assert.deepEqual(parseMasks(['0,10, 300 ,40']), [
+      { rect: { x: 0, y: 10, width: 300, height: 40 } },
+    ]);
+  });
+
+  it('treats anything else as a selector', () => {
+    assert.deepEqual(parseMasks(['.ad-banner', '[data-testid="clock"]']), [
+      { selector: '.ad-banner' },
+      { selector: '[data-testid="clock"]' },
+    ]);
+  });
+
+  it('trims specs and drops empty ones', () => {
+    assert.deepEqual(parseMasks(['  #timestamp ', '', '   ']), [{ selector: '#timestamp' }]);
+  });
+
+  it('rejects empty rectangles', () => {
+    assert.throws(() => parseMasks(['10,10,0,50']), /Mask "10,10,0,50" is empty/);
+  });
+});
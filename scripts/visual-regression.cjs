@@ -6,77 +6,363 @@
 const fs = require('fs');
 const path = require('path');
 const { PNG } = require('pngjs');
-const pixelmatch = require('pixelmatch');
+
+// Masked regions are painted in this color in both images before comparing
+const MASK_COLOR = [255, 0, 255];
+
+// Changed pixels on the diff image: red, or green where the current image is darker
+const DIFF_COLOR = [255, 0, 0];
+const DIFF_COLOR_DARKER = [0, 255, 0];
+
+// Cell size (pixels) for clustering changed pixels into regions
+const REGION_CELL = 8;
+
+// Context around a region and the gap between the three crops of a composite
+const COMPOSITE_MARGIN = 24;
+const COMPOSITE_GAP = 8;
+// Larger regions are cropped to their top-left corner in the composite
+const MAX_COMPOSITE_SIZE = 800;
+
+// Window size for the SSIM score
+const SSIM_WINDOW = 8;
 
 /**
  * Compare two images and generate a diff
  *
+ * Images of different sizes are padded to the larger size (or cropped to the
+ * common area) and compared anyway; the size change is reported as `sizeDelta`.
+ * Changed pixels are clustered into regions, and for the largest regions a
+ * side-by-side composite (baseline | current | diff) is written next to the diff.
+ *
  * @param {string} baselinePath - Path to baseline image
  * @param {string} currentPath - Path to current image
  * @param {string} diffPath - Path to save diff image
  * @param {Object} options - Comparison options
- * @returns {Promise<{match: boolean, diffPixels: number, diffPercent: number, dimensions: Object}>}
+ * @param {number} [options.threshold=0.1] - Per-pixel color threshold
+ * @param {boolean} [options.includeAA=false] - Count anti-aliased pixels as differences
+ * @param {{x: number, y: number, width: number, height: number}[]} [options.masks] - Regions
+ *   (image pixels) to ignore, e.g. ads, carousels and timestamps
+ * @param {'pad'|'crop'|'fail'} [options.resize='pad'] - How to compare images of different
+ *   sizes: pad both to the larger size (added area counts as changed), compare the common
+ *   top-left area, or return a `dimension_mismatch` error
+ * @param {number} [options.regionGap=16] - Changed pixels closer than this join one region
+ * @param {number} [options.maxComposites=5] - Composite images written for the largest regions
+ * @returns {Promise<{match: boolean, diffPixels: number, diffPercent: number, dimensions: Object,
+ *   ssim: number, regions: DiffRegion[], sizeDelta?: {width: number, height: number}}>}
  */
 async function compareImages(baselinePath, currentPath, diffPath, options = {}) {
-  const { threshold = 0.1, includeAA = false } = options;
+  const {
+    threshold = 0.1,
+    includeAA = false,
+    masks = [],
+    resize = 'pad',
+    regionGap = 16,
+    maxComposites = 5,
+  } = options;
 
   // Read images
-  const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
-  const current = PNG.sync.read(fs.readFileSync(currentPath));
+  let baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+  let current = PNG.sync.read(fs.readFileSync(currentPath));
 
-  // Check dimensions match
-  if (baseline.width !== current.width || baseline.height !== current.height) {
+  // Size changes (e.g. full-page height) are compared on a common canvas
+  const sizes = {
+    baseline: { width: baseline.width, height: baseline.height },
+    current: { width: current.width, height: current.height },
+  };
+  const sizeChanged = baseline.width !== current.width || baseline.height !== current.height;
+  if (sizeChanged && resize === 'fail') {
     return {
       match: false,
       error: 'dimension_mismatch',
-      baseline: { width: baseline.width, height: baseline.height },
-      current: { width: current.width, height: current.height },
+      ...sizes,
       diffPixels: -1,
       diffPercent: 100,
     };
   }
+  if (sizeChanged) {
+    // Added area is transparent, so it counts as changed
+    const pick = resize === 'crop' ? Math.min : Math.max;
+    const canvasWidth = pick(baseline.width, current.width);
+    const canvasHeight = pick(baseline.height, current.height);
+    baseline = fitCanvas(baseline, canvasWidth, canvasHeight);
+    current = fitCanvas(current, canvasWidth, canvasHeight);
+  }
 
   const { width, height } = baseline;
+  for (const mask of masks) {
+    fillRect(baseline, mask);
+    fillRect(current, mask);
+  }
   const diff = new PNG({ width, height });
+  // pixelmatch is ESM-only
+  const { default: pixelmatch } = await import('pixelmatch');
 
   // Compare pixels
   const diffPixels = pixelmatch(baseline.data, current.data, diff.data, width, height, {
     threshold,
     includeAA,
     alpha: 0.1,
-    diffColor: [255, 0, 0], // Red for differences
-    diffColorAlt: [0, 255, 0], // Green for anti-aliasing
+    diffColor: DIFF_COLOR,
+    diffColorAlt: DIFF_COLOR_DARKER,
   });
 
   // Calculate percentage
   const totalPixels = width * height;
   const diffPercent = (diffPixels / totalPixels) * 100;
 
-  // Save diff image
+  const regions = diffPixels > 0 ? findDiffRegions(diff, regionGap) : [];
+
+  // Save diff image and the composites of the largest regions
   if (diffPath) {
     fs.mkdirSync(path.dirname(diffPath), { recursive: true });
     fs.writeFileSync(diffPath, PNG.sync.write(diff));
+
+    for (const [index, region] of regions.slice(0, maxComposites).entries()) {
+      region.composite = diffPath.replace(/(\.png)?$/, `-region-${index + 1}.png`);
+      fs.writeFileSync(
+        region.composite,
+        PNG.sync.write(composeRegion([baseline, current, diff], region)),
+      );
+    }
   }
 
   return {
-    match: diffPixels === 0,
+    match: diffPixels === 0 && !sizeChanged,
     diffPixels,
     diffPercent: parseFloat(diffPercent.toFixed(2)),
     dimensions: { width, height },
+    ssim: parseFloat(computeSsim(baseline, current).toFixed(4)),
+    regions,
+    ...(sizeChanged && {
+      ...sizes,
+      sizeDelta: {
+        width: sizes.current.width - sizes.baseline.width,
+        height: sizes.current.height - sizes.baseline.height,
+      },
+    }),
   };
 }
 
+/**
+ * Copy an image onto a canvas of the given size (cropping, or padding with transparent pixels)
+ */
+function fitCanvas(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+  const canvas = new PNG({ width, height });
+  PNG.bitblt(png, canvas, 0, 0, Math.min(png.width, width), Math.min(png.height, height), 0, 0);
+  return canvas;
+}
+
+/**
+ * Cluster the changed pixels of a diff image into bounding regions
+ * Pixels are counted in square cells; changed cells within `gap` pixels of each
+ * other form one region.
+ *
+ * @param {PNG} diff - Diff image from pixelmatch
+ * @param {number} gap - Distance in pixels that still joins two changes
+ * @returns {DiffRegion[]} Largest region (by changed pixels) first
+ */
+function findDiffRegions(diff, gap) {
+  const { width, height, data } = diff;
+  const columns = Math.ceil(width / REGION_CELL);
+  const rows = Math.ceil(height / REGION_CELL);
+  const counts = new Uint32Array(columns * rows);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (isDiffPixel(data, i)) {
+        counts[Math.floor(y / REGION_CELL) * columns + Math.floor(x / REGION_CELL)]++;
+      }
+    }
+  }
+
+  // Connected components over changed cells, joining cells up to `gap` apart
+  const reach = Math.max(1, Math.ceil(gap / REGION_CELL));
+  const seen = new Uint8Array(counts.length);
+  const regions = [];
+  for (let start = 0; start < counts.length; start++) {
+    if (!counts[start] || seen[start]) continue;
+    seen[start] = 1;
+    const queue = [start];
+    const bounds = { left: columns, top: rows, right: 0, bottom: 0, pixels: 0 };
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      bounds.left = Math.min(bounds.left, column);
+      bounds.top = Math.min(bounds.top, row);
+      bounds.right = Math.max(bounds.right, column);
+      bounds.bottom = Math.max(bounds.bottom, row);
+      bounds.pixels += counts[cell];
+
+      for (let dy = -reach; dy <= reach; dy++) {
+        for (let dx = -reach; dx <= reach; dx++) {
+          const c = column + dx;
+          const r = row + dy;
+          if (c < 0 || r < 0 || c >= columns || r >= rows) continue;
+          const next = r * columns + c;
+          if (counts[next] && !seen[next]) {
+            seen[next] = 1;
+            queue.push(next);
+          }
+        }
+      }
+    }
+
+    const x = bounds.left * REGION_CELL;
+    const y = bounds.top * REGION_CELL;
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (bounds.right + 1) * REGION_CELL) - x,
+      height: Math.min(height, (bounds.bottom + 1) * REGION_CELL) - y,
+      pixels: bounds.pixels,
+    });
+  }
+
+  return regions.sort((a, b) => b.pixels - a.pixels);
+}
+
+/**
+ * Whether a diff image pixel marks a change (unchanged pixels are drawn in gray)
+ */
+function isDiffPixel(data, i) {
+  return [DIFF_COLOR, DIFF_COLOR_DARKER].some(
+    ([r, g, b]) => data[i] === r && data[i + 1] === g && data[i + 2] === b,
+  );
+}
+
+/**
+ * Baseline, current and diff crops of a region side by side, with some context around it
+ */
+function composeRegion(images, region) {
+  const left = Math.max(0, region.x - COMPOSITE_MARGIN);
+  const top = Math.max(0, region.y - COMPOSITE_MARGIN);
+  const { width: imageWidth, height: imageHeight } = images[0];
+  const width = Math.min(
+    imageWidth - left,
+    region.width + COMPOSITE_MARGIN * 2,
+    MAX_COMPOSITE_SIZE,
+  );
+  const height = Math.min(
+    imageHeight - top,
+    region.height + COMPOSITE_MARGIN * 2,
+    MAX_COMPOSITE_SIZE,
+  );
+
+  const composite = new PNG({
+    width: width * images.length + COMPOSITE_GAP * (images.length - 1),
+    height,
+  });
+  // Gray separators; transparent (padded) areas stay see-through
+  for (let i = 0; i < composite.data.length; i += 4) {
+    composite.data.set([128, 128, 128, 255], i);
+  }
+  for (const [index, image] of images.entries()) {
+    PNG.bitblt(image, composite, left, top, width, height, index * (width + COMPOSITE_GAP), 0);
+  }
+  return composite;
+}
+
+/**
+ * Mean structural similarity (SSIM) of two equally sized images, over 8x8 luminance windows
+ * 1 means identical; unlike pixel counts it weighs structure (edges, text) over small color shifts.
+ */
+function computeSsim(a, b) {
+  const { width, height } = a;
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  let total = 0;
+  let windows = 0;
+
+  for (let y0 = 0; y0 < height; y0 += SSIM_WINDOW) {
+    for (let x0 = 0; x0 < width; x0 += SSIM_WINDOW) {
+      const y1 = Math.min(y0 + SSIM_WINDOW, height);
+      const x1 = Math.min(x0 + SSIM_WINDOW, width);
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          const la = luminance(a.data, i);
+          const lb = luminance(b.data, i);
+          sumA += la;
+          sumB += lb;
+          sumAA += la * la;
+          sumBB += lb * lb;
+          sumAB += la * lb;
+        }
+      }
+      const n = (y1 - y0) * (x1 - x0);
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varA = sumAA / n - meanA * meanA;
+      const varB = sumBB / n - meanB * meanB;
+      const covariance = sumAB / n - meanA * meanB;
+      total +=
+        ((2 * meanA * meanB + c1) * (2 * covariance + c2)) /
+        ((meanA * meanA + meanB * meanB + c1) * (varA + varB + c2));
+      windows++;
+    }
+  }
+
+  return windows > 0 ? total / windows : 1;
+}
+
+/**
+ * Luminance of a pixel blended onto white
+ */
+function luminance(data, i) {
+  const alpha = data[i + 3] / 255;
+  const blend = (value) => 255 + (value - 255) * alpha;
+  return 0.299 * blend(data[i]) + 0.587 * blend(data[i + 1]) + 0.114 * blend(data[i + 2]);
+}
+
+/**
+ * Paint a region of an image in the mask color, clipped to the image
+ */
+function fillRect(png, { x, y, width, height }) {
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const right = Math.min(png.width, Math.round(x + width));
+  const bottom = Math.min(png.height, Math.round(y + height));
+  for (let row = top; row < bottom; row++) {
+    for (let col = left; col < right; col++) {
+      const i = (row * png.width + col) * 4;
+      png.data[i] = MASK_COLOR[0];
+      png.data[i + 1] = MASK_COLOR[1];
+      png.data[i + 2] = MASK_COLOR[2];
+      png.data[i + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Size change as signed pixels, e.g. "+0x+120"
+ *
+ * @param {{width: number, height: number}} delta - sizeDelta from compareImages()
+ * @returns {string}
+ */
+function formatSizeDelta({ width, height }) {
+  const signed = (value) => (value >= 0 ? `+${value}` : `${value}`);
+  return `${signed(width)}x${signed(height)}`;
+}
+
 /**
  * Compare all screenshots in two directories
  *
  * @param {string} baselineDir - Directory with baseline screenshots
  * @param {string} currentDir - Directory with current screenshots
  * @param {string} diffDir - Directory to save diff images
- * @param {Object} options - Comparison options
+ * @param {Object} options - Comparison options (`masks` apply to every image)
  * @returns {Promise<{summary: Object, results: Array}>}
  */
 async function compareDirectories(baselineDir, currentDir, diffDir, options = {}) {
-  const { threshold = 0.1, failThreshold = 0.5 } = options;
+  const { threshold = 0.1, failThreshold = 0.5, masks = [], resize = 'pad' } = options;
 
   const results = [];
   let passed = 0;
@@ -113,7 +399,14 @@ async function compareDirectories(baselineDir, currentDir, diffDir, options = {}
       missing++;
     } else {
       // Compare images
-      const comparison = await compareImages(baselinePath, currentPath, diffPath, { threshold });
+      const comparison = await compareImages(baselinePath, currentPath, diffPath, {
+        threshold,
+        masks,
+        resize,
+      });
+      const sizeNote = comparison.sizeDelta
+        ? `; size changed by ${formatSizeDelta(comparison.sizeDelta)}`
+        : '';
 
       if (comparison.error === 'dimension_mismatch') {
         result.status = 'failed';
@@ -122,16 +415,20 @@ async function compareDirectories(baselineDir, currentDir, diffDir, options = {}
         failed++;
       } else if (comparison.diffPercent > failThreshold) {
         result.status = 'failed';
-        result.message = `${comparison.diffPercent}% pixels differ (threshold: ${failThreshold}%)`;
+        result.message = `${comparison.diffPercent}% pixels differ (threshold: ${failThreshold}%)${sizeNote}`;
         result.diffPixels = comparison.diffPixels;
         result.diffPercent = comparison.diffPercent;
+        result.ssim = comparison.ssim;
+        result.regions = comparison.regions;
         result.diffPath = diffPath;
         failed++;
-      } else if (comparison.diffPixels > 0) {
+      } else if (comparison.diffPixels > 0 || comparison.sizeDelta) {
         result.status = 'warning';
-        result.message = `Minor differences: ${comparison.diffPercent}% pixels differ`;
+        result.message = `Minor differences: ${comparison.diffPercent}% pixels differ${sizeNote}`;
         result.diffPixels = comparison.diffPixels;
         result.diffPercent = comparison.diffPercent;
+        result.ssim = comparison.ssim;
+        result.regions = comparison.regions;
         result.diffPath = diffPath;
         passed++;
       } else {
@@ -186,9 +483,16 @@ function generateReport(comparison) {
       report += `#### ${r.file}\n`;
       report += `- **Status**: Failed\n`;
       report += `- **Reason**: ${r.message}\n`;
+      if (r.ssim !== undefined) {
+        report += `- **SSIM**: ${r.ssim}\n`;
+      }
       if (r.diffPath) {
         report += `- **Diff Image**: ${path.basename(r.diffPath)}\n`;
       }
+      for (const region of r.regions || []) {
+        const composite = region.composite ? ` (${path.basename(region.composite)})` : '';
+        report += `- **Changed region**: ${region.width}x${region.height} at ${region.x},${region.y}${composite}\n`;
+      }
       report += `\n`;
     });
   }
@@ -325,9 +629,23 @@ Examples:
   }
 }
 
+/**
+ * @typedef {Object} DiffRegion
+ * @property {number} x - Left edge in image pixels
+ * @property {number} y - Top edge in image pixels
+ * @property {number} width - Width in image pixels
+ * @property {number} height - Height in image pixels
+ * @property {number} pixels - Changed pixels in the region
+ * @property {string} [composite] - Side-by-side image (baseline | current | diff) of the region
+ */
+
 // Export functions for programmatic use
 module.exports = {
   compareImages,
+  formatSizeDelta,
+  fitCanvas,
+  findDiffRegions,
+  computeSsim,
   compareDirectories,
   generateReport,
   updateBaseline,
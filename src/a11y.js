@@ -0,0 +1,387 @@
+/**
+ * Accessibility Rule Engine
+ *
+ * Deterministic WCAG checks evaluated inside the page. Works without an API
+ * key, and its findings are merged into the report next to the AI bugs.
+ *
+ * Usage:
+ *   const { runAccessibilityAudit } = require('./a11y');
+ *   const { findings } = await runAccessibilityAudit(page);
+ */
+
+const { installDomHelpers } = require('./dom');
+
+/**
+ * Rule metadata, keyed by rule ID
+ */
+const RULES = {
+  'image-alt': {
+    severity: 'high',
+    wcag: ['1.1.1'],
+    title: 'Image missing alt text',
+    description: 'Images without an alt attribute are announced by file name or skipped.',
+    recommendation: 'Add descriptive alt text, or alt="" if the image is decorative.',
+  },
+  label: {
+    severity: 'high',
+    wcag: ['1.3.1', '4.1.2'],
+    title: 'Form control without a label',
+    description: 'Screen reader users cannot tell what this field is for.',
+    recommendation: 'Associate a <label>, or add aria-label / aria-labelledby.',
+  },
+  'button-name': {
+    severity: 'high',
+    wcag: ['4.1.2'],
+    title: 'Button without an accessible name',
+    description: 'The button has no text, aria-label or labelled image.',
+    recommendation: 'Add visible text or an aria-label describing the action.',
+  },
+  'link-name': {
+    severity: 'medium',
+    wcag: ['2.4.4', '4.1.2'],
+    title: 'Link without an accessible name',
+    description: 'The link has no text, aria-label or labelled image.',
+    recommendation: 'Add link text or an aria-label describing the destination.',
+  },
+  'heading-order': {
+    severity: 'medium',
+    wcag: ['1.3.1'],
+    title: 'Heading level skipped',
+    description: 'Heading levels should increase by one so the outline makes sense.',
+    recommendation: 'Use the next heading level instead of skipping levels.',
+  },
+  'page-has-heading-one': {
+    severity: 'low',
+    wcag: ['1.3.1', '2.4.6'],
+    title: 'Page has no h1',
+    description: 'A top-level heading helps users understand and navigate the page.',
+    recommendation: 'Add a single <h1> describing the page.',
+  },
+  'landmark-main': {
+    severity: 'medium',
+    wcag: ['1.3.1', '2.4.1'],
+    title: 'Page has no main landmark',
+    description: 'Without <main>, screen reader users cannot jump to the primary content.',
+    recommendation: 'Wrap the primary content in a <main> element.',
+  },
+  region: {
+    severity: 'low',
+    wcag: ['1.3.1'],
+    title: 'Content outside landmarks',
+    description: 'Content that is not inside a landmark is easy to miss when navigating by region.',
+    recommendation: 'Place all content inside header, nav, main, aside or footer landmarks.',
+  },
+  'duplicate-id': {
+    severity: 'medium',
+    wcag: ['4.1.1'],
+    title: 'Duplicate id attribute',
+    description: 'Duplicate ids break label, aria-labelledby and aria-describedby references.',
+    recommendation: 'Make every id on the page unique.',
+  },
+  'aria-valid-role': {
+    severity: 'medium',
+    wcag: ['4.1.2'],
+    title: 'Invalid ARIA role',
+    description: 'Assistive technology ignores roles that are not defined by WAI-ARIA.',
+    recommendation: 'Use a valid WAI-ARIA role or remove the role attribute.',
+  },
+  'aria-valid-attr': {
+    severity: 'medium',
+    wcag: ['4.1.2'],
+    title: 'Invalid ARIA attribute',
+    description: 'Misspelled or unknown aria-* attributes have no effect.',
+    recommendation: 'Fix the attribute name or remove it.',
+  },
+  'aria-valid-reference': {
+    severity: 'medium',
+    wcag: ['1.3.1', '4.1.2'],
+    title: 'ARIA reference to a missing id',
+    description:
+      'aria-labelledby, aria-describedby or aria-controls points to an id that does not exist.',
+    recommendation: 'Point the attribute at an existing element id.',
+  },
+  'aria-hidden-focus': {
+    severity: 'high',
+    wcag: ['4.1.2'],
+    title: 'Focusable element inside aria-hidden',
+    description: 'Keyboard users can focus an element that screen readers cannot see.',
+    recommendation: 'Remove aria-hidden, or make the content unfocusable (tabindex="-1" / inert).',
+  },
+  'target-size': {
+    severity: 'low',
+    wcag: ['2.5.8'],
+    title: 'Touch target smaller than 24x24px',
+    description:
+      'Small targets are hard to hit for users with limited dexterity or on touch screens.',
+    recommendation: 'Make the target at least 24x24 CSS pixels or add spacing around it.',
+  },
+  'html-has-lang': {
+    severity: 'medium',
+    wcag: ['3.1.1'],
+    title: 'Page has no lang attribute',
+    description: 'Screen readers need the page language to choose the right pronunciation.',
+    recommendation: 'Add a lang attribute to <html>, e.g. <html lang="en">.',
+  },
+  'document-title': {
+    severity: 'medium',
+    wcag: ['2.4.2'],
+    title: 'Page has no title',
+    description: 'The page title is the first thing announced and identifies the browser tab.',
+    recommendation: 'Add a descriptive <title>.',
+  },
+};
+
+// Elements reported per rule before the rest are dropped
+const MAX_ELEMENTS_PER_RULE = 25;
+
+/**
+ * Run all accessibility rules against the current page
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<{findings: import('./findings').Finding[], rulesRun: string[]}>}
+ */
+async function runAccessibilityAudit(page) {
+  await installDomHelpers(page);
+  const raw = await page.evaluate(auditInPage, MAX_ELEMENTS_PER_RULE);
+
+  const findings = raw.map((result) => {
+    const rule = RULES[result.rule];
+    return {
+      rule: result.rule,
+      severity: rule.severity,
+      wcag: rule.wcag,
+      title: rule.title,
+      description: result.detail ? `${rule.description} ${result.detail}` : rule.description,
+      recommendation: rule.recommendation,
+      selector: result.selector,
+    };
+  });
+
+  return { findings, rulesRun: Object.keys(RULES) };
+}
+
+/* eslint-disable no-undef */
+/**
+ * Evaluated in the browser. Returns raw { rule, selector, detail } results.
+ */
+function auditInPage(maxPerRule) {
+  const { getSelector, isVisible } = window.__qaiDom;
+  const results = [];
+  const counts = {};
+
+  const VALID_ROLES = new Set(
+    (
+      'alert alertdialog application article banner blockquote button caption cell checkbox ' +
+      'code columnheader combobox complementary contentinfo definition deletion dialog ' +
+      'directory document emphasis feed figure form generic grid gridcell group heading img ' +
+      'insertion link list listbox listitem log main marquee math menu menubar menuitem ' +
+      'menuitemcheckbox menuitemradio meter navigation none note option paragraph presentation ' +
+      'progressbar radio radiogroup region row rowgroup rowheader scrollbar search searchbox ' +
+      'separator slider spinbutton status strong subscript superscript switch tab table ' +
+      'tablist tabpanel term textbox time timer toolbar tooltip tree treegrid treeitem'
+    ).split(' '),
+  );
+
+  const VALID_ARIA = new Set(
+    (
+      'activedescendant atomic autocomplete braillelabel brailleroledescription busy checked ' +
+      'colcount colindex colindextext colspan controls current describedby description details ' +
+      'disabled dropeffect errormessage expanded flowto grabbed haspopup hidden invalid ' +
+      'keyshortcuts label labelledby level live modal multiline multiselectable orientation ' +
+      'owns placeholder posinset pressed readonly relevant required roledescription rowcount ' +
+      'rowindex rowindextext rowspan selected setsize sort valuemax valuemin valuenow valuetext'
+    )
+      .split(' ')
+      .map((a) => `aria-${a}`),
+  );
+
+  const LANDMARKS =
+    'header, nav, main, aside, footer, form[aria-label], section[aria-label], ' +
+    '[role=banner], [role=navigation], [role=main], [role=complementary], ' +
+    '[role=contentinfo], [role=region], [role=search], [role=form]';
+
+  const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex], [contenteditable=true]';
+
+  function report(rule, el, detail) {
+    counts[rule] = (counts[rule] || 0) + 1;
+    if (counts[rule] > maxPerRule) return;
+    results.push({ rule, selector: el ? getSelector(el) : null, detail });
+  }
+
+  function referencedText(el, attr) {
+    const ids = (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean);
+    return ids
+      .map((id) => document.getElementById(id)?.textContent || '')
+      .join(' ')
+      .trim();
+  }
+
+  function accessibleName(el) {
+    const label = el.getAttribute('aria-label');
+    if (label && label.trim()) return label.trim();
+    const labelledBy = referencedText(el, 'aria-labelledby');
+    if (labelledBy) return labelledBy;
+    if (el.labels && el.labels.length > 0) {
+      const text = [...el.labels]
+        .map((l) => l.textContent)
+        .join(' ')
+        .trim();
+      if (text) return text;
+    }
+    const text = (el.innerText || el.textContent || '').trim();
+    if (text) return text;
+    const imgAlt = [...el.querySelectorAll('img[alt], [role=img][aria-label]')]
+      .map((img) => img.getAttribute('alt') || img.getAttribute('aria-label'))
+      .join(' ')
+      .trim();
+    if (imgAlt) return imgAlt;
+    if (el.title && el.title.trim()) return el.title.trim();
+    if (el.tagName === 'INPUT' && ['submit', 'reset', 'button'].includes(el.type)) {
+      return el.value || (el.type === 'submit' ? 'Submit' : el.type === 'reset' ? 'Reset' : '');
+    }
+    return '';
+  }
+
+  // Document-level rules
+  if (!document.documentElement.getAttribute('lang')) {
+    report('html-has-lang', document.documentElement);
+  }
+  if (!document.title.trim()) {
+    report('document-title', null);
+  }
+
+  // image-alt
+  document.querySelectorAll('img:not([alt]), input[type=image]:not([alt])').forEach((img) => {
+    if (img.getAttribute('role') === 'presentation' || img.getAttribute('role') === 'none') return;
+    if (img.getAttribute('aria-label') || img.getAttribute('aria-labelledby')) return;
+    report('image-alt', img, img.src ? `Source: ${img.src.slice(0, 100)}` : '');
+  });
+
+  // label
+  document
+    .querySelectorAll(
+      'input:not([type=hidden]):not([type=submit]):not([type=reset]):not([type=button])' +
+        ':not([type=image]), select, textarea',
+    )
+    .forEach((input) => {
+      if (!isVisible(input)) return;
+      const hasLabel =
+        (input.labels && [...input.labels].some((l) => l.textContent.trim())) ||
+        (input.getAttribute('aria-label') || '').trim() ||
+        referencedText(input, 'aria-labelledby') ||
+        (input.title || '').trim();
+      if (!hasLabel) {
+        const hint = input.placeholder ? ` Placeholder "${input.placeholder}" is not a label.` : '';
+        report('label', input, hint.trim());
+      }
+    });
+
+  // button-name / link-name
+  document
+    .querySelectorAll('button, [role=button], input[type=submit], input[type=button]')
+    .forEach((button) => {
+      if (isVisible(button) && !accessibleName(button)) report('button-name', button);
+    });
+  document.querySelectorAll('a[href]').forEach((link) => {
+    if (isVisible(link) && !accessibleName(link)) report('link-name', link);
+  });
+
+  // heading-order / page-has-heading-one
+  const headings = [...document.querySelectorAll('h1, h2, h3, h4, h5, h6')].filter(isVisible);
+  if (!headings.some((h) => h.tagName === 'H1')) {
+    report('page-has-heading-one', null);
+  }
+  let previousLevel = 0;
+  for (const heading of headings) {
+    const level = parseInt(heading.tagName[1], 10);
+    if (previousLevel && level > previousLevel + 1) {
+      report('heading-order', heading, `h${previousLevel} is followed by h${level}.`);
+    }
+    previousLevel = level;
+  }
+
+  // landmark-main / region
+  if (!document.querySelector('main, [role=main]')) {
+    report('landmark-main', null);
+  }
+  for (const child of document.body.children) {
+    if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(child.tagName)) continue;
+    if (child.matches(LANDMARKS) || child.closest(LANDMARKS) || child.querySelector(LANDMARKS)) {
+      continue;
+    }
+    if (isVisible(child) && (child.innerText || '').trim()) {
+      report('region', child);
+    }
+  }
+
+  // duplicate-id
+  const seenIds = new Map();
+  document.querySelectorAll('[id]').forEach((el) => {
+    seenIds.set(el.id, (seenIds.get(el.id) || 0) + 1);
+  });
+  for (const [id, count] of seenIds) {
+    if (count > 1 && id) {
+      report('duplicate-id', document.getElementById(id), `id="${id}" is used ${count} times.`);
+    }
+  }
+
+  // ARIA roles, attributes and references
+  document.querySelectorAll('*').forEach((el) => {
+    const role = el.getAttribute('role');
+    if (role !== null) {
+      const invalid = role
+        .trim()
+        .split(/\s+/)
+        .filter((r) => r && !VALID_ROLES.has(r));
+      if (invalid.length > 0 || !role.trim()) {
+        report('aria-valid-role', el, `role="${role}"`);
+      }
+    }
+
+    for (const attr of el.getAttributeNames()) {
+      if (attr.startsWith('aria-') && !VALID_ARIA.has(attr)) {
+        report('aria-valid-attr', el, `${attr} is not a valid ARIA attribute.`);
+      }
+    }
+
+    for (const attr of ['aria-labelledby', 'aria-describedby', 'aria-controls']) {
+      const ids = (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean);
+      const missing = ids.filter((id) => !document.getElementById(id));
+      if (missing.length > 0) {
+        report('aria-valid-reference', el, `${attr} references missing id "${missing[0]}".`);
+      }
+    }
+  });
+
+  // aria-hidden-focus
+  document.querySelectorAll('[aria-hidden=true]').forEach((hidden) => {
+    const focusable = [hidden, ...hidden.querySelectorAll(FOCUSABLE)].filter(
+      (el) => el.matches(FOCUSABLE) && el.tabIndex >= 0 && !el.disabled && isVisible(el),
+    );
+    focusable.forEach((el) => report('aria-hidden-focus', el));
+  });
+
+  // target-size (inline links inside text are exempt)
+  document
+    .querySelectorAll('a[href], button, input:not([type=hidden]), select, [role=button]')
+    .forEach((el) => {
+      if (!isVisible(el)) return;
+      if (el.tagName === 'A' && getComputedStyle(el).display === 'inline') return;
+      const rect = el.getBoundingClientRect();
+      if (rect.width < 24 || rect.height < 24) {
+        report(
+          'target-size',
+          el,
+          `Rendered at ${Math.round(rect.width)}x${Math.round(rect.height)}px.`,
+        );
+      }
+    });
+
+  return results;
+}
+/* eslint-enable no-undef */
+
+module.exports = {
+  runAccessibilityAudit,
+  RULES,
+};
@@ -24,25 +24,57 @@
  */
 
 const { getProvider, createProvider } = require('./providers');
+const { normalizeJourney, runJourney } = require('./journey');
+const { runAccessibilityAudit } = require('./a11y');
+const { runKeyboardAudit, captureFocusOverlay } = require('./keyboard');
+const { runFormFuzz } = require('./forms');
+const { runLinkCheck } = require('./links');
+const { runSeoAudit } = require('./seo');
+const { runSecurityAudit } = require('./security');
+const { createSourceMapResolver } = require('./sourcemaps');
+const { findingsToBugs } = require('./findings');
+const { installMetricsObserver, collectMetrics } = require('./metrics');
+const { parseReadiness, waitForReady } = require('./readiness');
+const {
+  collectElementBoxes,
+  collectMatchingBoxes,
+  resolveBugBoxes,
+  annotateScreenshots,
+} = require('./annotate');
+const {
+  VIEWPORT_PRESETS,
+  parseViewports,
+  contextOptionsFor,
+  attachDevices,
+} = require('./viewports');
+const { findRefLabel } = require('./explore');
+const { getCompactSnapshot } = require('../scripts/aria-snapshot');
 
 /**
- * Viewport configurations
+ * Preset viewport configurations (any WIDTHxHEIGHT or Playwright device name also works)
  */
-const VIEWPORT_CONFIGS = {
-  mobile: { width: 375, height: 667, name: 'mobile' },
-  tablet: { width: 768, height: 1024, name: 'tablet' },
-  desktop: { width: 1920, height: 1080, name: 'desktop' },
-};
+const VIEWPORT_CONFIGS = Object.fromEntries(
+  Object.entries(VIEWPORT_PRESETS).map(([name, size]) => [name, { ...size, name }]),
+);
 
 /**
  * Analyze a page with AI
  *
  * @param {import('playwright').Page} page - Playwright page object
  * @param {Object} options - Analysis options
- * @param {string[]} [options.viewports=['desktop', 'mobile']] - Viewports to test
- * @param {string} [options.focus='all'] - Focus area (all, accessibility, performance, forms, visual)
+ * @param {string[]} [options.viewports=['desktop', 'mobile']] - Viewports to test: presets,
+ *   WIDTHxHEIGHT or Playwright device names (e.g. 'iPhone 13'), emulated in a new context
+ * @param {string} [options.focus='all'] - Focus area (all, accessibility, performance, forms, visual, seo,
+ *   security)
  * @param {string} [options.provider] - LLM provider (anthropic, openai, gemini, ollama)
  * @param {string} [options.apiKey] - API key (uses env var if not provided)
+ * @param {Object} [options.journey] - User journey ({ name, steps }) to run after the viewport captures
+ * @param {string[]} [options.checks=[]] - Built-in rule checks to run, e.g. ['accessibility', 'links'];
+ *   none by default, since the link check requests every linked URL
+ * @param {string|Function} [options.ready='smart'] - Wait before capturing: 'smart', 'networkidle',
+ *   'selector:<css>' or an async (page) => {} function
+ * @param {boolean} [options.externalLinks=false] - Link check: also request other origins
+ * @param {string[]} [options.firstParty=[]] - Security audit: other hosts that belong to the site
  * @returns {Promise<AnalysisReport>} Analysis report with bugs, screenshots, and recommendations
  */
 async function analyzeWithAI(page, options = {}) {
@@ -51,6 +83,11 @@ async function analyzeWithAI(page, options = {}) {
     focus = 'all',
     provider: providerName,
     apiKey,
+    journey,
+    checks = [],
+    ready = 'smart',
+    externalLinks = false,
+    firstParty = [],
   } = options;
 
   const startTime = Date.now();
@@ -64,11 +101,47 @@ async function analyzeWithAI(page, options = {}) {
   }
 
   // Capture page data
-  const captureData = await capturePageData(page, viewports);
+  const captureData = await capturePageData(page, viewports, {
+    journey,
+    checks,
+    ready,
+    externalLinks,
+    firstParty,
+  });
 
   // Analyze with AI
   const analysis = await provider.analyze(captureData, { focus });
 
+  // Merge findings from the built-in checks
+  const bugs = [...(analysis.bugs || [])];
+  if (captureData.accessibility) {
+    bugs.push(...findingsToBugs(captureData.accessibility.findings, 'accessibility'));
+  }
+  if (captureData.keyboard) {
+    bugs.push(...findingsToBugs(captureData.keyboard.findings, 'accessibility'));
+  }
+  if (captureData.links) {
+    bugs.push(...findingsToBugs(captureData.links.findings, 'links'));
+  }
+  if (captureData.seo) {
+    bugs.push(...findingsToBugs(captureData.seo.findings, 'seo'));
+  }
+  if (captureData.security) {
+    bugs.push(...findingsToBugs(captureData.security.findings, 'security'));
+  }
+  if (captureData.forms) {
+    bugs.push(...findingsToBugs(captureData.forms.findings, 'forms'));
+  }
+
+  // Locate bugs on the screenshots and draw numbered boxes
+  for (const bug of bugs) {
+    if (bug.ref && captureData.ariaSnapshot) {
+      bug.element = findRefLabel(captureData.ariaSnapshot, bug.ref) || undefined;
+    }
+  }
+  resolveBugBoxes(bugs, captureData.screenshots);
+  attachDevices(bugs, captureData.screenshots);
+
   // Build report
   const report = {
     url: page.url(),
@@ -77,15 +150,23 @@ async function analyzeWithAI(page, options = {}) {
     duration: `${((Date.now() - startTime) / 1000).toFixed(1)}s`,
     score: analysis.score,
     summary: analysis.summary,
-    bugs: analysis.bugs || [],
-    criticalBugs: (analysis.bugs || []).filter(
-      (b) => b.severity === 'critical' || b.severity === 'high',
-    ),
+    bugs,
+    criticalBugs: bugs.filter((b) => b.severity === 'critical' || b.severity === 'high'),
     recommendations: analysis.recommendations || [],
     consoleErrors: captureData.consoleErrors,
     networkErrors: captureData.networkErrors,
     screenshots: captureData.screenshots,
-    viewports,
+    annotatedScreenshots: annotateScreenshots(captureData.screenshots, bugs),
+    journey: captureData.journey,
+    accessibility: captureData.accessibility,
+    keyboard: captureData.keyboard,
+    links: captureData.links,
+    seo: captureData.seo,
+    security: captureData.security,
+    forms: captureData.forms,
+    metrics: captureData.metrics,
+    readiness: captureData.readiness,
+    viewports: parseViewports(viewports).map((v) => v.name),
     focus,
   };
 
@@ -97,12 +178,20 @@ async function analyzeWithAI(page, options = {}) {
  *
  * @param {import('playwright').Page} page - Playwright page object
  * @param {string[]} viewports - Viewports to capture
+ * @param {Object} [options]
+ * @param {Object} [options.journey] - User journey ({ name, steps }) to run after the captures
+ * @param {string[]} [options.checks] - Built-in rule checks to run (e.g. ['accessibility'])
+ * @param {string|Function} [options.ready] - Readiness strategy to wait for before capturing
+ * @param {boolean} [options.externalLinks] - Link check: also request other origins
+ * @param {string[]} [options.firstParty] - Security audit: other hosts that belong to the site
  * @returns {Promise<CaptureData>}
  */
-async function capturePageData(page, viewports) {
+async function capturePageData(page, viewports, options = {}) {
   const consoleErrors = [];
   const networkErrors = [];
   const screenshots = [];
+  // The journey may navigate away; form fuzzing reloads the page the capture started on
+  const startUrl = page.url();
 
   // Set up console listener
   const consoleHandler = (msg) => {
@@ -134,15 +223,18 @@ async function capturePageData(page, viewports) {
   };
   page.on('response', responseHandler);
 
-  // Capture ARIA snapshot for accessibility analysis
+  // Wait for late XHRs and SPA rendering to settle
+  let readiness;
+  if (options.ready) {
+    readiness = await waitForReady(page, parseReadiness(options.ready));
+  }
+
+  // Capture ARIA snapshot; its refs let the AI point at elements
   let ariaSnapshot = null;
   try {
-    ariaSnapshot = await page.accessibility.snapshot();
-    if (ariaSnapshot) {
-      ariaSnapshot = JSON.stringify(ariaSnapshot, null, 2).slice(0, 8000);
-    }
+    ariaSnapshot = (await getCompactSnapshot(page)).slice(0, 8000);
   } catch {
-    // accessibility.snapshot() may not be available in all contexts
+    // Snapshot evaluation may fail in some contexts
   }
 
   // Capture DOM summary
@@ -173,33 +265,106 @@ async function capturePageData(page, viewports) {
     // DOM evaluation may fail in some contexts
   }
 
+  // Performance metrics (TBT/INP need installMetricsObserver() before page.goto())
+  let metrics = null;
+  try {
+    metrics = await collectMetrics(page);
+  } catch {
+    // Performance APIs may be unavailable (e.g. about:blank)
+  }
+
+  // Run built-in accessibility rules
+  let accessibility;
+  if (options.checks?.includes('accessibility')) {
+    accessibility = await runAccessibilityAudit(page);
+  }
+
+  let links;
+  if (options.checks?.includes('links')) {
+    links = await runLinkCheck(page, { external: options.externalLinks });
+  }
+
+  let seo;
+  if (options.checks?.includes('seo')) {
+    seo = await runSeoAudit(page);
+  }
+
+  // The page is already loaded, so the main document is requested again for its headers
+  let security;
+  if (options.checks?.includes('security')) {
+    security = await runSecurityAudit(page, null, { firstParty: options.firstParty });
+  }
+
+  // Tab through the page and number the focus stops on a screenshot
+  let keyboard;
+  let focusOverlay;
+  if (options.checks?.includes('keyboard')) {
+    keyboard = await runKeyboardAudit(page);
+    focusOverlay = await captureFocusOverlay(page, keyboard);
+  }
+
+  const ruleSelectors = [
+    ...(accessibility?.findings || []),
+    ...(keyboard?.findings || []),
+    ...(links?.findings || []),
+    ...(seo?.findings || []),
+    ...(security?.findings || []),
+  ]
+    .map((f) => f.selector)
+    .filter(Boolean);
+
   // Store original viewport
   const originalViewport = page.viewportSize();
 
   // Capture screenshots at each viewport
-  for (const viewportName of viewports) {
-    const config = VIEWPORT_CONFIGS[viewportName.toLowerCase()];
-    if (!config) {
-      console.warn(`Unknown viewport: ${viewportName}, skipping`);
-      continue;
+  for (const config of parseViewports(viewports)) {
+    let shot = null;
+    if (config.device) {
+      shot = await captureDevice(page, config, {
+        ruleSelectors,
+        ariaSnapshot,
+        ready: options.ready,
+      });
     }
 
-    // Set viewport
-    await page.setViewportSize({ width: config.width, height: config.height });
+    if (!shot) {
+      // Set viewport
+      await page.setViewportSize({ width: config.width, height: config.height });
 
-    // Wait for any layout shifts
-    await page.waitForTimeout(500);
+      // Wait for any layout shifts
+      await page.waitForTimeout(500);
 
-    // Capture screenshot
-    const buffer = await page.screenshot({ fullPage: true });
+      // Capture screenshot
+      shot = {
+        buffer: await page.screenshot({ fullPage: true }),
+        boxes: await collectElementBoxes(page, ruleSelectors, { fullPage: true }),
+      };
+    }
 
     screenshots.push({
       name: `${config.name}-${config.width}x${config.height}`,
       viewport: config.name,
+      ...(config.device && {
+        device: config.device,
+        deviceScaleFactor: config.deviceScaleFactor,
+      }),
       width: config.width,
       height: config.height,
-      buffer,
-      base64: buffer.toString('base64'),
+      buffer: shot.buffer,
+      base64: shot.buffer.toString('base64'),
+      boxes: shot.boxes,
+    });
+  }
+
+  if (focusOverlay) {
+    screenshots.push({
+      name: 'focus-order',
+      viewport: screenshots[0]?.viewport || 'default',
+      label: 'Focus order (numbered tab stops)',
+      width: focusOverlay.width,
+      height: focusOverlay.height,
+      buffer: focusOverlay.buffer,
+      base64: focusOverlay.buffer.toString('base64'),
     });
   }
 
@@ -208,6 +373,35 @@ async function capturePageData(page, viewports) {
     await page.setViewportSize(originalViewport);
   }
 
+  // Run the user journey with listeners still attached
+  let journey;
+  if (options.journey) {
+    const steps = { screenshots: [], consoleErrors, networkErrors };
+    journey = await runJourney(page, normalizeJourney(options.journey), steps, {
+      baseUrl: page.url(),
+      ready: parseReadiness(options.ready || 'smart'),
+    });
+    for (const screenshot of steps.screenshots) {
+      screenshots.push({ ...screenshot, base64: screenshot.buffer.toString('base64') });
+    }
+  }
+
+  // Submit each form with valid, boundary and invalid input (in a page of its own)
+  let forms;
+  if (options.checks?.includes('forms')) {
+    const { screenshots: formShots, ...result } = await runFormFuzz(page.context(), startUrl, {
+      ready: parseReadiness(options.ready || 'smart'),
+    });
+    forms = result;
+    for (const screenshot of formShots) {
+      screenshots.push({
+        viewport: screenshots[0]?.viewport || 'default',
+        ...screenshot,
+        base64: screenshot.buffer.toString('base64'),
+      });
+    }
+  }
+
   // Clean up listeners
   page.off('console', consoleHandler);
   page.off('requestfailed', requestFailedHandler);
@@ -222,9 +416,52 @@ async function capturePageData(page, viewports) {
     screenshots,
     ariaSnapshot,
     domSummary,
+    journey,
+    accessibility,
+    keyboard,
+    links,
+    seo,
+    security,
+    forms,
+    metrics,
+    readiness,
   };
 }
 
+/**
+ * Screenshot the current URL on an emulated device
+ *
+ * User agent, DPR, touch and isMobile are fixed per context, so the device
+ * gets a new context in the same browser with the page's cookies and storage.
+ * Returns null when no new context can be opened (persistent contexts); the
+ * caller then falls back to the device's size on the original page.
+ */
+async function captureDevice(page, config, { ruleSelectors, ariaSnapshot, ready }) {
+  const browser = page.context().browser();
+  if (!browser) {
+    console.warn(`Cannot emulate ${config.device} from a persistent context, using its size only`);
+    return null;
+  }
+
+  const context = await browser.newContext({
+    ...contextOptionsFor(config),
+    storageState: await page.context().storageState(),
+  });
+  try {
+    const devicePage = await context.newPage();
+    await devicePage.goto(page.url(), { waitUntil: 'commit' });
+    await waitForReady(devicePage, parseReadiness(ready || 'smart'));
+    return {
+      buffer: await devicePage.screenshot({ fullPage: true }),
+      boxes: await collectMatchingBoxes(devicePage, ruleSelectors, ariaSnapshot, {
+        fullPage: true,
+      }),
+    };
+  } finally {
+    await context.close();
+  }
+}
+
 /**
  * Create a Playwright test helper that runs AI analysis
  * Use this to create reusable test fixtures
@@ -305,6 +542,14 @@ module.exports = {
   attachScreenshots,
   attachBugReport,
   capturePageData,
+  runAccessibilityAudit,
+  runKeyboardAudit,
+  runFormFuzz,
+  runLinkCheck,
+  runSeoAudit,
+  runSecurityAudit,
+  createSourceMapResolver,
+  installMetricsObserver,
   VIEWPORT_CONFIGS,
 };
 
@@ -322,6 +567,16 @@ module.exports = {
  * @property {string[]} consoleErrors - Console errors captured
  * @property {NetworkError[]} networkErrors - Network errors captured
  * @property {Screenshot[]} screenshots - Screenshots taken
+ * @property {AnnotatedScreenshot[]} annotatedScreenshots - Screenshots with numbered bug boxes
+ * @property {import('./keyboard').KeyboardAudit} [keyboard] - Focus stops in tab order and
+ *   keyboard findings
+ * @property {import('./links').LinkCheckResult} [links] - Broken, redirected and slow links
+ * @property {import('./seo').SeoAudit} [seo] - Head metadata, heading outline and SEO findings
+ * @property {import('./security').SecurityAudit} [security] - Security headers, cookies, mixed
+ *   content and third-party scripts
+ * @property {Object} [forms] - Form fuzzing attempts and findings (forms focus, see forms.js)
+ * @property {Object} [metrics] - Core Web Vitals and page weight (see metrics.js)
+ * @property {Object} [readiness] - Readiness strategy, wait time and still-pending requests
  * @property {string[]} viewports - Viewports tested
  * @property {string} focus - Focus area used
  */
@@ -333,17 +588,36 @@ module.exports = {
  * @property {'critical'|'high'|'medium'|'low'} severity - Bug severity
  * @property {string} category - Bug category
  * @property {string} [viewport] - Viewport where bug was found
+ * @property {string} [device] - Playwright device emulated at that viewport
  * @property {string} [recommendation] - How to fix
+ * @property {string[]} [wcag] - WCAG criteria (built-in accessibility rules)
+ * @property {string[]} [selectors] - Offending elements (built-in rules)
+ * @property {string} [ref] - ARIA snapshot ref of the offending element (e.g. 'e12')
+ * @property {string} [element] - Role and name of the ref'd element, e.g. `button "Sign up"`
+ * @property {{x: number, y: number, width: number, height: number}} [box] - Pixel box
+ *   reported by the AI when no ref fits
+ * @property {Object<string, Object[]>} [boxes] - Located boxes per viewport
+ * @property {'rules'} [source] - Set for bugs found by built-in rules rather than the AI
  */
 
 /**
  * @typedef {Object} Screenshot
  * @property {string} name - Screenshot name
  * @property {string} viewport - Viewport name
+ * @property {string} [device] - Playwright device name when a device was emulated
  * @property {number} width - Viewport width
  * @property {number} height - Viewport height
  * @property {Buffer} buffer - Screenshot buffer
  * @property {string} base64 - Base64 encoded screenshot
+ * @property {Object<string, Object>} [boxes] - Element boxes keyed by ARIA ref or selector
+ */
+
+/**
+ * @typedef {Object} AnnotatedScreenshot
+ * @property {string} name - Screenshot name
+ * @property {string} viewport - Viewport name
+ * @property {number[]} bugs - Numbers (1-based index in `bugs`) of the bugs drawn
+ * @property {Buffer} buffer - Annotated PNG
  */
 
 /**
@@ -362,4 +636,5 @@ module.exports = {
  * @property {string[]} consoleErrors - Console errors
  * @property {NetworkError[]} networkErrors - Network errors
  * @property {Screenshot[]} screenshots - Screenshots
+ * @property {Object} [metrics] - Core Web Vitals and page weight (see metrics.js)
  */
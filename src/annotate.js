@@ -0,0 +1,300 @@
+/**
+ * Annotated Screenshots
+ *
+ * Locates the elements each bug refers to and draws numbered boxes over the
+ * viewport screenshots, so reviewers can see where a bug is at a glance.
+ *
+ * Element boxes are recorded while the browser is still open (per viewport,
+ * for every ARIA ref and every selector a built-in rule flagged). After
+ * analysis, bugs are matched to those boxes by `ref` or `selectors`, or use
+ * the pixel `box` the AI reported directly.
+ */
+
+const { PNG } = require('pngjs');
+const { getAriaSnapshot } = require('../scripts/aria-snapshot');
+const { findRefLabel } = require('./explore');
+
+// Upper bound on boxes drawn for one bug (rule bugs can flag many elements)
+const MAX_BOXES_PER_BUG = 10;
+
+const SEVERITY_COLORS = {
+  critical: [220, 38, 38],
+  high: [234, 88, 12],
+  medium: [202, 138, 4],
+  low: [22, 163, 74],
+};
+
+// 3x5 bitmap digits for the bug number labels
+const DIGITS = {
+  0: ['111', '101', '101', '101', '111'],
+  1: ['010', '110', '010', '010', '111'],
+  2: ['111', '001', '111', '100', '111'],
+  3: ['111', '001', '111', '001', '111'],
+  4: ['101', '101', '111', '001', '001'],
+  5: ['111', '100', '111', '001', '111'],
+  6: ['111', '100', '111', '101', '111'],
+  7: ['111', '001', '001', '001', '001'],
+  8: ['111', '101', '111', '101', '111'],
+  9: ['111', '101', '111', '001', '111'],
+};
+const DIGIT_SCALE = 3;
+const LABEL_PADDING = 4;
+const BORDER = 3;
+
+/* eslint-disable no-undef */
+/**
+ * Record the viewport boxes of ARIA-ref'd elements and the given selectors
+ * Call after getAriaSnapshot() so `window.__qaRefs` is populated.
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string[]} [selectors] - CSS selectors to locate (e.g. from rule findings)
+ * @param {Object} [options]
+ * @param {boolean} [options.fullPage=false] - Boxes for a full-page screenshot (document
+ *   coordinates) rather than the visible viewport
+ * @returns {Promise<Object<string, Box>>} Boxes keyed by ref or selector
+ */
+async function collectElementBoxes(page, selectors = [], { fullPage = false } = {}) {
+  return page.evaluate(
+    ({ selectors, fullPage }) => {
+      const boxes = {};
+      const offsetX = fullPage ? window.scrollX : 0;
+      const offsetY = fullPage ? window.scrollY : 0;
+      const bottom = fullPage ? document.documentElement.scrollHeight : window.innerHeight;
+      const record = (key, el) => {
+        if (!el) return;
+        const rect = el.getBoundingClientRect();
+        const visible =
+          rect.width > 0 &&
+          rect.height > 0 &&
+          rect.bottom + offsetY > 0 &&
+          rect.right > 0 &&
+          rect.top + offsetY < bottom &&
+          rect.left < window.innerWidth;
+        if (visible) {
+          boxes[key] = {
+            x: Math.round(rect.x + offsetX),
+            y: Math.round(rect.y + offsetY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+          };
+        }
+      };
+
+      for (const [ref, el] of Object.entries(window.__qaRefs || {})) {
+        if (el.isConnected) record(ref, el);
+      }
+      for (const selector of selectors) {
+        try {
+          record(selector, document.querySelector(selector));
+        } catch {
+          // Invalid selector
+        }
+      }
+      return boxes;
+    },
+    { selectors, fullPage },
+  );
+}
+/* eslint-enable no-undef */
+
+/**
+ * Record element boxes on a second page of the same URL (e.g. an emulated device)
+ *
+ * ARIA refs are assigned in document order, so another layout can number
+ * elements differently. Ref boxes are only kept where the ref names the same
+ * element as in the main snapshot the AI sees.
+ *
+ * @param {import('playwright').Page} page - The other page
+ * @param {string[]} selectors - CSS selectors to locate
+ * @param {string} ariaSnapshot - Snapshot of the main page
+ * @param {Object} [options] - Passed to collectElementBoxes()
+ * @returns {Promise<Object<string, Box>>}
+ */
+async function collectMatchingBoxes(page, selectors, ariaSnapshot, options) {
+  const { snapshot } = await getAriaSnapshot(page);
+  const boxes = await collectElementBoxes(page, selectors, options);
+
+  for (const key of Object.keys(boxes)) {
+    const isRef = /^e\d+$/.test(key) && !selectors.includes(key);
+    if (isRef && findRefLabel(snapshot, key) !== findRefLabel(ariaSnapshot || '', key)) {
+      delete boxes[key];
+    }
+  }
+  return boxes;
+}
+
+/**
+ * Resolve each bug's element boxes per viewport
+ *
+ * Sets `bug.boxes` to `{ [viewport]: Box[] }` for bugs that could be located.
+ * A bug scoped to one viewport is only placed on that viewport's screenshot.
+ *
+ * @param {Object[]} bugs - Report bugs (may carry ref, selectors or box)
+ * @param {Object[]} screenshots - Viewport screenshots with `boxes`
+ * @returns {Object[]} The same bugs
+ */
+function resolveBugBoxes(bugs, screenshots) {
+  const viewportShots = screenshots.filter((s) => s.boxes);
+  const viewportNames = viewportShots.map((s) => s.viewport);
+
+  for (const bug of bugs) {
+    const boxes = {};
+
+    for (const shot of viewportShots) {
+      if (viewportNames.includes(bug.viewport) && bug.viewport !== shot.viewport) continue;
+
+      const found = [];
+      if (bug.ref && shot.boxes[bug.ref]) {
+        found.push(shot.boxes[bug.ref]);
+      }
+      for (const selector of bug.selectors || []) {
+        if (shot.boxes[selector]) found.push(shot.boxes[selector]);
+      }
+      // A pixel box from the AI only makes sense on the viewport it was reported for
+      if (found.length === 0 && isBox(bug.box) && bug.viewport === shot.viewport) {
+        found.push(bug.box);
+      }
+
+      if (found.length > 0) {
+        boxes[shot.viewport] = found.slice(0, MAX_BOXES_PER_BUG);
+      }
+    }
+
+    if (Object.keys(boxes).length > 0) {
+      bug.boxes = boxes;
+    }
+  }
+
+  return bugs;
+}
+
+/**
+ * Draw numbered boxes for the located bugs on each viewport screenshot
+ * Bug numbers are their 1-based position in `bugs`, matching the report.
+ *
+ * @param {Object[]} screenshots - Viewport screenshots with `buffer`
+ * @param {Object[]} bugs - Bugs with `boxes` from resolveBugBoxes()
+ * @returns {{viewport: string, name: string, bugs: number[], buffer: Buffer}[]}
+ */
+function annotateScreenshots(screenshots, bugs) {
+  const annotated = [];
+
+  for (const shot of screenshots.filter((s) => s.boxes)) {
+    const marks = [];
+    bugs.forEach((bug, index) => {
+      for (const box of bug.boxes?.[shot.viewport] || []) {
+        marks.push({ number: index + 1, severity: bug.severity, box });
+      }
+    });
+    if (marks.length === 0) continue;
+
+    annotated.push({
+      viewport: shot.viewport,
+      name: `${shot.name || shot.viewport}-annotated`,
+      bugs: [...new Set(marks.map((m) => m.number))],
+      buffer: annotateScreenshot(shot.buffer, marks, shot.width),
+    });
+  }
+
+  return annotated;
+}
+
+/**
+ * Draw marks onto a PNG screenshot
+ *
+ * @param {Buffer} buffer - PNG screenshot
+ * @param {{number: number, severity?: string, color?: number[], box: Box}[]} marks - Boxes to
+ *   draw, colored by severity unless an RGB color is given
+ * @param {number} [cssWidth] - Viewport width in CSS pixels (to scale boxes on HiDPI captures)
+ * @returns {Buffer} Annotated PNG
+ */
+function annotateScreenshot(buffer, marks, cssWidth) {
+  const png = PNG.sync.read(buffer);
+  const scale = cssWidth ? png.width / cssWidth : 1;
+
+  for (const { number, severity, color: markColor, box } of marks) {
+    const color = markColor || SEVERITY_COLORS[severity] || SEVERITY_COLORS.medium;
+    const x = Math.round(box.x * scale);
+    const y = Math.round(box.y * scale);
+    const width = Math.round(box.width * scale);
+    const height = Math.round(box.height * scale);
+
+    // Outline
+    fillRect(png, x, y, width, BORDER, color);
+    fillRect(png, x, y + height - BORDER, width, BORDER, color);
+    fillRect(png, x, y, BORDER, height, color);
+    fillRect(png, x + width - BORDER, y, BORDER, height, color);
+
+    // Number label above the box, or inside it at the top edge of the image
+    const text = String(number);
+    const labelWidth = text.length * 4 * DIGIT_SCALE - DIGIT_SCALE + LABEL_PADDING * 2;
+    const labelHeight = 5 * DIGIT_SCALE + LABEL_PADDING * 2;
+    const labelX = Math.max(0, Math.min(x, png.width - labelWidth));
+    const labelY = y - labelHeight >= 0 ? y - labelHeight : Math.max(0, y);
+
+    fillRect(png, labelX, labelY, labelWidth, labelHeight, color);
+    drawNumber(png, text, labelX + LABEL_PADDING, labelY + LABEL_PADDING, [255, 255, 255]);
+  }
+
+  return PNG.sync.write(png);
+}
+
+function drawNumber(png, text, x, y, color) {
+  [...text].forEach((digit, i) => {
+    const rows = DIGITS[digit];
+    const offsetX = x + i * 4 * DIGIT_SCALE;
+    rows.forEach((row, rowIndex) => {
+      [...row].forEach((bit, colIndex) => {
+        if (bit === '1') {
+          fillRect(
+            png,
+            offsetX + colIndex * DIGIT_SCALE,
+            y + rowIndex * DIGIT_SCALE,
+            DIGIT_SCALE,
+            DIGIT_SCALE,
+            color,
+          );
+        }
+      });
+    });
+  });
+}
+
+function fillRect(png, x, y, width, height, [r, g, b]) {
+  const x0 = Math.max(0, x);
+  const y0 = Math.max(0, y);
+  const x1 = Math.min(png.width, x + width);
+  const y1 = Math.min(png.height, y + height);
+
+  for (let py = y0; py < y1; py++) {
+    for (let px = x0; px < x1; px++) {
+      const idx = (png.width * py + px) << 2;
+      png.data[idx] = r;
+      png.data[idx + 1] = g;
+      png.data[idx + 2] = b;
+      png.data[idx + 3] = 255;
+    }
+  }
+}
+
+function isBox(box) {
+  return (
+    box && ['x', 'y', 'width', 'height'].every((k) => typeof box[k] === 'number' && box[k] >= 0)
+  );
+}
+
+module.exports = {
+  collectElementBoxes,
+  collectMatchingBoxes,
+  resolveBugBoxes,
+  annotateScreenshots,
+  annotateScreenshot,
+};
+
+/**
+ * @typedef {Object} Box
+ * @property {number} x - Left edge in CSS pixels from the viewport origin
+ * @property {number} y - Top edge in CSS pixels from the viewport origin
+ * @property {number} width - Width in CSS pixels
+ * @property {number} height - Height in CSS pixels
+ */
@@ -0,0 +1,312 @@
+/**
+ * Authenticated Scans
+ *
+ * Builds browser contexts that are already logged in, either from a stored
+ * Playwright storageState file, HTTP basic auth / extra headers, or a small
+ * login recipe that fills a login form before capture.
+ *
+ * Credentials never leave this module unredacted: scrubSecrets() replaces
+ * every known secret in capture data and reports with a placeholder.
+ */
+
+const fs = require('fs');
+
+const REDACTED = '[REDACTED]';
+
+// Secrets shorter than this are too likely to collide with ordinary text
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Read auth settings from CLI flags and environment variables
+ *
+ * @param {Object} flags - Parsed scan flags
+ * @param {string} [flags.storageState] - Path to a Playwright storageState JSON file
+ * @param {string} [flags.login] - Path to a login recipe JSON file
+ * @param {string[]} [flags.headers] - Extra headers as "Name: value" strings
+ * @returns {AuthOptions|null} Auth options, or null when none are configured
+ */
+function loadAuthOptions(flags = {}) {
+  const env = process.env;
+  const auth = {};
+
+  const storageState = flags.storageState || env.STORAGE_STATE || env.INPUT_STORAGE_STATE;
+  if (storageState) {
+    if (!fs.existsSync(storageState)) {
+      throw new Error(`Storage state file not found: ${storageState}`);
+    }
+    auth.storageState = storageState;
+  }
+
+  const username = env.HTTP_USERNAME || env.INPUT_HTTP_USERNAME;
+  const password = env.HTTP_PASSWORD || env.INPUT_HTTP_PASSWORD;
+  if (username && password) {
+    auth.httpCredentials = { username, password };
+  }
+
+  const headers = {};
+  const headersJson = env.EXTRA_HEADERS || env.INPUT_EXTRA_HEADERS;
+  if (headersJson) {
+    try {
+      Object.assign(headers, JSON.parse(headersJson));
+    } catch (error) {
+      throw new Error(`EXTRA_HEADERS must be a JSON object: ${error.message}`);
+    }
+  }
+  for (const header of flags.headers || []) {
+    const separator = header.indexOf(':');
+    if (separator === -1) {
+      throw new Error(`Invalid header "${header}". Expected "Name: value"`);
+    }
+    headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+  }
+  if (Object.keys(headers).length > 0) {
+    auth.headers = headers;
+  }
+
+  const loginPath = flags.login || env.LOGIN_RECIPE || env.INPUT_LOGIN_RECIPE;
+  if (loginPath) {
+    try {
+      auth.login = JSON.parse(fs.readFileSync(loginPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read login recipe ${loginPath}: ${error.message}`);
+    }
+  }
+
+  return Object.keys(auth).length > 0 ? auth : null;
+}
+
+/**
+ * Create a browser context with auth applied
+ * Runs the login recipe (if any) before returning the context.
+ *
+ * @param {import('playwright').Browser} browser - Playwright browser
+ * @param {AuthOptions|null} auth - Auth options
+ * @param {Object} [contextOptions] - Additional Playwright context options
+ * @returns {Promise<import('playwright').BrowserContext>}
+ */
+async function createAuthenticatedContext(browser, auth, contextOptions = {}) {
+  const options = { ...contextOptions };
+
+  if (auth?.storageState) {
+    options.storageState = auth.storageState;
+  }
+  if (auth?.httpCredentials) {
+    options.httpCredentials = auth.httpCredentials;
+  }
+  if (auth?.headers) {
+    options.extraHTTPHeaders = { ...options.extraHTTPHeaders, ...auth.headers };
+  }
+
+  const context = await browser.newContext(options);
+
+  if (auth?.login) {
+    await runLoginRecipe(context, auth.login);
+  }
+
+  return context;
+}
+
+/**
+ * Log in by filling a form
+ *
+ * Recipe format:
+ * {
+ *   "url": "https://mysite.com/login",
+ *   "usernameSelector": "#email",
+ *   "passwordSelector": "#password",
+ *   "submitSelector": "button[type=submit]",
+ *   "usernameEnv": "QAI_USERNAME",
+ *   "passwordEnv": "QAI_PASSWORD",
+ *   "waitForSelector": "nav .avatar"
+ * }
+ *
+ * @param {import('playwright').BrowserContext} context - Context to log in
+ * @param {Object} recipe - Login recipe
+ */
+async function runLoginRecipe(context, recipe) {
+  const { username, password } = getRecipeCredentials(recipe);
+
+  console.log(`Logging in at ${recipe.url}...`);
+  const page = await context.newPage();
+
+  try {
+    await page.goto(recipe.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+    if (recipe.usernameSelector) {
+      await page.fill(recipe.usernameSelector, username);
+    }
+    await page.fill(recipe.passwordSelector, password);
+
+    if (recipe.submitSelector) {
+      await page.click(recipe.submitSelector);
+    } else {
+      await page.press(recipe.passwordSelector, 'Enter');
+    }
+
+    if (recipe.waitForSelector) {
+      await page.waitForSelector(recipe.waitForSelector, { timeout: 30000 });
+    } else if (recipe.waitForUrl) {
+      await page.waitForURL(recipe.waitForUrl, { timeout: 30000 });
+    } else {
+      await page.waitForLoadState('networkidle', { timeout: 30000 });
+    }
+  } catch (error) {
+    throw new Error(`Login recipe failed: ${scrubSecrets(error.message, [username, password])}`);
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Resolve login recipe credentials from environment variables
+ */
+function getRecipeCredentials(recipe) {
+  if (!recipe.url || !recipe.passwordSelector) {
+    throw new Error('Login recipe requires "url" and "passwordSelector"');
+  }
+
+  const usernameEnv = recipe.usernameEnv || 'QAI_USERNAME';
+  const passwordEnv = recipe.passwordEnv || 'QAI_PASSWORD';
+  const username = process.env[usernameEnv];
+  const password = process.env[passwordEnv];
+
+  if (recipe.usernameSelector && !username) {
+    throw new Error(`Login recipe requires env var ${usernameEnv}`);
+  }
+  if (!password) {
+    throw new Error(`Login recipe requires env var ${passwordEnv}`);
+  }
+
+  return { username, password };
+}
+
+/**
+ * Collect every secret value the auth options can leak
+ *
+ * @param {AuthOptions|null} auth - Auth options
+ * @returns {string[]}
+ */
+function getSecrets(auth) {
+  if (!auth) return [];
+
+  const secrets = [];
+
+  if (auth.httpCredentials) {
+    const { username, password } = auth.httpCredentials;
+    secrets.push(password);
+    // As sent in the Authorization: Basic header
+    secrets.push(Buffer.from(`${username}:${password}`).toString('base64'));
+  }
+  for (const value of Object.values(auth.headers || {})) {
+    secrets.push(String(value));
+    // Also catch the bare token of "Bearer <token>" style headers
+    const token = String(value).split(' ').pop();
+    if (token !== value) secrets.push(token);
+  }
+  if (auth.login) {
+    const { username, password } = getRecipeCredentials(auth.login);
+    secrets.push(password);
+    if (username) secrets.push(username);
+  }
+  if (auth.storageState) {
+    try {
+      const state = JSON.parse(fs.readFileSync(auth.storageState, 'utf-8'));
+      for (const cookie of state.cookies || []) {
+        secrets.push(cookie.value);
+      }
+      for (const origin of state.origins || []) {
+        for (const item of origin.localStorage || []) {
+          secrets.push(item.value);
+        }
+      }
+    } catch {
+      // Unreadable state files are reported when the context is created
+    }
+  }
+
+  return secrets.filter((s) => typeof s === 'string' && s.length >= MIN_SECRET_LENGTH);
+}
+
+/**
+ * Replace secrets in a value (deeply, for objects and arrays)
+ * Buffers (screenshots) are passed through untouched.
+ *
+ * @param {*} value - String, array or object to scrub
+ * @param {string[]} secrets - Secret values to redact
+ * @returns {*} Scrubbed copy
+ */
+function scrubSecrets(value, secrets) {
+  if (typeof value === 'string') {
+    let scrubbed = value.replace(/\/\/[^/\s:@]+:[^/\s@]+@/g, `//${REDACTED}@`);
+    for (const secret of secrets) {
+      if (secret) scrubbed = scrubbed.split(secret).join(REDACTED);
+    }
+    return scrubbed;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => scrubSecrets(item, secrets));
+  }
+
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = scrubSecrets(item, secrets);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+// Headers and cookies in a HAR that carry sessions or credentials
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+/**
+ * Redact credentials from a HAR file in place
+ *
+ * Session headers and cookie values are always redacted since they hold
+ * sessions created during the scan; known secrets are redacted everywhere,
+ * including URL-encoded form posts from a login recipe.
+ *
+ * @param {string} filePath - Path to the HAR file
+ * @param {string[]} secrets - Secret values to redact
+ */
+function scrubHarFile(filePath, secrets) {
+  const har = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+  for (const entry of har.log?.entries || []) {
+    for (const message of [entry.request, entry.response]) {
+      if (!message) continue;
+      for (const header of message.headers || []) {
+        if (SENSITIVE_HEADERS.includes(header.name.toLowerCase())) {
+          header.value = REDACTED;
+        }
+      }
+      for (const cookie of message.cookies || []) {
+        cookie.value = REDACTED;
+      }
+    }
+  }
+
+  const encoded = secrets.map((s) => encodeURIComponent(s)).filter((s) => !secrets.includes(s));
+  const scrubbed = scrubSecrets(JSON.stringify(har, null, 2), [...secrets, ...encoded]);
+  fs.writeFileSync(filePath, scrubbed);
+}
+
+module.exports = {
+  loadAuthOptions,
+  createAuthenticatedContext,
+  runLoginRecipe,
+  getSecrets,
+  scrubSecrets,
+  scrubHarFile,
+};
+
+/**
+ * @typedef {Object} AuthOptions
+ * @property {string} [storageState] - Path to a Playwright storageState file
+ * @property {{username: string, password: string}} [httpCredentials] - HTTP basic auth
+ * @property {Object<string, string>} [headers] - Extra HTTP headers sent with every request
+ * @property {Object} [login] - Login recipe run before capture
+ */
@@ -0,0 +1,97 @@
+/**
+ * Browser Engines
+ *
+ * Scans run in Chromium by default. With BROWSERS=chromium,firefox,webkit the
+ * first engine does the full capture (logs, metrics, rules, journey) and every
+ * other engine screenshots each viewport, so engine-specific layout bugs show
+ * up side by side.
+ */
+
+const playwright = require('playwright');
+
+const BROWSERS = ['chromium', 'firefox', 'webkit'];
+
+/**
+ * Parse a browser list (array or comma-separated string)
+ *
+ * @param {string|string[]} [value='chromium'] - Engine names
+ * @returns {string[]} Unique engine names, in the given order
+ */
+function parseBrowsers(value = 'chromium') {
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map((b) => b.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const name of list) {
+    if (!BROWSERS.includes(name)) {
+      throw new Error(`Unknown browser "${name}". Supported: ${BROWSERS.join(', ')}`);
+    }
+  }
+  return list.length > 0 ? [...new Set(list)] : ['chromium'];
+}
+
+/**
+ * Launch a headless browser engine
+ *
+ * @param {string} name - 'chromium', 'firefox' or 'webkit'
+ * @returns {Promise<import('playwright').Browser>}
+ */
+async function launchBrowser(name) {
+  try {
+    return await playwright[name].launch({
+      headless: true,
+      ...(name === 'chromium' && { args: ['--no-sandbox', '--disable-setuid-sandbox'] }),
+    });
+  } catch (error) {
+    throw new Error(
+      `Failed to launch ${name}: ${error.message.split('\n')[0]}. ` +
+        `Install it with "npx playwright install ${name}"`,
+    );
+  }
+}
+
+/**
+ * Drop context options an engine doesn't support
+ * Firefox has no isMobile emulation; the device's size, DPR, touch and user agent still apply.
+ *
+ * @param {string} name - Engine name
+ * @param {Object} options - Options for browser.newContext()
+ * @returns {Object}
+ */
+function contextOptionsForEngine(name, options) {
+  const result = { ...options };
+  if (name === 'firefox') {
+    delete result.isMobile;
+  }
+  return result;
+}
+
+/**
+ * Keep only known engines in the browsers the AI attributed each bug to
+ * Rule findings come from the primary engine.
+ *
+ * @param {Object[]} bugs - Report bugs
+ * @param {string[]} browsers - Engines that were scanned
+ * @returns {Object[]} The same bugs
+ */
+function attachBrowsers(bugs, browsers) {
+  for (const bug of bugs) {
+    if (Array.isArray(bug.browsers)) {
+      bug.browsers = bug.browsers
+        .map((b) => String(b).toLowerCase())
+        .filter((b) => browsers.includes(b));
+      if (bug.browsers.length === 0) delete bug.browsers;
+    } else if (bug.source === 'rules') {
+      bug.browsers = [browsers[0]];
+    }
+  }
+  return bugs;
+}
+
+module.exports = {
+  BROWSERS,
+  parseBrowsers,
+  launchBrowser,
+  contextOptionsForEngine,
+  attachBrowsers,
+};
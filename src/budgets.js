@@ -0,0 +1,206 @@
+/**
+ * Performance Budgets
+ *
+ * Checks measured metrics against limits after capture, per page and
+ * viewport. Violations become deterministic performance bugs.
+ *
+ * Budget file (YAML or JSON):
+ *   maxScriptKB: 300
+ *   maxRequests: 60
+ *   maxLCP: 2500
+ *   maxCLS: 0.1
+ *   viewports:          # overrides for a viewport
+ *     mobile:
+ *       maxLCP: 4000
+ *   paths:              # overrides for pages matching a glob (crawl mode)
+ *     "/blog/*":
+ *       maxImageKB: 800
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { matchesAny } = require('./crawl');
+
+const kb = (bytes) => Math.round(bytes / 1024);
+const resourceKB = (type) => (metrics) => kb(metrics.resources?.[type]?.transferSize || 0);
+
+/**
+ * Supported budgets and how to read each from the metrics
+ */
+const BUDGET_METRICS = {
+  maxLCP: { label: 'Largest Contentful Paint', unit: 'ms', value: (m) => m.lcp },
+  maxCLS: { label: 'Cumulative Layout Shift', unit: '', value: (m) => m.cls },
+  maxTBT: { label: 'Total Blocking Time', unit: 'ms', value: (m) => m.tbt },
+  maxINP: { label: 'Interaction to Next Paint', unit: 'ms', value: (m) => m.inp },
+  maxFCP: { label: 'First Contentful Paint', unit: 'ms', value: (m) => m.fcp },
+  maxTTFB: { label: 'Time to First Byte', unit: 'ms', value: (m) => m.ttfb },
+  maxRequests: { label: 'Requests', unit: '', value: (m) => m.requests },
+  maxDomNodes: { label: 'DOM nodes', unit: '', value: (m) => m.domNodes },
+  maxTotalKB: { label: 'Total transfer size', unit: 'KB', value: (m) => kb(m.transferSize) },
+  maxScriptKB: { label: 'JavaScript size', unit: 'KB', value: resourceKB('script') },
+  maxStylesheetKB: { label: 'CSS size', unit: 'KB', value: resourceKB('stylesheet') },
+  maxImageKB: { label: 'Image size', unit: 'KB', value: resourceKB('image') },
+  maxFontKB: { label: 'Font size', unit: 'KB', value: resourceKB('font') },
+};
+
+/**
+ * Load and validate a budget file
+ *
+ * @param {string} filePath - Path to a .yml/.yaml/.json budget file
+ * @returns {Budgets}
+ */
+function loadBudgets(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read budget file ${filePath}: ${error.message}`);
+  }
+
+  const parsed = path.extname(filePath) === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+  return normalizeBudgets(parsed);
+}
+
+/**
+ * Split a budget object into defaults, viewport overrides and path overrides
+ *
+ * @param {Object} config - Parsed budget config
+ * @returns {Budgets}
+ */
+function normalizeBudgets(config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Budget config must be an object');
+  }
+
+  const { viewports = {}, paths = {}, ...limits } = config;
+
+  return {
+    limits: validateLimits(limits, 'budget file'),
+    viewports: Object.fromEntries(
+      Object.entries(viewports).map(([name, l]) => [name, validateLimits(l, `viewport ${name}`)]),
+    ),
+    paths: Object.entries(paths).map(([pattern, l]) => ({
+      pattern,
+      limits: validateLimits(l, `path ${pattern}`),
+    })),
+  };
+}
+
+function validateLimits(limits, where) {
+  for (const [key, value] of Object.entries(limits || {})) {
+    if (!BUDGET_METRICS[key]) {
+      throw new Error(
+        `Unknown budget "${key}" in ${where}. Supported: ${Object.keys(BUDGET_METRICS).join(', ')}`,
+      );
+    }
+    if (typeof value !== 'number') {
+      throw new Error(`Budget "${key}" in ${where} must be a number`);
+    }
+  }
+  return limits || {};
+}
+
+/**
+ * Limits that apply to a page at a viewport
+ * Path overrides win over viewport overrides, which win over the defaults.
+ */
+function resolveLimits(budgets, url, viewport) {
+  const limits = { ...budgets.limits, ...budgets.viewports[viewport] };
+  for (const override of budgets.paths) {
+    if (matchesAny(url, [override.pattern])) {
+      Object.assign(limits, override.limits);
+    }
+  }
+  return limits;
+}
+
+/**
+ * Check the metrics of every captured viewport against the budgets
+ *
+ * Metrics that were not measured (e.g. INP without interaction) are skipped.
+ *
+ * @param {Budgets} budgets - Normalized budgets
+ * @param {string} url - Page URL
+ * @param {Object<string, Object>} viewportMetrics - Metrics keyed by viewport name
+ * @returns {BudgetResult}
+ */
+function evaluateBudgets(budgets, url, viewportMetrics) {
+  const violations = [];
+  let checked = 0;
+
+  for (const [viewport, metrics] of Object.entries(viewportMetrics)) {
+    if (!metrics) continue;
+
+    for (const [budget, limit] of Object.entries(resolveLimits(budgets, url, viewport))) {
+      const { label, unit } = BUDGET_METRICS[budget];
+      const actual = BUDGET_METRICS[budget].value(metrics);
+      if (actual === null || actual === undefined) continue;
+
+      checked++;
+      if (actual > limit) {
+        violations.push({ budget, label, viewport, actual, limit, unit });
+      }
+    }
+  }
+
+  return { checked, violations };
+}
+
+/**
+ * Turn budget violations into report bugs (one per budget and viewport)
+ *
+ * @param {BudgetViolation[]} violations - Violations from evaluateBudgets()
+ * @returns {Object[]} Bugs in the provider report format
+ */
+function budgetViolationsToBugs(violations) {
+  return violations.map((v) => ({
+    // More than 50% over the limit is treated as a regression worth blocking on
+    severity: v.actual > v.limit * 1.5 ? 'high' : 'medium',
+    category: 'performance',
+    title: `${v.label} over budget on ${v.viewport}`,
+    description:
+      `${v.label} is ${formatValue(v.actual, v.unit)}, ` +
+      `exceeding the budget of ${formatValue(v.limit, v.unit)}.`,
+    recommendation: `Bring ${v.label} under ${formatValue(v.limit, v.unit)} or raise ${v.budget}.`,
+    viewport: v.viewport,
+    rule: `budget-${v.budget}`,
+    source: 'rules',
+  }));
+}
+
+function formatValue(value, unit) {
+  return unit ? `${value} ${unit}` : String(value);
+}
+
+module.exports = {
+  BUDGET_METRICS,
+  loadBudgets,
+  normalizeBudgets,
+  evaluateBudgets,
+  budgetViolationsToBugs,
+  formatValue,
+};
+
+/**
+ * @typedef {Object} Budgets
+ * @property {Object<string, number>} limits - Default limits (e.g. { maxLCP: 2500 })
+ * @property {Object<string, Object<string, number>>} viewports - Limits per viewport name
+ * @property {{pattern: string, limits: Object<string, number>}[]} paths - Limits per URL glob
+ */
+
+/**
+ * @typedef {Object} BudgetViolation
+ * @property {string} budget - Budget key (e.g. 'maxLCP')
+ * @property {string} label - Metric label
+ * @property {string} viewport - Viewport the metric was measured at
+ * @property {number} actual - Measured value
+ * @property {number} limit - Budget limit
+ * @property {string} unit - Unit ('ms', 'KB' or '')
+ */
+
+/**
+ * @typedef {Object} BudgetResult
+ * @property {number} checked - Number of budget checks evaluated
+ * @property {BudgetViolation[]} violations - Budgets that were exceeded
+ */
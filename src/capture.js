@@ -1,17 +1,73 @@
-const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
+const { createAuthenticatedContext } = require('./auth');
+const { runJourney } = require('./journey');
+const { runAccessibilityAudit } = require('./a11y');
+const { runKeyboardAudit, captureFocusOverlay } = require('./keyboard');
+const { runFormFuzz } = require('./forms');
+const { runLinkCheck } = require('./links');
+const { runSeoAudit } = require('./seo');
+const { recordResponses, runSecurityAudit } = require('./security');
+const { createSourceMapResolver, applySourceMaps } = require('./sourcemaps');
+const {
+  captureThrottledLoad,
+  describeThrottling,
+  needsCdp,
+  summarizeThrottledLoad,
+  throttleSlug,
+} = require('./throttle');
+const { compareWithBaseline, summarizeComparisons, captureStableScreenshot } = require('./visual');
+const { installMetricsObserver, collectMetrics } = require('./metrics');
+const { parseReadiness, gotoAndWait, logReadiness } = require('./readiness');
+const { createNetworkLogger, createConsoleLogger } = require('../scripts/page-utils');
+const { getCompactSnapshot } = require('../scripts/aria-snapshot');
+const { collectElementBoxes, collectMatchingBoxes } = require('./annotate');
+const {
+  VIEWPORT_PRESETS,
+  parseViewports,
+  contextOptionsFor,
+  sameEmulation,
+  describeViewport,
+} = require('./viewports');
+const { parseBrowsers, launchBrowser, contextOptionsForEngine } = require('./browsers');
+const { contextOptionsForEmulation, describeEmulation, emulationSlug } = require('./emulation');
 
-const VIEWPORTS = {
-  desktop: { width: 1920, height: 1080 },
-  tablet: { width: 768, height: 1024 },
-  mobile: { width: 375, height: 667 },
-};
+// Keep the ARIA snapshot within a reasonable prompt budget
+const MAX_SNAPSHOT_CHARS = 8000;
+
+const VIEWPORTS = VIEWPORT_PRESETS;
 
 /**
  * Capture page data for QA analysis
  * @param {string} url - URL to test
  * @param {Object} options - Capture options
+ * @param {(string|import('./viewports').ViewportConfig)[]} [options.viewports] - Viewports to
+ *   capture: presets, WIDTHxHEIGHT or Playwright device names
+ * @param {number} [options.timeout] - Navigation timeout in ms
+ * @param {string} [options.screenshotDir] - Directory for screenshot files
+ * @param {import('./auth').AuthOptions} [options.auth] - Storage state, credentials or login recipe
+ * @param {import('./journey').Journey} [options.journey] - User journey to run after the viewport captures
+ * @param {string[]} [options.checks] - Built-in rule checks to run (e.g. ['accessibility'])
+ * @param {import('./readiness').Readiness} [options.ready] - When the page counts as loaded
+ *   (default: smart network idle)
+ * @param {string} [options.har] - Record a HAR of the scan to this path
+ * @param {string} [options.trace] - Record a Playwright trace of the scan to this path (.zip);
+ *   not allowed with auth, since the trace holds headers and cookies unredacted
+ * @param {string[]} [options.browsers] - Engines to screenshot in (default: chromium); the first
+ *   one does the full capture
+ * @param {import('./emulation').Emulation[]} [options.emulations] - Emulated states (dark mode,
+ *   locale, ...) to screenshot at every viewport in addition to the default
+ * @param {boolean} [options.metricsPerViewport] - Measure a separate page load at every viewport
+ *   (used by budgets); otherwise only the first viewport is measured
+ * @param {Object} [options.links] - Link check options ({external, cache}, see links.js)
+ * @param {string[]} [options.firstParty] - Security audit: other hosts that belong to the site
+ * @param {import('./throttle').ThrottleProfile[]} [options.throttling] - Network/CPU profiles to
+ *   load the page under again, screenshotting it while it loads (first viewport only)
+ * @param {import('./sourcemaps').SourceMapResolver} [options.sourceMaps] - Maps uncaught
+ *   exception stacks to original sources (default: maps fetched from the site)
+ * @param {{dir: string, update?: boolean, masks?: import('./visual').Mask[]}} [options.baseline] -
+ *   Compare the viewport screenshots with baselines in this directory (or replace them when
+ *   `update` is set); they are then taken frozen, with `masks` painted over
  * @returns {Promise<Object>} Capture data
  */
 async function capturePage(url, options = {}) {
@@ -19,15 +75,40 @@ async function capturePage(url, options = {}) {
     viewports = ['desktop', 'mobile'],
     timeout = 30000,
     screenshotDir = './screenshots',
+    auth = null,
+    journey = null,
+    checks = [],
+    ready = parseReadiness('smart'),
+    metricsPerViewport = false,
+    har = null,
+    trace = null,
+    emulations = [],
+    throttling = [],
+    links = {},
+    firstParty = [],
+    sourceMaps = createSourceMapResolver(),
+    baseline = null,
   } = options;
 
+  const viewportConfigs = parseViewports(viewports);
+  const [firstViewport] = viewportConfigs;
+  const [primaryBrowser, ...otherBrowsers] = parseBrowsers(options.browsers);
+  // Screenshots only name their engine when there is more than one to compare
+  const engineLabel = (name) => (otherBrowsers.length > 0 ? { browser: name } : {});
+  // Compared screenshots are frozen and masked so they are stable between runs
+  const masks = baseline ? baseline.masks || [] : null;
+
+  if (trace && auth) {
+    throw new Error('Tracing is not supported with auth: the trace would hold the credentials');
+  }
+
   // Ensure screenshot directory exists
   await fs.mkdir(screenshotDir, { recursive: true });
+  for (const artifact of [har, trace].filter(Boolean)) {
+    await fs.mkdir(path.dirname(artifact), { recursive: true });
+  }
 
-  const browser = await chromium.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-  });
+  const browser = await launchBrowser(primaryBrowser);
 
   const captureData = {
     pageUrl: url,
@@ -40,11 +121,26 @@ async function capturePage(url, options = {}) {
     timestamp: new Date().toISOString(),
   };
 
+  let context;
   try {
-    const context = await browser.newContext();
+    // Load at the first viewport so the metrics describe that viewport
+    context = await createAuthenticatedContext(browser, auth, {
+      ...contextOptionsForEngine(primaryBrowser, contextOptionsFor(firstViewport)),
+      ...(har && { recordHar: { path: har, content: 'omit' } }),
+    });
+    if (trace) {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+    }
     const page = await context.newPage();
+    await installMetricsObserver(page);
+
+    // Detailed logs: locations, stacks, durations and slow requests
+    const consoleLogger = createConsoleLogger(page);
+    const networkLogger = createNetworkLogger(page);
+    // Response headers for the security audit
+    const securityRecorder = checks.includes('security') ? recordResponses(page) : null;
 
-    // Collect console messages
+    // Flat error lists, appended as they happen so journey steps can slice out their own
     page.on('console', (msg) => {
       const type = msg.type();
       const text = msg.text();
@@ -55,6 +151,9 @@ async function capturePage(url, options = {}) {
         captureData.consoleWarnings.push(text);
       }
     });
+    page.on('pageerror', (error) => {
+      captureData.consoleErrors.push(error.message);
+    });
 
     // Collect network errors
     page.on('requestfailed', (request) => {
@@ -80,54 +179,433 @@ async function capturePage(url, options = {}) {
 
     // Navigate to the page
     console.log(`Navigating to ${url}...`);
-    await page.goto(url, {
-      waitUntil: 'networkidle',
-      timeout,
-    });
+    captureData.readiness = await gotoAndWait(page, url, ready, { timeout });
+    logReadiness(captureData.readiness);
 
     // Get page title
     captureData.pageTitle = await page.title();
     console.log(`Page title: ${captureData.pageTitle}`);
 
-    // Wait a bit for any lazy-loaded content
-    await page.waitForTimeout(1000);
+    // Read metrics before viewport changes add layout shifts of their own
+    captureData.metrics = await collectMetrics(page);
+    captureData.viewportMetrics = { [firstViewport.name]: captureData.metrics };
+    logMetrics(firstViewport.name, captureData.metrics);
 
-    // Capture screenshots at each viewport
-    for (const viewportName of viewports) {
-      const viewport = VIEWPORTS[viewportName];
-      if (!viewport) {
-        console.warn(`Unknown viewport: ${viewportName}, skipping`);
-        continue;
+    // Sessions for viewports that need a context of their own (metrics, emulated devices)
+    const session = { auth, storageState: await context.storageState(), timeout, ready, masks };
+
+    if (metricsPerViewport) {
+      for (const viewport of viewportConfigs.slice(1)) {
+        const metrics = await measurePageLoad(browser, url, viewport, session);
+        captureData.viewportMetrics[viewport.name] = metrics;
+        logMetrics(viewport.name, metrics);
       }
+    }
+
+    if (checks.includes('accessibility')) {
+      console.log('Running accessibility rules...');
+      captureData.accessibility = await runAccessibilityAudit(page);
+      console.log(`Accessibility findings: ${captureData.accessibility.findings.length}`);
+    }
+
+    if (checks.includes('links')) {
+      console.log(`Checking links${links.external ? ' (including external)' : ''}...`);
+      captureData.links = await runLinkCheck(page, links);
+      const { checked, problems } = captureData.links;
+      console.log(`Links checked: ${checked}, problems: ${problems.length}`);
+    }
+
+    if (checks.includes('seo')) {
+      console.log('Reading SEO metadata...');
+      captureData.seo = await runSeoAudit(page);
+      console.log(`SEO findings: ${captureData.seo.findings.length}`);
+    }
+
+    if (securityRecorder) {
+      console.log('Checking security headers and cookies...');
+      captureData.security = await runSecurityAudit(page, securityRecorder, { firstParty });
+      console.log(`Security findings: ${captureData.security.findings.length}`);
+    }
 
-      console.log(`Capturing ${viewportName} (${viewport.width}x${viewport.height})...`);
+    let focusOverlay;
+    if (checks.includes('keyboard')) {
+      console.log('Tabbing through the page...');
+      captureData.keyboard = await runKeyboardAudit(page);
+      const { status, tabs, findings } = captureData.keyboard;
+      console.log(`Focus stops: ${tabs} (${status}), keyboard findings: ${findings.length}`);
 
-      await page.setViewportSize(viewport);
-      await page.waitForTimeout(500); // Let layout settle
+      const overlayPath = path.join(screenshotDir, 'focus-order.png');
+      focusOverlay = {
+        path: overlayPath,
+        ...(await captureFocusOverlay(page, captureData.keyboard)),
+      };
+      await fs.writeFile(overlayPath, focusOverlay.buffer);
+      captureData.keyboard.overlay = overlayPath;
+    }
 
-      const screenshotPath = path.join(screenshotDir, `${viewportName}.png`);
-      const buffer = await page.screenshot({
-        path: screenshotPath,
-        fullPage: false,
+    // ARIA refs let the AI point at elements; boxes for them are recorded per viewport
+    captureData.ariaSnapshot = (await getCompactSnapshot(page)).slice(0, MAX_SNAPSHOT_CHARS);
+    const ruleSelectors = [
+      ...(captureData.accessibility?.findings || []),
+      ...(captureData.keyboard?.findings || []),
+      ...(captureData.links?.findings || []),
+      ...(captureData.seo?.findings || []),
+      ...(captureData.security?.findings || []),
+    ]
+      .map((f) => f.selector)
+      .filter(Boolean);
+
+    // Capture screenshots at each viewport
+    for (const viewport of viewportConfigs) {
+      console.log(`Capturing ${viewport.name} (${describeViewport(viewport)})...`);
+
+      const suffix = otherBrowsers.length > 0 ? `-${primaryBrowser}` : '';
+      const screenshotPath = path.join(screenshotDir, `${viewport.name}${suffix}.png`);
+      let shot;
+      if (sameEmulation(viewport, firstViewport)) {
+        await page.setViewportSize({ width: viewport.width, height: viewport.height });
+        await page.waitForTimeout(500); // Let layout settle
+        shot = {
+          ...(await takeViewportScreenshot(page, screenshotPath, masks)),
+          boxes: await collectElementBoxes(page, ruleSelectors),
+        };
+      } else {
+        shot = await captureEmulated(browser, url, viewport, session, {
+          screenshotPath,
+          ruleSelectors,
+          ariaSnapshot: captureData.ariaSnapshot,
+        });
+      }
+
+      captureData.screenshots.push({
+        ...screenshotEntry(viewport, screenshotPath),
+        ...engineLabel(primaryBrowser),
+        ...shot,
       });
+    }
 
+    if (focusOverlay) {
       captureData.screenshots.push({
-        viewport: viewportName,
-        width: viewport.width,
-        height: viewport.height,
-        path: screenshotPath,
-        buffer,
+        viewport: firstViewport.name,
+        label: 'Focus order (numbered tab stops)',
+        width: focusOverlay.width,
+        height: focusOverlay.height,
+        path: focusOverlay.path,
+        buffer: focusOverlay.buffer,
+      });
+    }
+
+    // The same viewports in the other engines
+    for (const browserName of otherBrowsers) {
+      const screenshots = await captureInEngine(browserName, url, viewportConfigs, session, {
+        screenshotDir,
+        consoleErrors: captureData.consoleErrors,
+      });
+      captureData.screenshots.push(...screenshots);
+    }
+
+    // Baselines are keyed by page, viewport and engine
+    if (baseline) {
+      console.log(`Comparing with baselines in ${baseline.dir}...`);
+      const { screenshots, ...visual } = await compareWithBaseline(url, captureData.screenshots, {
+        ...baseline,
+        diffDir: screenshotDir,
+        browser: primaryBrowser,
+      });
+      captureData.visual = visual;
+      captureData.screenshots.push(...screenshots);
+      console.log(`Visual regression: ${summarizeComparisons(visual.comparisons)}`);
+    }
+
+    // Emulated states, each in a fresh context so theme scripts see them from the first load
+    for (const emulation of emulations) {
+      const label = describeEmulation(emulation);
+      for (const viewport of viewportConfigs) {
+        console.log(`Capturing ${viewport.name} with ${label}...`);
+
+        const screenshotPath = path.join(
+          screenshotDir,
+          `${viewport.name}-${emulationSlug(emulation)}.png`,
+        );
+        const context = await openSessionContext(
+          browser,
+          viewport,
+          session,
+          contextOptionsForEmulation(emulation),
+        );
+        try {
+          const emulatedPage = await context.newPage();
+          await gotoAndWait(emulatedPage, url, ready, { timeout });
+          captureData.screenshots.push({
+            ...screenshotEntry(viewport, screenshotPath),
+            ...engineLabel(primaryBrowser),
+            emulation: label,
+            buffer: await emulatedPage.screenshot({ path: screenshotPath, fullPage: false }),
+          });
+        } finally {
+          await context.close();
+        }
+      }
+    }
+
+    // Loading states under slow networks and CPUs, and offline behavior
+    if (throttling.length > 0) {
+      captureData.throttling = [];
+    }
+    for (const profile of throttling) {
+      const label = describeThrottling(profile);
+      if (needsCdp(profile) && primaryBrowser !== 'chromium') {
+        console.warn(`Skipping ${label}: network and CPU throttling need Chromium`);
+        continue;
+      }
+      console.log(`Loading under ${label}...`);
+      const { result, screenshots } = await captureThrottled(browser, url, profile, session, {
+        viewport: firstViewport,
+        screenshotDir,
+      });
+      captureData.throttling.push(result);
+      captureData.screenshots.push(
+        ...screenshots.map((s) => ({ ...s, ...engineLabel(primaryBrowser) })),
+      );
+      console.log(`${label}: ${summarizeThrottledLoad(result)}`);
+    }
+
+    // Run the user journey in the first viewport
+    if (journey) {
+      await page.setViewportSize({ width: firstViewport.width, height: firstViewport.height });
+      console.log(`Running journey: ${journey.name} (${journey.steps.length} steps)`);
+      captureData.journey = await runJourney(page, journey, captureData, {
+        baseUrl: url,
+        screenshotDir,
+        timeout,
+        ready,
+      });
+    }
+
+    // Submit each form with valid, boundary and invalid input
+    if (checks.includes('forms')) {
+      console.log('Fuzzing forms...');
+      const { screenshots, ...forms } = await runFormFuzz(context, url, {
+        ready,
+        timeout,
+        screenshotDir,
+        authenticated: Boolean(auth),
       });
+      captureData.forms = forms;
+      captureData.screenshots.push(
+        ...screenshots.map((s) => ({ viewport: firstViewport.name, ...s })),
+      );
+      console.log(
+        `Forms fuzzed: ${forms.forms.length} (${forms.skipped.length} skipped), ` +
+          `form findings: ${forms.findings.length}`,
+      );
     }
 
+    consoleLogger.stop();
+    networkLogger.stop();
+    captureData.console = {
+      errors: consoleLogger.getErrors(),
+      warnings: consoleLogger.getWarnings(),
+    };
+    captureData.network = networkLogger.getSummary();
+
+    const mapped = await applySourceMaps(captureData.console.errors, sourceMaps, context.request);
+    if (mapped > 0) {
+      console.log(`Source maps: mapped ${mapped} uncaught exception stack(s)`);
+    }
+
+    const exceptions = captureData.console.errors.filter((e) => e.type === 'pageerror');
     console.log(`Captured ${captureData.screenshots.length} screenshots`);
-    console.log(`Console errors: ${captureData.consoleErrors.length}`);
-    console.log(`Network errors: ${captureData.networkErrors.length}`);
+    console.log(
+      `Console errors: ${captureData.consoleErrors.length} (${exceptions.length} uncaught)`,
+    );
+    console.log(
+      `Network: ${captureData.network.totalRequests} requests, ` +
+        `${captureData.networkErrors.length} errors, ${captureData.network.slowRequests} slow`,
+    );
   } finally {
+    // Stopping the trace and closing the context write the artifacts, even if capture failed
+    if (context) {
+      if (trace) {
+        await context.tracing.stop({ path: trace }).catch((error) => {
+          console.warn(`Failed to save trace: ${error.message}`);
+        });
+      }
+      await context.close().catch(() => {});
+    }
     await browser.close();
   }
 
+  if (har || trace) {
+    captureData.artifacts = {
+      ...(har && { har }),
+      ...(trace && { trace }),
+    };
+  }
+
   return captureData;
 }
 
+/**
+ * Open a fresh context for a viewport (empty cache)
+ * The session from the main context is reused instead of logging in again.
+ */
+function openSessionContext(browser, viewport, { auth, storageState }, extraOptions = {}) {
+  const engine = browser.browserType().name();
+  return createAuthenticatedContext(
+    browser,
+    { ...auth, storageState: undefined, login: undefined },
+    {
+      ...contextOptionsForEngine(engine, contextOptionsFor(viewport)),
+      ...extraOptions,
+      storageState,
+    },
+  );
+}
+
+/**
+ * Measure a cold page load at a viewport in a fresh context
+ */
+async function measurePageLoad(browser, url, viewport, session) {
+  const context = await openSessionContext(browser, viewport, session);
+  try {
+    const page = await context.newPage();
+    await installMetricsObserver(page);
+    await gotoAndWait(page, url, session.ready, { timeout: session.timeout });
+    return await collectMetrics(page);
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Screenshot an emulated device in its own context
+ */
+async function captureEmulated(browser, url, viewport, session, options) {
+  const { screenshotPath, ruleSelectors, ariaSnapshot } = options;
+  const context = await openSessionContext(browser, viewport, session);
+  try {
+    const page = await context.newPage();
+    await gotoAndWait(page, url, session.ready, { timeout: session.timeout });
+    return {
+      ...(await takeViewportScreenshot(page, screenshotPath, session.masks)),
+      boxes: await collectMatchingBoxes(page, ruleSelectors, ariaSnapshot),
+    };
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Load the page under a throttling profile in a fresh context (empty cache)
+ * and save the loading frames
+ */
+async function captureThrottled(browser, url, profile, session, options) {
+  const { viewport, screenshotDir } = options;
+  const context = await openSessionContext(browser, viewport, session);
+  try {
+    const page = await context.newPage();
+    // Throttled loads get longer before they count as stuck
+    const { result, frames } = await captureThrottledLoad(page, url, profile, {
+      ready: session.ready,
+      timeout: session.timeout * 2,
+    });
+
+    const screenshots = [];
+    for (const [index, frame] of frames.entries()) {
+      const screenshotPath = path.join(
+        screenshotDir,
+        `${viewport.name}-${throttleSlug(profile)}-${index + 1}.png`,
+      );
+      await fs.writeFile(screenshotPath, frame.buffer);
+      screenshots.push({
+        ...screenshotEntry(viewport, screenshotPath),
+        label: frame.label,
+        buffer: frame.buffer,
+      });
+    }
+    result.frames = screenshots.map((s) => ({ label: s.label, path: s.path }));
+    return { result, screenshots };
+  } catch (error) {
+    const label = describeThrottling(profile);
+    return { result: { profile: profile.name, label, error: error.message }, screenshots: [] };
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Screenshot every viewport in another browser engine
+ * Console errors and uncaught exceptions are added to the flat list, tagged with the engine.
+ */
+async function captureInEngine(browserName, url, viewports, session, options) {
+  const { screenshotDir, consoleErrors } = options;
+  const browser = await launchBrowser(browserName);
+  const screenshots = [];
+  const errors = new Set();
+
+  try {
+    for (const viewport of viewports) {
+      console.log(
+        `Capturing ${viewport.name} in ${browserName} (${describeViewport(viewport)})...`,
+      );
+
+      const context = await openSessionContext(browser, viewport, session);
+      try {
+        const page = await context.newPage();
+        page.on('pageerror', (error) => errors.add(`[${browserName}] ${error.message}`));
+        page.on('console', (msg) => {
+          if (msg.type() === 'error') errors.add(`[${browserName}] ${msg.text()}`);
+        });
+        await gotoAndWait(page, url, session.ready, { timeout: session.timeout });
+
+        const screenshotPath = path.join(screenshotDir, `${viewport.name}-${browserName}.png`);
+        screenshots.push({
+          ...screenshotEntry(viewport, screenshotPath),
+          browser: browserName,
+          ...(await takeViewportScreenshot(page, screenshotPath, session.masks)),
+        });
+      } finally {
+        await context.close();
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  consoleErrors.push(...errors);
+  return screenshots;
+}
+
+/**
+ * Screenshot the visible viewport, frozen and masked when `masks` is given
+ * (for baseline comparisons)
+ */
+async function takeViewportScreenshot(page, screenshotPath, masks) {
+  if (!masks) {
+    return { buffer: await page.screenshot({ path: screenshotPath, fullPage: false }) };
+  }
+  return captureStableScreenshot(page, screenshotPath, masks);
+}
+
+function screenshotEntry(viewport, screenshotPath) {
+  return {
+    viewport: viewport.name,
+    ...(viewport.device && {
+      device: viewport.device,
+      deviceScaleFactor: viewport.deviceScaleFactor,
+    }),
+    width: viewport.width,
+    height: viewport.height,
+    path: screenshotPath,
+  };
+}
+
+function logMetrics(viewportName, metrics) {
+  console.log(
+    `Metrics (${viewportName}): LCP ${metrics.lcp ?? 'n/a'} ms, CLS ${metrics.cls}, ` +
+      `${metrics.requests} requests`,
+  );
+}
+
 module.exports = { capturePage, VIEWPORTS };
@@ -0,0 +1,186 @@
+/**
+ * Site Crawler
+ *
+ * Breadth-first discovery of same-origin pages for multi-page scans.
+ *
+ * Usage:
+ *   const { discoverPages } = require('./crawl');
+ *   const pages = await discoverPages('https://mysite.com', { maxPages: 20 });
+ */
+
+const crypto = require('crypto');
+const { chromium } = require('playwright');
+const { createAuthenticatedContext } = require('./auth');
+const { parseReadiness, gotoAndWait } = require('./readiness');
+const { isUnsafeLink } = require('../scripts/page-utils');
+
+// File extensions that never lead to a scannable HTML page
+const SKIPPED_EXTENSIONS =
+  /\.(pdf|zip|gz|tar|dmg|exe|png|jpe?g|gif|svg|webp|ico|mp3|mp4|webm|mov|css|js|json|xml|txt)$/i;
+
+/**
+ * Discover same-origin pages starting from a URL
+ *
+ * Pages matching an exclude pattern are never visited. Pages that do not match
+ * an include pattern are still visited to find links, but are not returned.
+ * Links that look like logout or delete actions are never followed, since the
+ * crawl shares the session every later page is scanned with.
+ *
+ * @param {string} url - Start URL
+ * @param {Object} options - Crawl options
+ * @param {number} [options.maxPages=10] - Maximum number of pages to return
+ * @param {string[]} [options.include=[]] - Glob patterns a page must match to be scanned
+ * @param {string[]} [options.exclude=[]] - Glob patterns of pages to skip entirely
+ * @param {number} [options.timeout=15000] - Navigation timeout per page in ms
+ * @param {import('./auth').AuthOptions} [options.auth] - Auth applied while crawling
+ * @param {import('./readiness').Readiness} [options.ready] - When a page counts as loaded
+ * @returns {Promise<string[]>} Page URLs in discovery order
+ */
+async function discoverPages(url, options = {}) {
+  const {
+    maxPages = 10,
+    include = [],
+    exclude = [],
+    timeout = 15000,
+    auth = null,
+    ready = parseReadiness('smart'),
+  } = options;
+
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+  });
+
+  const baseUrl = new URL(url);
+  const pages = [];
+  const visited = new Set();
+  const toVisit = [normalizeUrl(url)];
+  const unsafe = new Set();
+  // Bound the traversal when include filters reject most pages
+  const maxVisits = maxPages * 5;
+
+  try {
+    const context = await createAuthenticatedContext(browser, auth);
+    const page = await context.newPage();
+
+    while (toVisit.length > 0 && pages.length < maxPages && visited.size < maxVisits) {
+      const currentUrl = toVisit.shift();
+      if (visited.has(currentUrl)) continue;
+      visited.add(currentUrl);
+
+      if (include.length === 0 || matchesAny(currentUrl, include)) {
+        pages.push(currentUrl);
+      }
+
+      let links = [];
+      try {
+        await gotoAndWait(page, currentUrl, ready, { timeout });
+
+        /* eslint-disable no-undef */
+        links = await page.evaluate(() =>
+          [...document.querySelectorAll('a[href]')].map((a) => a.href),
+        );
+        /* eslint-enable no-undef */
+      } catch (error) {
+        // Its links can't be followed; the page is still scanned (and reported) if included
+        console.warn(`Failed to load ${currentUrl}: ${error.message.split('\n')[0]}`);
+      }
+
+      for (const link of links) {
+        let linkUrl;
+        try {
+          linkUrl = new URL(link);
+        } catch {
+          continue;
+        }
+
+        if (linkUrl.origin !== baseUrl.origin) continue;
+        if (SKIPPED_EXTENSIONS.test(linkUrl.pathname)) continue;
+
+        const normalized = normalizeUrl(linkUrl.href);
+        if (visited.has(normalized) || toVisit.includes(normalized)) continue;
+        if (matchesAny(normalized, exclude)) continue;
+        if (isUnsafeLink(normalized)) {
+          unsafe.add(normalized);
+          continue;
+        }
+
+        toVisit.push(normalized);
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  console.log(`Discovered ${pages.length} pages (visited ${visited.size})`);
+  if (unsafe.size > 0) {
+    console.log(
+      `Skipped ${unsafe.size} logout/delete links: ${[...unsafe].slice(0, 5).join(', ')}`,
+    );
+  }
+  return pages;
+}
+
+/**
+ * Strip the fragment so /page and /page#section count as the same page
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Convert a glob pattern to a RegExp
+ * `**` matches across path segments, `*` matches within one segment
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check a URL against glob patterns
+ * Patterns containing "://" match the full URL, others match the pathname
+ */
+function matchesAny(url, patterns) {
+  const parsed = new URL(url);
+  return patterns.some((pattern) => {
+    const target = pattern.includes('://') ? parsed.href : parsed.pathname;
+    return globToRegExp(pattern).test(target);
+  });
+}
+
+/**
+ * Turn a page URL into a filesystem-safe directory name
+ * A short hash of the path and query keeps pages apart whose readable parts match,
+ * e.g. /a-b and /a/b.
+ */
+function pageSlug(url) {
+  const parsed = new URL(url);
+  const target = `${parsed.pathname}${parsed.search}`;
+  const slug = target.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  const hash = crypto.createHash('sha256').update(target).digest('hex').slice(0, 8);
+  return `${slug || 'index'}-${hash}`;
+}
+
+module.exports = {
+  discoverPages,
+  normalizeUrl,
+  globToRegExp,
+  matchesAny,
+  pageSlug,
+};
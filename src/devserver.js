@@ -0,0 +1,230 @@
+/**
+ * Dev Server Lifecycle
+ *
+ * Starts the app under test for a scan (`--start "npm run dev"`), waits until
+ * it answers HTTP and stops it afterwards. The command runs through a shell in
+ * its own process group, so stopping it also ends whatever it spawned
+ * (npm -> node -> bundler, watchers). The server's output is kept so failures
+ * can be reported with what the server said at the time.
+ *
+ * Usage:
+ *   const { startDevServer } = require('./devserver');
+ *   const server = await startDevServer('npm run dev', { waitFor: 'http://localhost:3000' });
+ *   try { ...scan... } finally { await server.stop(); }
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const readline = require('readline');
+
+// Output lines kept in memory
+const MAX_LOG_LINES = 500;
+
+// Time between readiness requests, and the limit for each one
+const POLL_INTERVAL = 500;
+const POLL_TIMEOUT = 5000;
+
+// Time the server gets to shut down before it is killed
+const STOP_GRACE = 5000;
+
+const IS_WINDOWS = process.platform === 'win32';
+
+/**
+ * Start a dev server and wait until it responds
+ *
+ * Any HTTP response counts as ready, including errors: a 404 or 500 is for
+ * the scan to report. The wait fails early if the command exits with an
+ * error; a command that exits cleanly (e.g. `docker compose up -d`) is
+ * assumed to have started the server in the background.
+ *
+ * @param {string} command - Shell command that starts the server
+ * @param {Object} options
+ * @param {string} options.waitFor - URL to poll until it responds
+ * @param {number} [options.timeout=120000] - Time to wait for a response in ms
+ * @param {string} [options.cwd] - Directory to run the command in
+ * @returns {Promise<DevServer>}
+ */
+async function startDevServer(command, options) {
+  const { waitFor, timeout = 120000, cwd } = options;
+
+  const child = spawn(command, {
+    shell: true,
+    cwd,
+    detached: !IS_WINDOWS,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: { ...process.env, NO_COLOR: '1', FORCE_COLOR: '0' },
+  });
+
+  const log = [];
+  for (const stream of ['stdout', 'stderr']) {
+    readline.createInterface({ input: child[stream] }).on('line', (text) => {
+      log.push({ stream, text, time: Date.now() });
+      if (log.length > MAX_LOG_LINES) log.shift();
+    });
+  }
+
+  let exited = null;
+  const exit = new Promise((resolve) => {
+    child.on('exit', (code, signal) => {
+      exited = { code, signal };
+      resolve();
+    });
+  });
+  const spawnError = new Promise((resolve) => child.on('error', resolve));
+
+  // Never leave the server behind, however the scan ends
+  const kill = () => signalTree(child.pid, 'SIGKILL');
+  const interrupt = (signal) => {
+    kill();
+    process.exit(signal === 'SIGINT' ? 130 : 143);
+  };
+  process.on('exit', kill);
+  process.once('SIGINT', interrupt);
+  process.once('SIGTERM', interrupt);
+
+  let stopped = false;
+  const server = {
+    command,
+    url: waitFor,
+    get exited() {
+      return exited;
+    },
+
+    /**
+     * stderr lines written since a time (ms since epoch)
+     */
+    stderrSince(time) {
+      return log.filter((l) => l.stream === 'stderr' && l.time >= time).map((l) => l.text);
+    },
+
+    /**
+     * Last lines of combined output
+     */
+    tail(count = 20) {
+      return log.slice(-count).map((l) => l.text);
+    },
+
+    /**
+     * Stop the server and everything it spawned: SIGTERM, then SIGKILL
+     * for whatever is still running after the grace period
+     */
+    async stop() {
+      if (stopped) return;
+      stopped = true;
+      process.off('exit', kill);
+      process.off('SIGINT', interrupt);
+      process.off('SIGTERM', interrupt);
+
+      if (IS_WINDOWS) {
+        // taskkill /T ends the whole tree; there is no graceful equivalent
+        signalTree(child.pid, 'SIGKILL');
+        return;
+      }
+      signalTree(child.pid, 'SIGTERM');
+      const deadline = Date.now() + STOP_GRACE;
+      while (isTreeAlive(child.pid) && Date.now() < deadline) {
+        await sleep(100);
+      }
+      if (isTreeAlive(child.pid)) {
+        console.warn(`Dev server did not stop within ${STOP_GRACE / 1000}s, killing it`);
+        signalTree(child.pid, 'SIGKILL');
+      }
+    },
+  };
+
+  const waiting = new AbortController();
+  const ready = waitForUrl(waitFor, timeout, waiting.signal).then(
+    () => null,
+    (error) => error.message,
+  );
+  // A clean exit only means the server went to the background, so keep waiting for it
+  const failure = await Promise.race([
+    spawnError.then((error) => `could not be started: ${error.message}`),
+    exit.then(() => (exited.code === 0 ? ready : `exited with ${describeExit(exited)}`)),
+    ready,
+  ]);
+  waiting.abort();
+
+  if (failure) {
+    await server.stop();
+    const output = server.tail();
+    throw new Error(
+      `Dev server "${command}" ${failure}` +
+        (output.length > 0 ? `\nLast output:\n${output.join('\n')}` : ''),
+    );
+  }
+
+  return server;
+}
+
+/**
+ * Poll a URL until it answers HTTP
+ *
+ * @param {string} url - URL to request
+ * @param {number} timeout - Time to keep trying in ms
+ * @param {AbortSignal} [signal] - Stops the polling early
+ * @returns {Promise<number>} Status of the first response
+ */
+async function waitForUrl(url, timeout, signal) {
+  const deadline = Date.now() + timeout;
+  let lastError = 'no response';
+
+  while (Date.now() < deadline && !signal?.aborted) {
+    try {
+      const response = await fetch(url, {
+        redirect: 'manual',
+        signal: AbortSignal.timeout(POLL_TIMEOUT),
+      });
+      await response.body?.cancel();
+      return response.status;
+    } catch (error) {
+      lastError = error.cause?.code || error.cause?.message || error.message;
+    }
+    await sleep(POLL_INTERVAL);
+  }
+
+  throw new Error(`did not respond at ${url} within ${timeout / 1000}s (${lastError})`);
+}
+
+/**
+ * Signal the server's process group (it was spawned as the group leader)
+ */
+function signalTree(pid, signal) {
+  try {
+    if (IS_WINDOWS) {
+      spawnSync('taskkill', ['/pid', String(pid), '/T', '/F'], { stdio: 'ignore' });
+    } else {
+      process.kill(-pid, signal);
+    }
+  } catch {
+    // Already gone
+  }
+}
+
+function describeExit({ code, signal }) {
+  return signal ? `signal ${signal}` : `code ${code}`;
+}
+
+function isTreeAlive(pid) {
+  try {
+    process.kill(-pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { startDevServer, waitForUrl };
+
+/**
+ * @typedef {Object} DevServer
+ * @property {string} command - Command the server was started with
+ * @property {string} url - URL that was polled until it responded
+ * @property {{code: number|null, signal: string|null}|null} exited - Set once the command exits
+ * @property {function(number): string[]} stderrSince - stderr lines written since a time
+ * @property {function(number=): string[]} tail - Last lines of combined output
+ * @property {function(): Promise<void>} stop - Stop the server and its child processes
+ */
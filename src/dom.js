@@ -0,0 +1,74 @@
+/**
+ * In-Page DOM Helpers
+ *
+ * Helpers shared by the functions the audits evaluate in the browser. They are
+ * installed on the current document as `window.__qaiDom`, so each in-page
+ * function uses the same selector and visibility logic without carrying its
+ * own copy.
+ *
+ * Usage:
+ *   const { installDomHelpers } = require('./dom');
+ *   await installDomHelpers(page);
+ *   await page.evaluate(() => window.__qaiDom.getSelector(document.body));
+ */
+
+/**
+ * Install the helpers on the page's current document
+ * Navigation discards them, so call this before each evaluate that needs them.
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ */
+async function installDomHelpers(page) {
+  await page.evaluate(domHelpersInPage);
+}
+
+/* eslint-disable no-undef */
+/**
+ * Evaluated in the browser. Defines window.__qaiDom once per document.
+ */
+function domHelpersInPage() {
+  if (window.__qaiDom) return;
+
+  /**
+   * Short CSS selector: a unique id, else a tag/nth-of-type path of up to 5 levels
+   */
+  function getSelector(el) {
+    if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) {
+      return `#${CSS.escape(el.id)}`;
+    }
+    const parts = [];
+    let current = el;
+    while (current && current.nodeType === 1 && parts.length < 5) {
+      let part = current.tagName.toLowerCase();
+      if (current.id && document.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      const parent = current.parentElement;
+      if (parent) {
+        const siblings = [...parent.children].filter((c) => c.tagName === current.tagName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+    return parts.join(' > ');
+  }
+
+  /**
+   * Rendered with a size and not hidden by display or visibility
+   */
+  function isVisible(el) {
+    const style = getComputedStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden') return false;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  Object.defineProperty(window, '__qaiDom', { value: { getSelector, isVisible } });
+}
+/* eslint-enable no-undef */
+
+module.exports = { installDomHelpers, domHelpersInPage };
@@ -0,0 +1,228 @@
+/**
+ * Emulation Matrix
+ *
+ * Captures the page again under emulated user settings: dark mode, reduced
+ * motion, forced colors, locale, timezone and geolocation. Every combination
+ * of the configured values is screenshotted at every viewport, so bugs can be
+ * pinned to a state ("contrast failure only in dark mode on mobile").
+ *
+ * Matrix file (YAML or JSON), or the same inline as "key=a,b;key=c":
+ *   colorScheme: [light, dark]        # light | dark | no-preference
+ *   reducedMotion: reduce             # reduce | no-preference
+ *   forcedColors: active              # active | none (Chromium only)
+ *   locale: [en-US, de-DE]
+ *   timezone: Asia/Tokyo
+ *   geolocation: "52.52,13.40"        # latitude,longitude (several: "52.52,13.40,35.68,139.69")
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Every combination is screenshotted at every viewport and sent to the provider
+const MAX_COMBINATIONS = 16;
+
+const EMULATION_KEYS = {
+  colorScheme: ['light', 'dark', 'no-preference'],
+  reducedMotion: ['reduce', 'no-preference'],
+  forcedColors: ['active', 'none'],
+  locale: null,
+  timezone: null,
+  geolocation: null,
+};
+
+/**
+ * Parse an emulation matrix from a file path or an inline spec
+ *
+ * @param {string|Object} value - Path to a .yml/.yaml/.json file, "key=a,b;key=c" or an object
+ * @returns {Emulation[]} Every combination of the configured values
+ */
+function parseEmulation(value) {
+  let matrix = value;
+  if (typeof value === 'string') {
+    matrix = /\.(ya?ml|json)$/i.test(value) ? readMatrixFile(value) : parseInlineMatrix(value);
+  }
+  if (!matrix || typeof matrix !== 'object') {
+    throw new Error('Emulation matrix must be an object');
+  }
+
+  const axes = Object.entries(matrix).map(([key, values]) => [key, normalizeValues(key, values)]);
+  const combinations = axes.reduce(
+    (combos, [key, values]) =>
+      combos.flatMap((combo) => values.map((value) => ({ ...combo, [key]: value }))),
+    [{}],
+  );
+
+  if (combinations.length > MAX_COMBINATIONS) {
+    throw new Error(
+      `Emulation matrix has ${combinations.length} combinations (max ${MAX_COMBINATIONS})`,
+    );
+  }
+  return combinations;
+}
+
+function readMatrixFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read emulation file ${filePath}: ${error.message}`);
+  }
+  return path.extname(filePath) === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+}
+
+function parseInlineMatrix(spec) {
+  const matrix = {};
+  for (const part of spec.split(';').filter((p) => p.trim())) {
+    const separator = part.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Invalid emulation "${part}". Expected key=value[,value]`);
+    }
+    matrix[part.slice(0, separator).trim()] = part.slice(separator + 1);
+  }
+  return matrix;
+}
+
+/**
+ * Validate the values of one matrix key
+ */
+function normalizeValues(key, values) {
+  if (!(key in EMULATION_KEYS)) {
+    throw new Error(
+      `Unknown emulation "${key}". Supported: ${Object.keys(EMULATION_KEYS).join(', ')}`,
+    );
+  }
+
+  if (key === 'geolocation') {
+    return parseGeolocations(values);
+  }
+
+  const list = (Array.isArray(values) ? values : String(values).split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  if (list.length === 0) {
+    throw new Error(`Emulation "${key}" has no values`);
+  }
+
+  for (const value of list) {
+    const allowed = EMULATION_KEYS[key];
+    if (allowed && !allowed.includes(value)) {
+      throw new Error(`Invalid ${key} "${value}". Use ${allowed.join(', ')}`);
+    }
+    try {
+      if (key === 'locale') Intl.getCanonicalLocales(value);
+      if (key === 'timezone') new Intl.DateTimeFormat('en-US', { timeZone: value });
+    } catch {
+      const example = key === 'locale' ? 'de-DE' : 'Europe/Berlin';
+      throw new Error(`Invalid ${key} "${value}". Use e.g. ${example}`);
+    }
+  }
+  return list;
+}
+
+/**
+ * Parse "lat,lon[,lat,lon...]", [lat, lon] pairs or {latitude, longitude} objects
+ */
+function parseGeolocations(values) {
+  const items = Array.isArray(values) ? values : [values];
+  const locations = [];
+
+  for (const item of items) {
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      locations.push({ latitude: Number(item.latitude), longitude: Number(item.longitude) });
+      continue;
+    }
+    const numbers = (Array.isArray(item) ? item : String(item).split(',')).map(Number);
+    if (numbers.length % 2 !== 0) {
+      throw new Error(`Invalid geolocation "${item}". Expected latitude,longitude`);
+    }
+    for (let i = 0; i < numbers.length; i += 2) {
+      locations.push({ latitude: numbers[i], longitude: numbers[i + 1] });
+    }
+  }
+
+  for (const { latitude, longitude } of locations) {
+    if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+      throw new Error(`Invalid geolocation ${latitude},${longitude}`);
+    }
+  }
+  return locations;
+}
+
+/**
+ * Playwright context options for an emulated state
+ *
+ * @param {Emulation} emulation - One matrix combination
+ * @returns {Object} Options for browser.newContext()
+ */
+function contextOptionsForEmulation(emulation) {
+  const options = {};
+  if (emulation.colorScheme) options.colorScheme = emulation.colorScheme;
+  if (emulation.reducedMotion) options.reducedMotion = emulation.reducedMotion;
+  if (emulation.forcedColors) options.forcedColors = emulation.forcedColors;
+  if (emulation.locale) options.locale = emulation.locale;
+  if (emulation.timezone) options.timezoneId = emulation.timezone;
+  if (emulation.geolocation) {
+    options.geolocation = emulation.geolocation;
+    options.permissions = ['geolocation'];
+  }
+  return options;
+}
+
+/**
+ * Human-readable label, e.g. "dark mode, reduced motion, de-DE"
+ *
+ * @param {Emulation} emulation - One matrix combination
+ * @returns {string}
+ */
+function describeEmulation(emulation) {
+  const parts = [];
+  if (emulation.colorScheme) {
+    parts.push(
+      emulation.colorScheme === 'no-preference'
+        ? 'no color scheme preference'
+        : `${emulation.colorScheme} mode`,
+    );
+  }
+  if (emulation.reducedMotion) {
+    parts.push(emulation.reducedMotion === 'reduce' ? 'reduced motion' : 'motion allowed');
+  }
+  if (emulation.forcedColors) {
+    parts.push(emulation.forcedColors === 'active' ? 'forced colors' : 'no forced colors');
+  }
+  if (emulation.locale) parts.push(emulation.locale);
+  if (emulation.timezone) parts.push(emulation.timezone);
+  if (emulation.geolocation) {
+    parts.push(`at ${emulation.geolocation.latitude},${emulation.geolocation.longitude}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * File-name-safe slug, e.g. "dark-reduce-de-de"
+ */
+function emulationSlug(emulation) {
+  return Object.values(emulation)
+    .map((v) => (typeof v === 'object' ? `${v.latitude}_${v.longitude}` : v))
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+module.exports = {
+  parseEmulation,
+  contextOptionsForEmulation,
+  describeEmulation,
+  emulationSlug,
+};
+
+/**
+ * @typedef {Object} Emulation
+ * @property {'light'|'dark'|'no-preference'} [colorScheme] - prefers-color-scheme
+ * @property {'reduce'|'no-preference'} [reducedMotion] - prefers-reduced-motion
+ * @property {'active'|'none'} [forcedColors] - forced-colors
+ * @property {string} [locale] - Browser locale (e.g. 'de-DE')
+ * @property {string} [timezone] - IANA timezone (e.g. 'Asia/Tokyo')
+ * @property {{latitude: number, longitude: number}} [geolocation] - Granted geolocation
+ */
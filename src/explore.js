@@ -0,0 +1,430 @@
+/**
+ * Exploratory Testing Agent
+ *
+ * Lets the AI drive the browser: each turn it sees a ref-tagged ARIA snapshot
+ * of the page, picks one action by ref, and the agent records what happened.
+ * Every bug carries the exact action path that reproduces it.
+ *
+ * Usage:
+ *   const { explore } = require('./explore');
+ *   const report = await explore({ url: 'https://mysite.com', budget: 30 });
+ */
+
+const { chromium } = require('playwright');
+const fs = require('fs').promises;
+const path = require('path');
+const { getProvider } = require('./providers');
+const { createAuthenticatedContext } = require('./auth');
+const { parseReadiness, gotoAndWait, waitForReady } = require('./readiness');
+const { getCompactSnapshot, clickByRef, typeByRef } = require('../scripts/aria-snapshot');
+
+// Keep the snapshot within a reasonable prompt budget
+const MAX_SNAPSHOT_CHARS = 12000;
+
+/**
+ * Explore a site with the AI choosing actions
+ *
+ * @param {Object} options
+ * @param {string} options.url - Start URL
+ * @param {number} [options.budget=30] - Maximum number of actions
+ * @param {number} [options.timeout=30000] - Navigation/action timeout in ms
+ * @param {string} [options.screenshotDir] - Directory for per-action screenshots
+ * @param {import('./auth').AuthOptions} [options.auth] - Auth applied before exploring
+ * @param {string|Function} [options.ready='smart'] - When a page counts as loaded after
+ *   navigating: 'smart', 'networkidle', 'selector:<css>', 'script:<file>' or a function
+ * @param {import('./providers/base')} [options.provider] - Provider (auto-detected if omitted)
+ * @returns {Promise<ExploreReport>}
+ */
+async function explore(options = {}) {
+  const {
+    url,
+    budget = 30,
+    timeout = 30000,
+    screenshotDir = './screenshots/explore',
+    auth = null,
+  } = options;
+  const ready = parseReadiness(options.ready || 'smart');
+
+  if (!url) {
+    throw new Error('URL is required');
+  }
+
+  const provider = options.provider || getProvider();
+  const startTime = Date.now();
+  const origin = new URL(url).origin;
+
+  await fs.mkdir(screenshotDir, { recursive: true });
+
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+  });
+
+  const consoleErrors = [];
+  const networkErrors = [];
+  const trail = [];
+  const bugs = [];
+  let finishedEarly = false;
+  // Why exploring stopped before the budget when the provider failed
+  let stopReason = null;
+
+  try {
+    const context = await createAuthenticatedContext(browser, auth);
+    const page = await context.newPage();
+
+    page.on('console', (msg) => {
+      if (msg.type() === 'error') consoleErrors.push(msg.text());
+    });
+    page.on('pageerror', (error) => {
+      consoleErrors.push(error.message);
+    });
+    page.on('requestfailed', (request) => {
+      networkErrors.push({
+        url: request.url(),
+        method: request.method(),
+        failure: request.failure()?.errorText || 'Unknown error',
+      });
+    });
+    page.on('response', (response) => {
+      if (response.status() >= 400) {
+        networkErrors.push({
+          url: response.url(),
+          method: response.request().method(),
+          status: response.status(),
+        });
+      }
+    });
+
+    console.log(`Navigating to ${url}...`);
+    await gotoAndWait(page, url, ready, { timeout });
+    await settle(page);
+
+    let newErrors = { consoleErrors: consoleErrors.slice(), networkErrors: networkErrors.slice() };
+
+    for (let step = 1; step <= budget; step++) {
+      const snapshot = (await getCompactSnapshot(page)).slice(0, MAX_SNAPSHOT_CHARS);
+
+      const turn = {
+        url: page.url(),
+        title: await page.title(),
+        snapshot,
+        trail,
+        newErrors,
+        bugs,
+        step,
+        budget,
+      };
+      let decision;
+      try {
+        decision = await provider.nextAction(turn);
+        // An unparseable reply has no action; it must not read as "done"
+        if (decision.parse_error) {
+          console.warn(`  Step ${step}: unparseable reply, retrying (${decision.parse_error})`);
+          decision = await provider.nextAction(turn);
+        }
+      } catch (error) {
+        console.warn(`  Step ${step}: provider error, stopping (${error.message})`);
+        stopReason = `Provider error at step ${step}: ${error.message}`;
+        break;
+      }
+      if (decision.parse_error) {
+        console.warn(`  Step ${step}: unparseable reply again, stopping`);
+        stopReason = `Unparseable provider reply at step ${step}: ${decision.parse_error}`;
+        break;
+      }
+
+      // A bug reported now was caused by the actions taken so far
+      if (decision.bug?.title) {
+        addBug(bugs, { ...decision.bug, source: 'ai' }, trail);
+      }
+
+      if (!decision.action || decision.action === 'done') {
+        console.log(`  Step ${step}: done`);
+        finishedEarly = true;
+        break;
+      }
+
+      const consoleStart = consoleErrors.length;
+      const networkStart = networkErrors.length;
+      const entry = {
+        step,
+        action: decision.action,
+        ref: decision.ref,
+        text: decision.text,
+        reason: decision.reason,
+        description: describeAction(decision, snapshot),
+      };
+
+      console.log(`  Step ${step}: ${entry.description}`);
+
+      try {
+        await performAction(page, decision, { origin, timeout, ready });
+        await settle(page);
+      } catch (error) {
+        entry.error = error.message.split('\n')[0];
+      }
+
+      // Clicks and key presses can leave the site too; exploring stays on the start origin
+      if (!isSameOrigin(page.url(), origin)) {
+        const offSite = page.url();
+        console.warn(`  Step ${step}: left the site for ${offSite}, returning to ${turn.url}`);
+        entry.error = `Left the site for ${offSite}; returned to the previous page`;
+        try {
+          await gotoAndWait(page, turn.url, ready, { timeout });
+        } catch (error) {
+          const message = error.message.split('\n')[0];
+          stopReason = `Could not return from ${offSite} at step ${step}: ${message}`;
+        }
+      }
+
+      entry.url = page.url();
+      entry.consoleErrors = consoleErrors.slice(consoleStart);
+      entry.networkErrors = networkErrors.slice(networkStart);
+
+      const screenshotPath = path.join(screenshotDir, `step-${step}.png`);
+      const saved = await page
+        .screenshot({ path: screenshotPath, fullPage: false })
+        .then(() => true)
+        .catch(() => false);
+      if (saved) {
+        entry.screenshot = screenshotPath;
+      }
+
+      trail.push(entry);
+      newErrors = { consoleErrors: entry.consoleErrors, networkErrors: entry.networkErrors };
+
+      // Errors surfaced by an action are bugs regardless of what the AI thinks
+      for (const error of entry.consoleErrors) {
+        addBug(
+          bugs,
+          {
+            severity: 'high',
+            category: 'console',
+            title: `Console error after: ${entry.description}`,
+            description: error,
+            source: 'explore',
+          },
+          trail,
+        );
+      }
+      for (const error of entry.networkErrors.filter((e) => e.status >= 500 || e.failure)) {
+        addBug(
+          bugs,
+          {
+            severity: error.status >= 500 ? 'high' : 'medium',
+            category: 'network',
+            title: `Request failed after: ${entry.description}`,
+            description: `${error.method} ${error.url}: ${error.status || error.failure}`,
+            source: 'explore',
+          },
+          trail,
+        );
+      }
+
+      if (stopReason) {
+        break;
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  return {
+    summary: `Explored ${trail.length} actions and found ${bugs.length} bugs.`,
+    bugs,
+    trail,
+    consoleErrors,
+    networkErrors,
+    metadata: {
+      url,
+      timestamp: new Date().toISOString(),
+      budget,
+      actionsTaken: trail.length,
+      finishedEarly,
+      ...(stopReason && { stopReason }),
+      duration: `${((Date.now() - startTime) / 1000).toFixed(1)}s`,
+    },
+  };
+}
+
+/**
+ * Wait briefly for the page to react to an action
+ */
+async function settle(page) {
+  await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+}
+
+/**
+ * Whether a page URL is on the start origin
+ */
+function isSameOrigin(pageUrl, origin) {
+  try {
+    return new URL(pageUrl).origin === origin;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Execute a provider-chosen action
+ * Navigation is restricted to the start origin.
+ */
+async function performAction(page, decision, { origin, timeout, ready }) {
+  if (decision.action === 'click') {
+    await clickByRef(page, decision.ref);
+  } else if (decision.action === 'type') {
+    await typeByRef(page, decision.ref, decision.text || '');
+  } else if (decision.action === 'navigate') {
+    const target = new URL(decision.url, page.url());
+    if (target.origin !== origin) {
+      throw new Error(`Refusing to navigate off-origin to ${target.href}`);
+    }
+    await gotoAndWait(page, target.href, ready, { timeout });
+  } else if (decision.action === 'back') {
+    await page.goBack({ waitUntil: 'commit', timeout });
+    await waitForReady(page, ready, { timeout });
+  } else {
+    throw new Error(`Unknown action: ${decision.action}`);
+  }
+}
+
+/**
+ * Describe an action in terms a human can replay (refs change between pages)
+ * e.g. `click button "Sign up"`
+ */
+function describeAction(decision, snapshot) {
+  const target = decision.ref ? findRefLabel(snapshot, decision.ref) : null;
+
+  if (decision.action === 'click') {
+    return `click ${target || decision.ref}`;
+  }
+  if (decision.action === 'type') {
+    return `type "${decision.text || ''}" into ${target || decision.ref}`;
+  }
+  if (decision.action === 'navigate') {
+    return `navigate to ${decision.url}`;
+  }
+  return decision.action;
+}
+
+/**
+ * Find the role and name of a ref in a snapshot, e.g. `button "Sign up"`
+ */
+function findRefLabel(snapshot, ref) {
+  const line = snapshot.split('\n').find((l) => l.includes(`[ref=${ref}]`));
+  if (!line) return null;
+
+  const match = line.match(/-\s+(\S+)(?:\s+"(.*?)")?\s+\[ref=/);
+  if (!match) return null;
+  return match[2] ? `${match[1]} "${match[2]}"` : match[1];
+}
+
+/**
+ * Record a bug with the reproduction path that led to it (deduplicated by title)
+ */
+function addBug(bugs, bug, trail) {
+  if (bugs.some((b) => b.title === bug.title)) return;
+
+  bugs.push({
+    ...bug,
+    reproduction: trail.map((t) => `${t.description} (${t.url})`),
+  });
+}
+
+/**
+ * Format exploration report as markdown
+ */
+function formatExploreMarkdown(report) {
+  const lines = [];
+
+  lines.push('# Exploratory Testing Report');
+  lines.push('');
+  lines.push(`**URL:** ${report.metadata.url}`);
+  lines.push(`**Date:** ${report.metadata.timestamp}`);
+  lines.push(
+    `**Actions:** ${report.metadata.actionsTaken} of ${report.metadata.budget}` +
+      (report.metadata.finishedEarly ? ' (finished early)' : ''),
+  );
+  if (report.metadata.stopReason) {
+    lines.push(`**Stopped:** ${report.metadata.stopReason}`);
+  }
+  lines.push(`**Duration:** ${report.metadata.duration}`);
+  lines.push('');
+  lines.push('## Summary');
+  lines.push('');
+  lines.push(report.summary);
+  lines.push('');
+
+  lines.push('## Bugs Found');
+  lines.push('');
+
+  if (report.bugs.length > 0) {
+    for (const bug of report.bugs) {
+      const emoji =
+        { critical: '\u{1F534}', high: '\u{1F7E0}', medium: '\u{1F7E1}', low: '\u{1F7E2}' }[
+          bug.severity
+        ] || '\u26AA';
+
+      lines.push(`### ${emoji} ${bug.title}`);
+      lines.push('');
+      lines.push(`**Severity:** ${bug.severity} | **Category:** ${bug.category}`);
+      lines.push('');
+      lines.push(bug.description);
+      lines.push('');
+      lines.push('**Steps to reproduce:**');
+      lines.push('');
+      lines.push(`1. Open ${report.metadata.url}`);
+      bug.reproduction.forEach((step, i) => {
+        lines.push(`${i + 2}. ${step}`);
+      });
+      lines.push('');
+      if (bug.recommendation) {
+        lines.push(`**Recommendation:** ${bug.recommendation}`);
+        lines.push('');
+      }
+    }
+  } else {
+    lines.push('No bugs found.');
+    lines.push('');
+  }
+
+  lines.push('## Action Trail');
+  lines.push('');
+  for (const step of report.trail) {
+    const status = step.error ? `❌ ${step.error}` : '✅';
+    lines.push(`${step.step}. ${step.description} → ${step.url} ${status}`);
+    if (step.reason) {
+      lines.push(`   - Why: ${step.reason}`);
+    }
+    if (step.screenshot) {
+      lines.push(
+        `   - Screenshot: [step-${step.step}](${step.screenshot.split(path.sep).join('/')})`,
+      );
+    }
+  }
+  lines.push('');
+
+  lines.push('---');
+  lines.push('*Generated by [qai](https://github.com/tyler-james-bridges/qai-cli)*');
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  explore,
+  describeAction,
+  findRefLabel,
+  formatExploreMarkdown,
+};
+
+/**
+ * @typedef {Object} ExploreReport
+ * @property {string} summary - One-line summary
+ * @property {Object[]} bugs - Bugs with a `reproduction` array of actions
+ * @property {Object[]} trail - Every action taken with its URL, errors and screenshot
+ * @property {string[]} consoleErrors - All console errors seen
+ * @property {Object[]} networkErrors - All network errors seen
+ * @property {Object} metadata - URL, timestamp, budget, actions taken, duration, and
+ *   `stopReason` when a provider error, an unparseable reply or a failed return from
+ *   another site ended the run
+ */
@@ -0,0 +1,116 @@
+/**
+ * Deterministic Findings
+ *
+ * Helpers shared by the built-in checks that find problems without an LLM.
+ * Findings are folded into the same bug format the providers return, so the
+ * report can list rule-based and AI bugs side by side.
+ */
+
+/**
+ * Built-in checks run for each focus area
+ */
+const CHECKS_BY_FOCUS = {
+  all: ['accessibility', 'keyboard', 'links'],
+  accessibility: ['accessibility', 'keyboard'],
+  // Fuzzing submits real forms, so it only runs when asked for
+  forms: ['forms'],
+  seo: ['seo'],
+  security: ['security'],
+};
+
+// Points deducted per bug when scoring without an LLM
+const SEVERITY_PENALTY = {
+  critical: 25,
+  high: 10,
+  medium: 5,
+  low: 2,
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Get the built-in checks for a focus area
+ *
+ * @param {string} focus - Focus area
+ * @returns {string[]} Check names (e.g. ['accessibility', 'keyboard'])
+ */
+function getChecks(focus) {
+  return CHECKS_BY_FOCUS[focus] || [];
+}
+
+/**
+ * Group findings by rule into report bugs
+ *
+ * One bug is produced per rule, listing every offending element, so a page
+ * with 40 unlabeled images gets one bug rather than 40.
+ *
+ * @param {Finding[]} findings - Findings from a built-in check
+ * @param {string} category - Bug category (e.g. 'accessibility')
+ * @returns {Object[]} Bugs in the provider report format
+ */
+function findingsToBugs(findings, category) {
+  const byRule = new Map();
+
+  for (const finding of findings) {
+    if (!byRule.has(finding.rule)) {
+      byRule.set(finding.rule, []);
+    }
+    byRule.get(finding.rule).push(finding);
+  }
+
+  const bugs = [];
+  for (const [rule, ruleFindings] of byRule) {
+    const first = ruleFindings[0];
+    const count = ruleFindings.length;
+    const selectors = ruleFindings.map((f) => f.selector).filter(Boolean);
+
+    bugs.push({
+      severity: highestSeverity(ruleFindings.map((f) => f.severity)),
+      category,
+      title: count > 1 ? `${first.title} (${count} elements)` : first.title,
+      description: first.description,
+      recommendation: first.recommendation,
+      rule,
+      wcag: first.wcag,
+      selectors,
+      source: 'rules',
+    });
+  }
+
+  return bugs.sort(
+    (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity),
+  );
+}
+
+/**
+ * Score a list of bugs without an LLM (100 minus severity penalties)
+ *
+ * @param {Object[]} bugs - Bugs with a severity
+ * @returns {number} Score from 0 to 100
+ */
+function scoreBugs(bugs) {
+  const penalty = bugs.reduce((sum, bug) => sum + (SEVERITY_PENALTY[bug.severity] || 0), 0);
+  return Math.max(0, 100 - penalty);
+}
+
+function highestSeverity(severities) {
+  return SEVERITY_ORDER.find((s) => severities.includes(s)) || 'low';
+}
+
+module.exports = {
+  CHECKS_BY_FOCUS,
+  getChecks,
+  findingsToBugs,
+  scoreBugs,
+};
+
+/**
+ * @typedef {Object} Finding
+ * @property {string} rule - Rule ID (e.g. 'image-alt')
+ * @property {'critical'|'high'|'medium'|'low'} severity - Severity
+ * @property {string} title - Short description
+ * @property {string} description - What is wrong
+ * @property {string} [recommendation] - How to fix
+ * @property {string} [selector] - CSS selector of the offending element
+ * @property {string[]} [wcag] - WCAG success criteria (e.g. ['1.1.1'])
+ */
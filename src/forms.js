@@ -0,0 +1,684 @@
+/**
+ * Form Fuzzing
+ *
+ * Finds the forms on a page and submits each one with valid, boundary and
+ * invalid input: empty required fields, malformed emails and URLs, very long
+ * strings, unicode and HTML/script payloads. Every attempt starts from a fresh
+ * load, and its validation messages, console errors and network responses are
+ * recorded for analysis.
+ *
+ * Submissions reach the real backend. Forms whose name, submit button or
+ * action reads like a destructive or account-changing step (delete, pay, save,
+ * change password...) are skipped, and so are forms with a password field when
+ * the scan is logged in.
+ *
+ * Usage:
+ *   const { runFormFuzz } = require('./forms');
+ *   const { forms, findings } = await runFormFuzz(context, 'https://mysite.com/contact');
+ */
+
+const path = require('path');
+const { parseReadiness, gotoAndWait } = require('./readiness');
+const { installDomHelpers } = require('./dom');
+const { shouldIgnoreRequest } = require('../scripts/page-utils');
+
+/**
+ * Rule metadata, keyed by rule ID
+ */
+const RULES = {
+  'form-script-injection': {
+    severity: 'critical',
+    title: 'Form input is rendered as HTML',
+    description: 'Markup typed into the form was inserted into the page unescaped.',
+    recommendation:
+      'Escape user input when rendering it (text nodes, not innerHTML) and sanitize on the server.',
+  },
+  'form-server-error': {
+    severity: 'high',
+    title: 'Form submission causes a server error',
+    description: 'The backend answered a submission with a 5xx error.',
+    recommendation: 'Validate input on the server and answer bad input with a 4xx and a message.',
+  },
+  'form-script-error': {
+    severity: 'medium',
+    title: 'JavaScript error while submitting a form',
+    description: 'Submitting the form threw an error in the page.',
+    recommendation: 'Handle unexpected input and failed requests in the submit handler.',
+  },
+  'form-accepts-empty': {
+    severity: 'medium',
+    title: 'Empty form submitted without feedback',
+    description: 'The form was sent with every field empty and the page showed no message.',
+    recommendation:
+      'Mark required fields with `required` and show an error next to each missing field.',
+  },
+};
+
+/**
+ * Inputs tried on every form, in order
+ */
+const CASES = [
+  { id: 'valid', label: 'Valid input' },
+  { id: 'empty', label: 'Empty fields' },
+  { id: 'boundary', label: 'Boundary values (min/max length and range)' },
+  { id: 'invalid', label: 'Invalid formats' },
+  { id: 'long', label: 'Very long strings' },
+  { id: 'unicode', label: 'Unicode and right-to-left text' },
+  { id: 'markup', label: 'HTML/script payload' },
+];
+
+// Forms fuzzed per page (each costs one page load per case)
+const MAX_FORMS = 3;
+
+// How long to wait for the page to react to a submission
+const SUBMIT_WAIT = 5000;
+
+const LONG_LENGTH = 5000;
+const UNICODE_TEXT = 'Zoë Ñúñez 名前 مرحبا 😀 ‮txt.exe';
+const MARKUP_TEXT = '"><img src=x data-qai-injected onerror="alert(\'qai-xss\')">';
+
+const FIELD_SELECTOR = 'input, textarea, select';
+const SUBMIT_SELECTOR =
+  'button:not([type=button]):not([type=reset]), input[type=submit], input[type=image]';
+// Words in a form's name, submit text or action that mark it as changing real data
+const DESTRUCTIVE_WORDS = [
+  'delete',
+  'remove',
+  'destroy',
+  'unsubscribe',
+  'cancel',
+  'pay\\b',
+  'purchase',
+  'checkout',
+  'order',
+  'log ?out',
+  'sign ?out',
+  'save',
+  'update',
+  'change',
+  'close (my |your )?account',
+  'deactivate',
+  'invite',
+  'transfer',
+];
+const DESTRUCTIVE = new RegExp(DESTRUCTIVE_WORDS.join('|'), 'i');
+
+const TEXT_TYPES = ['text', 'search', 'textarea', 'email', 'url', 'tel', 'password'];
+
+const VALID_BY_TYPE = {
+  email: 'qa@example.com',
+  url: 'https://example.com',
+  tel: '+15555550123',
+  password: 'Qa-Passw0rd!2024',
+  date: '2024-01-15',
+  time: '12:00',
+  'datetime-local': '2024-01-15T12:00',
+  month: '2024-01',
+  week: '2024-W03',
+  color: '#336699',
+};
+
+/**
+ * Fuzz the forms on a page
+ *
+ * Runs in a new page of the given context, so the session is reused and the
+ * caller's page and listeners are left alone.
+ *
+ * @param {import('playwright').BrowserContext} context - Browser context to open the page in
+ * @param {string} url - Page with the forms
+ * @param {Object} [options]
+ * @param {import('./readiness').Readiness} [options.ready] - When the page counts as loaded
+ * @param {number} [options.timeout=30000] - Navigation timeout in ms
+ * @param {string} [options.screenshotDir] - Directory for the per-form screenshots
+ * @param {number} [options.maxForms=3] - Forms to fuzz
+ * @param {boolean} [options.authenticated=false] - The context is logged in; forms with a
+ *   password field are skipped so the account is left alone
+ * @returns {Promise<FormFuzzResult>}
+ */
+async function runFormFuzz(context, url, options = {}) {
+  const {
+    ready = parseReadiness('smart'),
+    timeout = 30000,
+    screenshotDir,
+    maxForms = MAX_FORMS,
+    authenticated = false,
+  } = options;
+
+  const page = await context.newPage();
+  const result = { forms: [], skipped: [], screenshots: [], findings: [], rulesRun: [] };
+
+  try {
+    await gotoAndWait(page, url, ready, { timeout });
+    const discovered = (await discoverForms(page)).filter((form) => form.visible);
+
+    for (const form of discovered) {
+      if (result.forms.length >= maxForms) {
+        result.skipped.push({ name: form.name, reason: `limit of ${maxForms} forms reached` });
+        continue;
+      }
+      if (form.fields.length === 0) {
+        result.skipped.push({ name: form.name, reason: 'no fillable fields' });
+        continue;
+      }
+      const destructive = [form.name, form.submitText, form.action].find(
+        (text) => text && DESTRUCTIVE.test(text),
+      );
+      if (destructive) {
+        result.skipped.push({ name: form.name, reason: `looks destructive ("${destructive}")` });
+        continue;
+      }
+      if (authenticated && form.fields.some((f) => f.type === 'password')) {
+        result.skipped.push({
+          name: form.name,
+          reason: 'has a password field and the scan is logged in',
+        });
+        continue;
+      }
+
+      console.log(`  Fuzzing ${form.name} (${form.fields.length} fields)...`);
+      const number = result.forms.length + 1;
+      const entry = {
+        name: form.name,
+        selector: form.selector,
+        method: form.method,
+        action: form.action,
+        fields: form.fields.map((f) => f.label),
+        attempts: [],
+      };
+
+      for (const testCase of CASES) {
+        const attempt = await runAttempt(page, url, form, testCase, { ready, timeout });
+        entry.attempts.push(attempt);
+
+        // The empty submission shows what feedback a user gets for missing input
+        if (testCase.id === 'empty') {
+          const viewport = page.viewportSize() || { width: 0, height: 0 };
+          const screenshotPath = screenshotDir
+            ? path.join(screenshotDir, `form-${number}-empty.png`)
+            : undefined;
+          result.screenshots.push({
+            name: `form-${number}-empty`,
+            label: `Form ${number} "${form.name}" after submitting empty fields`,
+            width: viewport.width,
+            height: viewport.height,
+            path: screenshotPath,
+            buffer: await page.screenshot({ path: screenshotPath, fullPage: false }),
+          });
+        }
+      }
+
+      result.forms.push(entry);
+      result.findings.push(...checkAttempts(form, entry.attempts));
+    }
+  } finally {
+    await page.close().catch(() => {});
+  }
+
+  result.rulesRun = Object.keys(RULES);
+  return result;
+}
+
+/**
+ * Describe the forms on the page's current document, their fillable fields and all their inputs
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<DiscoveredForm[]>}
+ */
+async function discoverForms(page) {
+  await installDomHelpers(page);
+  return page.evaluate(discoverFormsInPage, {
+    fieldSelector: FIELD_SELECTOR,
+    submitSelector: SUBMIT_SELECTOR,
+  });
+}
+
+/**
+ * Reload the page, fill the form for one case, submit it and record what happened
+ */
+async function runAttempt(page, url, form, testCase, { ready, timeout }) {
+  const attempt = { case: testCase.id, label: testCase.label };
+  const responses = [];
+  const errors = [];
+  const dialogs = [];
+
+  try {
+    await gotoAndWait(page, url, ready, { timeout });
+  } catch (error) {
+    return { ...attempt, error: `Reload failed: ${error.message.split('\n')[0]}` };
+  }
+
+  // Attached after the reload so only the submission's own traffic and errors count
+  const onResponse = (response) => {
+    const request = response.request();
+    const type = request.resourceType();
+    if (['document', 'xhr', 'fetch'].includes(type) && !shouldIgnoreRequest(response.url())) {
+      responses.push({
+        method: request.method(),
+        url: response.url(),
+        status: response.status(),
+        navigation: type === 'document',
+      });
+    }
+  };
+  const onPageError = (error) => errors.push(error.message);
+  const onConsole = (msg) => {
+    if (msg.type() === 'error') errors.push(msg.text());
+  };
+  const onDialog = (dialog) => {
+    dialogs.push(dialog.message());
+    dialog.dismiss().catch(() => {});
+  };
+  page.on('response', onResponse);
+  page.on('pageerror', onPageError);
+  page.on('console', onConsole);
+  page.on('dialog', onDialog);
+
+  try {
+    const formLocator = page.locator('form').nth(form.index);
+    for (const field of form.fields) {
+      await fillField(formLocator.locator(FIELD_SELECTOR).nth(field.index), field, testCase.id);
+    }
+
+    const submit = formLocator.locator(SUBMIT_SELECTOR).first();
+    if (form.submitText !== null) {
+      await submit.click({ timeout: SUBMIT_WAIT });
+    } else {
+      /* eslint-disable no-undef */
+      await formLocator.evaluate((el) => (el.requestSubmit ? el.requestSubmit() : el.submit()));
+      /* eslint-enable no-undef */
+    }
+    await page.waitForTimeout(500);
+    await page.waitForLoadState('networkidle', { timeout: SUBMIT_WAIT }).catch(() => {});
+
+    Object.assign(
+      attempt,
+      await page.evaluate(readFeedbackInPage, {
+        formIndex: form.index,
+        fieldSelector: FIELD_SELECTOR,
+      }),
+    );
+  } catch (error) {
+    attempt.error = error.message.split('\n')[0];
+  } finally {
+    page.off('response', onResponse);
+    page.off('pageerror', onPageError);
+    page.off('console', onConsole);
+    page.off('dialog', onDialog);
+  }
+
+  attempt.submitted = responses.some((r) => r.method !== 'GET' || r.navigation);
+  attempt.responses = responses.slice(0, 10);
+  attempt.consoleErrors = [...new Set(errors)].slice(0, 10);
+  if (dialogs.length > 0) attempt.dialogs = dialogs;
+  if (page.url() !== url) attempt.url = page.url();
+  return attempt;
+}
+
+/**
+ * Fill one field with the value for a case. Fields that can't take it are left as they are.
+ */
+async function fillField(locator, field, caseId) {
+  try {
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      if (caseId !== 'empty' && (field.required || field.type === 'checkbox')) {
+        await locator.check({ timeout: SUBMIT_WAIT });
+      }
+      return;
+    }
+    if (field.type === 'select') {
+      if (caseId !== 'empty' && field.options > 1) {
+        await locator.selectOption({ index: 1 }, { timeout: SUBMIT_WAIT });
+      }
+      return;
+    }
+    await locator.fill(valueFor(field, caseId), { timeout: SUBMIT_WAIT });
+  } catch {
+    // e.g. a date input refusing free text
+  }
+}
+
+/**
+ * The text typed into a field for each case
+ *
+ * @param {FormField} field - Field description from the page
+ * @param {string} caseId - Case ID from CASES
+ * @returns {string}
+ */
+function valueFor(field, caseId) {
+  const valid = validValue(field);
+  const text = TEXT_TYPES.includes(field.type);
+
+  if (caseId === 'empty') return '';
+
+  if (caseId === 'boundary') {
+    if (field.type === 'number') return String(field.max ?? field.min ?? 0);
+    if (text && field.maxLength) return 'a'.repeat(field.maxLength);
+    if (text && field.minLength) return 'a'.repeat(field.minLength);
+    return valid;
+  }
+
+  if (caseId === 'invalid') {
+    if (field.type === 'email') return 'not-an-email';
+    if (field.type === 'url') return 'not a url';
+    if (field.type === 'tel') return 'call me';
+    if (field.type === 'number') {
+      if (field.max !== null) return String(field.max + 1);
+      return String(field.min !== null ? field.min - 1 : -1);
+    }
+    if (field.minLength) return 'a'.repeat(Math.max(field.minLength - 1, 1));
+    return text ? '   ' : valid;
+  }
+
+  if (caseId === 'long') {
+    if (field.type === 'email') return `${'a'.repeat(LONG_LENGTH)}@example.com`;
+    if (field.type === 'number') return '9'.repeat(30);
+    return text ? 'a'.repeat(LONG_LENGTH) : valid;
+  }
+
+  if (caseId === 'unicode') {
+    if (field.type === 'email') return 'zoë@exämple.com';
+    return text && field.type !== 'url' ? UNICODE_TEXT : valid;
+  }
+
+  if (caseId === 'markup') {
+    if (field.type === 'email') return `qa+${MARKUP_TEXT}@example.com`;
+    if (field.type === 'url') return "javascript:alert('qai-xss')";
+    return text ? MARKUP_TEXT : valid;
+  }
+
+  return valid;
+}
+
+/**
+ * A value the field should accept
+ */
+function validValue(field) {
+  if (field.type === 'number') return String(field.min ?? 1);
+  if (VALID_BY_TYPE[field.type]) return VALID_BY_TYPE[field.type];
+
+  const hint = `${field.name} ${field.label}`.toLowerCase();
+  if (/zip|postal|postcode/.test(hint)) return '12345';
+  if (/phone|mobile/.test(hint)) return '+15555550123';
+  if (/mail/.test(hint)) return 'qa@example.com';
+  if (/name/.test(hint)) return 'Jane Doe';
+  const value = 'QA test input';
+  return field.minLength > value.length ? value.padEnd(field.minLength, 'x') : value;
+}
+
+/**
+ * Turn suspicious attempts into findings
+ */
+function checkAttempts(form, attempts) {
+  const findings = [];
+  const add = (rule, detail) => {
+    const meta = RULES[rule];
+    findings.push({
+      rule,
+      severity: meta.severity,
+      title: meta.title,
+      description: `${meta.description} ${detail}`,
+      recommendation: meta.recommendation,
+      selector: form.selector,
+    });
+  };
+
+  const injected = attempts.find((a) => a.injected || a.dialogs?.some((d) => d === 'qai-xss'));
+  if (injected) {
+    const how = injected.dialogs ? 'and its script ran' : 'as markup';
+    add('form-script-injection', `"${form.name}" echoed the payload ${how}.`);
+  }
+
+  const serverError = attempts.find((a) => a.responses?.some((r) => r.status >= 500));
+  if (serverError) {
+    const response = serverError.responses.find((r) => r.status >= 500);
+    const request = `${response.method} ${response.url}`;
+    add(
+      'form-server-error',
+      `${serverError.label} in "${form.name}": ${request} returned ${response.status}.`,
+    );
+  }
+
+  const scriptError = attempts.find((a) => a.consoleErrors?.length > 0);
+  if (scriptError) {
+    add(
+      'form-script-error',
+      `${scriptError.label} in "${form.name}": ${scriptError.consoleErrors[0].slice(0, 200)}`,
+    );
+  }
+
+  const empty = attempts.find((a) => a.case === 'empty');
+  if (
+    empty?.submitted &&
+    !form.search &&
+    !empty.invalidFields?.length &&
+    !empty.messages?.length &&
+    !empty.responses.some((r) => r.status >= 400)
+  ) {
+    add('form-accepts-empty', `"${form.name}" was sent with nothing filled in.`);
+  }
+
+  return findings;
+}
+
+/**
+ * One-line outcome of an attempt, e.g. "blocked by validation: Email: Please enter an email"
+ *
+ * @param {FormAttempt} attempt - Attempt from runFormFuzz()
+ * @returns {string}
+ */
+function summarizeAttempt(attempt) {
+  if (attempt.error && !attempt.responses?.length) {
+    return `not completed: ${attempt.error}`;
+  }
+
+  const parts = [];
+  if (attempt.invalidFields?.length > 0) {
+    const fields = attempt.invalidFields.map((f) => `${f.field}: ${f.message}`);
+    parts.push(`blocked by validation (${fields.join('; ')})`);
+  } else if (!attempt.submitted) {
+    parts.push('not sent');
+  }
+  if (attempt.submitted) {
+    const sent = attempt.responses.map((r) => `${r.method} ${r.status}`);
+    parts.push(`sent (${[...new Set(sent)].join(', ')})`);
+  }
+  if (attempt.messages?.length > 0) {
+    parts.push(`messages: ${attempt.messages.map((m) => `"${m}"`).join(', ')}`);
+  }
+  if (attempt.injected) parts.push('payload rendered as HTML');
+  if (attempt.dialogs) parts.push(`dialog opened: "${attempt.dialogs[0]}"`);
+  if (attempt.consoleErrors?.length > 0) {
+    parts.push(`console errors: ${attempt.consoleErrors.length}`);
+  }
+  return parts.join('; ');
+}
+
+/* eslint-disable no-undef */
+/**
+ * Evaluated in the browser. Describes each form, its fillable fields and all its inputs.
+ * Field indices count every element matching fieldSelector inside the form.
+ */
+function discoverFormsInPage({ fieldSelector, submitSelector }) {
+  const { getSelector, isVisible } = window.__qaiDom;
+  const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file', 'range'];
+
+  function text(value) {
+    return (value || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+  }
+
+  const number = (value) => (value === '' || value === null ? null : Number(value));
+
+  return [...document.querySelectorAll('form')].map((form, index) => {
+    const fields = [...form.querySelectorAll(fieldSelector)]
+      .map((el, fieldIndex) => ({ el, fieldIndex }))
+      .filter(({ el }) => {
+        if (el.disabled || el.readOnly) return false;
+        if (el.tagName === 'INPUT' && SKIPPED_TYPES.includes(el.type)) return false;
+        return isVisible(el) || el.type === 'checkbox' || el.type === 'radio';
+      })
+      .map(({ el, fieldIndex }) => {
+        const tag = el.tagName.toLowerCase();
+        return {
+          index: fieldIndex,
+          type: tag === 'input' ? el.type : tag,
+          name: el.name || '',
+          label: text(
+            el.labels?.[0]?.innerText ||
+              el.getAttribute('aria-label') ||
+              el.placeholder ||
+              el.name ||
+              el.id ||
+              tag,
+          ),
+          required: el.required,
+          maxLength: el.maxLength > 0 ? el.maxLength : null,
+          minLength: el.minLength > 0 ? el.minLength : null,
+          min: number(el.getAttribute('min')),
+          max: number(el.getAttribute('max')),
+          options: tag === 'select' ? el.options.length : null,
+        };
+      });
+
+    const submit = form.querySelector(submitSelector);
+    const heading = form.querySelector('h1, h2, h3, h4, legend');
+    const name =
+      text(form.getAttribute('aria-label')) ||
+      text(heading?.innerText) ||
+      form.id ||
+      form.getAttribute('name') ||
+      `Form ${index + 1}`;
+
+    return {
+      index,
+      name,
+      selector: getSelector(form),
+      visible: isVisible(form),
+      method: (form.getAttribute('method') || 'get').toUpperCase(),
+      action: form.getAttribute('action') || '',
+      url: form.action,
+      submitText: submit ? text(submit.innerText || submit.value || 'submit') : null,
+      search:
+        form.getAttribute('role') === 'search' ||
+        (fields.length > 0 && fields.every((f) => f.type === 'search' || f.name === 'q')),
+      fields,
+      inputs: [...form.querySelectorAll(fieldSelector)].map((el) => ({
+        type: el.type,
+        name: el.name,
+        placeholder: el.placeholder,
+        required: el.required,
+        selector: getSelector(el),
+      })),
+    };
+  });
+}
+
+/**
+ * Evaluated in the browser after a submission. Collects the browser's constraint
+ * validation messages and visible error/status text.
+ */
+function readFeedbackInPage({ formIndex, fieldSelector }) {
+  const form = document.querySelectorAll('form')[formIndex];
+  const invalidFields = [];
+
+  if (form) {
+    for (const el of form.querySelectorAll(fieldSelector)) {
+      if (el.willValidate && !el.validity.valid) {
+        invalidFields.push({
+          field: (el.labels?.[0]?.innerText || el.name || el.id || el.type).trim().slice(0, 60),
+          message: el.validationMessage.slice(0, 200),
+        });
+      }
+    }
+  }
+
+  const messages = new Set();
+  const candidates = document.querySelectorAll(
+    '[role=alert], [role=status], [aria-live], [aria-invalid=true], ' +
+      '.error, .errors, .invalid-feedback, [class*="error" i], [class*="success" i]',
+  );
+  for (const el of candidates) {
+    const style = getComputedStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden') continue;
+    // Invalid fields point at their message with aria-describedby
+    const described = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    const value =
+      described.length > 0
+        ? described.map((id) => document.getElementById(id)?.innerText || '').join(' ')
+        : el.innerText;
+    const message = (value || '').trim().replace(/\s+/g, ' ').slice(0, 200);
+    if (message) messages.add(message);
+    if (messages.size >= 10) break;
+  }
+
+  return {
+    invalidFields: invalidFields.slice(0, 10),
+    messages: [...messages],
+    injected: Boolean(document.querySelector('[data-qai-injected]')),
+  };
+}
+/* eslint-enable no-undef */
+
+module.exports = {
+  runFormFuzz,
+  discoverForms,
+  summarizeAttempt,
+  valueFor,
+  CASES,
+  RULES,
+};
+
+/**
+ * @typedef {Object} FormField
+ * @property {number} index - Position among the form's input/textarea/select elements
+ * @property {string} type - Input type, 'textarea' or 'select'
+ * @property {string} name - name attribute
+ * @property {string} label - Label, aria-label, placeholder or name
+ * @property {boolean} required - required attribute
+ * @property {number|null} maxLength - maxlength attribute
+ * @property {number|null} minLength - minlength attribute
+ * @property {number|null} min - min attribute (numbers)
+ * @property {number|null} max - max attribute (numbers)
+ * @property {number|null} options - Option count (selects)
+ */
+
+/**
+ * @typedef {Object} DiscoveredForm
+ * @property {number} index - Position among the page's forms
+ * @property {string} name - aria-label, heading, id, name or "Form N"
+ * @property {string} selector - CSS selector of the form
+ * @property {boolean} visible - Rendered with a size (only visible forms are fuzzed)
+ * @property {string} method - GET or POST
+ * @property {string} action - action attribute as written
+ * @property {string} url - Resolved action URL
+ * @property {string|null} submitText - Submit button text, null without one
+ * @property {boolean} search - Looks like a search form
+ * @property {FormField[]} fields - Fillable fields
+ * @property {{type: string, name: string, placeholder?: string, required: boolean,
+ *   selector: string}[]} inputs - Every input, textarea and select, hidden ones included
+ */
+
+/**
+ * @typedef {Object} FormAttempt
+ * @property {string} case - Case ID from CASES
+ * @property {string} label - Case description
+ * @property {boolean} submitted - Whether a request left the page
+ * @property {{method: string, url: string, status: number, navigation: boolean}[]} responses -
+ *   Document and XHR/fetch responses after submitting
+ * @property {{field: string, message: string}[]} [invalidFields] - Browser validation failures
+ * @property {string[]} [messages] - Visible error or status text
+ * @property {string[]} consoleErrors - Console errors and uncaught exceptions
+ * @property {boolean} [injected] - The markup payload was inserted into the page
+ * @property {string[]} [dialogs] - alert/confirm messages that opened
+ * @property {string} [url] - Page URL afterwards, if it changed
+ * @property {string} [error] - Why the attempt could not be completed
+ */
+
+/**
+ * @typedef {Object} FormFuzzResult
+ * @property {{name: string, selector: string, method: string, action: string,
+ *   fields: string[], attempts: FormAttempt[]}[]} forms - Fuzzed forms
+ * @property {{name: string, reason: string}[]} skipped - Forms left alone
+ * @property {Object[]} screenshots - One screenshot per form after the empty submission
+ * @property {import('./findings').Finding[]} findings - Form findings
+ * @property {string[]} rulesRun - Rule IDs checked
+ */
@@ -14,6 +14,7 @@
 const fs = require('fs');
 const path = require('path');
 const { getProvider } = require('./providers');
+const { discoverForms } = require('./forms');
 
 /**
  * Generate tests from a URL (E2E) or source file (unit)
@@ -194,27 +195,6 @@ async function crawlSite(url) {
           });
         });
 
-        // Forms
-        document.querySelectorAll('form').forEach((form) => {
-          const inputs = [];
-          form.querySelectorAll('input, textarea, select').forEach((input) => {
-            inputs.push({
-              type: input.type || input.tagName.toLowerCase(),
-              name: input.name,
-              placeholder: input.placeholder,
-              required: input.required,
-              selector: getSelector(input),
-            });
-          });
-          result.push({
-            type: 'form',
-            action: form.action,
-            method: form.method,
-            inputs,
-            selector: getSelector(form),
-          });
-        });
-
         // Navigation elements
         document.querySelectorAll('nav a, [role="navigation"] a').forEach((el) => {
           result.push({
@@ -244,6 +224,17 @@ async function crawlSite(url) {
       });
       /* eslint-enable no-undef */
 
+      // Forms from the form fuzzer's discovery, between the links and the navigation links
+      const forms = (await discoverForms(page)).map((form) => ({
+        type: 'form',
+        action: form.url,
+        method: form.method.toLowerCase(),
+        inputs: form.inputs,
+        selector: form.selector,
+      }));
+      const navStart = elements.findIndex((e) => e.type === 'nav-link');
+      elements.splice(navStart === -1 ? elements.length : navStart, 0, ...forms);
+
       pages.push({ url: pageUrl, title, elementCount: elements.length });
       interactions.push(...elements.map((e) => ({ ...e, page: pageUrl })));
 
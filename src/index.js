@@ -1,10 +1,33 @@
 #!/usr/bin/env node
 
 const fs = require('fs').promises;
+const path = require('path');
 const { capturePage } = require('./capture');
-const { getProvider } = require('./providers');
+const { discoverPages, pageSlug } = require('./crawl');
+const { loadAuthOptions, getSecrets, scrubSecrets, scrubHarFile } = require('./auth');
+const { loadJourney } = require('./journey');
+const { parseReadiness } = require('./readiness');
+const { loadBudgets, evaluateBudgets, budgetViolationsToBugs } = require('./budgets');
+const { getChecks, findingsToBugs, scoreBugs } = require('./findings');
+const { getProvider, detectProvider } = require('./providers');
 const { reviewPR, formatReviewMarkdown } = require('./review');
 const { generateTests } = require('./generate');
+const { explore, formatExploreMarkdown, findRefLabel } = require('./explore');
+const { resolveBugBoxes, annotateScreenshots } = require('./annotate');
+const { parseViewports, attachDevices } = require('./viewports');
+const { parseBrowsers, attachBrowsers } = require('./browsers');
+const { parseEmulation, describeEmulation } = require('./emulation');
+const { createSourceMapResolver } = require('./sourcemaps');
+const { parseThrottling, describeThrottling } = require('./throttle');
+const { parseMasks, comparisonsToBugs, applyVerdicts } = require('./visual');
+const { startDevServer } = require('./devserver');
+const { generateMarkdownReport, generateSiteMarkdownReport } = require('./report');
+
+// HAR and trace recordings
+const ARTIFACT_DIR = './qa-artifacts';
+
+// Dev server stderr lines kept per page report
+const MAX_SERVER_LOG_LINES = 100;
 
 // Route to the right command
 const command = process.argv[2];
@@ -19,6 +42,11 @@ if (command === 'review') {
     console.error('\nError:', err.message);
     process.exit(1);
   });
+} else if (command === 'explore') {
+  runExplore().catch((err) => {
+    console.error('\nError:', err.message);
+    process.exit(1);
+  });
 } else if (command === 'help' || command === '--help' || command === '-h') {
   printHelp();
 } else if (command === '--version' || command === '-v') {
@@ -45,13 +73,54 @@ Usage:
   qai scan <url>                    Visual QA analysis
   qai review <pr> [options]         PR code review
   qai generate <url|file> [options] Test generation
+  qai explore <url> [options]       Autonomous exploratory testing
   qai help                          Show this help
   qai --version                     Show version
 
 Scan options:
   URL=<url>                   Target URL (or set via env)
-  VIEWPORTS=desktop,mobile    Viewports to test
-  FOCUS=all|accessibility|visual|responsive|forms|performance
+  VIEWPORTS=desktop,mobile    Viewports to test: desktop, tablet, mobile, WIDTHxHEIGHT
+                              or Playwright device names ("iPhone 13", "Pixel 7")
+  FOCUS=all|accessibility|visual|responsive|forms|performance|seo|security
+                              (forms submits each form with fuzzed input)
+  --viewports <list>          Same as VIEWPORTS (e.g. "desktop,1280x720,iPhone 13")
+  BROWSERS=chromium           Engines to screenshot in: chromium, firefox, webkit
+  --browsers <list>           Same as BROWSERS (e.g. "chromium,webkit")
+  --emulate <file|spec>       Also capture emulated states, every combination of e.g.
+                              "colorScheme=light,dark;locale=en-US,de-DE" (YAML/JSON file
+                              or inline; reducedMotion, forcedColors, timezone, geolocation)
+  --throttle <profiles>       Also load under slow-3g, fast-3g, slow-4g, fast-4g, cpu-4x
+                              or offline, screenshotting while it loads ("+" combines,
+                              e.g. "slow-4g+cpu-4x,offline"; network/CPU need Chromium)
+  --crawl                     Discover and scan same-origin pages
+  --max-pages <n>             Max pages to scan when crawling (default: 10)
+  --include <glob>            Only scan pages matching glob (repeatable)
+  --exclude <glob>            Never visit pages matching glob (repeatable)
+  --storage-state <file>      Playwright storageState JSON (cookies, localStorage)
+  --login <recipe.json>       Log in via form before scanning
+  --header "Name: value"      Extra HTTP header (repeatable)
+  --journey <file>            Run a YAML/JSON user journey, analyzing each step
+  --ready <strategy>          When the page counts as loaded: smart (default),
+                              networkidle, selector:<css>, script:<file.js>
+  --external-links            Also check links and assets on other origins
+  --first-party <hosts>       Other hosts that belong to the site for the security audit,
+                              each covering its subdomains (e.g. "example.com,example-cdn.net")
+  --source-maps <dir>         Build directory with .map files for uncaught exception
+                              stacks (maps are also fetched from the site)
+  --baseline <dir>            Compare screenshots with baselines stored per page, viewport
+                              and browser (missing ones are recorded)
+  --update-baseline           Replace the baselines with this run's screenshots
+  --mask <selector|x,y,w,h>   Hide dynamic content from baseline comparisons (repeatable);
+                              compared screenshots also freeze animations, carets and video
+  --har                       Record a HAR file (qa-artifacts/network.har)
+  --trace                     Record a Playwright trace (qa-artifacts/trace.zip)
+  --budget <file>             YAML/JSON performance budgets checked per viewport
+  --fail-on-budget            Exit non-zero when a budget is exceeded
+  --start <command>           Start a dev server first and stop it (and its child
+                              processes) afterwards; its stderr goes in the report
+                              for pages with errors
+  --wait-for <url>            URL that answers once the server is up (default: scan URL)
+  --start-timeout <seconds>   How long to wait for the server (default: 120)
 
 Review options:
   <number>                    PR number to review
@@ -66,18 +135,36 @@ Generate options:
   --framework <name>          playwright|jest|vitest
   --dry-run                   Print to stdout instead of writing files
 
+Explore options:
+  <url>                       Start URL
+  --budget <n>                Max actions the AI may take (default: 30)
+  --storage-state/--login/--header   Same auth options as scan
+  --ready <strategy>          Same readiness strategies as scan, after each navigation
+  --json                      Output JSON instead of markdown
+
 Environment:
   ANTHROPIC_API_KEY           Use Anthropic Claude
   OPENAI_API_KEY              Use OpenAI GPT-4
   GEMINI_API_KEY              Use Google Gemini
   OLLAMA_HOST                 Use Ollama (local)
+  HTTP_USERNAME/HTTP_PASSWORD HTTP basic auth for scans
+  EXTRA_HEADERS               Extra scan headers as a JSON object
+  QAI_USERNAME/QAI_PASSWORD   Credentials for the --login recipe
 
 Examples:
   qai scan https://mysite.com
+  qai scan https://mysite.com --crawl --max-pages 20 --exclude "/admin/**"
+  qai scan https://mysite.com --budget budgets.yml --fail-on-budget
+  qai scan https://mysite.com --viewports "desktop,iPhone 13,Pixel 7"
+  qai scan https://mysite.com --browsers chromium,firefox,webkit
+  qai scan https://mysite.com --emulate "colorScheme=dark;reducedMotion=reduce"
+  qai scan https://mysite.com --baseline ./baselines
+  qai scan http://localhost:3000 --start "npm run dev"
   qai review 42
   qai review --base main --focus security
   qai generate https://mysite.com
   qai generate src/utils.ts --dry-run
+  qai explore https://mysite.com --budget 50
   `);
 }
 
@@ -209,14 +296,81 @@ async function runGenerate() {
   }
 }
 
+/**
+ * Run exploratory testing command
+ * Usage: qai explore <url> [--budget 30] [--json] [--storage-state file] [--login recipe.json]
+ */
+async function runExplore() {
+  const args = process.argv.slice(3);
+  const options = { headers: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--budget' && args[i + 1]) {
+      options.budget = parseInt(args[++i], 10);
+    } else if (args[i] === '--json') {
+      options.json = true;
+    } else if (args[i] === '--storage-state' && args[i + 1]) {
+      options.storageState = args[++i];
+    } else if (args[i] === '--login' && args[i + 1]) {
+      options.login = args[++i];
+    } else if (args[i] === '--header' && args[i + 1]) {
+      options.headers.push(args[++i]);
+    } else if (args[i] === '--ready' && args[i + 1]) {
+      options.ready = args[++i];
+    } else if (!args[i].startsWith('--')) {
+      options.url = args[i];
+    }
+  }
+
+  if (!options.url) {
+    console.error('Usage: qai explore <url> [--budget 30] [--json]');
+    process.exit(1);
+  }
+
+  const auth = loadAuthOptions(options);
+  options.ready = options.ready || process.env.READY || process.env.INPUT_READY;
+
+  console.log('='.repeat(60));
+  console.log('qai explore');
+  console.log('='.repeat(60));
+  console.log(`URL: ${options.url}`);
+  console.log(`Budget: ${options.budget || 30} actions`);
+  console.log('='.repeat(60));
+
+  const report = scrubSecrets(await explore({ ...options, auth }), getSecrets(auth));
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const markdown = formatExploreMarkdown(report);
+    await fs.writeFile('explore-report.md', markdown);
+    console.log('\nSaved: explore-report.md');
+
+    console.log('\n' + '='.repeat(60));
+    console.log('Exploration Summary');
+    console.log('='.repeat(60));
+    console.log(`Actions: ${report.metadata.actionsTaken}`);
+    console.log(`Bugs found: ${report.bugs.length}`);
+    console.log(`Duration: ${report.metadata.duration}`);
+    console.log('='.repeat(60));
+  }
+
+  // Exit with error if critical issues found
+  const criticals = report.bugs.filter((b) => b.severity === 'critical').length;
+  if (criticals > 0) {
+    process.exit(1);
+  }
+}
+
 async function main() {
   const startTime = Date.now();
 
   // Accept URL from: qai scan <url>, or env vars URL / INPUT_URL
   const scanArgs = process.argv[2] === 'scan' ? process.argv.slice(3) : process.argv.slice(2);
-  const cliUrl = scanArgs.find((a) => a.startsWith('http://') || a.startsWith('https://'));
-  const url = cliUrl || process.env.URL || process.env.INPUT_URL;
-  const viewportsRaw = process.env.VIEWPORTS || process.env.INPUT_VIEWPORTS || 'desktop,mobile';
+  const options = parseScanArgs(scanArgs);
+  const url = options.url || process.env.URL || process.env.INPUT_URL;
+  const viewportsRaw =
+    options.viewports || process.env.VIEWPORTS || process.env.INPUT_VIEWPORTS || 'desktop,mobile';
   const focus = process.env.FOCUS || process.env.INPUT_FOCUS || 'all';
   const timeout = parseInt(process.env.TIMEOUT || process.env.INPUT_TIMEOUT || '300', 10) * 1000;
   const outputFormat = process.env.OUTPUT_FORMAT || process.env.INPUT_OUTPUT_FORMAT || 'markdown';
@@ -226,50 +380,240 @@ async function main() {
     process.exit(1);
   }
 
-  const viewports = viewportsRaw.split(',').map((v) => v.trim().toLowerCase());
+  const viewports = parseViewports(viewportsRaw);
+  const browsers = parseBrowsers(
+    options.browsers || process.env.BROWSERS || process.env.INPUT_BROWSERS || 'chromium',
+  );
+  const checks = getChecks(focus);
+  const auth = loadAuthOptions(options);
+  const secrets = getSecrets(auth);
+  const journeyPath = options.journey || process.env.JOURNEY || process.env.INPUT_JOURNEY;
+  const journey = journeyPath ? loadJourney(journeyPath) : null;
+  const ready = parseReadiness(options.ready || process.env.READY || process.env.INPUT_READY);
+  const emulateSpec = options.emulate || process.env.EMULATE || process.env.INPUT_EMULATE;
+  const emulations = emulateSpec ? parseEmulation(emulateSpec) : [];
+  const throttleSpec = options.throttle || process.env.THROTTLE || process.env.INPUT_THROTTLE;
+  const throttling = throttleSpec ? parseThrottling(throttleSpec) : [];
+  const budgetPath = options.budget || process.env.BUDGET || process.env.INPUT_BUDGET;
+  const budgets = budgetPath ? loadBudgets(budgetPath) : null;
+  const recordHar = options.har || (process.env.HAR || process.env.INPUT_HAR) === 'true';
+  const recordTrace = options.trace || (process.env.TRACE || process.env.INPUT_TRACE) === 'true';
+  // One cache for the whole run, so a crawl requests each URL once
+  const links = {
+    external:
+      options.externalLinks ||
+      (process.env.EXTERNAL_LINKS || process.env.INPUT_EXTERNAL_LINKS) === 'true',
+    cache: new Map(),
+  };
+  // One resolver for the whole run, so a crawl fetches each source map once
+  const firstParty = splitList(
+    options.firstParty || process.env.FIRST_PARTY || process.env.INPUT_FIRST_PARTY || '',
+  );
+  const sourceMapDir =
+    options.sourceMaps || process.env.SOURCE_MAPS || process.env.INPUT_SOURCE_MAPS;
+  const sourceMaps = createSourceMapResolver({ dir: sourceMapDir });
+  const baselineDir = options.baseline || process.env.BASELINE || process.env.INPUT_BASELINE;
+  const updateBaseline =
+    options.updateBaseline ||
+    (process.env.UPDATE_BASELINE || process.env.INPUT_UPDATE_BASELINE) === 'true';
+  const maskSpecs = options.masks.length
+    ? options.masks
+    : (process.env.MASKS || process.env.INPUT_MASKS || '').split('\n');
+  const masks = parseMasks(maskSpecs);
+  const baseline = baselineDir ? { dir: baselineDir, update: updateBaseline, masks } : null;
+  const failOnBudget =
+    options.failOnBudget ||
+    (process.env.FAIL_ON_BUDGET || process.env.INPUT_FAIL_ON_BUDGET) === 'true';
+  const startCommand = options.start || process.env.START || process.env.INPUT_START;
+  const waitFor = options.waitFor || process.env.WAIT_FOR || process.env.INPUT_WAIT_FOR || url;
+  const startTimeout =
+    parseInt(
+      options.startTimeout || process.env.START_TIMEOUT || process.env.INPUT_START_TIMEOUT || '120',
+      10,
+    ) * 1000;
+
+  if ((updateBaseline || masks.length > 0) && !baselineDir) {
+    console.error('Error: --update-baseline and --mask need --baseline <dir>');
+    process.exit(1);
+  }
+
+  if (journey && options.crawl) {
+    console.error('Error: --journey cannot be combined with --crawl');
+    process.exit(1);
+  }
+
+  // The trace keeps request headers, cookies and DOM snapshots, and unlike the HAR it
+  // can't be scrubbed, so a session would end up in the uploaded artifacts
+  if (recordTrace && auth) {
+    console.error('Error: --trace cannot be combined with authentication (use --har instead)');
+    process.exit(1);
+  }
+
+  if (options.waitFor && !startCommand) {
+    console.error('Error: --wait-for needs --start <command>');
+    process.exit(1);
+  }
 
   console.log('='.repeat(60));
   console.log('qai');
   console.log('='.repeat(60));
   console.log(`URL: ${url}`);
-  console.log(`Viewports: ${viewports.join(', ')}`);
+  console.log(`Viewports: ${viewports.map((v) => v.device || v.name).join(', ')}`);
+  if (browsers.length > 1) {
+    console.log(`Browsers: ${browsers.join(', ')}`);
+  }
+  if (emulations.length > 0) {
+    console.log(`Emulations: ${emulations.map(describeEmulation).join(' | ')}`);
+  }
+  if (throttling.length > 0) {
+    console.log(`Throttling: ${throttling.map(describeThrottling).join(' | ')}`);
+  }
   console.log(`Focus: ${focus}`);
+  console.log(`Ready: ${ready.strategy}${ready.selector ? ` (${ready.selector})` : ''}`);
+  if (options.crawl) {
+    console.log(`Crawl: up to ${options.maxPages} pages`);
+  }
+  if (auth) {
+    console.log(`Auth: ${Object.keys(auth).join(', ')}`);
+  }
+  if (journey) {
+    console.log(`Journey: ${journey.name} (${journey.steps.length} steps)`);
+  }
+  if (firstParty.length > 0 && checks.includes('security')) {
+    console.log(`First-party hosts: ${firstParty.join(', ')}`);
+  }
+  if (links.external && checks.includes('links')) {
+    console.log('Links: checking external URLs too');
+  }
+  if (sourceMapDir) {
+    console.log(`Source maps: ${sourceMapDir}, then the site`);
+  }
+  if (baseline) {
+    console.log(`Baseline: ${baseline.dir}${baseline.update ? ' (updating)' : ''}`);
+    if (masks.length > 0) {
+      const described = masks.map((m) => m.selector || Object.values(m.rect).join(','));
+      console.log(`Masks: ${described.join(' | ')}`);
+    }
+  }
+  if (recordHar || recordTrace) {
+    const recordings = [recordHar && 'HAR', recordTrace && 'trace'].filter(Boolean);
+    console.log(`Recording: ${recordings.join(', ')} to ${ARTIFACT_DIR}`);
+  }
+  if (budgets) {
+    console.log(`Budgets: ${budgetPath}${failOnBudget ? ' (failing on violations)' : ''}`);
+  }
+  if (startCommand) {
+    console.log(`Dev server: ${startCommand} (waiting for ${waitFor})`);
+  }
   console.log('='.repeat(60));
 
+  let server;
   try {
-    // Get the provider (auto-detected from env vars)
-    const provider = getProvider();
+    if (startCommand) {
+      console.log('\nStarting dev server...');
+      server = await startDevServer(startCommand, { waitFor, timeout: startTimeout });
+      console.log(`Dev server is up at ${waitFor}`);
+    }
 
-    // Step 1: Capture page data
-    console.log('\n[1/3] Capturing page data...');
-    const captureData = await capturePage(url, {
-      viewports,
-      timeout,
-      screenshotDir: './screenshots',
-    });
+    // Get the provider (auto-detected from env vars). Without an API key,
+    // focus areas with built-in checks still run on the rules alone.
+    const useProvider = Boolean(detectProvider()) || checks.length === 0;
+    const provider = useProvider ? getProvider() : null;
+    if (!provider) {
+      console.warn('No API key set - running built-in checks only');
+    }
 
-    // Step 2: Analyze with LLM
-    console.log('\n[2/3] Analyzing with AI...');
-    const report = await provider.analyze(captureData, { focus });
+    let report;
+    let allBugs;
+    let budgetViolations;
+    let visualChanges;
 
-    // Step 3: Generate report
-    console.log('\n[3/3] Generating report...');
+    if (options.crawl) {
+      console.log('\nDiscovering pages...');
+      const pageUrls = await discoverPages(url, {
+        maxPages: options.maxPages,
+        include: options.include,
+        exclude: options.exclude,
+        auth,
+        ready,
+      });
 
-    // Add metadata to report
-    report.metadata = {
-      url: captureData.pageUrl,
-      title: captureData.pageTitle,
-      timestamp: captureData.timestamp,
-      viewports,
-      focus,
-      consoleErrorCount: captureData.consoleErrors.length,
-      networkErrorCount: captureData.networkErrors.length,
-      duration: `${((Date.now() - startTime) / 1000).toFixed(1)}s`,
-    };
+      const pages = [];
+      const failedPages = [];
+      for (const [index, pageUrl] of pageUrls.entries()) {
+        console.log(`\n[Page ${index + 1}/${pageUrls.length}] ${pageUrl}`);
+        try {
+          pages.push(
+            await scanPage(pageUrl, provider, {
+              viewports,
+              browsers,
+              emulations,
+              throttling,
+              focus,
+              timeout,
+              screenshotDir: path.join('./screenshots', pageSlug(pageUrl)),
+              artifactDir: path.join(ARTIFACT_DIR, pageSlug(pageUrl)),
+              recordHar,
+              recordTrace,
+              auth,
+              secrets,
+              checks,
+              budgets,
+              ready,
+              links,
+              firstParty,
+              sourceMaps,
+              baseline,
+              server,
+            }),
+          );
+        } catch (error) {
+          // One broken page must not cost the results of the others
+          const message = error.message.split('\n')[0];
+          console.error(`Failed to scan ${pageUrl}: ${message}`);
+          failedPages.push({ url: pageUrl, error: message });
+        }
+      }
 
-    // Include raw errors in report
-    report.consoleErrors = captureData.consoleErrors;
-    report.networkErrors = captureData.networkErrors;
+      report = buildSiteReport(url, pages, {
+        viewports,
+        browsers,
+        focus,
+        failedPages,
+        duration: `${((Date.now() - startTime) / 1000).toFixed(1)}s`,
+      });
+      allBugs = pages.flatMap((page) => page.bugs || []);
+      budgetViolations = pages.flatMap((page) => page.budgets?.violations || []);
+      visualChanges = pages.flatMap((page) => page.visual?.comparisons || []);
+    } else {
+      report = await scanPage(url, provider, {
+        viewports,
+        browsers,
+        emulations,
+        throttling,
+        focus,
+        timeout,
+        screenshotDir: './screenshots',
+        artifactDir: ARTIFACT_DIR,
+        recordHar,
+        recordTrace,
+        auth,
+        secrets,
+        journey,
+        checks,
+        budgets,
+        ready,
+        links,
+        firstParty,
+        sourceMaps,
+        baseline,
+        server,
+      });
+      report.metadata.duration = `${((Date.now() - startTime) / 1000).toFixed(1)}s`;
+      allBugs = report.bugs || [];
+      budgetViolations = report.budgets?.violations || [];
+      visualChanges = report.visual?.comparisons || [];
+    }
 
     // Save report
     if (outputFormat === 'json' || outputFormat === 'all') {
@@ -278,7 +622,9 @@ async function main() {
     }
 
     if (outputFormat === 'markdown' || outputFormat === 'all') {
-      const markdown = generateMarkdownReport(report);
+      const markdown = options.crawl
+        ? generateSiteMarkdownReport(report)
+        : generateMarkdownReport(report);
       await fs.writeFile('qa-report.md', markdown);
       console.log('Saved: qa-report.md');
     }
@@ -287,20 +633,36 @@ async function main() {
     console.log('\n' + '='.repeat(60));
     console.log('QA Report Summary');
     console.log('='.repeat(60));
+    if (options.crawl) {
+      console.log(`Pages scanned: ${report.pages.length}`);
+      if (report.failedPages.length > 0) {
+        console.log(`Pages failed: ${report.failedPages.length}`);
+      }
+    }
     console.log(`Score: ${report.score !== null ? report.score + '/100' : 'N/A'}`);
-    console.log(`Bugs found: ${report.bugs?.length || 0}`);
+    console.log(`Bugs found: ${allBugs.length}`);
 
-    if (report.bugs?.length > 0) {
-      const critical = report.bugs.filter((b) => b.severity === 'critical').length;
-      const high = report.bugs.filter((b) => b.severity === 'high').length;
-      const medium = report.bugs.filter((b) => b.severity === 'medium').length;
-      const low = report.bugs.filter((b) => b.severity === 'low').length;
+    if (allBugs.length > 0) {
+      const critical = allBugs.filter((b) => b.severity === 'critical').length;
+      const high = allBugs.filter((b) => b.severity === 'high').length;
+      const medium = allBugs.filter((b) => b.severity === 'medium').length;
+      const low = allBugs.filter((b) => b.severity === 'low').length;
 
       console.log(`  - Critical: ${critical}`);
       console.log(`  - High: ${high}`);
       console.log(`  - Medium: ${medium}`);
       console.log(`  - Low: ${low}`);
     }
+    if (budgets) {
+      console.log(`Budget violations: ${budgetViolations.length}`);
+    }
+    // Differences below the fail threshold are minor and not counted as changes
+    const failedComparisons = visualChanges
+      ? visualChanges.filter((c) => c.status === 'failed').length
+      : 0;
+    if (baseline) {
+      console.log(`Visual changes: ${failedComparisons} of ${visualChanges.length} screenshots`);
+    }
 
     console.log(`Duration: ${report.metadata.duration}`);
     console.log('='.repeat(60));
@@ -310,100 +672,374 @@ async function main() {
       const outputs = [
         `report=qa-report.${outputFormat === 'json' ? 'json' : 'md'}`,
         'screenshots=./screenshots',
-        `bugs_found=${report.bugs?.length || 0}`,
-        `critical_bugs=${report.bugs?.filter((b) => ['critical', 'high'].includes(b.severity)).length || 0}`,
+        `bugs_found=${allBugs.length}`,
+        `critical_bugs=${allBugs.filter((b) => ['critical', 'high'].includes(b.severity)).length}`,
+        `budget_violations=${budgetViolations.length}`,
       ];
+      if (recordHar || recordTrace) {
+        outputs.push(`artifacts=${ARTIFACT_DIR}`);
+      }
+      if (baseline) {
+        outputs.push(`visual_changes=${failedComparisons}`);
+      }
 
       await fs.appendFile(process.env.GITHUB_OUTPUT, outputs.join('\n') + '\n');
     }
+
+    if (failOnBudget && budgetViolations.length > 0) {
+      console.error(`\n${budgetViolations.length} performance budget(s) exceeded`);
+      process.exitCode = 1;
+    }
   } catch (error) {
     console.error('\nError:', error.message);
     console.error(error.stack);
-    process.exit(1);
+    // A page that fails to load is often explained by the server's own output
+    if (server) {
+      if (server.exited) {
+        const { code, signal } = server.exited;
+        console.error(`\nDev server exited during the scan (${signal || `code ${code}`})`);
+      }
+      const output = server.tail();
+      if (output.length > 0) {
+        console.error(`\nDev server output (last ${output.length} lines):\n${output.join('\n')}`);
+      }
+    }
+    process.exitCode = 1;
+  } finally {
+    if (server) {
+      console.log('\nStopping dev server...');
+      await server.stop();
+    }
+  }
+
+  // Don't wait on browsers a failed scan left open
+  if (process.exitCode) {
+    process.exit();
   }
 }
 
-function generateMarkdownReport(report) {
-  const lines = [];
-
-  lines.push('# QA Report');
-  lines.push('');
-  lines.push(`**URL:** ${report.metadata.url}`);
-  lines.push(`**Title:** ${report.metadata.title}`);
-  lines.push(`**Date:** ${report.metadata.timestamp}`);
-  lines.push(`**Duration:** ${report.metadata.duration}`);
-  lines.push(`**Score:** ${report.score !== null ? report.score + '/100' : 'N/A'}`);
-  lines.push('');
-
-  lines.push('## Summary');
-  lines.push('');
-  lines.push(report.summary || 'No summary provided.');
-  lines.push('');
-
-  if (report.bugs?.length > 0) {
-    lines.push('## Bugs Found');
-    lines.push('');
-
-    for (const bug of report.bugs) {
-      const severityEmoji =
-        {
-          critical: '🔴',
-          high: '🟠',
-          medium: '🟡',
-          low: '🟢',
-        }[bug.severity] || '⚪';
-
-      lines.push(`### ${severityEmoji} ${bug.title}`);
-      lines.push('');
-      lines.push(`**Severity:** ${bug.severity}`);
-      lines.push(`**Category:** ${bug.category}`);
-      if (bug.viewport) {
-        lines.push(`**Viewport:** ${bug.viewport}`);
-      }
-      lines.push('');
-      lines.push(bug.description);
-      lines.push('');
-      if (bug.recommendation) {
-        lines.push(`**Recommendation:** ${bug.recommendation}`);
-        lines.push('');
-      }
+/**
+ * Parse scan flags
+ * Usage: qai scan <url> [--crawl] [--max-pages N] [--include glob] [--exclude glob]
+ *                       [--storage-state file] [--login recipe.json] [--header "Name: value"]
+ *                       [--journey file] [--budget file] [--fail-on-budget]
+ *                       [--ready smart|networkidle|selector:<css>|script:<file>]
+ *                       [--har] [--trace] [--viewports list] [--browsers list]
+ *                       [--emulate file|spec] [--throttle profiles] [--external-links]
+ *                       [--first-party hosts]
+ *                       [--source-maps dir] [--baseline dir] [--update-baseline]
+ *                       [--mask selector|x,y,width,height]
+ *                       [--start command] [--wait-for url] [--start-timeout seconds]
+ */
+function parseScanArgs(args) {
+  const options = {
+    crawl: false,
+    maxPages: 10,
+    include: [],
+    exclude: [],
+    headers: [],
+    masks: [],
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--crawl') {
+      options.crawl = true;
+    } else if (args[i] === '--max-pages' && args[i + 1]) {
+      options.maxPages = parseInt(args[++i], 10);
+    } else if (args[i] === '--include' && args[i + 1]) {
+      options.include.push(...splitList(args[++i]));
+    } else if (args[i] === '--exclude' && args[i + 1]) {
+      options.exclude.push(...splitList(args[++i]));
+    } else if (args[i] === '--storage-state' && args[i + 1]) {
+      options.storageState = args[++i];
+    } else if (args[i] === '--login' && args[i + 1]) {
+      options.login = args[++i];
+    } else if (args[i] === '--header' && args[i + 1]) {
+      options.headers.push(args[++i]);
+    } else if (args[i] === '--journey' && args[i + 1]) {
+      options.journey = args[++i];
+    } else if (args[i] === '--budget' && args[i + 1]) {
+      options.budget = args[++i];
+    } else if (args[i] === '--viewports' && args[i + 1]) {
+      options.viewports = args[++i];
+    } else if (args[i] === '--browsers' && args[i + 1]) {
+      options.browsers = args[++i];
+    } else if (args[i] === '--emulate' && args[i + 1]) {
+      options.emulate = args[++i];
+    } else if (args[i] === '--throttle' && args[i + 1]) {
+      options.throttle = args[++i];
+    } else if (args[i] === '--ready' && args[i + 1]) {
+      options.ready = args[++i];
+    } else if (args[i] === '--har') {
+      options.har = true;
+    } else if (args[i] === '--trace') {
+      options.trace = true;
+    } else if (args[i] === '--source-maps' && args[i + 1]) {
+      options.sourceMaps = args[++i];
+    } else if (args[i] === '--baseline' && args[i + 1]) {
+      options.baseline = args[++i];
+    } else if (args[i] === '--update-baseline') {
+      options.updateBaseline = true;
+    } else if (args[i] === '--mask' && args[i + 1]) {
+      options.masks.push(args[++i]);
+    } else if (args[i] === '--start' && args[i + 1]) {
+      options.start = args[++i];
+    } else if (args[i] === '--wait-for' && args[i + 1]) {
+      options.waitFor = args[++i];
+    } else if (args[i] === '--start-timeout' && args[i + 1]) {
+      options.startTimeout = args[++i];
+    } else if (args[i] === '--first-party' && args[i + 1]) {
+      options.firstParty = args[++i];
+    } else if (args[i] === '--external-links') {
+      options.externalLinks = true;
+    } else if (args[i] === '--fail-on-budget') {
+      options.failOnBudget = true;
+    } else if (args[i].startsWith('http://') || args[i].startsWith('https://')) {
+      options.url = args[i];
     }
+  }
+
+  return options;
+}
+
+function splitList(value) {
+  return value
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Capture and analyze a single page
+ * @returns {Promise<Object>} Page report with metadata
+ */
+async function scanPage(url, provider, options) {
+  const {
+    viewports,
+    browsers = ['chromium'],
+    emulations = [],
+    throttling = [],
+    focus,
+    timeout,
+    screenshotDir,
+    auth,
+    secrets = [],
+    journey,
+    checks,
+    budgets,
+    ready,
+    artifactDir,
+    recordHar,
+    recordTrace,
+    links,
+    firstParty,
+    sourceMaps,
+    baseline,
+    server,
+  } = options;
+  const startTime = Date.now();
+
+  // Step 1: Capture page data
+  console.log('\n[1/3] Capturing page data...');
+  // Credentials must never reach the provider or the report
+  const captureData = scrubSecrets(
+    await capturePage(url, {
+      viewports,
+      browsers,
+      emulations,
+      throttling,
+      timeout,
+      screenshotDir,
+      auth,
+      journey,
+      checks,
+      ready,
+      links,
+      firstParty,
+      sourceMaps,
+      baseline,
+      metricsPerViewport: Boolean(budgets),
+      har: recordHar ? path.join(artifactDir, 'network.har') : null,
+      trace: recordTrace ? path.join(artifactDir, 'trace.zip') : null,
+    }),
+    secrets,
+  );
+
+  // The HAR includes the login recipe's requests and session cookies
+  if (captureData.artifacts?.har) {
+    scrubHarFile(captureData.artifacts.har, secrets);
+  }
+
+  // Step 2: Analyze with LLM
+  let report;
+  if (provider) {
+    console.log('\n[2/3] Analyzing with AI...');
+    report = await provider.analyze(captureData, { focus });
   } else {
-    lines.push('## Bugs Found');
-    lines.push('');
-    lines.push('No bugs found.');
-    lines.push('');
+    console.log('\n[2/3] Skipping AI analysis (no API key)');
+    report = {
+      summary: 'AI analysis skipped (no API key). Results are from built-in checks only.',
+      bugs: [],
+      score: null,
+      recommendations: [],
+    };
   }
 
-  if (report.consoleErrors?.length > 0) {
-    lines.push('## Console Errors');
-    lines.push('');
-    for (const error of report.consoleErrors) {
-      lines.push(`- ${error}`);
+  // Merge findings from the built-in checks
+  if (captureData.accessibility) {
+    report.accessibility = captureData.accessibility;
+    report.bugs = [
+      ...(report.bugs || []),
+      ...findingsToBugs(captureData.accessibility.findings, 'accessibility'),
+    ];
+  }
+  if (captureData.keyboard) {
+    report.keyboard = captureData.keyboard;
+    report.bugs = [
+      ...(report.bugs || []),
+      ...findingsToBugs(captureData.keyboard.findings, 'accessibility'),
+    ];
+  }
+  if (captureData.links) {
+    report.links = captureData.links;
+    report.bugs = [...(report.bugs || []), ...findingsToBugs(captureData.links.findings, 'links')];
+  }
+  if (captureData.seo) {
+    report.seo = captureData.seo;
+    report.bugs = [...(report.bugs || []), ...findingsToBugs(captureData.seo.findings, 'seo')];
+  }
+  if (captureData.security) {
+    report.security = captureData.security;
+    report.bugs = [
+      ...(report.bugs || []),
+      ...findingsToBugs(captureData.security.findings, 'security'),
+    ];
+  }
+  if (captureData.forms) {
+    report.forms = captureData.forms;
+    report.bugs = [...(report.bugs || []), ...findingsToBugs(captureData.forms.findings, 'forms')];
+  }
+  if (captureData.visual) {
+    // The model's verdicts go on the comparisons; without a model, failed ones become bugs
+    const { visualChanges, ...rest } = report;
+    report = rest;
+    report.visual = {
+      ...captureData.visual,
+      comparisons: applyVerdicts(captureData.visual.comparisons, visualChanges),
+    };
+    if (!provider) {
+      report.bugs = [...(report.bugs || []), ...comparisonsToBugs(report.visual.comparisons)];
     }
-    lines.push('');
+  }
+  if (budgets) {
+    report.budgets = evaluateBudgets(budgets, url, captureData.viewportMetrics);
+    report.bugs = [...(report.bugs || []), ...budgetViolationsToBugs(report.budgets.violations)];
+  }
+  if (!provider) {
+    report.score = scoreBugs(report.bugs);
   }
 
-  if (report.networkErrors?.length > 0) {
-    lines.push('## Network Errors');
-    lines.push('');
-    for (const error of report.networkErrors) {
-      lines.push(`- \`${error.method || 'GET'} ${error.url}\`: ${error.status || error.failure}`);
+  // Locate bugs on the screenshots and draw numbered boxes
+  for (const bug of report.bugs) {
+    if (bug.ref && captureData.ariaSnapshot) {
+      bug.element = findRefLabel(captureData.ariaSnapshot, bug.ref) || undefined;
     }
-    lines.push('');
   }
+  resolveBugBoxes(report.bugs, captureData.screenshots);
+  attachDevices(report.bugs, captureData.screenshots);
+  if (browsers.length > 1) {
+    attachBrowsers(report.bugs, browsers);
+  }
+  report.annotatedScreenshots = [];
+  for (const annotated of annotateScreenshots(captureData.screenshots, report.bugs)) {
+    const annotatedPath = path.join(screenshotDir, `${annotated.name}.png`);
+    await fs.writeFile(annotatedPath, annotated.buffer);
+    report.annotatedScreenshots.push({
+      viewport: annotated.viewport,
+      path: annotatedPath,
+      bugs: annotated.bugs,
+    });
+  }
+
+  // Step 3: Generate report
+  console.log('\n[3/3] Generating report...');
 
-  if (report.recommendations?.length > 0) {
-    lines.push('## Recommendations');
-    lines.push('');
-    for (const rec of report.recommendations) {
-      lines.push(`- ${rec}`);
+  // Add metadata to report
+  report.metadata = {
+    url: captureData.pageUrl,
+    title: captureData.pageTitle,
+    timestamp: captureData.timestamp,
+    viewports: viewports.map((v) => v.name),
+    ...(browsers.length > 1 && { browsers }),
+    focus,
+    consoleErrorCount: captureData.consoleErrors.length,
+    networkErrorCount: captureData.networkErrors.length,
+    loadTime: captureData.readiness?.loadTime,
+    duration: `${((Date.now() - startTime) / 1000).toFixed(1)}s`,
+  };
+
+  report.screenshots = captureData.screenshots.map((s) => ({
+    viewport: s.viewport,
+    ...(s.device && { device: s.device }),
+    ...(s.browser && { browser: s.browser }),
+    ...(s.emulation && { emulation: s.emulation }),
+    ...(s.step && { step: s.step }),
+    ...(s.label && { label: s.label }),
+    width: s.width,
+    height: s.height,
+    path: s.path,
+  }));
+
+  // Include raw errors in report
+  report.consoleErrors = captureData.consoleErrors;
+  report.networkErrors = captureData.networkErrors;
+  report.console = captureData.console;
+  report.network = captureData.network;
+  report.readiness = captureData.readiness;
+  report.throttling = captureData.throttling;
+  report.artifacts = captureData.artifacts;
+  report.metrics = captureData.metrics;
+  // What the dev server logged while a page with errors was loading
+  if (server && (captureData.consoleErrors.length > 0 || captureData.networkErrors.length > 0)) {
+    const stderr = server.stderrSince(startTime);
+    if (stderr.length > 0 || server.exited) {
+      report.server = {
+        command: server.command,
+        stderr: stderr.slice(-MAX_SERVER_LOG_LINES),
+        ...(server.exited && { exited: server.exited }),
+      };
     }
-    lines.push('');
   }
+  if (captureData.journey) {
+    report.journey = captureData.journey;
+  }
+
+  return scrubSecrets(report, secrets);
+}
 
-  lines.push('---');
-  lines.push('*Generated by [qai](https://github.com/tyler-james-bridges/qai-cli)*');
+/**
+ * Aggregate page reports into a site report
+ * The site score is the mean of the scored pages; pages that failed to scan
+ * are listed with their error
+ */
+function buildSiteReport(url, pages, { viewports, browsers, focus, duration, failedPages = [] }) {
+  const scores = pages.map((p) => p.score).filter((s) => typeof s === 'number');
+  const bugCount = pages.reduce((sum, p) => sum + (p.bugs?.length || 0), 0);
+  const failed = failedPages.length > 0 ? ` ${failedPages.length} pages failed to load.` : '';
 
-  return lines.join('\n');
+  return {
+    summary: `Scanned ${pages.length} pages and found ${bugCount} bugs.${failed}`,
+    score: scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null,
+    metadata: {
+      url,
+      timestamp: new Date().toISOString(),
+      viewports: viewports.map((v) => v.name),
+      ...(browsers.length > 1 && { browsers }),
+      focus,
+      pageCount: pages.length,
+      duration,
+    },
+    pages,
+    failedPages,
+  };
 }
@@ -0,0 +1,245 @@
+/**
+ * User Journey Scans
+ *
+ * Runs a scripted sequence of user actions, capturing a screenshot plus the
+ * console and network errors after every step so bugs can be attributed to
+ * the step that triggered them.
+ *
+ * Journey file (YAML or JSON):
+ *   name: Checkout
+ *   steps:
+ *     - goto: /products
+ *     - click: "text=Add to cart"
+ *     - fill: { selector: "#email", value: "me@example.com" }
+ *     - press: { selector: "#search", key: "Enter" }
+ *     - waitFor: ".order-confirmation"
+ *
+ * `wait-for` is accepted for `waitFor`. Any step may carry a `name` used as its
+ * label in the report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseReadiness, gotoAndWait } = require('./readiness');
+
+const ACTIONS = ['goto', 'click', 'fill', 'press', 'waitFor'];
+
+// Other spellings of an action key
+const ACTION_ALIASES = { 'wait-for': 'waitFor' };
+
+/**
+ * Load and validate a journey file
+ *
+ * @param {string} filePath - Path to a .yml/.yaml/.json journey file
+ * @returns {Journey}
+ */
+function loadJourney(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read journey file ${filePath}: ${error.message}`);
+  }
+
+  const parsed = path.extname(filePath) === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+  return normalizeJourney(parsed, path.basename(filePath, path.extname(filePath)));
+}
+
+/**
+ * Normalize a journey object into a list of explicit steps
+ *
+ * @param {Object|Array} journey - Parsed journey (object with steps, or a bare step array)
+ * @param {string} [defaultName] - Name used when the journey has none
+ * @returns {Journey}
+ */
+function normalizeJourney(journey, defaultName = 'journey') {
+  const steps = Array.isArray(journey) ? journey : journey?.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('Journey must contain a non-empty "steps" array');
+  }
+
+  return {
+    name: journey.name || defaultName,
+    steps: steps.map((step, index) => normalizeStep(step, index)),
+  };
+}
+
+/**
+ * Validate one step and turn it into { action, selector?, value?, key?, url?, name, label }
+ */
+function normalizeStep(step, index) {
+  const number = index + 1;
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    throw new Error(`Journey step ${number} must be an object such as { click: "#buy" }`);
+  }
+
+  const key = [...ACTIONS, ...Object.keys(ACTION_ALIASES)].find((k) => step[k] !== undefined);
+  if (!key) {
+    throw new Error(`Journey step ${number} has no action. Supported: ${ACTIONS.join(', ')}`);
+  }
+
+  const action = ACTION_ALIASES[key] || key;
+  const value = step[key];
+  const normalized = { action, name: step.name };
+  const invalid = (expected) =>
+    new Error(`Journey step ${number} (${key}) needs ${expected}, got ${JSON.stringify(value)}`);
+  const isText = (text) => typeof text === 'string' && text.trim() !== '';
+
+  if (action === 'goto') {
+    if (!isText(value)) throw invalid('a URL string');
+    normalized.url = value;
+  } else if (action === 'fill') {
+    const fillValue = value?.value ?? '';
+    if (!isText(value?.selector) || !['string', 'number'].includes(typeof fillValue)) {
+      throw invalid('{ selector: string, value: string }');
+    }
+    normalized.selector = value.selector;
+    normalized.value = String(fillValue);
+  } else if (action === 'press') {
+    if (isText(value)) {
+      normalized.key = value;
+    } else if (isText(value?.key) && (value.selector === undefined || isText(value.selector))) {
+      normalized.selector = value.selector;
+      normalized.key = value.key;
+    } else {
+      throw invalid('a key string or { selector?: string, key: string }');
+    }
+  } else {
+    const selector = typeof value === 'string' ? value : value?.selector;
+    if (!isText(selector)) throw invalid('a selector string or { selector: string }');
+    normalized.selector = selector;
+  }
+
+  normalized.label = step.name || describeStep(normalized);
+  return normalized;
+}
+
+/**
+ * Human-readable description of a step, e.g. `click "text=Add to cart"`
+ */
+function describeStep(step) {
+  if (step.action === 'goto') return `goto ${step.url}`;
+  if (step.action === 'fill') return `fill "${step.selector}"`;
+  if (step.action === 'press') {
+    return step.selector ? `press ${step.key} in "${step.selector}"` : `press ${step.key}`;
+  }
+  return `${step.action} "${step.selector}"`;
+}
+
+/**
+ * Execute a journey on a page
+ *
+ * Console and network errors are read from the capture data arrays that the
+ * caller's listeners append to, so each step gets only the errors it caused.
+ * The journey stops at the first failing step.
+ *
+ * @param {import('playwright').Page} page - Page already positioned at the start URL
+ * @param {Journey} journey - Normalized journey
+ * @param {Object} captureData - Capture data whose screenshots/errors are appended to
+ * @param {Object} options
+ * @param {string} options.baseUrl - URL relative `goto` steps resolve against
+ * @param {string} [options.screenshotDir] - Directory for step screenshots
+ * @param {number} [options.timeout=30000] - Timeout per step in ms
+ * @param {import('./readiness').Readiness} [options.ready] - When a `goto` step's page is loaded
+ * @returns {Promise<JourneyResult>}
+ */
+async function runJourney(page, journey, captureData, options) {
+  const { baseUrl, screenshotDir, timeout = 30000, ready = parseReadiness('smart') } = options;
+  const result = { name: journey.name, steps: [], completed: true };
+
+  for (const [index, step] of journey.steps.entries()) {
+    const number = index + 1;
+    const consoleStart = captureData.consoleErrors.length;
+    const networkStart = captureData.networkErrors.length;
+    const entry = { step: number, action: step.action, label: step.label };
+
+    console.log(`  Step ${number}: ${step.label}`);
+
+    try {
+      await executeStep(page, step, { baseUrl, timeout, ready });
+      // Give the page a moment to react (XHRs, re-renders) before capturing
+      await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+    } catch (error) {
+      entry.error = error.message.split('\n')[0];
+    }
+
+    entry.url = page.url();
+    entry.consoleErrors = captureData.consoleErrors.slice(consoleStart);
+    entry.networkErrors = captureData.networkErrors.slice(networkStart);
+
+    const viewport = page.viewportSize() || { width: 0, height: 0 };
+    const screenshotPath = screenshotDir
+      ? path.join(screenshotDir, `step-${number}.png`)
+      : undefined;
+    const buffer = await page.screenshot({ path: screenshotPath, fullPage: false });
+
+    captureData.screenshots.push({
+      name: `step-${number}`,
+      viewport: captureData.screenshots[0]?.viewport || 'default',
+      width: viewport.width,
+      height: viewport.height,
+      path: screenshotPath,
+      step: number,
+      label: `Step ${number}: ${step.label}`,
+      buffer,
+    });
+    entry.screenshot = `step-${number}`;
+
+    result.steps.push(entry);
+
+    if (entry.error) {
+      console.warn(`  Step ${number} failed: ${entry.error}`);
+      result.completed = false;
+      break;
+    }
+  }
+
+  return result;
+}
+
+async function executeStep(page, step, { baseUrl, timeout, ready }) {
+  if (step.action === 'goto') {
+    await gotoAndWait(page, new URL(step.url, baseUrl).href, ready, { timeout });
+  } else if (step.action === 'click') {
+    await page.click(step.selector, { timeout });
+  } else if (step.action === 'fill') {
+    await page.fill(step.selector, step.value, { timeout });
+  } else if (step.action === 'press' && step.selector) {
+    await page.press(step.selector, step.key, { timeout });
+  } else if (step.action === 'press') {
+    await page.keyboard.press(step.key);
+  } else if (step.action === 'waitFor') {
+    await page.waitForSelector(step.selector, { timeout });
+  }
+}
+
+module.exports = {
+  loadJourney,
+  normalizeJourney,
+  runJourney,
+  describeStep,
+};
+
+/**
+ * @typedef {Object} Journey
+ * @property {string} name - Journey name
+ * @property {JourneyStep[]} steps - Steps in order
+ */
+
+/**
+ * @typedef {Object} JourneyStep
+ * @property {'goto'|'click'|'fill'|'press'|'waitFor'} action - Action to perform
+ * @property {string} label - Label shown in prompts and reports
+ * @property {string} [url] - Target for goto (absolute or relative to the scan URL)
+ * @property {string} [selector] - Target element selector
+ * @property {string} [value] - Value for fill
+ * @property {string} [key] - Key for press
+ */
+
+/**
+ * @typedef {Object} JourneyResult
+ * @property {string} name - Journey name
+ * @property {boolean} completed - False when a step failed
+ * @property {Object[]} steps - Per-step url, error, consoleErrors, networkErrors, screenshot
+ */
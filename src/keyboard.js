@@ -0,0 +1,412 @@
+/**
+ * Keyboard Navigation Audit
+ *
+ * Tabs through the page with real key presses and records every focus stop
+ * (element, name and position). The sequence is checked for focus traps,
+ * focus without a visible indicator, interactive elements Tab never reaches
+ * and jumps that go against the reading order.
+ *
+ * Usage:
+ *   const { runKeyboardAudit } = require('./keyboard');
+ *   const { sequence, findings } = await runKeyboardAudit(page);
+ */
+
+const { annotateScreenshot } = require('./annotate');
+const { installDomHelpers } = require('./dom');
+
+/**
+ * Rule metadata, keyed by rule ID
+ */
+const RULES = {
+  'focus-trap': {
+    severity: 'critical',
+    wcag: ['2.1.2'],
+    title: 'Keyboard focus trap',
+    description:
+      'Tab keeps cycling through the same elements and never reaches the rest of the page.',
+    recommendation:
+      'Let Tab and Shift+Tab move focus out, or close the widget with Escape and restore focus.',
+  },
+  'focus-unreachable': {
+    severity: 'high',
+    wcag: ['2.1.1'],
+    title: 'Interactive element not reachable with Tab',
+    description: 'Keyboard users cannot reach or operate this control.',
+    recommendation:
+      'Use a native button/link/input, or add tabindex="0" and key handlers to the custom control.',
+  },
+  'focus-visible': {
+    severity: 'medium',
+    wcag: ['2.4.7'],
+    title: 'Focus is not visible',
+    description: 'Keyboard users cannot see where focus is.',
+    recommendation:
+      'Add a :focus-visible style (e.g. an outline) and keep focused elements on screen.',
+  },
+  'focus-order': {
+    severity: 'medium',
+    wcag: ['2.4.3'],
+    title: 'Focus order does not follow the layout',
+    description: 'Focus jumps against the visual reading order.',
+    recommendation:
+      'Match the DOM order to the visual order and avoid positive tabindex values or CSS reordering.',
+  },
+};
+
+// Tab presses before the audit stops (long pages are only partly audited)
+const MAX_TABS = 150;
+
+// Elements reported per rule before the rest are dropped
+const MAX_ELEMENTS_PER_RULE = 25;
+
+// The overlay is cut off here so it stays within provider image limits
+const MAX_OVERLAY_HEIGHT = 4000;
+
+const STOP_COLOR = [37, 99, 235];
+const PROBLEM_COLOR = [220, 38, 38];
+
+/**
+ * Tab through the page and check the focus sequence
+ *
+ * Focus and scroll position are reset afterwards so later screenshots are unaffected.
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} [options]
+ * @param {number} [options.maxTabs=150] - Maximum Tab presses
+ * @returns {Promise<KeyboardAudit>}
+ */
+async function runKeyboardAudit(page, { maxTabs = MAX_TABS } = {}) {
+  await page.evaluate(resetFocusInPage, true);
+
+  const sequence = [];
+  let status = 'truncated';
+  let trap = null;
+
+  for (let i = 0; i < maxTabs; i++) {
+    await page.keyboard.press('Tab');
+    const { kind, seen, stop } = await page.evaluate(readFocusInPage);
+
+    // Focus left the document, or came back round to the first stop
+    if ((kind === 'left' && sequence.length > 0) || (kind === 'repeat' && seen === 0)) {
+      status = 'complete';
+      break;
+    }
+    if (kind === 'repeat') {
+      status = 'trapped';
+      trap = { from: seen, to: sequence.length - 1 };
+      break;
+    }
+    if (kind === 'stop') {
+      sequence.push({ index: sequence.length + 1, ...stop });
+    }
+  }
+
+  await installDomHelpers(page);
+  const raw = await page.evaluate(checkSequenceInPage, {
+    status,
+    trap,
+    maxPerRule: MAX_ELEMENTS_PER_RULE,
+  });
+  await page.evaluate(resetFocusInPage, false);
+
+  const findings = raw.map((result) => {
+    const rule = RULES[result.rule];
+    return {
+      rule: result.rule,
+      severity: rule.severity,
+      wcag: rule.wcag,
+      title: rule.title,
+      description: result.detail ? `${rule.description} ${result.detail}` : rule.description,
+      recommendation: rule.recommendation,
+      selector: result.selector,
+    };
+  });
+
+  return {
+    status,
+    tabs: sequence.length,
+    sequence: sequence.map((stop) => {
+      const problems = raw.filter((r) => r.stop === stop.index).map((r) => r.rule);
+      return { ...stop, ...(problems.length > 0 && { problems }) };
+    }),
+    findings,
+    rulesRun: Object.keys(RULES),
+  };
+}
+
+/**
+ * Screenshot the page with every focus stop numbered in tab order
+ * Stops with a problem are drawn in red.
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {KeyboardAudit} audit - Result of runKeyboardAudit()
+ * @returns {Promise<{buffer: Buffer, width: number, height: number}>} Annotated PNG and its
+ *   size in CSS pixels
+ */
+async function captureFocusOverlay(page, audit) {
+  const viewport = page.viewportSize();
+  /* eslint-disable no-undef */
+  const pageHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+  /* eslint-enable no-undef */
+  const height = Math.min(pageHeight, MAX_OVERLAY_HEIGHT);
+  const buffer = await page.screenshot({
+    fullPage: true,
+    clip: { x: 0, y: 0, width: viewport.width, height },
+  });
+
+  const marks = audit.sequence
+    .filter((stop) => stop.box)
+    .map((stop) => ({
+      number: stop.index,
+      color: stop.problems ? PROBLEM_COLOR : STOP_COLOR,
+      box: stop.box,
+    }));
+  return {
+    buffer: annotateScreenshot(buffer, marks, viewport.width),
+    width: viewport.width,
+    height,
+  };
+}
+
+/* eslint-disable no-undef */
+/**
+ * Blur the focused element and scroll to the top
+ * The first call starts the registry of focus stops; the second removes it.
+ */
+function resetFocusInPage(start) {
+  let active = document.activeElement;
+  while (active?.shadowRoot?.activeElement) active = active.shadowRoot.activeElement;
+  if (active && active !== document.body) active.blur();
+  window.scrollTo(0, 0);
+
+  if (start) {
+    window.__qaFocusStops = [];
+  } else {
+    delete window.__qaFocusStops;
+  }
+}
+
+/**
+ * Evaluated in the browser after each Tab. Records the newly focused element.
+ * Returns { kind: 'left' } when focus is on the document itself, { kind: 'repeat', seen }
+ * when the element was already visited (seen = its 0-based position), { kind: 'inside' }
+ * while Tab moves within an iframe, or { kind: 'stop', stop } for a new stop.
+ */
+function readFocusInPage() {
+  const stops = window.__qaFocusStops;
+
+  let el = document.activeElement;
+  while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+
+  const previous = stops[stops.length - 1];
+  if (previous && previous.el !== el) {
+    // The previous stop is now blurred: compare its look with and without focus
+    previous.unfocusedStyle = focusStyle(previous.el);
+  }
+
+  if (!el || el === document.body || el === document.documentElement) {
+    return { kind: 'left' };
+  }
+
+  const seen = stops.findIndex((s) => s.el === el);
+  // Tab moves inside an iframe without changing the focused element here
+  if (el.tagName === 'IFRAME' && seen !== -1 && seen === stops.length - 1) {
+    return { kind: 'inside' };
+  }
+  if (seen !== -1) {
+    return { kind: 'repeat', seen };
+  }
+
+  const rect = el.getBoundingClientRect();
+  const style = getComputedStyle(el);
+  const onScreen =
+    rect.width > 0 &&
+    rect.height > 0 &&
+    style.visibility !== 'hidden' &&
+    Number(style.opacity) > 0 &&
+    rect.right > 0 &&
+    rect.bottom + window.scrollY > 0 &&
+    rect.left < document.documentElement.scrollWidth;
+
+  stops.push({ el, focusedStyle: focusStyle(el), onScreen });
+
+  // Input values are left out: they may hold what a login recipe typed
+  const buttonValue = el.tagName === 'INPUT' && ['submit', 'button', 'reset'].includes(el.type);
+  const name = (
+    el.getAttribute('aria-label') ||
+    el.innerText ||
+    el.getAttribute('alt') ||
+    (buttonValue ? el.value : '') ||
+    el.getAttribute('placeholder') ||
+    el.getAttribute('title') ||
+    ''
+  )
+    .trim()
+    .replace(/\s+/g, ' ')
+    .slice(0, 60);
+
+  const box = {
+    x: Math.round(rect.x + window.scrollX),
+    y: Math.round(rect.y + window.scrollY),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+  };
+
+  return {
+    kind: 'stop',
+    stop: {
+      tag: el.tagName.toLowerCase(),
+      ...(el.getAttribute('role') && { role: el.getAttribute('role') }),
+      name,
+      ...(el.tabIndex > 0 && { tabindex: el.tabIndex }),
+      box: onScreen ? box : null,
+    },
+  };
+
+  // Styles that typically carry a focus indicator, on the element and its parent (focus-within)
+  function focusStyle(target) {
+    return [target, target.parentElement]
+      .filter(Boolean)
+      .map((node) => {
+        const s = getComputedStyle(node);
+        return [
+          s.outlineStyle,
+          s.outlineWidth,
+          s.outlineColor,
+          s.boxShadow,
+          s.borderColor,
+          s.backgroundColor,
+          s.color,
+          s.textDecorationLine,
+        ].join('|');
+      })
+      .join('/');
+  }
+}
+
+/**
+ * Evaluated in the browser once tabbing stops. Returns raw
+ * { rule, selector, detail, stop } results for the recorded stops.
+ */
+function checkSequenceInPage({ status, trap, maxPerRule }) {
+  const { getSelector, isVisible } = window.__qaiDom;
+  const stops = window.__qaFocusStops;
+  const results = [];
+  const counts = {};
+
+  function report(rule, el, detail, stop) {
+    counts[rule] = (counts[rule] || 0) + 1;
+    if (counts[rule] > maxPerRule) return;
+    results.push({ rule, selector: el ? getSelector(el) : null, detail, stop });
+  }
+
+  // focus-trap
+  if (status === 'trapped' && trap) {
+    const cycle = stops.slice(trap.from, trap.to + 1);
+    report(
+      'focus-trap',
+      cycle[0].el,
+      `Focus cycles through ${cycle.length} element(s) after stop ${trap.from + 1}.`,
+      trap.from + 1,
+    );
+  }
+
+  // focus-visible: the element is hidden, or nothing changes when it gains focus
+  stops.forEach((stop, i) => {
+    if (stop.el.tagName === 'IFRAME') return;
+    if (!stop.onScreen) {
+      report('focus-visible', stop.el, 'The focused element itself is hidden or zero-size.', i + 1);
+    } else if (stop.unfocusedStyle && stop.unfocusedStyle === stop.focusedStyle) {
+      report('focus-visible', stop.el, 'Its style does not change when focused.', i + 1);
+    }
+  });
+
+  // focus-order: positive tabindex, or a jump back up within the same column
+  for (let i = 1; i < stops.length; i++) {
+    const prev = stops[i - 1];
+    const next = stops[i];
+    if (next.el.tabIndex > 0) {
+      report(
+        'focus-order',
+        next.el,
+        `tabindex="${next.el.tabIndex}" overrides the document order.`,
+        i + 1,
+      );
+      continue;
+    }
+    if (!prev.onScreen || !next.onScreen) continue;
+    const a = prev.el.getBoundingClientRect();
+    const b = next.el.getBoundingClientRect();
+    const sameColumn = b.left < a.right && b.right > a.left;
+    if (b.bottom <= a.top && sameColumn) {
+      report(
+        'focus-order',
+        next.el,
+        `Focus moves up from stop ${i} to stop ${i + 1}, above the previous element.`,
+        i + 1,
+      );
+    }
+  }
+
+  // focus-unreachable: only meaningful once Tab has been all the way round
+  if (status === 'complete') {
+    const visited = new Set(stops.map((s) => s.el));
+    const COMPOSITE =
+      '[role=tablist], [role=menu], [role=menubar], [role=listbox], [role=radiogroup], ' +
+      '[role=tree], [role=grid], [role=toolbar]';
+    const INTERACTIVE =
+      'a[href], button, input:not([type=hidden]), select, textarea, summary, ' +
+      '[role=button], [role=link], [role=checkbox], [role=switch], [role=tab], ' +
+      '[role=menuitem], [contenteditable=true]';
+
+    document.querySelectorAll(INTERACTIVE).forEach((el) => {
+      if (visited.has(el) || el.disabled || el.closest('[inert], [aria-hidden=true]')) return;
+      if (!isVisible(el)) return;
+      // Radio groups and composite widgets are entered once, then navigated with arrow keys
+      if (el.type === 'radio' && el.name) {
+        const group = document.querySelectorAll(`input[type=radio][name="${CSS.escape(el.name)}"]`);
+        if ([...group].some((r) => visited.has(r))) return;
+      }
+      const composite = el.closest(COMPOSITE);
+      if (composite && [...visited].some((v) => composite.contains(v))) return;
+      // Focusable descendants count (e.g. a link wrapping a button)
+      if ([...visited].some((v) => el.contains(v) || v.contains(el))) return;
+
+      const reason =
+        el.tabIndex < 0
+          ? `tabindex="${el.getAttribute('tabindex') ?? '-1'}" removes it from the tab order.`
+          : '';
+      report('focus-unreachable', el, reason, null);
+    });
+  }
+
+  return results;
+}
+/* eslint-enable no-undef */
+
+module.exports = {
+  runKeyboardAudit,
+  captureFocusOverlay,
+  RULES,
+};
+
+/**
+ * @typedef {Object} FocusStop
+ * @property {number} index - 1-based position in the tab order
+ * @property {string} tag - Element tag name
+ * @property {string} [role] - Explicit ARIA role
+ * @property {string} name - Visible text or label (truncated)
+ * @property {number} [tabindex] - Positive tabindex, if set
+ * @property {{x: number, y: number, width: number, height: number}|null} box - Document
+ *   position when focused (null if the element was hidden)
+ * @property {string[]} [problems] - Rules this stop violated
+ */
+
+/**
+ * @typedef {Object} KeyboardAudit
+ * @property {'complete'|'trapped'|'truncated'} status - Whether Tab went all the way round
+ * @property {number} tabs - Number of focus stops recorded
+ * @property {FocusStop[]} sequence - Focus stops in tab order
+ * @property {import('./findings').Finding[]} findings - Keyboard findings
+ * @property {string[]} rulesRun - Rule IDs checked
+ */
@@ -0,0 +1,331 @@
+/**
+ * Link and Asset Checker
+ *
+ * Requests every link, image, script and stylesheet a page references and
+ * reports the ones that are broken, go through a chain of redirects or answer
+ * slowly, together with the element that references them. Only same-origin
+ * URLs are checked unless external checking is switched on.
+ *
+ * Requests go through the page's browser context, so cookies and auth headers
+ * of an authenticated scan apply. For the same reason links that look like
+ * logout or delete actions are never requested, and redirects are not followed
+ * into them.
+ *
+ * Usage:
+ *   const { runLinkCheck } = require('./links');
+ *   const { problems, findings } = await runLinkCheck(page, { external: true });
+ */
+
+const { installDomHelpers } = require('./dom');
+const { isUnsafeLink } = require('../scripts/page-utils');
+
+/**
+ * Rule metadata, keyed by rule ID
+ */
+const RULES = {
+  'broken-resource': {
+    severity: 'high',
+    title: 'Broken image, script or stylesheet',
+    description: 'A resource the page loads is missing or failing.',
+    recommendation: 'Fix the path or restore the file; remove the reference if it is obsolete.',
+  },
+  'broken-link': {
+    severity: 'medium',
+    title: 'Broken link',
+    description: 'A link on the page leads to an error.',
+    recommendation: 'Point the link at the current URL, or add a redirect from the old one.',
+  },
+  'redirect-chain': {
+    severity: 'low',
+    title: 'Redirect chain',
+    description: 'A reference goes through several redirects before it resolves.',
+    recommendation: 'Reference the final URL directly; each hop adds a round trip.',
+  },
+  'slow-link': {
+    severity: 'low',
+    title: 'Slow link or resource',
+    description: 'A referenced URL took a long time to answer.',
+    recommendation: 'Check the server or CDN behind it, or lazy-load it if it is not critical.',
+  },
+};
+
+// Concurrent requests while checking
+const DEFAULT_CONCURRENCY = 5;
+
+// Unique URLs checked per page
+const MAX_URLS = 200;
+
+// Redirects followed before a URL counts as broken
+const MAX_REDIRECTS = 10;
+
+// Hops after which a redirect chain is reported
+const CHAIN_LENGTH = 2;
+
+// Same threshold as slow requests in the network log
+const SLOW_MS = 3000;
+
+// Servers that refuse HEAD get a GET instead
+const HEAD_REFUSED = [403, 405, 501];
+
+/**
+ * Check the links and assets referenced by a page
+ *
+ * @param {import('playwright').Page} page - Loaded page
+ * @param {Object} [options]
+ * @param {boolean} [options.external=false] - Also check URLs on other origins
+ * @param {number} [options.concurrency=5] - Requests in flight at once
+ * @param {number} [options.timeout=15000] - Timeout per request in ms
+ * @param {Map<string, Promise<Object>>} [options.cache] - Results shared between pages of a crawl
+ * @returns {Promise<LinkCheckResult>}
+ */
+async function runLinkCheck(page, options = {}) {
+  const {
+    external = false,
+    concurrency = DEFAULT_CONCURRENCY,
+    timeout = 15000,
+    cache = new Map(),
+  } = options;
+
+  const pageUrl = page.url();
+  const origin = new URL(pageUrl).origin;
+  await installDomHelpers(page);
+  const references = await page.evaluate(collectReferencesInPage);
+
+  // One request per URL; the first references are kept to point at
+  const byUrl = new Map();
+  let skipped = 0;
+  const unsafe = new Set();
+  for (const reference of references) {
+    let url;
+    try {
+      url = new URL(reference.url);
+    } catch {
+      continue;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) continue;
+    if (!external && url.origin !== origin) continue;
+    url.hash = '';
+    if (isUnsafeLink(url.href)) {
+      unsafe.add(url.href);
+      continue;
+    }
+
+    if (!byUrl.has(url.href)) {
+      if (byUrl.size >= MAX_URLS) {
+        skipped++;
+        continue;
+      }
+      byUrl.set(url.href, { kind: reference.kind, references: [] });
+    }
+    const entry = byUrl.get(url.href);
+    // A URL used as a resource anywhere is judged as one
+    if (reference.kind !== 'link') entry.kind = reference.kind;
+    if (entry.references.length < 5) {
+      entry.references.push({ kind: reference.kind, selector: reference.selector });
+    }
+  }
+
+  const urls = [...byUrl.keys()];
+  const results = await mapWithConcurrency(urls, concurrency, (url) => {
+    if (!cache.has(url)) {
+      cache.set(url, checkUrl(page.context().request, url, { timeout }));
+    }
+    return cache.get(url);
+  });
+
+  const problems = [];
+  const findings = [];
+  for (const [index, url] of urls.entries()) {
+    const result = results[index];
+    const { kind, references: refs } = byUrl.get(url);
+    const broken = Boolean(result.error) || result.status >= 400;
+    const chain = result.redirects.length >= CHAIN_LENGTH;
+    const slow = result.duration > SLOW_MS;
+    if (!broken && !chain && !slow) continue;
+
+    problems.push({ ...result, kind, page: pageUrl, references: refs });
+
+    const outcome = result.error || `HTTP ${result.status}`;
+    if (broken) {
+      const rule = kind === 'link' ? 'broken-link' : 'broken-resource';
+      findings.push(toFinding(rule, refs[0], `${url} failed (${outcome}).`));
+    }
+    if (chain) {
+      const hops = [...result.redirects.map((r) => `${r.url} (${r.status})`), result.finalUrl];
+      findings.push(
+        toFinding(
+          'redirect-chain',
+          refs[0],
+          `${result.redirects.length} hops: ${hops.join(' -> ')}`,
+        ),
+      );
+    }
+    if (slow) {
+      findings.push(toFinding('slow-link', refs[0], `${url} took ${result.duration}ms.`));
+    }
+  }
+
+  return {
+    page: pageUrl,
+    checked: urls.length,
+    references: references.length,
+    ...(skipped > 0 && { skipped }),
+    ...(unsafe.size > 0 && { unsafe: [...unsafe] }),
+    external,
+    problems,
+    findings,
+    rulesRun: Object.keys(RULES),
+  };
+}
+
+/**
+ * Request a URL without following redirects automatically, so every hop is recorded
+ * A redirect into a logout or delete URL ends the check at that hop
+ */
+async function checkUrl(request, url, { timeout }) {
+  const start = Date.now();
+  const redirects = [];
+  let current = url;
+
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      let response = await request.head(current, { maxRedirects: 0, timeout });
+      if (HEAD_REFUSED.includes(response.status())) {
+        await response.dispose();
+        response = await request.get(current, { maxRedirects: 0, timeout });
+      }
+      const status = response.status();
+      const location = response.headers().location;
+      await response.dispose();
+
+      if (status >= 300 && status < 400 && location) {
+        const next = new URL(location, current).href;
+        if (isUnsafeLink(next)) {
+          return { url, status, finalUrl: current, redirects, duration: Date.now() - start };
+        }
+        redirects.push({ url: current, status });
+        current = next;
+        continue;
+      }
+      return { url, status, finalUrl: current, redirects, duration: Date.now() - start };
+    }
+    throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+  } catch (error) {
+    return {
+      url,
+      status: null,
+      finalUrl: current,
+      redirects,
+      duration: Date.now() - start,
+      error: error.message.split('\n')[0].replace(/^apiRequestContext\.\w+: /, ''),
+    };
+  }
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Short description of what is wrong with a URL, e.g. "404, 2 redirects (301, 302)"
+ *
+ * @param {LinkProblem} problem - Problem from runLinkCheck()
+ * @returns {string}
+ */
+function describeLinkProblem(problem) {
+  const parts = [];
+  if (problem.error) {
+    parts.push(problem.error);
+  } else if (problem.status >= 400) {
+    parts.push(`HTTP ${problem.status}`);
+  }
+  if (problem.redirects.length > 0) {
+    const statuses = problem.redirects.map((r) => r.status).join(', ');
+    parts.push(`${problem.redirects.length} redirects (${statuses}) to ${problem.finalUrl}`);
+  }
+  if (problem.duration > SLOW_MS) {
+    parts.push(`slow (${problem.duration} ms)`);
+  }
+  return parts.join(', ');
+}
+
+function toFinding(rule, reference, detail) {
+  const meta = RULES[rule];
+  return {
+    rule,
+    severity: meta.severity,
+    title: meta.title,
+    description: `${meta.description} ${detail}`,
+    recommendation: meta.recommendation,
+    selector: reference?.selector || null,
+  };
+}
+
+/* eslint-disable no-undef */
+/**
+ * Evaluated in the browser. Lists the absolute URLs of links, images, scripts
+ * and stylesheets with a selector for the referencing element.
+ */
+function collectReferencesInPage() {
+  const { getSelector } = window.__qaiDom;
+  const SOURCES = [
+    ['a[href]', 'link', (el) => el.href],
+    ['img[src]', 'image', (el) => el.currentSrc || el.src],
+    ['script[src]', 'script', (el) => el.src],
+    ['link[rel~="stylesheet"][href]', 'stylesheet', (el) => el.href],
+  ];
+
+  const references = [];
+  for (const [selector, kind, getUrl] of SOURCES) {
+    for (const el of document.querySelectorAll(selector)) {
+      const url = getUrl(el);
+      if (url) references.push({ url, kind, selector: getSelector(el) });
+    }
+  }
+  return references;
+}
+/* eslint-enable no-undef */
+
+module.exports = {
+  runLinkCheck,
+  describeLinkProblem,
+  RULES,
+};
+
+/**
+ * @typedef {Object} LinkProblem
+ * @property {string} url - Referenced URL
+ * @property {'link'|'image'|'script'|'stylesheet'} kind - What references it
+ * @property {number|null} status - Final HTTP status (null on network errors)
+ * @property {string} finalUrl - Where the redirects ended
+ * @property {{url: string, status: number}[]} redirects - Redirect hops in order
+ * @property {number} duration - Time for all hops in ms
+ * @property {string} [error] - Network error or redirect loop
+ * @property {string} page - Page that references the URL
+ * @property {{kind: string, selector: string}[]} references - Referencing elements (up to 5)
+ */
+
+/**
+ * @typedef {Object} LinkCheckResult
+ * @property {string} page - Page that was checked
+ * @property {number} checked - Unique URLs requested
+ * @property {number} references - References found on the page
+ * @property {number} [skipped] - URLs over the per-page limit
+ * @property {string[]} [unsafe] - Logout/delete-looking URLs that were not requested
+ * @property {boolean} external - Whether other origins were checked
+ * @property {LinkProblem[]} problems - Broken, redirect-chained or slow URLs
+ * @property {import('./findings').Finding[]} findings - Link findings
+ * @property {string[]} rulesRun - Rule IDs checked
+ */
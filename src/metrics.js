@@ -0,0 +1,240 @@
+/**
+ * Performance Metrics
+ *
+ * Collects Core Web Vitals and page weight from the browser's Performance
+ * APIs: LCP, CLS, INP and TBT proxies, TTFB, FCP, DOM size and transfer
+ * sizes per resource type.
+ *
+ * Usage:
+ *   await installMetricsObserver(page); // before navigation
+ *   await page.goto(url);
+ *   const metrics = await collectMetrics(page);
+ */
+
+/**
+ * Core Web Vitals thresholds: [good, poor] (values in between need improvement)
+ */
+const THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+  tbt: [200, 600],
+  fcp: [1800, 3000],
+  ttfb: [800, 1800],
+};
+
+/* eslint-disable no-undef */
+/**
+ * Init script that records long tasks and event timings from page start.
+ * LCP and CLS are read later from buffered entries, so they also work on
+ * pages that were loaded before qai attached (library mode).
+ */
+function metricsInitScript() {
+  const store = { longTasks: [], maxEventDuration: null };
+  window.__qaiMetrics = store;
+
+  try {
+    new PerformanceObserver((list) => {
+      for (const entry of list.getEntries()) {
+        store.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+      }
+    }).observe({ type: 'longtask', buffered: true });
+  } catch {
+    // longtask is Chromium-only; without it TBT is unknown, not zero
+    store.longTasks = null;
+  }
+
+  try {
+    new PerformanceObserver((list) => {
+      for (const entry of list.getEntries()) {
+        if (entry.interactionId) {
+          store.maxEventDuration = Math.max(store.maxEventDuration || 0, entry.duration);
+        }
+      }
+    }).observe({ type: 'event', buffered: true, durationThreshold: 16 });
+  } catch {
+    // Event Timing is not available in every engine
+  }
+}
+
+/**
+ * Evaluated in the browser. Reads navigation, paint, LCP, CLS and resource entries.
+ */
+async function readMetricsInPage() {
+  const readBuffered = (type) =>
+    new Promise((resolve) => {
+      const entries = [];
+      let observer;
+      try {
+        observer = new PerformanceObserver((list) => entries.push(...list.getEntries()));
+        observer.observe({ type, buffered: true });
+      } catch {
+        resolve([]);
+        return;
+      }
+      setTimeout(() => {
+        entries.push(...observer.takeRecords());
+        observer.disconnect();
+        resolve(entries);
+      }, 100);
+    });
+
+  const round = (value) => (typeof value === 'number' ? Math.round(value) : null);
+
+  const nav = performance.getEntriesByType('navigation')[0];
+  const fcpEntry = performance.getEntriesByName('first-contentful-paint')[0];
+  const lcpEntries = await readBuffered('largest-contentful-paint');
+  const shifts = await readBuffered('layout-shift');
+
+  // CLS: largest session window (shifts < 1s apart, window capped at 5s)
+  let cls = 0;
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let previousTime = 0;
+  for (const shift of shifts) {
+    if (shift.hadRecentInput) continue;
+    if (
+      sessionValue > 0 &&
+      shift.startTime - previousTime < 1000 &&
+      shift.startTime - sessionStart < 5000
+    ) {
+      sessionValue += shift.value;
+    } else {
+      sessionValue = shift.value;
+      sessionStart = shift.startTime;
+    }
+    previousTime = shift.startTime;
+    cls = Math.max(cls, sessionValue);
+  }
+
+  // TBT: blocking time of long tasks after first contentful paint
+  const store = window.__qaiMetrics;
+  let tbt = null;
+  if (store && store.longTasks) {
+    const fcpTime = fcpEntry ? fcpEntry.startTime : 0;
+    tbt = store.longTasks
+      .filter((task) => task.startTime >= fcpTime)
+      .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+  }
+
+  const resources = {};
+  let transferSize = nav ? nav.transferSize || 0 : 0;
+  const entries = performance.getEntriesByType('resource');
+  for (const entry of entries) {
+    const type = classifyResource(entry);
+    resources[type] = resources[type] || { count: 0, transferSize: 0 };
+    resources[type].count++;
+    resources[type].transferSize += entry.transferSize || 0;
+    transferSize += entry.transferSize || 0;
+  }
+
+  function classifyResource(entry) {
+    const url = entry.name.split('?')[0].toLowerCase();
+    if (/\.(woff2?|ttf|otf|eot)$/.test(url)) return 'font';
+    if (entry.initiatorType === 'script' || /\.m?js$/.test(url)) return 'script';
+    if (/\.css$/.test(url) || (entry.initiatorType === 'link' && /css/.test(url))) {
+      return 'stylesheet';
+    }
+    if (['img', 'image'].includes(entry.initiatorType)) return 'image';
+    if (/\.(png|jpe?g|gif|webp|avif|svg|ico)$/.test(url)) return 'image';
+    if (['fetch', 'xmlhttprequest', 'beacon'].includes(entry.initiatorType)) return 'xhr';
+    if (['video', 'audio'].includes(entry.initiatorType)) return 'media';
+    return 'other';
+  }
+
+  return {
+    ttfb: nav ? round(nav.responseStart) : null,
+    fcp: fcpEntry ? round(fcpEntry.startTime) : null,
+    lcp: lcpEntries.length > 0 ? round(lcpEntries[lcpEntries.length - 1].startTime) : null,
+    cls: Math.round(cls * 1000) / 1000,
+    tbt: round(tbt),
+    inp: store ? round(store.maxEventDuration) : null,
+    domContentLoaded: nav ? round(nav.domContentLoadedEventEnd) : null,
+    load: nav && nav.loadEventEnd > 0 ? round(nav.loadEventEnd) : null,
+    domNodes: document.getElementsByTagName('*').length,
+    requests: entries.length + 1,
+    transferSize,
+    resources,
+  };
+}
+/* eslint-enable no-undef */
+
+/**
+ * Start recording long tasks and interactions. Call before navigation.
+ *
+ * @param {import('playwright').Page|import('playwright').BrowserContext} target - Page or context
+ */
+async function installMetricsObserver(target) {
+  await target.addInitScript(metricsInitScript);
+}
+
+/**
+ * Collect performance metrics for the current page
+ *
+ * TBT and INP are only available when installMetricsObserver() ran before
+ * navigation; INP is null until the page has been interacted with.
+ * Transfer sizes are 0 for cross-origin resources without Timing-Allow-Origin.
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<PerformanceMetrics>}
+ */
+async function collectMetrics(page) {
+  return page.evaluate(readMetricsInPage);
+}
+
+/**
+ * Rate a metric against the Core Web Vitals thresholds
+ *
+ * @param {string} name - Metric name (lcp, cls, inp, tbt, fcp, ttfb)
+ * @param {number|null} value - Measured value
+ * @returns {'good'|'needs-improvement'|'poor'|null}
+ */
+function rateMetric(name, value) {
+  const threshold = THRESHOLDS[name];
+  if (!threshold || value === null || value === undefined) return null;
+  if (value <= threshold[0]) return 'good';
+  if (value <= threshold[1]) return 'needs-improvement';
+  return 'poor';
+}
+
+/**
+ * Format a metric value with its unit
+ */
+function formatMetric(name, value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (name === 'cls') return String(value);
+  if (name === 'transferSize') return formatBytes(value);
+  if (name === 'domNodes' || name === 'requests') return String(value);
+  return `${value} ms`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+module.exports = {
+  installMetricsObserver,
+  collectMetrics,
+  rateMetric,
+  formatMetric,
+  formatBytes,
+  THRESHOLDS,
+};
+
+/**
+ * @typedef {Object} PerformanceMetrics
+ * @property {number|null} ttfb - Time to first byte (ms)
+ * @property {number|null} fcp - First contentful paint (ms)
+ * @property {number|null} lcp - Largest contentful paint (ms)
+ * @property {number} cls - Cumulative layout shift (largest session window)
+ * @property {number|null} tbt - Total blocking time after FCP (ms), INP lab proxy
+ * @property {number|null} inp - Slowest interaction duration (ms), null without interactions
+ * @property {number|null} domContentLoaded - DOMContentLoaded end (ms)
+ * @property {number|null} load - Load event end (ms)
+ * @property {number} domNodes - Number of DOM elements
+ * @property {number} requests - Number of requests including the document
+ * @property {number} transferSize - Total bytes transferred
+ * @property {Object<string, {count: number, transferSize: number}>} resources - Per resource type
+ */
@@ -26,7 +26,7 @@ class AnthropicProvider extends BaseProvider {
       });
       content.push({
         type: 'text',
-        text: `[Screenshot: ${screenshot.viewport} - ${screenshot.width}x${screenshot.height}]`,
+        text: this.screenshotLabel(screenshot),
       });
     }
 
@@ -68,6 +68,23 @@ class AnthropicProvider extends BaseProvider {
       .join('\n');
   }
 
+  async nextAction(state) {
+    const prompt = this.buildExplorePrompt(state);
+
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: 1024,
+      messages: [{ role: 'user', content: prompt }],
+    });
+
+    const responseText = response.content
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('\n');
+
+    return this.parseResponse(responseText);
+  }
+
   async reviewCode(diff, context, options = {}) {
     const prompt = this.buildReviewPrompt(diff, context, options);
 
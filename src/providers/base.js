@@ -1,3 +1,8 @@
+const { rateMetric, formatMetric, formatBytes } = require('../metrics');
+const { formatConsoleEntry } = require('../../scripts/page-utils');
+const { summarizeThrottledLoad } = require('../throttle');
+const { summarizeAttempt } = require('../forms');
+
 /**
  * Base provider class - defines the interface for all LLM providers
  */
@@ -40,6 +45,23 @@ class BaseProvider {
     throw new Error('generateTests() must be implemented by subclass');
   }
 
+  /**
+   * Choose the next exploratory action from a page snapshot
+   * @param {Object} state - Page snapshot, action trail and errors (see buildExplorePrompt)
+   * @returns {Promise<Object>} Action ({ action, ref, text, url, reason, bug })
+   */
+  // eslint-disable-next-line no-unused-vars
+  async nextAction(state) {
+    throw new Error('nextAction() must be implemented by subclass');
+  }
+
+  /**
+   * Label sent alongside each screenshot image
+   */
+  screenshotLabel(screenshot) {
+    return `[Screenshot: ${describeScreenshot(screenshot)}]`;
+  }
+
   /**
    * Build the analysis prompt with focus-specific guidance
    */
@@ -49,35 +71,108 @@ class BaseProvider {
     const focusGuidance = FOCUS_PROMPTS[focus] || FOCUS_PROMPTS.all;
 
     const ariaSection = captureData.ariaSnapshot
-      ? `\n## ARIA / Accessibility Tree\n\`\`\`\n${captureData.ariaSnapshot}\n\`\`\``
+      ? '\n## ARIA Snapshot\nInteractive elements are tagged [ref=eN]. ' +
+        'Use these refs to say which element a bug is about.\n' +
+        captureData.ariaSnapshot
+      : '';
+    const refField = captureData.ariaSnapshot
+      ? '\n      "ref": "ref of the affected element from the ARIA snapshot, e.g. e12 (omit if none)",'
       : '';
 
     const domSection = captureData.domSummary ? `\n## DOM Summary\n${captureData.domSummary}` : '';
 
+    const rulesSection = captureData.accessibility?.findings.length
+      ? buildRulesSection('Automated Accessibility Checks', captureData.accessibility.findings)
+      : '';
+    const keyboardSection = captureData.keyboard ? buildKeyboardSection(captureData.keyboard) : '';
+    const formsSection = captureData.forms ? buildFormsSection(captureData.forms) : '';
+    const linksSection = captureData.links?.findings.length
+      ? buildRulesSection('Automated Link Checks', captureData.links.findings)
+      : '';
+    const seoSection = captureData.seo ? buildSeoSection(captureData.seo) : '';
+    const securitySection = captureData.security ? buildSecuritySection(captureData.security) : '';
+    const visualSection = captureData.visual ? buildVisualSection(captureData.visual) : '';
+    const checksSection = [
+      visualSection,
+      rulesSection,
+      keyboardSection,
+      linksSection,
+      formsSection,
+      seoSection,
+      securitySection,
+    ].join('');
+
+    const readiness = captureData.readiness;
+    const loadLine =
+      readiness && !readiness.ready
+        ? `\n- Load: not settled after ${readiness.loadTime}ms, ` +
+          `${readiness.pendingRequests.length} request(s) still pending. ` +
+          'Spinners or empty areas may be load timing, not bugs.'
+        : '';
+
+    // Detailed entries (with uncaught exceptions and locations) when the scan logged them
+    const consoleLines = captureData.console
+      ? captureData.console.errors.map((e) => `- ${formatConsoleEntry(e)}${formatOriginal(e)}`)
+      : captureData.consoleErrors.map((e) => `- ${e}`);
+
+    const slowSection = captureData.network?.slow.length
+      ? `\n\n## Slow Requests (${captureData.network.slow.length})\n` +
+        captureData.network.slow.map((r) => `- ${r.url}: ${r.duration}ms`).join('\n')
+      : '';
+
+    const metricsSection = captureData.metrics ? buildMetricsSection(captureData.metrics) : '';
+    const throttlingSection = captureData.throttling?.length
+      ? buildThrottlingSection(captureData.throttling)
+      : '';
+
+    const changedScreenshots = (captureData.visual?.comparisons || []).filter((c) =>
+      ['failed', 'warning'].includes(c.status),
+    );
+    const visualField =
+      changedScreenshots.length > 0
+        ? '\n  "visualChanges": [\n    { "name": "comparison name, e.g. ' +
+          `${changedScreenshots[0].name}", "verdict": "intentional|regression", ` +
+          '"explanation": "What changed and why it looks intended or broken" }\n  ],'
+        : '';
+
+    const browsers = [...new Set(captureData.screenshots.map((s) => s.browser).filter(Boolean))];
+    const browsersField =
+      browsers.length > 1
+        ? `\n      "browsers": ["browsers where the bug shows: ${browsers.join(', ')}"],`
+        : '';
+
+    const emulationField = captureData.screenshots.some((s) => s.emulation)
+      ? '\n      "emulation": "emulated state the bug is limited to, e.g. dark mode (omit if all)",'
+      : '';
+
+    const journeySection = captureData.journey ? buildJourneySection(captureData.journey) : '';
+    const stepField = captureData.journey
+      ? '\n      "step": "number of the journey step that triggered the bug",'
+      : '';
+
+    // Optional bug fields, only asked for when the capture has what they refer to
+    const bugFields = [browsersField, emulationField, stepField, refField].join('');
+
     return `You are an expert QA engineer analyzing a webpage. Be concise and actionable. Report real issues only — do not invent problems.
 
 ## Page Information
 - URL: ${captureData.pageUrl}
-- Title: ${captureData.pageTitle}
+- Title: ${captureData.pageTitle}${loadLine}
 
 ## Console Errors (${captureData.consoleErrors.length})
-${
-  captureData.consoleErrors.length > 0
-    ? captureData.consoleErrors.map((e) => `- ${e}`).join('\n')
-    : 'None detected'
-}
+${consoleLines.length > 0 ? consoleLines.join('\n') : 'None detected'}
 
 ## Network Errors (${captureData.networkErrors.length})
 ${
   captureData.networkErrors.length > 0
     ? captureData.networkErrors.map((e) => `- ${e.url}: ${e.status} ${e.statusText}`).join('\n')
     : 'None detected'
-}
+}${slowSection}
 
 ## Screenshots Provided
-${captureData.screenshots.map((s) => `- ${s.viewport}: ${s.width}x${s.height}`).join('\n')}
+${captureData.screenshots.map((s) => `- ${describeScreenshot(s)}`).join('\n')}
 
-${ariaSection}${domSection}
+${ariaSection}${domSection}${metricsSection}${throttlingSection}${checksSection}${journeySection}
 
 ## Focus Area: ${focus}
 ${focusGuidance}
@@ -91,14 +186,16 @@ Report issues in this JSON format:
       "category": "visual|functional|accessibility|performance|console|network|responsive",
       "title": "Short description",
       "description": "Detailed explanation with specific element references",
-      "viewport": "which viewport (if applicable)",
+      "viewport": "which viewport (if applicable)",${bugFields}
+      "box": { "x": 0, "y": 0, "width": 0, "height": 0 },
       "recommendation": "How to fix"
     }
-  ],
+  ],${visualField}
   "score": 0-100,
   "recommendations": ["List of general improvements"]
 }
 
+Give "box" (pixels in that viewport's screenshot) only when no ref fits; omit it otherwise.
 Only report actual issues. If the page looks good, say so with an empty bugs array and a high score.
 Respond with ONLY the JSON, no markdown code blocks.`;
   }
@@ -128,6 +225,72 @@ Respond with ONLY the JSON, no markdown code blocks.`;
     }
   }
 
+  /**
+   * Build the exploratory testing prompt
+   */
+  buildExplorePrompt(state) {
+    const { url, title, snapshot, trail, newErrors, bugs, step, budget } = state;
+
+    const trailLines = trail.map(
+      (t) => `${t.step}. ${t.description} -> ${t.url}` + (t.error ? ` (FAILED: ${t.error})` : ''),
+    );
+    const trailSection =
+      trailLines.length > 0 ? trailLines.join('\n') : 'None yet - this is the starting page.';
+
+    const errorLines = [
+      ...newErrors.consoleErrors.map((e) => `- Console: ${e}`),
+      ...newErrors.networkErrors.map((e) => `- Network: ${e.url}: ${e.status || e.failure}`),
+    ];
+
+    const bugsSection =
+      bugs.length > 0 ? bugs.map((b) => `- ${b.title}`).join('\n') : 'None reported yet.';
+
+    const role =
+      'You are an expert QA engineer exploring a web application to find bugs. Act like a ' +
+      'curious, slightly adversarial user: open menus, submit forms with odd input, follow ' +
+      'flows to the end. Avoid destructive actions (deleting data, logging out, payments).';
+
+    const bugFormat =
+      'If the current page state or the errors above show a real problem caused by the ' +
+      'previous actions, set "bug" to:\n' +
+      '{ "severity": "critical|high|medium|low", ' +
+      '"category": "visual|functional|accessibility|console|network", ' +
+      '"title": "Short description", "description": "What is wrong", ' +
+      '"recommendation": "How to fix" }';
+
+    return `${role}
+
+## Current Page
+- URL: ${url}
+- Title: ${title}
+
+## Page Snapshot
+Interactive elements are tagged [ref=eN]. Refer to elements only by these refs.
+${snapshot}
+
+## Actions So Far (step ${step} of ${budget})
+${trailSection}
+
+## Errors After Last Action
+${errorLines.length > 0 ? errorLines.join('\n') : 'None detected'}
+
+## Bugs Already Reported
+${bugsSection}
+
+Choose ONE next action. Respond with ONLY this JSON (no code blocks):
+{
+  "action": "click|type|navigate|back|done",
+  "ref": "e12 (click and type only)",
+  "text": "text to type (type only)",
+  "url": "same-origin URL (navigate only)",
+  "reason": "Why this action is worth trying",
+  "bug": null
+}
+
+${bugFormat}
+Do not report a bug that is already listed. Use "done" when the app has been explored thoroughly.`;
+  }
+
   /**
    * Build the code review prompt
    */
@@ -217,6 +380,257 @@ Respond with ONLY this JSON (no code blocks):
   }
 }
 
+/**
+ * Viewport, size, emulated device and engine of a screenshot,
+ * e.g. "mobile - 375x667, webkit" or "Step 2: click \"#buy\" (desktop - 1920x1080)"
+ */
+function describeScreenshot(screenshot) {
+  const details = [
+    `${screenshot.width}x${screenshot.height}`,
+    screenshot.device,
+    screenshot.browser,
+    screenshot.emulation,
+  ]
+    .filter(Boolean)
+    .join(', ');
+  const size = `${screenshot.viewport} - ${details}`;
+  return screenshot.label ? `${screenshot.label} (${size})` : size;
+}
+
+/**
+ * Source line and original stack of an exception resolved through source maps
+ */
+function formatOriginal(entry) {
+  if (!entry.originalStack) return '';
+  const snippet = entry.originalLocation.snippet
+    ? `\n  Source: ${entry.originalLocation.snippet}`
+    : '';
+  const frames = entry.originalStack
+    .split('\n')
+    .filter((line) => /^\s*at /.test(line))
+    .slice(0, 5)
+    .map((line) => `\n  ${line.trim()}`);
+  return snippet + frames.join('');
+}
+
+/**
+ * List findings from the built-in rule checks so the model doesn't repeat them
+ */
+function buildRulesSection(heading, findings) {
+  const lines = [
+    `\n## ${heading}`,
+    'These were found by built-in rules and are already in the report. Do not report them again.',
+  ];
+
+  for (const finding of findings.slice(0, 40)) {
+    lines.push(
+      `- [${finding.rule}] ${finding.title}${finding.selector ? `: ${finding.selector}` : ''}`,
+    );
+  }
+  if (findings.length > 40) {
+    lines.push(`- ...and ${findings.length - 40} more`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * The recorded tab order (the focus-order screenshot numbers the same stops)
+ */
+function buildKeyboardSection(keyboard) {
+  const stops = keyboard.sequence.slice(0, 40).map((stop) => {
+    const name = stop.name ? ` "${stop.name}"` : '';
+    const problems = stop.problems ? ` [${stop.problems.join(', ')}]` : '';
+    return `${stop.index}. ${stop.role || stop.tag}${name}${problems}`;
+  });
+  if (keyboard.sequence.length > 40) {
+    stops.push(`...and ${keyboard.sequence.length - 40} more`);
+  }
+
+  const section =
+    `\n## Keyboard Navigation\nTab order (${keyboard.status}, ${keyboard.tabs} stops):\n` +
+    stops.join('\n');
+  return keyboard.findings.length > 0
+    ? `${section}\n${buildRulesSection('Automated Keyboard Checks', keyboard.findings)}`
+    : section;
+}
+
+/**
+ * What each fuzzed form did with every kind of input
+ */
+function buildFormsSection(forms) {
+  const lines = [
+    '\n## Form Fuzzing',
+    'Each form was reloaded, filled and submitted once per input case.',
+  ];
+  for (const [index, form] of forms.forms.entries()) {
+    lines.push(
+      `\n### Form ${index + 1}: "${form.name}" (${form.method} ${form.action || 'same page'})`,
+    );
+    lines.push(`Fields: ${form.fields.join(', ')}`);
+    for (const attempt of form.attempts) {
+      lines.push(`- ${attempt.label}: ${summarizeAttempt(attempt)}`);
+    }
+  }
+  for (const skipped of forms.skipped) {
+    lines.push(`- Skipped "${skipped.name}": ${skipped.reason}`);
+  }
+
+  const section = lines.join('\n');
+  return forms.findings.length > 0
+    ? `${section}\n${buildRulesSection('Automated Form Checks', forms.findings)}`
+    : section;
+}
+
+/**
+ * The head metadata and heading outline search engines see
+ */
+function buildSeoSection(seo) {
+  const { metadata } = seo;
+  const social = { ...metadata.openGraph, ...metadata.twitter };
+  const lines = [
+    '\n## SEO Metadata',
+    `- Title: ${metadata.title || '(none)'}`,
+    `- Description: ${metadata.description || '(none)'}`,
+    `- Canonical: ${metadata.canonicals.join(', ') || '(none)'}`,
+    `- Robots: ${metadata.robots || '(none)'}`,
+    `- Social tags: ${Object.keys(social).join(', ') || '(none)'}`,
+    `- hreflang: ${metadata.hreflang.map((h) => h.lang).join(', ') || '(none)'}`,
+    `- Structured data: ${metadata.structuredData.flatMap((d) => d.types).join(', ') || '(none)'}`,
+    'Heading outline:',
+    ...metadata.headings.map((h) => `${'  '.repeat(h.level - 1)}- h${h.level}: ${h.text}`),
+  ];
+  if (metadata.moreHeadings) {
+    lines.push(`- ...and ${metadata.moreHeadings} more`);
+  }
+
+  const section = lines.join('\n');
+  return seo.findings.length > 0
+    ? `${section}\n${buildRulesSection('Automated SEO Checks', seo.findings)}`
+    : section;
+}
+
+/**
+ * Response headers, cookies and script origins the security rules looked at
+ */
+function buildSecuritySection(security) {
+  const headers = Object.entries(security.document.headers).map(([name, value]) => {
+    return `- ${name}: ${value}`;
+  });
+  const origins = security.thirdPartyScripts.map((s) => s.origin);
+  const lines = [
+    '\n## Security',
+    `Headers of ${security.document.url}:`,
+    ...(headers.length > 0 ? headers : ['- (no security headers)']),
+    `Cookies: ${security.cookies.map((c) => c.name).join(', ') || '(none)'}`,
+    `Third-party script origins: ${origins.join(', ') || '(none)'}`,
+  ];
+
+  const section = lines.join('\n');
+  return security.findings.length > 0
+    ? `${section}\n${buildRulesSection('Automated Security Checks', security.findings)}`
+    : section;
+}
+
+/**
+ * Outcomes of the throttled and offline loads, whose screenshots are attached
+ */
+function buildThrottlingSection(loads) {
+  const lines = [
+    '\n## Throttled Loads',
+    'The page was loaded again under these conditions and screenshotted while loading ' +
+      '(screenshots labelled with the profile). Judge perceived performance: blank or ' +
+      'unstyled screens, missing skeletons or spinners, content jumping as it arrives, ' +
+      'and whether being offline is explained to the user.',
+  ];
+  for (const load of loads) {
+    lines.push(`- ${load.label}: ${summarizeThrottledLoad(load)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Screenshots that changed since the baseline; their baseline and diff images are attached
+ */
+function buildVisualSection(visual) {
+  const lines = [
+    '\n## Visual Regression',
+    'Viewport screenshots were compared with stored baselines. For every changed one the ' +
+      'baseline, a diff (changes in red, green where now darker) and close-ups of the largest changed regions ' +
+      'are attached next to the current screenshot. ' +
+      'Decide whether each change looks intentional (new content, a redesign) or like a ' +
+      'regression (broken layout, missing or overlapping elements, wrong styles), give a ' +
+      'verdict in "visualChanges" and report regressions as visual bugs. Magenta areas are ' +
+      'masked dynamic content (ads, carousels, timestamps); ignore them.',
+  ];
+  for (const comparison of visual.comparisons) {
+    const details = comparison.regions
+      ? ` (SSIM ${comparison.ssim}, ${comparison.regions.length} changed region(s): ` +
+        comparison.regions
+          .slice(0, 5)
+          .map((r) => `${r.width}x${r.height} at ${r.x},${r.y}`)
+          .join('; ') +
+        ')'
+      : '';
+    lines.push(`- ${comparison.name}: ${comparison.status} - ${comparison.message}${details}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Measured performance metrics, rated against the Core Web Vitals thresholds
+ */
+function buildMetricsSection(metrics) {
+  const lines = [
+    '\n## Performance Metrics (measured)',
+    'Lab measurements from this page load. Use them for performance findings instead of guessing from screenshots.',
+  ];
+
+  for (const name of ['ttfb', 'fcp', 'lcp', 'cls', 'tbt', 'inp']) {
+    const rating = rateMetric(name, metrics[name]);
+    lines.push(
+      `- ${name.toUpperCase()}: ${formatMetric(name, metrics[name])}${rating ? ` (${rating})` : ''}`,
+    );
+  }
+  lines.push(`- DOM nodes: ${metrics.domNodes}`);
+  lines.push(`- Requests: ${metrics.requests}, transferred: ${formatBytes(metrics.transferSize)}`);
+  for (const [type, usage] of Object.entries(metrics.resources)) {
+    lines.push(`  - ${type}: ${usage.count} requests, ${formatBytes(usage.transferSize)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Describe journey steps and the errors each one produced
+ */
+function buildJourneySection(journey) {
+  const lines = [
+    `\n## User Journey: ${journey.name}`,
+    'Screenshots labelled "Step N" were taken right after that step ran. ' +
+      'Attribute each bug to the step that triggered it.',
+  ];
+
+  for (const step of journey.steps) {
+    lines.push(`${step.step}. ${step.label} (now at ${step.url})`);
+    if (step.error) {
+      lines.push(`   - Step failed: ${step.error}`);
+    }
+    for (const error of step.consoleErrors) {
+      lines.push(`   - Console error: ${error}`);
+    }
+    for (const error of step.networkErrors) {
+      lines.push(`   - Network error: ${error.url}: ${error.status || error.failure}`);
+    }
+  }
+
+  if (!journey.completed) {
+    lines.push('The journey stopped early because a step failed.');
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Review focus areas
  */
@@ -277,9 +691,13 @@ const FOCUS_PROMPTS = {
 - Tab order between fields
 - Submit button states (disabled, loading, success, error)
 - Auto-fill compatibility
-- Mobile keyboard types (email, number, tel)`,
+- Mobile keyboard types (email, number, tel)
+- Fuzzing results: bad input accepted, missing or unclear error messages, long or unicode
+  text breaking the layout, and console or server errors after submitting`,
 
-  performance: `Focus on performance indicators visible in the page:
+  performance: `Focus on performance, using the measured metrics and what is visible in the page:
+- Core Web Vitals rated "needs-improvement" or "poor" (LCP, CLS, INP/TBT)
+- Heavy resource types (oversized scripts, images or fonts)
 - Lazy loading implementation
 - Image optimization (large uncompressed images)
 - Render-blocking resources
@@ -287,6 +705,21 @@ const FOCUS_PROMPTS = {
 - Loading states and skeletons
 - Excessive DOM elements
 - Console warnings about performance`,
+
+  seo: `Focus on search and sharing, using the extracted SEO metadata:
+- Whether the title and description match what the page visibly shows
+- Heading outline that skips levels or hides the main topic
+- Main content only rendered by client-side scripts or hidden behind interactions
+- Link text like "click here" and images without descriptive alt text
+- Social preview image and text that look wrong for the page
+- Canonical, hreflang or structured data that contradict the page content`,
+
+  security: `Focus on security issues visible in the browser, using the recorded headers:
+- Secrets, API keys, internal hostnames or stack traces in the page, console or errors
+- Password or payment forms that post to http:// or another site
+- Sensitive data (emails, tokens, IDs) in URLs that would leak through the referrer
+- Third-party scripts and iframes that look unexpected for the page
+- Login, reset or payment pages missing the protections other pages have`,
 };
 
 module.exports = BaseProvider;
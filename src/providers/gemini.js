@@ -24,7 +24,7 @@ class GeminiProvider extends BaseProvider {
         },
       });
       parts.push({
-        text: `[Screenshot: ${screenshot.viewport} - ${screenshot.width}x${screenshot.height}]`,
+        text: this.screenshotLabel(screenshot),
       });
     }
 
@@ -44,6 +44,17 @@ class GeminiProvider extends BaseProvider {
     return response.text();
   }
 
+  async nextAction(state) {
+    const prompt = this.buildExplorePrompt(state);
+    const model = this.genAI.getGenerativeModel({ model: this.model });
+
+    const result = await model.generateContent([{ text: prompt }]);
+    const response = await result.response;
+    const responseText = response.text();
+
+    return this.parseResponse(responseText);
+  }
+
   async reviewCode(diff, context, options = {}) {
     const prompt = this.buildReviewPrompt(diff, context, options);
     const model = this.genAI.getGenerativeModel({ model: this.model });
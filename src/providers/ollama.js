@@ -16,8 +16,7 @@ class OllamaProvider extends BaseProvider {
     // Build the full prompt with screenshot descriptions
     let fullPrompt = '';
     for (const screenshot of captureData.screenshots) {
-      const { viewport, width, height } = screenshot;
-      fullPrompt += `[Screenshot: ${viewport} - ${width}x${height}]\n`;
+      fullPrompt += `${this.screenshotLabel(screenshot)}\n`;
     }
     fullPrompt += '\n' + prompt;
 
@@ -64,6 +63,28 @@ class OllamaProvider extends BaseProvider {
     return data.response || '';
   }
 
+  async nextAction(state) {
+    const prompt = this.buildExplorePrompt(state);
+
+    const response = await fetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.model,
+        prompt,
+        stream: false,
+        options: { temperature: 0.1 },
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return this.parseResponse(data.response || '');
+  }
+
   async reviewCode(diff, context, options = {}) {
     const prompt = this.buildReviewPrompt(diff, context, options);
 
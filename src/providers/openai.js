@@ -25,7 +25,7 @@ class OpenAIProvider extends BaseProvider {
       });
       content.push({
         type: 'text',
-        text: `[Screenshot: ${screenshot.viewport} - ${screenshot.width}x${screenshot.height}]`,
+        text: this.screenshotLabel(screenshot),
       });
     }
 
@@ -59,6 +59,19 @@ class OpenAIProvider extends BaseProvider {
     return response.choices[0]?.message?.content || '';
   }
 
+  async nextAction(state) {
+    const prompt = this.buildExplorePrompt(state);
+
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      max_tokens: 1024,
+      messages: [{ role: 'user', content: prompt }],
+    });
+
+    const responseText = response.choices[0]?.message?.content || '';
+    return this.parseResponse(responseText);
+  }
+
   async reviewCode(diff, context, options = {}) {
     const prompt = this.buildReviewPrompt(diff, context, options);
 
@@ -0,0 +1,196 @@
+/**
+ * Page Readiness
+ *
+ * Decides when a page is loaded enough to capture. Shared by the scan and
+ * library capture paths.
+ *
+ * Strategies:
+ *   smart           - waitForPageReady(): network idle, ignoring ad/analytics
+ *                     traffic and slow images/fonts (default)
+ *   networkidle     - Playwright's networkidle (no requests for 500ms)
+ *   selector:<css>  - until an element matching the selector is visible
+ *   script:<file>   - a module exporting `async (page) => {}` (CLI)
+ *   function        - an `async (page) => {}` passed directly (library)
+ *
+ * Readiness never fails the scan: if the page doesn't settle in time the
+ * capture goes ahead and the still-pending requests are reported.
+ */
+
+const path = require('path');
+const { waitForPageReady, shouldIgnoreRequest } = require('../scripts/page-utils');
+
+/**
+ * Parse a readiness option
+ *
+ * @param {string|Function} [value='smart'] - Strategy name, `selector:<css>`,
+ *   `script:<file>` or a function
+ * @returns {Readiness}
+ */
+function parseReadiness(value = 'smart') {
+  if (typeof value === 'function') {
+    return { strategy: 'function', fn: value };
+  }
+  if (value.startsWith('selector:')) {
+    return { strategy: 'selector', selector: value.slice('selector:'.length) };
+  }
+  if (value.startsWith('script:')) {
+    const file = path.resolve(value.slice('script:'.length));
+    const fn = require(file);
+    if (typeof fn !== 'function') {
+      throw new Error(`Readiness script ${file} must export a function (page) => Promise`);
+    }
+    return { strategy: 'function', fn };
+  }
+  if (value !== 'smart' && value !== 'networkidle') {
+    throw new Error(
+      `Unknown readiness strategy: ${value}. ` +
+        'Use smart, networkidle, selector:<css> or script:<file>',
+    );
+  }
+  return { strategy: value };
+}
+
+/**
+ * Navigate to a URL and wait until it is ready
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} url - URL to open
+ * @param {Readiness} readiness - Parsed readiness strategy
+ * @param {Object} [options]
+ * @param {number} [options.timeout=30000] - Navigation and readiness timeout in ms
+ * @returns {Promise<ReadinessResult>}
+ */
+async function gotoAndWait(page, url, readiness, { timeout = 30000 } = {}) {
+  const startTime = Date.now();
+
+  // Wait only for the response so the readiness strategy sees every subresource request
+  await page.goto(url, { waitUntil: 'commit', timeout });
+  const result = await waitForReady(page, readiness, { timeout });
+
+  return { ...result, loadTime: Date.now() - startTime };
+}
+
+/**
+ * Wait until the current page is ready
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Readiness} readiness - Parsed readiness strategy
+ * @param {Object} [options]
+ * @param {number} [options.timeout=30000] - Readiness timeout in ms
+ * @returns {Promise<ReadinessResult>}
+ */
+async function waitForReady(page, readiness, { timeout = 30000 } = {}) {
+  const startTime = Date.now();
+
+  if (readiness.strategy === 'smart') {
+    const result = await waitForPageReady(page, { timeout });
+    return { strategy: 'smart', ...result };
+  }
+
+  const tracker = trackPendingRequests(page);
+  let error = null;
+  try {
+    await page.waitForLoadState('domcontentloaded', { timeout });
+    if (readiness.strategy === 'networkidle') {
+      await page.waitForLoadState('networkidle', { timeout });
+    } else if (readiness.strategy === 'selector') {
+      await page.waitForSelector(readiness.selector, { state: 'visible', timeout });
+    } else {
+      await withTimeout(readiness.fn(page), timeout);
+    }
+  } catch (err) {
+    error = err.message.split('\n')[0];
+  } finally {
+    tracker.stop();
+  }
+
+  const pendingRequests = tracker.pending();
+  return {
+    strategy: readiness.strategy,
+    ready: !error,
+    pendingRequests,
+    loadTime: Date.now() - startTime,
+    ...(error && { error }),
+  };
+}
+
+/**
+ * Bound a user readiness function by the same timeout as the other strategies
+ */
+async function withTimeout(promise, timeout) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Readiness function did not resolve within ${timeout}ms`)),
+      timeout,
+    );
+  });
+  try {
+    return await Promise.race([promise, expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Track requests still in flight, ignoring ad/analytics domains
+ */
+function trackPendingRequests(page) {
+  const pending = new Map();
+  const onRequest = (request) => {
+    if (!shouldIgnoreRequest(request.url())) pending.set(request, request.url());
+  };
+  const onDone = (request) => pending.delete(request);
+  const onResponse = (response) => pending.delete(response.request());
+
+  page.on('request', onRequest);
+  page.on('response', onResponse);
+  page.on('requestfailed', onDone);
+
+  return {
+    pending: () => Array.from(pending.values()),
+    stop() {
+      page.off('request', onRequest);
+      page.off('response', onResponse);
+      page.off('requestfailed', onDone);
+    },
+  };
+}
+
+/**
+ * Log a one-line readiness summary
+ */
+function logReadiness(result) {
+  if (result.ready) {
+    console.log(`Page ready (${result.strategy}) in ${result.loadTime}ms`);
+    return;
+  }
+  console.warn(
+    `Page not settled (${result.strategy}) after ${result.loadTime}ms, ` +
+      `${result.pendingRequests.length} request(s) still pending` +
+      (result.error ? `: ${result.error}` : ''),
+  );
+}
+
+module.exports = {
+  parseReadiness,
+  gotoAndWait,
+  waitForReady,
+  logReadiness,
+};
+
+/**
+ * @typedef {Object} Readiness
+ * @property {'smart'|'networkidle'|'selector'|'function'} strategy - Strategy name
+ * @property {string} [selector] - Selector for the selector strategy
+ * @property {Function} [fn] - Custom wait function (page) => Promise
+ */
+
+/**
+ * @typedef {Object} ReadinessResult
+ * @property {string} strategy - Strategy used
+ * @property {boolean} ready - False if the page did not settle before the timeout
+ * @property {string[]} pendingRequests - URLs still loading when capture started
+ * @property {number} loadTime - Time from navigation to ready in ms
+ * @property {string} [error] - Why the strategy did not complete (timeout, script error)
+ */
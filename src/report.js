@@ -0,0 +1,726 @@
+/**
+ * Scan Report Formatting
+ *
+ * Renders single-page and multi-page (crawl) scan reports as markdown.
+ */
+
+const { rateMetric, formatMetric, formatBytes } = require('./metrics');
+const { formatValue } = require('./budgets');
+const { formatLocation } = require('../scripts/page-utils');
+const { summarizeAttempt } = require('./forms');
+const { describeLinkProblem } = require('./links');
+const { summarizeThrottledLoad } = require('./throttle');
+
+const SEVERITY_EMOJI = {
+  critical: '🔴',
+  high: '🟠',
+  medium: '🟡',
+  low: '🟢',
+};
+
+const VISUAL_STATUS = {
+  passed: '✅ passed',
+  warning: '⚠️ minor',
+  failed: '❌ changed',
+  new: '🆕 new baseline',
+  updated: '🔄 baseline updated',
+};
+
+// Headers listed in the security section, in the order they are shown
+const SECURITY_HEADER_NAMES = [
+  'Content-Security-Policy',
+  'Strict-Transport-Security',
+  'X-Frame-Options',
+  'Referrer-Policy',
+  'X-Content-Type-Options',
+  'Permissions-Policy',
+];
+
+/**
+ * Format a single-page scan report as markdown
+ *
+ * @param {Object} report - Scan report with metadata
+ * @returns {string}
+ */
+function generateMarkdownReport(report) {
+  const lines = [];
+
+  lines.push('# QA Report');
+  lines.push('');
+  lines.push(`**URL:** ${report.metadata.url}`);
+  lines.push(`**Title:** ${report.metadata.title}`);
+  lines.push(`**Date:** ${report.metadata.timestamp}`);
+  lines.push(`**Duration:** ${report.metadata.duration}`);
+  if (report.metadata.browsers) {
+    lines.push(`**Browsers:** ${report.metadata.browsers.join(', ')}`);
+  }
+  lines.push(`**Score:** ${formatScore(report.score)}`);
+  lines.push('');
+
+  appendPageSections(lines, report, 2);
+
+  lines.push('---');
+  lines.push('*Generated by [qai](https://github.com/tyler-james-bridges/qai-cli)*');
+
+  return lines.join('\n');
+}
+
+/**
+ * Format an aggregated crawl report as markdown
+ *
+ * @param {Object} siteReport - Site report with metadata and per-page reports
+ * @returns {string}
+ */
+function generateSiteMarkdownReport(siteReport) {
+  const lines = [];
+
+  lines.push('# QA Site Report');
+  lines.push('');
+  lines.push(`**URL:** ${siteReport.metadata.url}`);
+  lines.push(`**Pages scanned:** ${siteReport.pages.length}`);
+  lines.push(`**Date:** ${siteReport.metadata.timestamp}`);
+  lines.push(`**Duration:** ${siteReport.metadata.duration}`);
+  lines.push(`**Site score:** ${formatScore(siteReport.score)}`);
+  lines.push('');
+
+  lines.push('## Pages');
+  lines.push('');
+  lines.push('| Page | Score | Bugs | Console errors | Network errors |');
+  lines.push('| ---- | ----- | ---- | -------------- | -------------- |');
+  for (const page of siteReport.pages) {
+    lines.push(
+      `| ${page.metadata.url} | ${formatScore(page.score)} | ${page.bugs?.length || 0} | ` +
+        `${page.metadata.consoleErrorCount} | ${page.metadata.networkErrorCount} |`,
+    );
+  }
+  lines.push('');
+
+  if (siteReport.failedPages?.length > 0) {
+    lines.push('## Failed Pages');
+    lines.push('');
+    lines.push('These pages could not be scanned:');
+    lines.push('');
+    for (const failed of siteReport.failedPages) {
+      lines.push(`- ${failed.url}: ${failed.error}`);
+    }
+    lines.push('');
+  }
+
+  for (const page of siteReport.pages) {
+    lines.push(`## ${page.metadata.title || page.metadata.url}`);
+    lines.push('');
+    lines.push(`**URL:** ${page.metadata.url}`);
+    lines.push(`**Score:** ${formatScore(page.score)}`);
+    lines.push('');
+    appendPageSections(lines, page, 3);
+  }
+
+  lines.push('---');
+  lines.push('*Generated by [qai](https://github.com/tyler-james-bridges/qai-cli)*');
+
+  return lines.join('\n');
+}
+
+/**
+ * Append the summary, bugs and error sections of one page report
+ *
+ * @param {string[]} lines - Markdown lines to append to
+ * @param {Object} report - Page report
+ * @param {number} level - Heading level for the sections
+ */
+function appendPageSections(lines, report, level) {
+  const h = '#'.repeat(level);
+
+  lines.push(`${h} Summary`);
+  lines.push('');
+  lines.push(report.summary || 'No summary provided.');
+  lines.push('');
+
+  lines.push(`${h} Bugs Found`);
+  lines.push('');
+
+  if (report.bugs?.length > 0) {
+    for (const [index, bug] of report.bugs.entries()) {
+      // Numbers match the boxes on the annotated screenshots
+      lines.push(`${h}# ${index + 1}. ${SEVERITY_EMOJI[bug.severity] || '⚪'} ${bug.title}`);
+      lines.push('');
+      lines.push(`**Severity:** ${bug.severity}`);
+      lines.push(`**Category:** ${bug.category}`);
+      if (bug.viewport) {
+        lines.push(`**Viewport:** ${bug.viewport}${bug.device ? ` (${bug.device})` : ''}`);
+      }
+      if (bug.browsers?.length > 0) {
+        lines.push(`**Browsers:** ${bug.browsers.join(', ')}`);
+      }
+      if (bug.emulation) {
+        lines.push(`**Emulation:** ${bug.emulation}`);
+      }
+      if (bug.wcag?.length > 0) {
+        lines.push(`**WCAG:** ${bug.wcag.join(', ')}`);
+      }
+      if (bug.ref) {
+        lines.push(`**Element:** ${bug.element ? `${bug.element} ` : ''}(\`${bug.ref}\`)`);
+      }
+      if (bug.selectors?.length > 0) {
+        lines.push(`**Elements:** ${bug.selectors.map((s) => `\`${s}\``).join(', ')}`);
+      }
+      if (bug.step) {
+        const step = report.journey?.steps.find((s) => String(s.step) === String(bug.step));
+        lines.push(`**Step:** ${bug.step}${step ? ` (${step.label})` : ''}`);
+      }
+      lines.push('');
+      lines.push(bug.description);
+      lines.push('');
+      if (bug.recommendation) {
+        lines.push(`**Recommendation:** ${bug.recommendation}`);
+        lines.push('');
+      }
+    }
+  } else {
+    lines.push('No bugs found.');
+    lines.push('');
+  }
+
+  if (report.annotatedScreenshots?.length > 0) {
+    lines.push(`${h} Annotated Screenshots`);
+    lines.push('');
+    for (const shot of report.annotatedScreenshots) {
+      lines.push(`**${shot.viewport}** — bugs ${shot.bugs.join(', ')}`);
+      lines.push('');
+      lines.push(`![${shot.viewport} with bugs marked](${shot.path})`);
+      lines.push('');
+    }
+  }
+
+  if (report.accessibility) {
+    const { findings, rulesRun } = report.accessibility;
+    lines.push(`${h} Accessibility Audit`);
+    lines.push('');
+    lines.push(
+      `${rulesRun.length} rules checked, ${findings.length} violations` +
+        (findings.length > 0 ? ':' : '.'),
+    );
+    lines.push('');
+    if (findings.length > 0) {
+      lines.push('| Rule | WCAG | Severity | Element |');
+      lines.push('| ---- | ---- | -------- | ------- |');
+      for (const finding of findings) {
+        lines.push(
+          `| ${finding.rule} | ${finding.wcag.join(', ')} | ${finding.severity} | ` +
+            `${finding.selector ? `\`${finding.selector}\`` : 'page'} |`,
+        );
+      }
+      lines.push('');
+    }
+  }
+
+  if (report.keyboard) {
+    const { status, tabs, sequence, findings, overlay } = report.keyboard;
+    const outcome = {
+      complete: 'Tab went all the way round the page',
+      trapped: 'Tab got stuck in a focus trap',
+      truncated: 'The Tab limit was reached before the end of the page',
+    }[status];
+    lines.push(`${h} Keyboard Navigation`);
+    lines.push('');
+    lines.push(
+      `${outcome} (${tabs} focus stops, ${findings.length} ` +
+        `${findings.length === 1 ? 'problem' : 'problems'}).`,
+    );
+    lines.push('');
+    if (overlay) {
+      lines.push(`![Focus order](${overlay})`);
+      lines.push('');
+    }
+    if (sequence.length > 0) {
+      lines.push('| # | Element | Problems |');
+      lines.push('| - | ------- | -------- |');
+      for (const stop of sequence) {
+        const element = `${stop.role || stop.tag}${stop.name ? ` "${stop.name}"` : ''}`;
+        lines.push(
+          `| ${stop.index} | ${element.replace(/\|/g, '\\|')} | ` +
+            `${(stop.problems || []).join(', ')} |`,
+        );
+      }
+      lines.push('');
+    }
+  }
+
+  if (report.links) {
+    const { checked, references, skipped, unsafe, external, problems } = report.links;
+    lines.push(`${h} Link Check`);
+    lines.push('');
+    lines.push(
+      `${checked} ${external ? '' : 'same-origin '}URLs checked from ${references} references` +
+        `${skipped ? ` (${skipped} more not checked)` : ''}, ${problems.length} with problems` +
+        (problems.length > 0 ? ':' : '.'),
+    );
+    lines.push('');
+    if (unsafe) {
+      lines.push(
+        `Not requested because they look like logout or delete links: ${unsafe.join(', ')}`,
+      );
+      lines.push('');
+    }
+    if (problems.length > 0) {
+      lines.push('| URL | Problem | Referenced by |');
+      lines.push('| --- | ------- | ------------- |');
+      for (const problem of problems) {
+        const elements = problem.references.map((r) => `\`${r.selector}\``).join(', ');
+        lines.push(`| ${problem.url} | ${describeLinkProblem(problem)} | ${elements} |`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (report.forms) {
+    const { forms, skipped } = report.forms;
+    lines.push(`${h} Form Fuzzing`);
+    lines.push('');
+    if (forms.length === 0) {
+      lines.push('No forms were fuzzed.');
+      lines.push('');
+    }
+    for (const form of forms) {
+      lines.push(`**${form.name}** — ${form.method} ${form.action || '(same page)'}`);
+      lines.push('');
+      lines.push('| Input | Result |');
+      lines.push('| ----- | ------ |');
+      for (const attempt of form.attempts) {
+        lines.push(`| ${attempt.label} | ${summarizeAttempt(attempt).replace(/\|/g, '\\|')} |`);
+      }
+      lines.push('');
+    }
+    if (skipped.length > 0) {
+      lines.push('Skipped:');
+      lines.push('');
+      for (const form of skipped) {
+        lines.push(`- ${form.name}: ${form.reason}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (report.seo) {
+    const { metadata } = report.seo;
+    const cell = (value) => (value ? String(value).replace(/\|/g, '\\|') : '—');
+    const social = { ...metadata.openGraph, ...metadata.twitter };
+    const structured = metadata.structuredData.map((d) =>
+      d.error ? `invalid (${d.error})` : d.types.join(', '),
+    );
+    lines.push(`${h} SEO`);
+    lines.push('');
+    lines.push('| Tag | Value |');
+    lines.push('| --- | ----- |');
+    lines.push(`| Title | ${cell(metadata.title)} |`);
+    lines.push(`| Description | ${cell(metadata.description)} |`);
+    lines.push(`| Canonical | ${cell(metadata.canonicals.join(', '))} |`);
+    lines.push(`| Robots | ${cell(metadata.robots)} |`);
+    for (const [name, value] of Object.entries(social)) {
+      lines.push(`| ${name} | ${cell(value)} |`);
+    }
+    for (const { lang, href } of metadata.hreflang) {
+      lines.push(`| hreflang ${cell(lang)} | ${cell(href)} |`);
+    }
+    lines.push(`| Structured data | ${cell(structured.join('; '))} |`);
+    lines.push('');
+    if (metadata.headings.length > 0) {
+      lines.push('Heading outline:');
+      lines.push('');
+      for (const heading of metadata.headings) {
+        lines.push(`${'  '.repeat(heading.level - 1)}- h${heading.level} ${heading.text}`);
+      }
+      if (metadata.moreHeadings) {
+        lines.push(`- ...and ${metadata.moreHeadings} more`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (report.security) {
+    const { document: mainDocument, cookies, mixedContent, thirdPartyScripts } = report.security;
+    const flag = (value) => (value ? 'yes' : '**no**');
+    lines.push(`${h} Security`);
+    lines.push('');
+    lines.push(`Headers of ${mainDocument.url}:`);
+    lines.push('');
+    lines.push('| Header | Value |');
+    lines.push('| ------ | ----- |');
+    for (const name of SECURITY_HEADER_NAMES) {
+      const value = mainDocument.headers[name.toLowerCase()];
+      lines.push(`| ${name} | ${value ? value.replace(/\|/g, '\\|') : '**missing**'} |`);
+    }
+    lines.push('');
+    if (cookies.length > 0) {
+      lines.push('| Cookie | Secure | HttpOnly | SameSite | Set by |');
+      lines.push('| ------ | ------ | -------- | -------- | ------ |');
+      for (const cookie of cookies) {
+        lines.push(
+          `| ${cookie.name} | ${flag(cookie.secure)} | ${flag(cookie.httpOnly)} | ` +
+            `${cookie.sameSite || '**missing**'} | ${cookie.url} |`,
+        );
+      }
+      lines.push('');
+    }
+    if (mixedContent.length > 0) {
+      lines.push('Loaded over http://:');
+      lines.push('');
+      for (const resource of mixedContent) {
+        const element = resource.selector ? ` (\`${resource.selector}\`)` : '';
+        lines.push(`- ${resource.type}: ${resource.url}${element}`);
+      }
+      lines.push('');
+    }
+    if (thirdPartyScripts.length > 0) {
+      lines.push('Third-party script origins:');
+      lines.push('');
+      for (const { origin, scripts } of thirdPartyScripts) {
+        lines.push(`- ${origin} (${scripts.length} script${scripts.length === 1 ? '' : 's'})`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (report.readiness) {
+    const { strategy, loadTime, ready, pendingRequests, error } = report.readiness;
+    lines.push(`${h} Page Load`);
+    lines.push('');
+    lines.push(
+      ready
+        ? `Ready after ${loadTime} ms (${strategy}).`
+        : `Not settled after ${loadTime} ms (${strategy})${error ? `: ${error}` : ''}.`,
+    );
+    lines.push('');
+    if (pendingRequests.length > 0) {
+      lines.push('Still loading when captured:');
+      lines.push('');
+      for (const url of pendingRequests) {
+        lines.push(`- ${url}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (report.throttling?.length > 0) {
+    lines.push(`${h} Throttled Loads`);
+    lines.push('');
+    lines.push('| Profile | Outcome | Screenshots |');
+    lines.push('| ------- | ------- | ----------- |');
+    for (const load of report.throttling) {
+      // Frame labels start with the profile, which the first column already shows
+      const frames = (load.frames || []).map(
+        (frame) => `[${frame.label.slice(load.label.length + 2)}](${frame.path})`,
+      );
+      lines.push(
+        `| ${load.label} | ${summarizeThrottledLoad(load)} | ${frames.join(', ') || '—'} |`,
+      );
+    }
+    lines.push('');
+  }
+
+  if (report.visual) {
+    appendVisualSection(lines, report.visual, h);
+  }
+
+  if (report.metrics) {
+    appendMetricsSection(lines, report.metrics, h);
+  }
+
+  if (report.budgets) {
+    const { checked, violations } = report.budgets;
+    lines.push(`${h} Performance Budgets`);
+    lines.push('');
+    lines.push(
+      `${checked} budget checks, ${violations.length} exceeded` +
+        (violations.length > 0 ? ':' : '.'),
+    );
+    lines.push('');
+    if (violations.length > 0) {
+      lines.push('| Budget | Viewport | Actual | Limit |');
+      lines.push('| ------ | -------- | ------ | ----- |');
+      for (const v of violations) {
+        lines.push(
+          `| ${v.budget} | ${v.viewport} | ${formatValue(v.actual, v.unit)} | ` +
+            `${formatValue(v.limit, v.unit)} |`,
+        );
+      }
+      lines.push('');
+    }
+  }
+
+  if (report.journey) {
+    lines.push(`${h} Journey: ${report.journey.name}`);
+    lines.push('');
+    lines.push('| Step | Action | Result | Console errors | Network errors |');
+    lines.push('| ---- | ------ | ------ | -------------- | -------------- |');
+    for (const step of report.journey.steps) {
+      lines.push(
+        `| ${step.step} | ${step.label} | ${step.error ? `❌ ${step.error}` : '✅'} | ` +
+          `${step.consoleErrors.length} | ${step.networkErrors.length} |`,
+      );
+    }
+    lines.push('');
+  }
+
+  if (report.console) {
+    appendConsoleSections(lines, report.console, h);
+  } else if (report.consoleErrors?.length > 0) {
+    lines.push(`${h} Console Errors`);
+    lines.push('');
+    for (const error of report.consoleErrors) {
+      lines.push(`- ${error}`);
+    }
+    lines.push('');
+  }
+
+  if (report.network) {
+    appendNetworkSection(lines, report.network, h);
+  } else if (report.networkErrors?.length > 0) {
+    lines.push(`${h} Network Errors`);
+    lines.push('');
+    for (const error of report.networkErrors) {
+      lines.push(`- \`${error.method || 'GET'} ${error.url}\`: ${error.status || error.failure}`);
+    }
+    lines.push('');
+  }
+
+  if (report.server) {
+    lines.push(`${h} Dev Server Log`);
+    lines.push('');
+    const exited = report.server.exited;
+    if (exited) {
+      lines.push(
+        `\`${report.server.command}\` exited during the scan ` +
+          `(${exited.signal || `code ${exited.code}`}).`,
+      );
+      lines.push('');
+    }
+    if (report.server.stderr.length > 0) {
+      lines.push(`stderr of \`${report.server.command}\` while this page was scanned:`);
+      lines.push('');
+      lines.push('```');
+      lines.push(...report.server.stderr);
+      lines.push('```');
+      lines.push('');
+    }
+  }
+
+  if (report.artifacts) {
+    lines.push(`${h} Artifacts`);
+    lines.push('');
+    if (report.artifacts.har) {
+      lines.push(`- [HAR](${report.artifacts.har}) — every request and response of the scan`);
+    }
+    if (report.artifacts.trace) {
+      lines.push(
+        `- [Playwright trace](${report.artifacts.trace}) — ` +
+          `open with \`npx playwright show-trace ${report.artifacts.trace}\``,
+      );
+    }
+    lines.push('');
+  }
+
+  if (report.recommendations?.length > 0) {
+    lines.push(`${h} Recommendations`);
+    lines.push('');
+    for (const rec of report.recommendations) {
+      lines.push(`- ${rec}`);
+    }
+    lines.push('');
+  }
+}
+
+/**
+ * Append uncaught exceptions (with stacks) and console errors/warnings with locations
+ */
+function appendConsoleSections(lines, consoleLog, h) {
+  const exceptions = consoleLog.errors.filter((e) => e.type === 'pageerror');
+  const errors = consoleLog.errors.filter((e) => e.type !== 'pageerror');
+
+  if (exceptions.length > 0) {
+    lines.push(`${h} Uncaught Exceptions`);
+    lines.push('');
+    for (const exception of exceptions) {
+      const location = formatLocation(exception.location);
+      const original = exception.originalLocation;
+      if (original) {
+        const built = location ? ` (built: \`${location}\`)` : '';
+        lines.push(
+          `- **${exception.text}** at \`${original.source}:${original.line}:${original.column}\`` +
+            built,
+        );
+        if (original.snippet) {
+          lines.push(`  > \`${original.snippet}\``);
+        }
+      } else {
+        lines.push(`- **${exception.text}**${location ? ` at \`${location}\`` : ''}`);
+      }
+      // Source-mapped frames when available, so the stack points at real code
+      const stack = exception.originalStack || exception.stack;
+      if (stack) {
+        lines.push('');
+        lines.push('  ```');
+        for (const frame of stack.split('\n').slice(0, 8)) {
+          lines.push(`  ${frame}`);
+        }
+        lines.push('  ```');
+      }
+    }
+    lines.push('');
+  }
+
+  for (const [title, entries] of [
+    ['Console Errors', errors],
+    ['Console Warnings', consoleLog.warnings],
+  ]) {
+    if (entries.length === 0) continue;
+    lines.push(`${h} ${title}`);
+    lines.push('');
+    for (const entry of entries) {
+      const location = formatLocation(entry.location);
+      lines.push(`- ${entry.text}${location ? ` (\`${location}\`)` : ''}`);
+    }
+    lines.push('');
+  }
+}
+
+/**
+ * Append the request summary with failed and slow request tables
+ */
+function appendNetworkSection(lines, network, h) {
+  lines.push(`${h} Network`);
+  lines.push('');
+  lines.push(
+    `${network.totalRequests} requests, ${network.failedRequests} failed, ` +
+      `${network.slowRequests} slow (over 3s).`,
+  );
+  lines.push('');
+
+  if (network.failures.length > 0) {
+    lines.push('| Failed request | Status | Duration |');
+    lines.push('| -------------- | ------ | -------- |');
+    for (const f of network.failures) {
+      lines.push(
+        `| \`${f.method} ${f.url}\` | ${f.status || f.error} | ` +
+          `${f.duration !== undefined ? `${f.duration} ms` : ''} |`,
+      );
+    }
+    lines.push('');
+  }
+
+  if (network.slow.length > 0) {
+    lines.push('| Slow request | Duration |');
+    lines.push('| ------------ | -------- |');
+    for (const r of network.slow) {
+      lines.push(`| \`${r.url}\` | ${r.duration} ms |`);
+    }
+    lines.push('');
+  }
+}
+
+const METRIC_LABELS = {
+  ttfb: 'Time to First Byte',
+  fcp: 'First Contentful Paint',
+  lcp: 'Largest Contentful Paint',
+  cls: 'Cumulative Layout Shift',
+  tbt: 'Total Blocking Time',
+  inp: 'Interaction to Next Paint',
+  domNodes: 'DOM nodes',
+  requests: 'Requests',
+  transferSize: 'Transferred',
+};
+
+const RATING_EMOJI = {
+  good: '🟢',
+  'needs-improvement': '🟡',
+  poor: '🔴',
+};
+
+/**
+ * Screenshots compared with their baselines, with links to the three images of each change
+ */
+function appendVisualSection(lines, visual, h) {
+  lines.push(`${h} Visual Regression`);
+  lines.push('');
+  lines.push(`Baselines: \`${visual.baselineDir}\``);
+  lines.push('');
+  lines.push('| Screenshot | Status | Difference | SSIM | Verdict | Images |');
+  lines.push('| ---------- | ------ | ---------- | ---- | ------- | ------ |');
+  for (const comparison of visual.comparisons) {
+    const images = [
+      `[baseline](${comparison.baseline})`,
+      `[current](${comparison.current})`,
+      comparison.diff && `[diff](${comparison.diff})`,
+    ].filter(Boolean);
+    const difference = comparison.masked
+      ? `${comparison.message} (${comparison.masked} regions masked)`
+      : comparison.message;
+    const verdict = comparison.verdict
+      ? `${comparison.verdict}${comparison.explanation ? `: ${comparison.explanation}` : ''}`
+      : '—';
+    lines.push(
+      `| ${comparison.name} | ${VISUAL_STATUS[comparison.status]} | ${difference} | ` +
+        `${comparison.ssim ?? '—'} | ${verdict} | ${images.join(', ')} |`,
+    );
+  }
+  lines.push('');
+
+  for (const comparison of visual.comparisons.filter((c) => c.diff)) {
+    lines.push(`**${comparison.name}** — ${comparison.diffPercent}% changed`);
+    lines.push('');
+    lines.push(`![${comparison.name} diff against the baseline](${comparison.diff})`);
+    lines.push('');
+
+    // Close-ups: baseline, current and diff side by side
+    const regions = comparison.regions || [];
+    for (const [index, region] of regions.entries()) {
+      const where = `${region.width}x${region.height} at ${region.x},${region.y}`;
+      lines.push(
+        region.composite
+          ? `- [Region ${index + 1}](${region.composite}): ${where}, ${region.pixels} pixels`
+          : `- Region ${index + 1}: ${where}, ${region.pixels} pixels`,
+      );
+    }
+    if (regions.length > 0) {
+      lines.push('');
+    }
+  }
+}
+
+/**
+ * Append the performance metrics table and transfer sizes per resource type
+ */
+function appendMetricsSection(lines, metrics, h) {
+  lines.push(`${h} Performance Metrics`);
+  lines.push('');
+  lines.push('| Metric | Value | Rating |');
+  lines.push('| ------ | ----- | ------ |');
+  for (const [name, label] of Object.entries(METRIC_LABELS)) {
+    const rating = rateMetric(name, metrics[name]);
+    lines.push(
+      `| ${label} | ${formatMetric(name, metrics[name])} | ` +
+        `${rating ? `${RATING_EMOJI[rating]} ${rating}` : ''} |`,
+    );
+  }
+  lines.push('');
+
+  const types = Object.entries(metrics.resources || {});
+  if (types.length > 0) {
+    lines.push('| Resource type | Requests | Transferred |');
+    lines.push('| ------------- | -------- | ----------- |');
+    for (const [type, usage] of types.sort((a, b) => b[1].transferSize - a[1].transferSize)) {
+      lines.push(`| ${type} | ${usage.count} | ${formatBytes(usage.transferSize)} |`);
+    }
+    lines.push('');
+  }
+}
+
+function formatScore(score) {
+  return score !== null && score !== undefined ? `${score}/100` : 'N/A';
+}
+
+module.exports = {
+  generateMarkdownReport,
+  generateSiteMarkdownReport,
+  appendPageSections,
+};
@@ -0,0 +1,479 @@
+/**
+ * Security Headers, Cookies and Mixed Content Audit
+ *
+ * Checks the response headers of the main document (CSP, HSTS, framing and
+ * referrer policy), the flags of cookies set by the site, insecure http://
+ * subresources on https pages and scripts loaded from other sites. Each
+ * finding names the offending URL and header.
+ *
+ * The site is the page's own host. Other hosts of the same owner (a CDN or
+ * api. subdomain) count as first-party only when listed, since a registrable
+ * domain can't be told from the host alone (shop.co.uk vs evil.co.uk).
+ *
+ * Response headers are recorded while the page loads. Without a recording the
+ * main document is requested again through the page's browser context.
+ *
+ * Usage:
+ *   const { recordResponses, runSecurityAudit } = require('./security');
+ *   const recorder = recordResponses(page);
+ *   await page.goto(url);
+ *   const { findings } = await runSecurityAudit(page, recorder);
+ */
+
+const { installDomHelpers } = require('./dom');
+
+/**
+ * Rule metadata, keyed by rule ID
+ */
+const RULES = {
+  'csp-missing': {
+    severity: 'medium',
+    title: 'No Content Security Policy',
+    description: 'Injected scripts run without restriction if an XSS bug slips through.',
+    recommendation:
+      "Send a Content-Security-Policy header, starting with script-src 'self' and nonces.",
+  },
+  'csp-unsafe': {
+    severity: 'medium',
+    title: 'Content Security Policy allows unsafe scripts',
+    description: 'The policy lets injected or inline scripts run, so it does not stop XSS.',
+    recommendation:
+      "Drop 'unsafe-inline', 'unsafe-eval' and wildcard sources from script-src; use nonces or hashes.",
+  },
+  'hsts-missing': {
+    severity: 'medium',
+    title: 'No HSTS header',
+    description: 'The first request can be downgraded to http:// and intercepted.',
+    recommendation: 'Send Strict-Transport-Security: max-age=31536000; includeSubDomains.',
+  },
+  'hsts-weak': {
+    severity: 'low',
+    title: 'HSTS max-age is short',
+    description: 'Browsers forget to enforce https after less than 180 days.',
+    recommendation: 'Raise max-age to at least 31536000 (one year).',
+  },
+  clickjacking: {
+    severity: 'medium',
+    title: 'Page can be framed by other sites',
+    description: 'Neither X-Frame-Options nor CSP frame-ancestors is set.',
+    recommendation:
+      "Send Content-Security-Policy: frame-ancestors 'self' (or X-Frame-Options: SAMEORIGIN).",
+  },
+  'referrer-policy': {
+    severity: 'low',
+    title: 'Referrer policy leaks full URLs',
+    description: 'Paths and query strings may be sent to other sites.',
+    recommendation: 'Send Referrer-Policy: strict-origin-when-cross-origin (or stricter).',
+  },
+  'cookie-not-secure': {
+    severity: 'medium',
+    title: 'Cookie without Secure flag',
+    description: 'The cookie is also sent over plain http:// and can be intercepted.',
+    recommendation: 'Add the Secure attribute to every cookie on an https site.',
+  },
+  'cookie-not-httponly': {
+    severity: 'medium',
+    title: 'Session cookie readable by scripts',
+    description: 'An XSS bug could steal the session.',
+    recommendation: 'Add the HttpOnly attribute to session and auth cookies.',
+  },
+  'cookie-samesite-missing': {
+    severity: 'low',
+    title: 'Cookie without SameSite',
+    description: 'Cross-site requests rely on the browser default for CSRF protection.',
+    recommendation: 'Set SameSite=Lax (or Strict) explicitly; use None only with Secure.',
+  },
+  'mixed-content-active': {
+    severity: 'high',
+    title: 'Script, style or frame loaded over http://',
+    description: 'Browsers block it on https pages, and it could be tampered with.',
+    recommendation: 'Load the resource over https:// or from the same origin.',
+  },
+  'mixed-content-passive': {
+    severity: 'medium',
+    title: 'Image or media loaded over http://',
+    description: 'The page shows as not fully secure and the content can be swapped.',
+    recommendation: 'Load the resource over https:// or from the same origin.',
+  },
+  'third-party-script-without-sri': {
+    severity: 'low',
+    title: 'Third-party script without integrity check',
+    description: 'A compromised CDN or vendor could change what runs on the page.',
+    recommendation:
+      'Pin versioned scripts with integrity="sha384-..." crossorigin, or self-host them.',
+  },
+};
+
+// Headers reported for the main document
+const SECURITY_HEADERS = [
+  'content-security-policy',
+  'content-security-policy-report-only',
+  'strict-transport-security',
+  'x-frame-options',
+  'referrer-policy',
+  'x-content-type-options',
+  'permissions-policy',
+];
+
+// Six months, the minimum for the HSTS preload list is one year
+const MIN_HSTS_MAX_AGE = 15552000;
+
+const LEAKY_REFERRER_POLICIES = ['unsafe-url', 'no-referrer-when-downgrade'];
+
+// Cookie names that look like they hold a session or credentials
+const SESSION_COOKIE = /sess|auth|token|jwt|login|^sid$/i;
+
+// Resource types that browsers block as active mixed content
+const ACTIVE_TYPES = ['script', 'stylesheet', 'iframe', 'xhr', 'fetch', 'websocket', 'form'];
+
+/**
+ * Start recording response headers. Call before navigating.
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {ResponseRecorder}
+ */
+function recordResponses(page) {
+  const responses = [];
+  const requests = [];
+
+  const onRequest = (request) => {
+    requests.push({ url: request.url(), type: request.resourceType() });
+  };
+  const onResponse = (response) => {
+    const request = response.request();
+    responses.push({
+      url: response.url(),
+      status: response.status(),
+      type: request.resourceType(),
+      main: request.isNavigationRequest() && request.frame() === page.mainFrame(),
+      // Read lazily; headersArray() keeps repeated Set-Cookie headers apart
+      headers: response.headersArray().catch(() => []),
+    });
+  };
+
+  page.on('request', onRequest);
+  page.on('response', onResponse);
+
+  return {
+    responses,
+    requests,
+    stop() {
+      page.off('request', onRequest);
+      page.off('response', onResponse);
+    },
+  };
+}
+
+/**
+ * Audit the security headers, cookies and subresources of a loaded page
+ *
+ * @param {import('playwright').Page} page - Loaded page
+ * @param {ResponseRecorder} [recorder] - Responses recorded while it loaded
+ * @param {Object} [options]
+ * @param {string[]} [options.firstParty=[]] - Other hosts that belong to the site; each also
+ *   covers its subdomains (e.g. "example.com" covers "cdn.example.com")
+ * @returns {Promise<SecurityAudit>}
+ */
+async function runSecurityAudit(page, recorder = null, options = {}) {
+  const { firstParty = [] } = options;
+  recorder?.stop();
+  const pageUrl = page.url();
+  const https = new URL(pageUrl).protocol === 'https:';
+  const sameSite = (url) => isFirstParty(url, pageUrl, firstParty);
+
+  const responses = await Promise.all(
+    (recorder?.responses || []).map(async (r) => ({ ...r, headers: await r.headers })),
+  );
+  const main = responses.filter((r) => r.main && (r.status < 300 || r.status >= 400)).pop() || {
+    url: pageUrl,
+    headers: await fetchHeaders(page, pageUrl),
+  };
+  await installDomHelpers(page);
+  const dom = await page.evaluate(collectSecurityInPage);
+
+  const findings = [];
+  const add = (rule, detail, selector = null) => {
+    const meta = RULES[rule];
+    findings.push({
+      rule,
+      severity: meta.severity,
+      title: meta.title,
+      description: `${meta.description} ${detail}`,
+      recommendation: meta.recommendation,
+      selector,
+    });
+  };
+
+  // Main document headers
+  const header = (name) =>
+    main.headers
+      .filter((h) => h.name.toLowerCase() === name)
+      .map((h) => h.value)
+      .join(', ') || null;
+  const headers = {};
+  for (const name of SECURITY_HEADERS) {
+    const value = header(name);
+    if (value) headers[name] = value;
+  }
+
+  const csp = headers['content-security-policy'];
+  const policies = [csp, ...dom.metaCsp].filter(Boolean);
+  if (policies.length === 0) {
+    add('csp-missing', `${main.url} sends no Content-Security-Policy header.`);
+  }
+  for (const policy of policies) {
+    const unsafe = unsafeScriptSources(policy);
+    if (unsafe.length > 0) {
+      add('csp-unsafe', `${main.url}: Content-Security-Policy allows ${unsafe.join(', ')}.`);
+    }
+  }
+
+  if (https) {
+    const hsts = headers['strict-transport-security'];
+    const maxAge = Number(/max-age\s*=\s*"?(\d+)/i.exec(hsts || '')?.[1] || 0);
+    if (!hsts) {
+      add('hsts-missing', `${main.url} sends no Strict-Transport-Security header.`);
+    } else if (maxAge < MIN_HSTS_MAX_AGE) {
+      add('hsts-weak', `${main.url}: Strict-Transport-Security: ${hsts}`);
+    }
+  }
+
+  // frame-ancestors is ignored in <meta> policies
+  const frameOptions = (headers['x-frame-options'] || '').toLowerCase();
+  if (!/deny|sameorigin/.test(frameOptions) && !/frame-ancestors/i.test(csp || '')) {
+    add('clickjacking', `${main.url} sends neither header.`);
+  }
+
+  const referrerPolicy = headers['referrer-policy'] || dom.metaReferrer;
+  // The last policy the browser understands wins
+  const effectivePolicy = (referrerPolicy || '').split(',').pop().trim().toLowerCase();
+  if (LEAKY_REFERRER_POLICIES.includes(effectivePolicy)) {
+    add('referrer-policy', `${main.url}: Referrer-Policy: ${referrerPolicy}`);
+  }
+
+  // Cookies set by the site itself, one entry per name and domain
+  const cookies = new Map();
+  for (const response of responses.length > 0 ? responses : [main]) {
+    if (!sameSite(response.url)) continue;
+    for (const h of response.headers) {
+      if (h.name.toLowerCase() !== 'set-cookie') continue;
+      const cookie = { ...parseSetCookie(h.value), url: response.url };
+      cookies.set(`${cookie.name}@${cookie.domain || new URL(response.url).host}`, cookie);
+    }
+  }
+  for (const cookie of cookies.values()) {
+    const setBy = `Set-Cookie: ${cookie.name} (${cookie.url})`;
+    if (https && !cookie.secure) {
+      add('cookie-not-secure', `${setBy} has no Secure flag.`);
+    }
+    if (!cookie.httpOnly && SESSION_COOKIE.test(cookie.name)) {
+      add('cookie-not-httponly', `${setBy} has no HttpOnly flag.`);
+    }
+    if (!cookie.sameSite) {
+      add('cookie-samesite-missing', `${setBy} has no SameSite attribute.`);
+    }
+  }
+
+  // http:// subresources, whether the browser requested them or blocked them
+  const mixedContent = new Map();
+  if (https) {
+    // Insecure frames are in the markup; other http:// documents are plain navigations
+    const loaded = (recorder?.requests || [])
+      .filter((r) => r.type !== 'document')
+      .map((r) => ({ ...r, selector: null }));
+    for (const resource of [...dom.insecure, ...loaded]) {
+      if (!resource.url.startsWith('http://') || mixedContent.has(resource.url)) continue;
+      mixedContent.set(resource.url, resource);
+      const active = ACTIVE_TYPES.includes(resource.type);
+      add(
+        active ? 'mixed-content-active' : 'mixed-content-passive',
+        `${resource.type} ${resource.url}`,
+        resource.selector,
+      );
+    }
+  }
+
+  // Scripts from other sites, from the markup and from what was loaded
+  const thirdParty = new Map();
+  const scripts = [
+    ...dom.scripts,
+    ...responses.filter((r) => r.type === 'script').map((r) => ({ url: r.url })),
+  ];
+  for (const script of scripts) {
+    if (!/^https?:/.test(script.url) || sameSite(script.url)) continue;
+    const { origin } = new URL(script.url);
+    if (!thirdParty.has(origin)) thirdParty.set(origin, { origin, scripts: [] });
+    const entry = thirdParty.get(origin);
+    if (!entry.scripts.includes(script.url)) entry.scripts.push(script.url);
+    if (script.selector && !script.integrity) {
+      add('third-party-script-without-sri', script.url, script.selector);
+    }
+  }
+
+  return {
+    page: pageUrl,
+    document: { url: main.url, headers },
+    cookies: [...cookies.values()],
+    mixedContent: [...mixedContent.values()],
+    thirdPartyScripts: [...thirdParty.values()],
+    findings,
+    rulesRun: Object.keys(RULES),
+  };
+}
+
+/**
+ * Request a URL again for its headers when the load wasn't recorded
+ */
+async function fetchHeaders(page, url) {
+  try {
+    const response = await page.context().request.get(url);
+    const headers = response.headersArray();
+    await response.dispose();
+    return headers;
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Script sources in a policy that let injected code run
+ *
+ * @param {string} policy - Content-Security-Policy value
+ * @returns {string[]} Offending sources, e.g. ["'unsafe-inline'", '*']
+ */
+function unsafeScriptSources(policy) {
+  const directives = new Map(
+    policy
+      .split(';')
+      .map((d) => d.trim().split(/\s+/))
+      .filter(([name]) => name)
+      .map(([name, ...sources]) => [name.toLowerCase(), sources]),
+  );
+  const sources = directives.get('script-src') || directives.get('default-src');
+  if (!sources) return [];
+
+  const lower = sources.map((s) => s.toLowerCase());
+  // Nonces and hashes make browsers ignore 'unsafe-inline'
+  const pinned = lower.some((s) => /^'(nonce|sha256|sha384|sha512)-/.test(s));
+  return sources.filter((source, i) => {
+    const s = lower[i];
+    if (s === "'unsafe-inline'") return !pinned;
+    return ["'unsafe-eval'", '*', 'http:', 'https:', 'data:'].includes(s);
+  });
+}
+
+/**
+ * Parse a Set-Cookie header value
+ *
+ * @param {string} value - e.g. "sid=abc; Path=/; Secure; HttpOnly; SameSite=Lax"
+ * @returns {{name: string, domain?: string, secure: boolean, httpOnly: boolean,
+ *   sameSite?: string}}
+ */
+function parseSetCookie(value) {
+  const [pair, ...attributes] = value.split(';').map((part) => part.trim());
+  const cookie = { name: pair.split('=')[0], secure: false, httpOnly: false };
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split('=');
+    const name = key.trim().toLowerCase();
+    if (name === 'secure') cookie.secure = true;
+    if (name === 'httponly') cookie.httpOnly = true;
+    if (name === 'samesite') cookie.sameSite = rest.join('=').trim();
+    if (name === 'domain') cookie.domain = rest.join('=').trim().replace(/^\./, '');
+  }
+  return cookie;
+}
+
+/**
+ * Whether a URL is on the page's host or one of the first-party hosts
+ *
+ * @param {string} url - URL to classify
+ * @param {string} pageUrl - URL of the audited page
+ * @param {string[]} firstParty - Extra site hosts, each covering its subdomains
+ * @returns {boolean}
+ */
+function isFirstParty(url, pageUrl, firstParty = []) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  const sites = [new URL(pageUrl).hostname, ...firstParty].map((site) =>
+    site.toLowerCase().replace(/^\*?\./, ''),
+  );
+  return (
+    host === sites[0] || sites.slice(1).some((site) => host === site || host.endsWith(`.${site}`))
+  );
+}
+
+/* eslint-disable no-undef */
+/**
+ * Evaluated in the browser. Lists <meta> policies, external scripts and
+ * http:// subresources with selectors for the referencing elements.
+ */
+function collectSecurityInPage() {
+  const { getSelector } = window.__qaiDom;
+  const SUBRESOURCES = [
+    ['script[src]', 'script', 'src'],
+    ['link[rel~="stylesheet"][href]', 'stylesheet', 'href'],
+    ['iframe[src]', 'iframe', 'src'],
+    ['form[action]', 'form', 'action'],
+    ['img[src]', 'image', 'src'],
+    ['video[src], video[poster], audio[src], source[src]', 'media', 'src'],
+  ];
+
+  const insecure = [];
+  for (const [selector, type, attribute] of SUBRESOURCES) {
+    for (const el of document.querySelectorAll(selector)) {
+      const raw = el.getAttribute(attribute) || el.getAttribute('poster') || '';
+      const url = new URL(raw, document.baseURI).href;
+      if (url.startsWith('http://')) {
+        insecure.push({ url, type, selector: getSelector(el) });
+      }
+    }
+  }
+
+  return {
+    metaCsp: [...document.querySelectorAll('meta[http-equiv]')]
+      .filter((el) => el.httpEquiv.toLowerCase() === 'content-security-policy')
+      .map((el) => el.content),
+    metaReferrer: document.querySelector('meta[name="referrer"]')?.content || null,
+    scripts: [...document.querySelectorAll('script[src]')].map((el) => ({
+      url: el.src,
+      integrity: el.hasAttribute('integrity'),
+      selector: getSelector(el),
+    })),
+    insecure,
+  };
+}
+/* eslint-enable no-undef */
+
+module.exports = {
+  recordResponses,
+  runSecurityAudit,
+  unsafeScriptSources,
+  parseSetCookie,
+  isFirstParty,
+  RULES,
+};
+
+/**
+ * @typedef {Object} ResponseRecorder
+ * @property {Object[]} responses - Responses with their headers (pending until audited)
+ * @property {{url: string, type: string}[]} requests - Every request the page made
+ * @property {function(): void} stop - Stop recording
+ */
+
+/**
+ * @typedef {Object} SecurityAudit
+ * @property {string} page - Page that was audited
+ * @property {{url: string, headers: Object<string, string>}} document - Security headers of
+ *   the main document
+ * @property {Object[]} cookies - Cookies the site sets, with their flags and the setting URL
+ * @property {{url: string, type: string, selector: string|null}[]} mixedContent - http://
+ *   subresources of an https page
+ * @property {{origin: string, scripts: string[]}[]} thirdPartyScripts - Script origins on
+ *   other sites
+ * @property {import('./findings').Finding[]} findings - Security findings
+ * @property {string[]} rulesRun - Rule IDs checked
+ */
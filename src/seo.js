@@ -0,0 +1,352 @@
+/**
+ * SEO and Metadata Audit
+ *
+ * Reads what search engines and link previews see in the page: title, meta
+ * description, canonical, robots, Open Graph and Twitter tags, hreflang
+ * alternates, JSON-LD structured data and the heading outline. The values are
+ * checked with fixed rules, so the audit works without an API key.
+ *
+ * Usage:
+ *   const { runSeoAudit } = require('./seo');
+ *   const { metadata, findings } = await runSeoAudit(page);
+ */
+
+/**
+ * Rule metadata, keyed by rule ID
+ */
+const RULES = {
+  'title-missing': {
+    severity: 'high',
+    title: 'Page has no title',
+    description: 'Search results and browser tabs fall back to the URL.',
+    recommendation: 'Add a unique, descriptive <title> of 30-60 characters.',
+  },
+  'title-length': {
+    severity: 'low',
+    title: 'Title is too short or too long',
+    description: 'Search results cut titles off after about 60 characters.',
+    recommendation: 'Keep the title between 10 and 60 characters, key words first.',
+  },
+  'meta-description-missing': {
+    severity: 'medium',
+    title: 'Page has no meta description',
+    description: 'Search engines and link previews pick a random text snippet instead.',
+    recommendation: 'Add <meta name="description"> summarizing the page in 50-160 characters.',
+  },
+  'meta-description-length': {
+    severity: 'low',
+    title: 'Meta description is too short or too long',
+    description: 'Search results cut descriptions off after about 160 characters.',
+    recommendation: 'Keep the description between 50 and 160 characters.',
+  },
+  'canonical-missing': {
+    severity: 'low',
+    title: 'Page has no canonical URL',
+    description: 'Duplicate URLs (query strings, trailing slashes) may be indexed separately.',
+    recommendation: 'Add <link rel="canonical" href="..."> with the preferred absolute URL.',
+  },
+  'canonical-invalid': {
+    severity: 'medium',
+    title: 'Canonical URL is invalid',
+    description: 'Search engines ignore the canonical.',
+    recommendation: 'Use exactly one canonical link with an absolute http(s) URL.',
+  },
+  'canonical-mismatch': {
+    severity: 'medium',
+    title: 'Canonical points to another URL',
+    description: 'Search engines will index the canonical URL instead of this page.',
+    recommendation:
+      'Point the canonical at this page unless it really duplicates another one (check staging hosts).',
+  },
+  noindex: {
+    severity: 'high',
+    title: 'Page is excluded from search engines',
+    description: 'A robots meta tag tells search engines not to index the page.',
+    recommendation: 'Remove noindex unless the page should stay out of search results.',
+  },
+  'open-graph-missing': {
+    severity: 'low',
+    title: 'Open Graph tags missing',
+    description: 'Shared links show no or a poorly chosen title, description and image.',
+    recommendation: 'Add og:title, og:description, og:image and og:url meta tags.',
+  },
+  'twitter-card-missing': {
+    severity: 'low',
+    title: 'Twitter card missing',
+    description: 'Links shared on X/Twitter show no preview card.',
+    recommendation: 'Add <meta name="twitter:card" content="summary_large_image">.',
+  },
+  'hreflang-invalid': {
+    severity: 'medium',
+    title: 'Invalid hreflang alternate',
+    description: 'Search engines ignore alternates with a bad language code or URL.',
+    recommendation:
+      'Use ISO language(-region) codes or x-default and absolute URLs for every alternate.',
+  },
+  'hreflang-self-missing': {
+    severity: 'low',
+    title: 'hreflang alternates do not include this page',
+    description: 'Every page in an hreflang set must also list itself.',
+    recommendation: 'Add an alternate for the page’s own language pointing at its own URL.',
+  },
+  'structured-data-invalid': {
+    severity: 'high',
+    title: 'Structured data cannot be used',
+    description: 'A JSON-LD block is broken, so rich results are lost.',
+    recommendation: 'Fix the JSON and give every item an @context and @type (schema.org).',
+  },
+  'h1-missing': {
+    severity: 'medium',
+    title: 'Page has no h1',
+    description: 'The main heading tells search engines what the page is about.',
+    recommendation: 'Add one visible h1 describing the page.',
+  },
+  'h1-multiple': {
+    severity: 'low',
+    title: 'Page has several h1 headings',
+    description: 'Competing main headings blur what the page is about.',
+    recommendation: 'Keep one h1 and demote the others to h2.',
+  },
+};
+
+const TITLE_LENGTH = [10, 60];
+const DESCRIPTION_LENGTH = [50, 160];
+const OPEN_GRAPH_TAGS = ['og:title', 'og:description', 'og:image'];
+
+// Headings listed in the outline
+const MAX_HEADINGS = 40;
+
+/**
+ * Extract the page's SEO metadata and check it
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<SeoAudit>}
+ */
+async function runSeoAudit(page) {
+  const metadata = await page.evaluate(extractMetadataInPage, MAX_HEADINGS);
+  return {
+    metadata,
+    findings: checkMetadata(metadata, page.url()),
+    rulesRun: Object.keys(RULES),
+  };
+}
+
+/**
+ * Check extracted metadata against the rules
+ *
+ * @param {SeoMetadata} metadata - Result of the in-page extraction
+ * @param {string} pageUrl - URL of the page
+ * @returns {import('./findings').Finding[]}
+ */
+function checkMetadata(metadata, pageUrl) {
+  const findings = [];
+  const add = (rule, selector, detail) => {
+    const meta = RULES[rule];
+    findings.push({
+      rule,
+      severity: meta.severity,
+      title: meta.title,
+      description: detail ? `${meta.description} ${detail}` : meta.description,
+      recommendation: meta.recommendation,
+      selector,
+    });
+  };
+
+  const { title, description, canonicals, robots } = metadata;
+
+  if (!title) {
+    add('title-missing', null);
+  } else if (!inRange(title.length, TITLE_LENGTH)) {
+    add('title-length', 'title', `It has ${title.length} characters.`);
+  }
+
+  if (!description) {
+    add('meta-description-missing', null);
+  } else if (!inRange(description.length, DESCRIPTION_LENGTH)) {
+    add(
+      'meta-description-length',
+      'meta[name="description"]',
+      `It has ${description.length} characters.`,
+    );
+  }
+
+  if (canonicals.length === 0) {
+    add('canonical-missing', null);
+  } else if (canonicals.length > 1) {
+    add('canonical-invalid', 'link[rel="canonical"]', `${canonicals.length} canonicals found.`);
+  } else {
+    const canonical = parseUrl(canonicals[0]);
+    if (!canonical || !['http:', 'https:'].includes(canonical.protocol)) {
+      add('canonical-invalid', 'link[rel="canonical"]', `"${canonicals[0]}" is not a URL.`);
+    } else if (comparableUrl(canonical) !== comparableUrl(new URL(pageUrl))) {
+      add('canonical-mismatch', 'link[rel="canonical"]', `It points to ${canonical.href}.`);
+    }
+  }
+
+  if (/\bnoindex\b/i.test(robots || '')) {
+    add('noindex', 'meta[name="robots"]', `robots="${robots}".`);
+  }
+
+  const missingOpenGraph = OPEN_GRAPH_TAGS.filter((tag) => !metadata.openGraph[tag]);
+  if (missingOpenGraph.length > 0) {
+    add('open-graph-missing', null, `Missing: ${missingOpenGraph.join(', ')}.`);
+  }
+  if (!metadata.twitter['twitter:card']) {
+    add('twitter-card-missing', null);
+  }
+
+  for (const { lang, href } of metadata.hreflang) {
+    const url = parseUrl(href);
+    if (!validLanguage(lang) || !url || !/^https?:$/.test(url.protocol)) {
+      add('hreflang-invalid', `link[hreflang="${lang}"]`, `hreflang="${lang}" href="${href}".`);
+    }
+  }
+  const self = comparableUrl(new URL(pageUrl));
+  if (
+    metadata.hreflang.length > 0 &&
+    !metadata.hreflang.some(({ href }) => {
+      const url = parseUrl(href);
+      return url && comparableUrl(url) === self;
+    })
+  ) {
+    add('hreflang-self-missing', null);
+  }
+
+  for (const [index, block] of metadata.structuredData.entries()) {
+    const problem = block.error || (block.types.length === 0 && 'No item has an @type.');
+    if (problem) {
+      const selector = 'script[type="application/ld+json"]';
+      add('structured-data-invalid', selector, `Block ${index + 1}: ${problem}`);
+    }
+  }
+
+  const h1Count = metadata.headings.filter((h) => h.level === 1).length;
+  if (h1Count === 0) {
+    add('h1-missing', null);
+  } else if (h1Count > 1) {
+    add('h1-multiple', 'h1', `${h1Count} h1 headings found.`);
+  }
+
+  return findings;
+}
+
+function inRange(value, [min, max]) {
+  return value >= min && value <= max;
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * URL without fragment and trailing slash, for comparing canonicals
+ */
+function comparableUrl(url) {
+  return `${url.origin}${url.pathname.replace(/\/$/, '')}${url.search}`;
+}
+
+function validLanguage(lang) {
+  if (lang === 'x-default') return true;
+  try {
+    return Intl.getCanonicalLocales(lang).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+/* eslint-disable no-undef */
+/**
+ * Evaluated in the browser. Reads the <head> metadata, JSON-LD blocks and the
+ * visible heading outline.
+ */
+function extractMetadataInPage(maxHeadings) {
+  const meta = (selector) => document.querySelector(selector)?.getAttribute('content')?.trim();
+
+  const tags = (prefix, attribute) => {
+    const result = {};
+    for (const el of document.querySelectorAll(`meta[${attribute}^="${prefix}"]`)) {
+      result[el.getAttribute(attribute)] = (el.getAttribute('content') || '').trim();
+    }
+    return result;
+  };
+
+  const structuredData = [...document.querySelectorAll('script[type="application/ld+json"]')].map(
+    (script) => {
+      try {
+        const data = JSON.parse(script.textContent);
+        const items = [data, ...(data['@graph'] || [])].flat();
+        const types = items.flatMap((item) => item?.['@type'] || []);
+        const context = items.some((item) => item?.['@context']);
+        return {
+          types: [...new Set(types)],
+          ...(!context && { error: 'No @context (e.g. https://schema.org).' }),
+        };
+      } catch (error) {
+        return { types: [], error: `Invalid JSON: ${error.message}` };
+      }
+    },
+  );
+
+  const headings = [...document.querySelectorAll('h1, h2, h3, h4, h5, h6')]
+    .filter((el) => {
+      const style = getComputedStyle(el);
+      return style.display !== 'none' && style.visibility !== 'hidden';
+    })
+    .map((el) => ({
+      level: Number(el.tagName[1]),
+      text: (el.innerText || el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 100),
+    }));
+
+  return {
+    title: document.title.trim(),
+    description: meta('meta[name="description"]') || '',
+    // Relative canonicals are valid and resolved by search engines; an empty href is not
+    canonicals: [...document.querySelectorAll('link[rel="canonical"]')].map((el) =>
+      (el.getAttribute('href') || '').trim() ? el.href : '',
+    ),
+    robots: meta('meta[name="robots"]') || '',
+    lang: document.documentElement.getAttribute('lang') || '',
+    openGraph: tags('og:', 'property'),
+    twitter: { ...tags('twitter:', 'property'), ...tags('twitter:', 'name') },
+    hreflang: [...document.querySelectorAll('link[rel="alternate"][hreflang]')].map((el) => ({
+      lang: el.getAttribute('hreflang'),
+      href: el.href,
+    })),
+    structuredData,
+    headings: headings.slice(0, maxHeadings),
+    ...(headings.length > maxHeadings && { moreHeadings: headings.length - maxHeadings }),
+  };
+}
+/* eslint-enable no-undef */
+
+module.exports = {
+  runSeoAudit,
+  checkMetadata,
+  RULES,
+};
+
+/**
+ * @typedef {Object} SeoMetadata
+ * @property {string} title - Document title
+ * @property {string} description - Meta description
+ * @property {string[]} canonicals - Resolved href of every rel=canonical link ('' when empty)
+ * @property {string} robots - Robots meta content
+ * @property {string} lang - html lang attribute
+ * @property {Object<string, string>} openGraph - og:* meta tags
+ * @property {Object<string, string>} twitter - twitter:* meta tags
+ * @property {{lang: string, href: string}[]} hreflang - Alternate language links
+ * @property {{types: string[], error?: string}[]} structuredData - JSON-LD blocks
+ * @property {{level: number, text: string}[]} headings - Visible heading outline
+ * @property {number} [moreHeadings] - Headings left out of the outline
+ */
+
+/**
+ * @typedef {Object} SeoAudit
+ * @property {SeoMetadata} metadata - Extracted metadata
+ * @property {import('./findings').Finding[]} findings - SEO findings
+ * @property {string[]} rulesRun - Rule IDs checked
+ */
@@ -0,0 +1,348 @@
+/**
+ * Source Maps for Uncaught Exceptions
+ *
+ * Maps the frames of minified `pageerror` stacks back to original files and
+ * lines. Maps are looked up in a local build directory first, then fetched
+ * from the site via the script's sourceMappingURL comment or SourceMap header,
+ * falling back to `<script>.map`.
+ *
+ * Usage:
+ *   const { createSourceMapResolver } = require('./sourcemaps');
+ *   const resolver = createSourceMapResolver({ dir: './dist' });
+ *   const mapped = await resolver.resolveStack(error.stack, context.request);
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Uncaught exceptions mapped per page
+const MAX_EXCEPTIONS = 20;
+
+// Files indexed when searching the local build directory
+const MAX_LOCAL_FILES = 5000;
+
+const VLQ_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Create a resolver that caches one map per script URL
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Local build directory with .map files
+ * @param {number} [options.timeout=10000] - Timeout per request in ms
+ * @returns {SourceMapResolver}
+ */
+function createSourceMapResolver(options = {}) {
+  const { dir = null, timeout = 10000 } = options;
+  const maps = new Map();
+  let localIndex;
+
+  /**
+   * .map files in the build directory, by file name
+   */
+  async function getLocalIndex() {
+    if (!localIndex) {
+      localIndex = indexMapFiles(dir).catch((error) => {
+        console.warn(`Source maps: cannot read ${dir}: ${error.message}`);
+        return new Map();
+      });
+    }
+    return localIndex;
+  }
+
+  async function loadLocal(fileName) {
+    if (!dir || !fileName) return null;
+    const file = (await getLocalIndex()).get(fileName);
+    return file ? parseSourceMap(await fs.readFile(file, 'utf8')) : null;
+  }
+
+  async function loadMap(scriptUrl, request) {
+    const scriptName = path.posix.basename(new URL(scriptUrl).pathname);
+    const local = await loadLocal(`${scriptName}.map`);
+    if (local) return local;
+
+    let mapUrl = `${scriptUrl.split(/[?#]/)[0]}.map`;
+    try {
+      const response = await request.get(scriptUrl, { timeout });
+      const headers = response.headers();
+      const body = response.ok() ? await response.text() : '';
+      await response.dispose();
+
+      const reference = headers.sourcemap || headers['x-sourcemap'] || findMapComment(body);
+      if (reference?.startsWith('data:')) {
+        return parseSourceMap(decodeDataUrl(reference));
+      }
+      if (reference) {
+        mapUrl = new URL(reference, scriptUrl).href;
+        const named = await loadLocal(path.posix.basename(new URL(mapUrl).pathname));
+        if (named) return named;
+      }
+    } catch {
+      // Try the conventional location
+    }
+
+    try {
+      const response = await request.get(mapUrl, { timeout });
+      const text = response.ok() ? await response.text() : null;
+      await response.dispose();
+      return text ? parseSourceMap(text) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function getMap(scriptUrl, request) {
+    if (!maps.has(scriptUrl)) {
+      maps.set(
+        scriptUrl,
+        loadMap(scriptUrl, request).catch(() => null),
+      );
+    }
+    return maps.get(scriptUrl);
+  }
+
+  return {
+    /**
+     * Map the frames of a stack to original positions
+     *
+     * @param {string} stack - Error stack (V8, Firefox or WebKit format)
+     * @param {import('playwright').APIRequestContext} request - Used to fetch scripts and maps
+     * @returns {Promise<MappedStack|null>} Null when no frame could be mapped
+     */
+    async resolveStack(stack, request) {
+      const frames = parseStackFrames(stack);
+      let mapped = 0;
+      for (const frame of frames) {
+        if (!frame.url) continue;
+        const map = await getMap(frame.url, request);
+        frame.original = map ? originalPosition(map, frame.line - 1, frame.column - 1) : null;
+        if (frame.original) mapped++;
+      }
+      if (mapped === 0) return null;
+
+      const top = frames.find((f) => f.original)?.original;
+      return {
+        location: top,
+        stack: frames.map(formatFrame).join('\n'),
+      };
+    },
+  };
+}
+
+/**
+ * Add original stacks and locations to the uncaught exceptions of a console log
+ *
+ * @param {Object[]} errors - Entries from the console logger (only pageerror ones are mapped)
+ * @param {SourceMapResolver} resolver - Resolver from createSourceMapResolver()
+ * @param {import('playwright').APIRequestContext} request - Used to fetch scripts and maps
+ * @returns {Promise<number>} Number of exceptions mapped
+ */
+async function applySourceMaps(errors, resolver, request) {
+  const exceptions = errors.filter((e) => e.type === 'pageerror' && e.stack);
+  let mapped = 0;
+  for (const exception of exceptions.slice(0, MAX_EXCEPTIONS)) {
+    const result = await resolver.resolveStack(exception.stack, request);
+    if (result) {
+      exception.originalLocation = result.location;
+      exception.originalStack = result.stack;
+      mapped++;
+    }
+  }
+  return mapped;
+}
+
+/**
+ * Parse the frames of a stack
+ * Handles V8 (`at fn (url:1:2)`) and Firefox/WebKit (`fn@url:1:2`) stacks.
+ *
+ * @param {string} stack - Error stack
+ * @returns {{text: string, fn?: string, url?: string, line?: number, column?: number}[]}
+ *   Every line, with 1-based positions where a location was found
+ */
+function parseStackFrames(stack) {
+  return (stack || '').split('\n').map((text) => {
+    const match =
+      text.match(/^\s*at (?:(.+?) \()?((?:https?|file):\/\/[^\s)]+?):(\d+):(\d+)\)?\s*$/) ||
+      text.match(/^\s*([^@\s]*)@((?:https?|file):\/\/\S+?):(\d+):(\d+)\s*$/);
+    if (!match) return { text };
+    return {
+      text,
+      fn: match[1] || undefined,
+      url: match[2],
+      line: parseInt(match[3], 10),
+      column: parseInt(match[4], 10),
+    };
+  });
+}
+
+function formatFrame(frame) {
+  if (!frame.original) return frame.text;
+  const { source, line, column, name } = frame.original;
+  return `    at ${name || frame.fn || '<anonymous>'} (${source}:${line}:${column})`;
+}
+
+/**
+ * Parse a source map, including index maps with sections
+ *
+ * @param {string} text - Source map JSON
+ * @returns {Object} Parsed map with decoded mappings
+ */
+function parseSourceMap(text) {
+  // Maps may start with an XSSI guard
+  const raw = JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, ''));
+  if (raw.sections) {
+    return {
+      sections: raw.sections.map((section) => ({
+        line: section.offset.line,
+        column: section.offset.column,
+        map: parseSourceMap(JSON.stringify(section.map)),
+      })),
+    };
+  }
+
+  const root = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+  return {
+    sources: raw.sources.map((source) =>
+      cleanSource(/^\w+:/.test(source) ? source : root + source),
+    ),
+    sourcesContent: raw.sourcesContent || [],
+    names: raw.names || [],
+    lines: decodeMappings(raw.mappings),
+  };
+}
+
+/**
+ * Decode VLQ mappings into segments per generated line:
+ * [column, sourceIndex, originalLine, originalColumn, nameIndex?]
+ */
+function decodeMappings(mappings) {
+  const lines = [];
+  const state = [0, 0, 0, 0, 0];
+
+  for (const lineText of mappings.split(';')) {
+    const segments = [];
+    state[0] = 0;
+    for (const segmentText of lineText.split(',')) {
+      if (!segmentText) continue;
+      const values = decodeVlq(segmentText);
+      const segment = [];
+      for (const [i, value] of values.entries()) {
+        state[i] += value;
+        segment.push(state[i]);
+      }
+      segments.push(segment);
+    }
+    lines.push(segments.sort((a, b) => a[0] - b[0]));
+  }
+  return lines;
+}
+
+function decodeVlq(text) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of text) {
+    const digit = VLQ_CHARS.indexOf(char);
+    if (digit === -1) throw new Error(`Invalid VLQ character "${char}"`);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Original position of a 0-based generated position
+ *
+ * @returns {{source: string, line: number, column: number, name?: string, snippet?: string}|null}
+ *   1-based original line and column
+ */
+function originalPosition(map, line, column) {
+  if (map.sections) {
+    const section = map.sections
+      .filter((s) => s.line < line || (s.line === line && s.column <= column))
+      .pop();
+    if (!section) return null;
+    return originalPosition(
+      section.map,
+      line - section.line,
+      line === section.line ? column - section.column : column,
+    );
+  }
+
+  const segment = (map.lines[line] || []).filter((s) => s[0] <= column).pop();
+  if (!segment || segment.length < 4) return null;
+
+  const [, sourceIndex, originalLine, originalColumn, nameIndex] = segment;
+  const content = map.sourcesContent[sourceIndex];
+  const snippet = content?.split('\n')[originalLine]?.trim().slice(0, 200);
+  return {
+    source: map.sources[sourceIndex],
+    line: originalLine + 1,
+    column: originalColumn + 1,
+    ...(nameIndex !== undefined && { name: map.names[nameIndex] }),
+    ...(snippet && { snippet }),
+  };
+}
+
+/**
+ * Shorten bundler source URLs, e.g. webpack://app/./src/cart.ts -> src/cart.ts
+ */
+function cleanSource(source) {
+  return source.replace(/^webpack:\/\/[^/]*\//, '').replace(/^\.\//, '');
+}
+
+function findMapComment(body) {
+  const matches = [...body.matchAll(/[#@]\s*sourceMappingURL=(\S+)\s*(?:\*\/)?\s*$/gm)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+}
+
+function decodeDataUrl(url) {
+  const [meta, data] = url.split(',', 2);
+  return meta.endsWith(';base64')
+    ? Buffer.from(data, 'base64').toString('utf8')
+    : decodeURIComponent(data);
+}
+
+async function indexMapFiles(dir) {
+  const index = new Map();
+  const pending = [dir];
+  let files = 0;
+  while (pending.length > 0 && files < MAX_LOCAL_FILES) {
+    const current = pending.shift();
+    for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+      if (entry.isDirectory() && entry.name !== 'node_modules') {
+        pending.push(path.join(current, entry.name));
+      } else if (entry.isFile() && entry.name.endsWith('.map')) {
+        files++;
+        if (!index.has(entry.name)) index.set(entry.name, path.join(current, entry.name));
+      }
+    }
+  }
+  return index;
+}
+
+module.exports = {
+  createSourceMapResolver,
+  applySourceMaps,
+  parseStackFrames,
+  parseSourceMap,
+  originalPosition,
+};
+
+/**
+ * @typedef {Object} SourceMapResolver
+ * @property {function(string, import('playwright').APIRequestContext): Promise<MappedStack|null>}
+ *   resolveStack - Map the frames of a stack
+ */
+
+/**
+ * @typedef {Object} MappedStack
+ * @property {{source: string, line: number, column: number, name?: string, snippet?: string}}
+ *   location - Original position of the top mapped frame (1-based)
+ * @property {string} stack - Stack with mapped frames rewritten to original positions
+ */
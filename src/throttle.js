@@ -0,0 +1,315 @@
+/**
+ * Network and CPU Throttling
+ *
+ * Loads the page again under a slow network, a slow CPU or offline, and
+ * screenshots it while it loads, so the model can judge blank screens,
+ * skeletons and spinners, and what users see without a connection.
+ *
+ * Network and CPU throttling go through the Chrome DevTools Protocol, so they
+ * need Chromium. Offline works in every engine.
+ *
+ * Profiles (comma-separated for several passes, "+" to combine):
+ *   slow-3g, fast-3g, slow-4g, fast-4g   Network presets (latency and throughput)
+ *   cpu-4x                               CPU slowdown (any cpu-Nx)
+ *   offline                              Load, go offline, then reload
+ *   e.g. "slow-4g+cpu-4x,offline"
+ */
+
+const { gotoAndWait } = require('./readiness');
+const { installMetricsObserver, collectMetrics } = require('./metrics');
+
+// Chrome DevTools presets: throughput in bytes/s, latency in ms
+const NETWORK_PROFILES = {
+  'slow-3g': {
+    label: 'Slow 3G',
+    latency: 2000,
+    downloadThroughput: 50000,
+    uploadThroughput: 50000,
+  },
+  'fast-3g': {
+    label: 'Fast 3G',
+    latency: 563,
+    downloadThroughput: 180000,
+    uploadThroughput: 84375,
+  },
+  // Lighthouse's mobile network
+  'slow-4g': {
+    label: 'Slow 4G',
+    latency: 150,
+    downloadThroughput: 204800,
+    uploadThroughput: 96000,
+  },
+  'fast-4g': {
+    label: 'Fast 4G',
+    latency: 165,
+    downloadThroughput: 1012500,
+    uploadThroughput: 168750,
+  },
+};
+
+// Milliseconds after navigation at which a loading page is screenshotted
+const FRAME_TIMES = [500, 1500, 3000, 6000, 10000];
+
+/**
+ * Parse throttling profiles
+ *
+ * @param {string} spec - e.g. "slow-3g,fast-4g+cpu-4x,offline"
+ * @returns {ThrottleProfile[]} One profile per capture pass
+ */
+function parseThrottling(spec) {
+  return spec
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map(parseProfile);
+}
+
+function parseProfile(name) {
+  const profile = { name };
+  const parts = name.split('+').map((p) => p.trim().toLowerCase());
+  if (parts.includes('offline') && parts.length > 1) {
+    throw new Error(`Throttling profile "${name}": offline cannot be combined`);
+  }
+  for (const part of parts) {
+    const cpu = /^cpu-(\d+(?:\.\d+)?)x$/.exec(part);
+    if (NETWORK_PROFILES[part]) {
+      if (profile.network) {
+        throw new Error(`Throttling profile "${name}" has more than one network setting`);
+      }
+      const { label, ...conditions } = NETWORK_PROFILES[part];
+      profile.network = { label, ...conditions };
+    } else if (cpu) {
+      profile.cpu = Number(cpu[1]);
+    } else if (part === 'offline') {
+      profile.offline = true;
+    } else {
+      const known = [...Object.keys(NETWORK_PROFILES), 'cpu-4x', 'offline'].join(', ');
+      throw new Error(`Unknown throttling profile "${part}". Use ${known}`);
+    }
+  }
+  return profile;
+}
+
+/**
+ * Human-readable profile, e.g. "Slow 4G + 4x CPU slowdown"
+ *
+ * @param {ThrottleProfile} profile - Parsed profile
+ * @returns {string}
+ */
+function describeThrottling(profile) {
+  return [
+    profile.network?.label,
+    profile.cpu && `${profile.cpu}x CPU slowdown`,
+    profile.offline && 'Offline',
+  ]
+    .filter(Boolean)
+    .join(' + ');
+}
+
+/**
+ * Whether a profile needs the Chrome DevTools Protocol
+ */
+function needsCdp(profile) {
+  return Boolean(profile.network || profile.cpu);
+}
+
+/**
+ * Load a page under a throttling profile, screenshotting it while it loads
+ *
+ * @param {import('playwright').Page} page - Fresh page in a fresh context (empty cache)
+ * @param {string} url - URL to load
+ * @param {ThrottleProfile} profile - Parsed profile
+ * @param {Object} options
+ * @param {import('./readiness').Readiness} options.ready - When the page counts as loaded
+ * @param {number} options.timeout - Navigation and readiness timeout in ms
+ * @returns {Promise<{result: ThrottledLoad, frames: {label: string, buffer: Buffer}[]}>}
+ */
+async function captureThrottledLoad(page, url, profile, { ready, timeout }) {
+  const label = describeThrottling(profile);
+  if (profile.offline) {
+    return captureOffline(page, url, label, { ready, timeout });
+  }
+
+  const cdp = await page.context().newCDPSession(page);
+  await cdp.send('Network.enable');
+  await cdp.send('Network.setCacheDisabled', { cacheDisabled: true });
+  if (profile.network) {
+    const { latency, downloadThroughput, uploadThroughput } = profile.network;
+    await cdp.send('Network.emulateNetworkConditions', {
+      offline: false,
+      latency,
+      downloadThroughput,
+      uploadThroughput,
+    });
+  }
+  if (profile.cpu) {
+    await cdp.send('Emulation.setCPUThrottlingRate', { rate: profile.cpu });
+  }
+  await installMetricsObserver(page);
+
+  const start = Date.now();
+  let readiness = null;
+  let error = null;
+  const load = gotoAndWait(page, url, ready, { timeout }).then(
+    (result) => {
+      readiness = result;
+    },
+    (err) => {
+      error = err.message.split('\n')[0];
+    },
+  );
+
+  // Screenshots while loading; identical frames (e.g. a blank page) are kept once
+  const frames = [];
+  let previous = null;
+  for (const at of FRAME_TIMES) {
+    const finished = await Promise.race([
+      load.then(() => true),
+      new Promise((resolve) => setTimeout(() => resolve(false), at - (Date.now() - start))),
+    ]);
+    if (finished) break;
+    const buffer = await page.screenshot({ timeout: 5000 }).catch(() => null);
+    if (buffer && !(previous && buffer.equals(previous))) {
+      frames.push({ at, label: `${label}: loading at ${formatSeconds(at)}`, buffer });
+    }
+    previous = buffer || previous;
+  }
+  await load;
+
+  const loadTime = Date.now() - start;
+  const buffer = await page.screenshot({ timeout: 10000 }).catch(() => null);
+  if (buffer) {
+    const state = readiness?.ready ? 'ready' : 'not settled';
+    frames.push({
+      at: loadTime,
+      label: `${label}: ${state} after ${formatSeconds(loadTime)}`,
+      buffer,
+    });
+  }
+
+  const metrics = error ? null : await collectMetrics(page).catch(() => null);
+  await cdp.detach().catch(() => {});
+  return {
+    result: {
+      profile: profile.name,
+      label,
+      loadTime,
+      ready: Boolean(readiness?.ready),
+      ...(metrics && { metrics: { ttfb: metrics.ttfb, fcp: metrics.fcp, lcp: metrics.lcp } }),
+      ...(error && { error }),
+    },
+    frames,
+  };
+}
+
+/**
+ * Load online, go offline, then reload: shows the app's offline handling
+ * (offline banner, service worker fallback) or the browser's error page
+ */
+async function captureOffline(page, url, label, { ready, timeout }) {
+  await gotoAndWait(page, url, ready, { timeout });
+  const frames = [];
+
+  await page.context().setOffline(true);
+  // Give "offline" event handlers time to show a banner
+  await page.waitForTimeout(1000);
+  frames.push({ label: `${label}: after losing the connection`, buffer: await page.screenshot() });
+
+  let error = null;
+  try {
+    await page.reload({ waitUntil: 'load', timeout });
+  } catch (err) {
+    error = err.message.split('\n')[0];
+  }
+  await page.waitForTimeout(500);
+  frames.push({
+    label: `${label}: after reloading`,
+    buffer: await page.screenshot().catch(() => null),
+  });
+  await page.context().setOffline(false);
+
+  return {
+    result: {
+      profile: 'offline',
+      label,
+      offline: true,
+      // The reload only succeeds if a service worker or cache answered it
+      servedOffline: !error,
+      ...(error && { error }),
+    },
+    frames: frames.filter((f) => f.buffer),
+  };
+}
+
+/**
+ * One-line outcome of a throttled load, e.g. "ready after 8.2s (FCP 3.1s, LCP 7.9s)"
+ *
+ * @param {ThrottledLoad} result - Result of captureThrottledLoad()
+ * @returns {string}
+ */
+function summarizeThrottledLoad(result) {
+  if (result.offline) {
+    return result.servedOffline
+      ? 'reload was served offline'
+      : `reload failed (${result.error || 'no response'})`;
+  }
+  if (result.loadTime === undefined) {
+    return `failed: ${result.error}`;
+  }
+
+  const state = result.ready ? 'ready' : 'not settled';
+  const timings = ['fcp', 'lcp']
+    .filter((name) => typeof result.metrics?.[name] === 'number')
+    .map((name) => `${name.toUpperCase()} ${formatSeconds(result.metrics[name])}`);
+  const details = [...timings, result.error].filter(Boolean);
+  return (
+    `${state} after ${formatSeconds(result.loadTime)}` +
+    (details.length > 0 ? ` (${details.join(', ')})` : '')
+  );
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * File name part for a profile, e.g. "slow-4g-cpu-4x"
+ *
+ * @param {ThrottleProfile} profile - Parsed profile
+ * @returns {string}
+ */
+function throttleSlug(profile) {
+  return profile.name.toLowerCase().replace(/[^a-z0-9.]+/g, '-');
+}
+
+module.exports = {
+  parseThrottling,
+  describeThrottling,
+  captureThrottledLoad,
+  summarizeThrottledLoad,
+  throttleSlug,
+  needsCdp,
+  NETWORK_PROFILES,
+};
+
+/**
+ * @typedef {Object} ThrottleProfile
+ * @property {string} name - Profile as given, e.g. "slow-4g+cpu-4x"
+ * @property {{label: string, latency: number, downloadThroughput: number,
+ *   uploadThroughput: number}} [network] - Network conditions
+ * @property {number} [cpu] - CPU slowdown factor
+ * @property {boolean} [offline] - Load, go offline and reload
+ */
+
+/**
+ * @typedef {Object} ThrottledLoad
+ * @property {string} profile - Profile name
+ * @property {string} label - Human-readable profile
+ * @property {number} [loadTime] - Time until the page was ready (or gave up) in ms
+ * @property {boolean} [ready] - Whether the page settled within the timeout
+ * @property {{ttfb: number, fcp: number, lcp: number}} [metrics] - Timings under throttling
+ * @property {boolean} [offline] - Offline pass
+ * @property {boolean} [servedOffline] - Whether the reload was answered without a network
+ * @property {string} [error] - Navigation error
+ * @property {{label: string, path: string}[]} [frames] - Screenshots, in order
+ */
@@ -1,14 +1,80 @@
-import type { Page, TestInfo } from '@playwright/test';
+import type { APIRequestContext, BrowserContext, Page, TestInfo } from '@playwright/test';
+
+/**
+ * A viewport preset, a custom WIDTHxHEIGHT size or a Playwright device name
+ * (e.g. 'iPhone 13', 'Pixel 7'), which also emulates user agent, DPR and touch
+ */
+export type Viewport = 'mobile' | 'tablet' | 'desktop' | `${number}x${number}` | (string & {});
 
 export interface AnalysisOptions {
   /** Viewports to test (default: ['desktop', 'mobile']) */
-  viewports?: ('mobile' | 'tablet' | 'desktop')[];
+  viewports?: Viewport[];
   /** Focus area for analysis */
-  focus?: 'all' | 'accessibility' | 'performance' | 'forms' | 'visual';
+  focus?: 'all' | 'accessibility' | 'performance' | 'forms' | 'visual' | 'seo' | 'security';
   /** LLM provider to use */
   provider?: 'anthropic' | 'openai' | 'gemini' | 'ollama' | 'codex';
   /** API key (uses env var if not provided) */
   apiKey?: string;
+  /** User journey to run after the viewport captures; each step is screenshotted */
+  journey?: Journey | JourneyStepInput[];
+  /** Built-in rule checks to run (default: none; the CLI runs those for the focus area) */
+  checks?: ('accessibility' | 'keyboard' | 'links' | 'forms' | 'seo' | 'security')[];
+  /** Link check: also request links and assets on other origins (default: false) */
+  externalLinks?: boolean;
+  /**
+   * Security audit: other hosts that belong to the site, each also covering its
+   * subdomains (default: only the page's own host is first-party)
+   */
+  firstParty?: string[];
+  /**
+   * When the page counts as loaded before capturing (default: 'smart', which
+   * ignores ad/analytics traffic). Also accepts 'networkidle', 'selector:<css>'
+   * or an async function.
+   */
+  ready?: 'smart' | 'networkidle' | `selector:${string}` | ((page: Page) => Promise<void>);
+}
+
+export type JourneyStepInput =
+  | { goto: string; name?: string }
+  | { click: string; name?: string }
+  | { fill: { selector: string; value: string }; name?: string }
+  | { press: string | { selector: string; key: string }; name?: string }
+  | { waitFor: string; name?: string }
+  | { 'wait-for': string; name?: string };
+
+export interface Journey {
+  /** Journey name */
+  name?: string;
+  /** Steps in order */
+  steps: JourneyStepInput[];
+}
+
+export interface JourneyStepResult {
+  /** Step number (1-based) */
+  step: number;
+  /** Action performed */
+  action: 'goto' | 'click' | 'fill' | 'press' | 'waitFor';
+  /** Step label */
+  label: string;
+  /** Page URL after the step */
+  url: string;
+  /** Error message if the step failed */
+  error?: string;
+  /** Console errors raised by this step */
+  consoleErrors: string[];
+  /** Network errors raised by this step */
+  networkErrors: NetworkError[];
+  /** Name of the screenshot taken after the step */
+  screenshot: string;
+}
+
+export interface JourneyResult {
+  /** Journey name */
+  name: string;
+  /** False when a step failed and the journey stopped early */
+  completed: boolean;
+  /** Results per executed step */
+  steps: JourneyStepResult[];
 }
 
 export interface Bug {
@@ -22,6 +88,30 @@ export interface Bug {
   category: string;
   /** Viewport where bug was found */
   viewport?: string;
+  /** Playwright device emulated at that viewport */
+  device?: string;
+  /** Browser engines the bug reproduces in (cross-browser CLI scans) */
+  browsers?: ('chromium' | 'firefox' | 'webkit')[];
+  /** Emulated state the bug is limited to (e.g. "dark mode") */
+  emulation?: string;
+  /** Journey step that triggered the bug (journey scans only) */
+  step?: number;
+  /** Rule ID (built-in checks only) */
+  rule?: string;
+  /** WCAG success criteria (built-in accessibility rules) */
+  wcag?: string[];
+  /** CSS selectors of the offending elements (built-in checks) */
+  selectors?: string[];
+  /** ARIA snapshot ref of the offending element (e.g. "e12") */
+  ref?: string;
+  /** Role and name of the ref'd element (e.g. 'button "Sign up"') */
+  element?: string;
+  /** Pixel box reported by the AI when no ref fits */
+  box?: Box;
+  /** Located element boxes per viewport */
+  boxes?: Record<string, Box[]>;
+  /** Set for bugs found by built-in rules rather than the AI */
+  source?: 'rules';
   /** How to fix the bug */
   recommendation?: string;
 }
@@ -29,8 +119,18 @@ export interface Bug {
 export interface Screenshot {
   /** Screenshot name (e.g., "desktop-1920x1080") */
   name: string;
-  /** Viewport name */
+  /** Viewport name (e.g. "mobile", "1280x720", "iphone-13") */
   viewport: string;
+  /** Playwright device name when a device was emulated */
+  device?: string;
+  /** Device pixel ratio of the emulated device */
+  deviceScaleFactor?: number;
+  /** Browser engine (cross-browser CLI scans) */
+  browser?: 'chromium' | 'firefox' | 'webkit';
+  /** Emulated state (e.g. "dark mode, de-DE") for emulation matrix captures */
+  emulation?: string;
+  /** What the screenshot shows beyond the viewport (e.g. "Slow 3G: loading at 1.5s") */
+  label?: string;
   /** Viewport width */
   width: number;
   /** Viewport height */
@@ -39,6 +139,32 @@ export interface Screenshot {
   buffer: Buffer;
   /** Base64 encoded screenshot */
   base64: string;
+  /** Journey step this screenshot was taken after */
+  step?: number;
+  /** Label sent to the provider (e.g., "Step 2: click \"#buy\"") */
+  label?: string;
+  /** Element boxes keyed by ARIA ref or selector */
+  boxes?: Record<string, Box>;
+}
+
+export interface Box {
+  /** Left edge in CSS pixels */
+  x: number;
+  /** Top edge in CSS pixels */
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface AnnotatedScreenshot {
+  /** Screenshot name (e.g., "desktop-1920x1080-annotated") */
+  name: string;
+  /** Viewport name */
+  viewport: string;
+  /** Numbers (1-based index in `bugs`) of the bugs drawn */
+  bugs: number[];
+  /** Annotated PNG */
+  buffer: Buffer;
 }
 
 export interface NetworkError {
@@ -52,6 +178,271 @@ export interface NetworkError {
   failure?: string;
 }
 
+export interface AccessibilityFinding {
+  /** Rule ID (e.g., "image-alt") */
+  rule: string;
+  /** Severity level */
+  severity: 'critical' | 'high' | 'medium' | 'low';
+  /** WCAG success criteria (e.g., ["1.1.1"]) */
+  wcag: string[];
+  /** Short description */
+  title: string;
+  /** What is wrong */
+  description: string;
+  /** How to fix */
+  recommendation: string;
+  /** CSS selector of the offending element (null for page-level rules) */
+  selector: string | null;
+}
+
+export interface AccessibilityAudit {
+  /** Rule violations */
+  findings: AccessibilityFinding[];
+  /** IDs of the rules that were evaluated */
+  rulesRun: string[];
+}
+
+export interface FocusStop {
+  /** 1-based position in the tab order */
+  index: number;
+  /** Element tag name */
+  tag: string;
+  /** Explicit ARIA role */
+  role?: string;
+  /** Visible text or label (truncated) */
+  name: string;
+  /** Positive tabindex, if set */
+  tabindex?: number;
+  /** Document position when focused (null if the element was hidden) */
+  box: Box | null;
+  /** Rules this stop violated */
+  problems?: string[];
+}
+
+export interface KeyboardAudit {
+  /** Whether Tab went all the way round, got stuck, or hit the press limit */
+  status: 'complete' | 'trapped' | 'truncated';
+  /** Number of focus stops recorded */
+  tabs: number;
+  /** Focus stops in tab order */
+  sequence: FocusStop[];
+  /** Focus traps, invisible focus, unreachable elements and order jumps */
+  findings: AccessibilityFinding[];
+  /** IDs of the rules that were evaluated */
+  rulesRun: string[];
+}
+
+export interface LinkProblem {
+  /** Referenced URL */
+  url: string;
+  /** What references it */
+  kind: 'link' | 'image' | 'script' | 'stylesheet';
+  /** Final HTTP status (null on network errors) */
+  status: number | null;
+  /** Where the redirects ended */
+  finalUrl: string;
+  /** Redirect hops in order */
+  redirects: { url: string; status: number }[];
+  /** Time for all hops in ms */
+  duration: number;
+  /** Network error or redirect loop */
+  error?: string;
+  /** Page that references the URL */
+  page: string;
+  /** Referencing elements (up to 5) */
+  references: { kind: string; selector: string }[];
+}
+
+export interface LinkCheckResult {
+  /** Page that was checked */
+  page: string;
+  /** Unique URLs requested */
+  checked: number;
+  /** References found on the page */
+  references: number;
+  /** URLs over the per-page limit */
+  skipped?: number;
+  /** Logout/delete-looking URLs that were not requested */
+  unsafe?: string[];
+  /** Whether other origins were checked */
+  external: boolean;
+  /** Broken, redirect-chained or slow URLs */
+  problems: LinkProblem[];
+  /** Broken links/resources, redirect chains and slow responses */
+  findings: Omit<AccessibilityFinding, 'wcag'>[];
+  /** IDs of the rules that were evaluated */
+  rulesRun: string[];
+}
+
+export interface SeoMetadata {
+  /** Document title */
+  title: string;
+  /** Meta description */
+  description: string;
+  /** href of every rel=canonical link */
+  canonicals: string[];
+  /** Robots meta content */
+  robots: string;
+  /** html lang attribute */
+  lang: string;
+  /** og:* meta tags */
+  openGraph: Record<string, string>;
+  /** twitter:* meta tags */
+  twitter: Record<string, string>;
+  /** Alternate language links */
+  hreflang: { lang: string; href: string }[];
+  /** JSON-LD blocks with their @type values, and why they are unusable */
+  structuredData: { types: string[]; error?: string }[];
+  /** Visible heading outline */
+  headings: { level: number; text: string }[];
+  /** Headings left out of the outline */
+  moreHeadings?: number;
+}
+
+export interface SeoAudit {
+  /** Extracted metadata */
+  metadata: SeoMetadata;
+  /** Missing or malformed metadata, structured data and h1 problems */
+  findings: Omit<AccessibilityFinding, 'wcag'>[];
+  /** IDs of the rules that were evaluated */
+  rulesRun: string[];
+}
+
+export interface SecurityCookie {
+  /** Cookie name */
+  name: string;
+  /** Response that set it */
+  url: string;
+  /** Domain attribute, if any */
+  domain?: string;
+  secure: boolean;
+  httpOnly: boolean;
+  /** SameSite attribute as sent (missing if not set) */
+  sameSite?: string;
+}
+
+export interface SecurityAudit {
+  /** Page that was audited */
+  page: string;
+  /** Security headers of the main document (lowercase names) */
+  document: { url: string; headers: Record<string, string> };
+  /** Cookies the site sets */
+  cookies: SecurityCookie[];
+  /** http:// subresources of an https page */
+  mixedContent: { url: string; type: string; selector: string | null }[];
+  /** Script origins on other sites */
+  thirdPartyScripts: { origin: string; scripts: string[] }[];
+  /** Header, cookie, mixed content and script problems naming the URL and header */
+  findings: Omit<AccessibilityFinding, 'wcag'>[];
+  /** IDs of the rules that were evaluated */
+  rulesRun: string[];
+}
+
+export interface FormFinding {
+  /** Rule ID (e.g., "form-server-error") */
+  rule: string;
+  /** Severity level */
+  severity: 'critical' | 'high' | 'medium' | 'low';
+  /** Short description */
+  title: string;
+  /** What is wrong, naming the form and input */
+  description: string;
+  /** How to fix */
+  recommendation: string;
+  /** CSS selector of the form */
+  selector: string;
+}
+
+export interface FormAttempt {
+  /** Input case: valid, empty, boundary, invalid, long, unicode or markup */
+  case: string;
+  /** Case description */
+  label: string;
+  /** Whether a request left the page */
+  submitted: boolean;
+  /** Document and XHR/fetch responses after submitting */
+  responses: { method: string; url: string; status: number; navigation: boolean }[];
+  /** Fields the browser's constraint validation rejected */
+  invalidFields?: { field: string; message: string }[];
+  /** Visible error or status text */
+  messages?: string[];
+  /** Console errors and uncaught exceptions */
+  consoleErrors: string[];
+  /** The markup payload was inserted into the page */
+  injected?: boolean;
+  /** alert/confirm messages that opened */
+  dialogs?: string[];
+  /** Page URL afterwards, if it changed */
+  url?: string;
+  /** Why the attempt could not be completed */
+  error?: string;
+}
+
+export interface FormFuzzResult {
+  /** Fuzzed forms with one attempt per input case */
+  forms: {
+    name: string;
+    selector: string;
+    method: string;
+    action: string;
+    fields: string[];
+    attempts: FormAttempt[];
+  }[];
+  /** Forms left alone (destructive-looking, no fields, over the limit) */
+  skipped: { name: string; reason: string }[];
+  /** Server errors, script errors, unescaped payloads and silent empty submissions */
+  findings: FormFinding[];
+  /** IDs of the rules that were evaluated */
+  rulesRun: string[];
+}
+
+export interface ResourceUsage {
+  /** Number of requests */
+  count: number;
+  /** Bytes transferred (0 for cross-origin resources without Timing-Allow-Origin) */
+  transferSize: number;
+}
+
+export interface PerformanceMetrics {
+  /** Time to first byte (ms) */
+  ttfb: number | null;
+  /** First contentful paint (ms) */
+  fcp: number | null;
+  /** Largest contentful paint (ms) */
+  lcp: number | null;
+  /** Cumulative layout shift (largest session window) */
+  cls: number;
+  /** Total blocking time after FCP (ms), lab proxy for INP; null without installMetricsObserver() */
+  tbt: number | null;
+  /** Slowest interaction (ms); null until the page has been interacted with */
+  inp: number | null;
+  /** DOMContentLoaded end (ms) */
+  domContentLoaded: number | null;
+  /** Load event end (ms) */
+  load: number | null;
+  /** Number of DOM elements */
+  domNodes: number;
+  /** Number of requests including the document */
+  requests: number;
+  /** Total bytes transferred */
+  transferSize: number;
+  /** Requests and bytes per resource type (script, stylesheet, image, font, xhr, media, other) */
+  resources: Record<string, ResourceUsage>;
+}
+
+export interface ReadinessResult {
+  /** Strategy used (smart, networkidle, selector, function) */
+  strategy: string;
+  /** False if the page did not settle before the timeout */
+  ready: boolean;
+  /** URLs still loading when capture started */
+  pendingRequests: string[];
+  /** Time spent waiting in ms */
+  loadTime: number;
+  /** Why the strategy did not complete */
+  error?: string;
+}
+
 export interface AnalysisReport {
   /** Page URL */
   url: string;
@@ -77,6 +468,26 @@ export interface AnalysisReport {
   networkErrors: NetworkError[];
   /** Screenshots taken */
   screenshots: Screenshot[];
+  /** Screenshots with numbered boxes around located bugs */
+  annotatedScreenshots: AnnotatedScreenshot[];
+  /** Built-in accessibility rule results (accessibility and all focus) */
+  accessibility?: AccessibilityAudit;
+  /** Tab order and keyboard findings (accessibility and all focus) */
+  keyboard?: KeyboardAudit;
+  /** Broken, redirected and slow links and assets (all focus) */
+  links?: LinkCheckResult;
+  /** Form fuzzing attempts (forms focus) */
+  forms?: FormFuzzResult;
+  /** Head metadata, structured data and heading outline (seo focus) */
+  seo?: SeoAudit;
+  /** Security headers, cookies, mixed content and third-party scripts (security focus) */
+  security?: SecurityAudit;
+  /** Core Web Vitals and page weight (null if the Performance APIs were unavailable) */
+  metrics?: PerformanceMetrics | null;
+  /** How long the page took to become ready and what was still loading */
+  readiness?: ReadinessResult;
+  /** Journey results (when a journey was run) */
+  journey?: JourneyResult;
   /** Viewports tested */
   viewports: string[];
   /** Focus area used */
@@ -87,6 +498,12 @@ export interface ViewportConfig {
   width: number;
   height: number;
   name: string;
+  /** Playwright device name (device viewports only) */
+  device?: string;
+  userAgent?: string;
+  deviceScaleFactor?: number;
+  isMobile?: boolean;
+  hasTouch?: boolean;
 }
 
 /**
@@ -143,6 +560,136 @@ export function attachScreenshots(testInfo: TestInfo, report: AnalysisReport): P
 export function attachBugReport(testInfo: TestInfo, report: AnalysisReport): Promise<void>;
 
 /**
- * Viewport configurations
+ * Run the built-in accessibility rules on a page (no API key needed)
+ *
+ * @example
+ * ```typescript
+ * const { findings } = await runAccessibilityAudit(page);
+ * expect(findings.filter((f) => f.severity === 'high')).toHaveLength(0);
+ * ```
+ */
+export function runAccessibilityAudit(page: Page): Promise<AccessibilityAudit>;
+
+/**
+ * Tab through a page and check the focus order (no API key needed)
+ *
+ * @example
+ * ```typescript
+ * const { status, findings } = await runKeyboardAudit(page);
+ * expect(status).not.toBe('trapped');
+ * ```
+ */
+export function runKeyboardAudit(
+  page: Page,
+  options?: { maxTabs?: number },
+): Promise<KeyboardAudit>;
+
+/**
+ * Request every link, image, script and stylesheet on a page (same-origin by default)
+ *
+ * @example
+ * ```typescript
+ * const { problems } = await runLinkCheck(page, { external: true });
+ * expect(problems.filter((p) => p.status === 404)).toHaveLength(0);
+ * ```
+ */
+export function runLinkCheck(
+  page: Page,
+  options?: { external?: boolean; concurrency?: number; timeout?: number },
+): Promise<LinkCheckResult>;
+
+/**
+ * Extract and check the title, description, canonical, robots, social tags,
+ * hreflang, JSON-LD and heading outline of a page
+ *
+ * @example
+ * ```typescript
+ * const { metadata, findings } = await runSeoAudit(page);
+ * expect(metadata.canonicals).toEqual(['https://example.com/']);
+ * ```
+ */
+export function runSeoAudit(page: Page): Promise<SeoAudit>;
+
+/**
+ * Check the main document's security headers, cookie flags, mixed content and
+ * third-party scripts of a loaded page (the document is requested again for its headers)
+ */
+export function runSecurityAudit(
+  page: Page,
+  recorder?: null,
+  options?: {
+    /** Other hosts that belong to the site, each also covering its subdomains */
+    firstParty?: string[];
+  },
+): Promise<SecurityAudit>;
+
+export interface OriginalLocation {
+  /** Original source file (bundler prefixes like webpack:// removed) */
+  source: string;
+  /** 1-based line */
+  line: number;
+  /** 1-based column */
+  column: number;
+  /** Original identifier at that position */
+  name?: string;
+  /** The original source line, when the map embeds sources */
+  snippet?: string;
+}
+
+export interface SourceMapResolver {
+  /** Map a stack's frames to original files; null when no frame could be mapped */
+  resolveStack(
+    stack: string,
+    request: APIRequestContext,
+  ): Promise<{ location: OriginalLocation; stack: string } | null>;
+}
+
+/**
+ * Map minified error stacks back to original sources. Maps come from a local
+ * build directory first, then from the site (sourceMappingURL, SourceMap header
+ * or `<script>.map`), and are cached per script URL.
+ *
+ * @example
+ * ```typescript
+ * const resolver = createSourceMapResolver({ dir: './dist' });
+ * page.on('pageerror', async (error) => {
+ *   const mapped = await resolver.resolveStack(error.stack, page.context().request);
+ *   console.log(mapped?.stack ?? error.stack);
+ * });
+ * ```
+ */
+export function createSourceMapResolver(options?: {
+  dir?: string;
+  timeout?: number;
+}): SourceMapResolver;
+
+/**
+ * Submit every form on a page with valid, boundary and invalid input
+ *
+ * Submissions reach the real backend; run it against test environments.
+ * Per-form screenshots are returned next to the result.
+ */
+export function runFormFuzz(
+  context: BrowserContext,
+  url: string,
+  options?: { timeout?: number; screenshotDir?: string; maxForms?: number },
+): Promise<FormFuzzResult & { screenshots: Screenshot[] }>;
+
+/**
+ * Record long tasks and interactions from page start so the report includes
+ * TBT and INP. Call before navigating.
+ *
+ * @example
+ * ```typescript
+ * await installMetricsObserver(page);
+ * await page.goto('/');
+ * const report = await analyzeWithAI(page);
+ * expect(report.metrics?.lcp).toBeLessThan(2500);
+ * ```
+ */
+export function installMetricsObserver(target: Page | BrowserContext): Promise<void>;
+
+/**
+ * Preset viewport configurations
  */
 export const VIEWPORT_CONFIGS: Record<string, ViewportConfig>;
@@ -0,0 +1,151 @@
+/**
+ * Viewports and Device Emulation
+ *
+ * A viewport is one of:
+ *   desktop | tablet | mobile   - built-in presets (plain resized window)
+ *   WIDTHxHEIGHT                - custom size, e.g. 1280x720
+ *   <device name>               - Playwright device descriptor, e.g. "iPhone 13" or "Pixel 7",
+ *                                 emulating user agent, device pixel ratio, touch and isMobile
+ *
+ * Shared by the CLI capture and analyzeWithAI().
+ */
+
+const { devices } = require('playwright');
+
+const VIEWPORT_PRESETS = {
+  desktop: { width: 1920, height: 1080 },
+  tablet: { width: 768, height: 1024 },
+  mobile: { width: 375, height: 667 },
+};
+
+/**
+ * Parse a viewport spec
+ *
+ * @param {string} spec - Preset name, WIDTHxHEIGHT or Playwright device name
+ * @returns {ViewportConfig}
+ */
+function parseViewport(spec) {
+  const value = String(spec).trim();
+
+  const preset = VIEWPORT_PRESETS[value.toLowerCase()];
+  if (preset) {
+    return { name: value.toLowerCase(), ...preset };
+  }
+
+  const size = value.match(/^(\d+)\s*x\s*(\d+)$/i);
+  if (size) {
+    return { name: `${size[1]}x${size[2]}`, width: Number(size[1]), height: Number(size[2]) };
+  }
+
+  // Device names are matched case-insensitively ("iphone 13" works too)
+  const deviceName = Object.keys(devices).find((d) => d.toLowerCase() === value.toLowerCase());
+  if (deviceName) {
+    const descriptor = devices[deviceName];
+    return {
+      name: deviceName
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, ''),
+      width: descriptor.viewport.width,
+      height: descriptor.viewport.height,
+      device: deviceName,
+      userAgent: descriptor.userAgent,
+      deviceScaleFactor: descriptor.deviceScaleFactor,
+      isMobile: descriptor.isMobile,
+      hasTouch: descriptor.hasTouch,
+    };
+  }
+
+  throw new Error(
+    `Unknown viewport "${value}". Use desktop, tablet, mobile, WIDTHxHEIGHT ` +
+      'or a Playwright device name (e.g. "iPhone 13")',
+  );
+}
+
+/**
+ * Parse a list of viewport specs (array or comma-separated string)
+ * Already parsed configs are passed through.
+ *
+ * @param {string|(string|ViewportConfig)[]} specs - Viewport specs
+ * @returns {ViewportConfig[]}
+ */
+function parseViewports(specs) {
+  const list = Array.isArray(specs) ? specs : String(specs).split(',');
+  return list
+    .filter((s) => typeof s === 'object' || String(s).trim())
+    .map((s) => (typeof s === 'object' ? s : parseViewport(s)));
+}
+
+/**
+ * Playwright context options for a viewport
+ * Devices need their own context: user agent, DPR, touch and isMobile can't change on a page.
+ *
+ * @param {ViewportConfig} viewport - Parsed viewport
+ * @returns {Object} Options for browser.newContext()
+ */
+function contextOptionsFor(viewport) {
+  const options = { viewport: { width: viewport.width, height: viewport.height } };
+  if (viewport.device) {
+    options.userAgent = viewport.userAgent;
+    options.deviceScaleFactor = viewport.deviceScaleFactor;
+    options.isMobile = viewport.isMobile;
+    options.hasTouch = viewport.hasTouch;
+  }
+  return options;
+}
+
+/**
+ * Whether two viewports can share a browser context (only the window size differs)
+ */
+function sameEmulation(a, b) {
+  return (a.device || null) === (b.device || null);
+}
+
+/**
+ * Record on each bug the device its viewport emulated
+ *
+ * @param {Object[]} bugs - Report bugs
+ * @param {Object[]} screenshots - Screenshots with `viewport` and optional `device`
+ * @returns {Object[]} The same bugs
+ */
+function attachDevices(bugs, screenshots) {
+  for (const bug of bugs) {
+    const device = screenshots.find((s) => s.viewport === bug.viewport && s.device)?.device;
+    if (device) bug.device = device;
+  }
+  return bugs;
+}
+
+/**
+ * Short description of a viewport for logs and prompts, e.g. "390x664, iPhone 13 @3x, touch"
+ */
+function describeViewport(viewport) {
+  const parts = [`${viewport.width}x${viewport.height}`];
+  if (viewport.device) {
+    parts.push(`${viewport.device} @${viewport.deviceScaleFactor}x`);
+    if (viewport.hasTouch) parts.push('touch');
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  VIEWPORT_PRESETS,
+  parseViewport,
+  parseViewports,
+  contextOptionsFor,
+  sameEmulation,
+  attachDevices,
+  describeViewport,
+};
+
+/**
+ * @typedef {Object} ViewportConfig
+ * @property {string} name - Viewport name used in file names and bugs (e.g. 'mobile', 'iphone-13')
+ * @property {number} width - Width in CSS pixels
+ * @property {number} height - Height in CSS pixels
+ * @property {string} [device] - Playwright device name (e.g. 'iPhone 13')
+ * @property {string} [userAgent] - Device user agent
+ * @property {number} [deviceScaleFactor] - Device pixel ratio
+ * @property {boolean} [isMobile] - Mobile viewport meta handling
+ * @property {boolean} [hasTouch] - Touch events enabled
+ */
@@ -0,0 +1,382 @@
+/**
+ * Visual Regression Against Baselines
+ *
+ * Compares the viewport screenshots of a scan with baselines stored per page,
+ * viewport and browser (`<dir>/<page-slug>/<viewport>-<browser>.png`), using
+ * compareImages() from scripts/visual-regression.cjs. Missing baselines are
+ * recorded from the current screenshots, so the first run creates them.
+ *
+ * Compared screenshots are taken with CSS animations, carets and videos frozen.
+ * Masks (CSS selectors or `x,y,width,height` rectangles) hide dynamic content
+ * such as carousels, timestamps and ads: selectors are painted over by
+ * Playwright when screenshotting, and all masked regions are ignored by
+ * compareImages().
+ *
+ * Usage:
+ *   const { compareWithBaseline } = require('./visual');
+ *   const visual = await compareWithBaseline(url, screenshots, {
+ *     dir: './baselines',
+ *     diffDir: './screenshots',
+ *     browser: 'chromium',
+ *   });
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { PNG } = require('pngjs');
+const { compareImages, formatSizeDelta } = require('../scripts/visual-regression.cjs');
+const { pageSlug } = require('./crawl');
+
+// Changed pixels (percent) above which a comparison fails, as in compareDirectories()
+const FAIL_THRESHOLD = 0.5;
+
+const DIFF_LABEL = 'Diff against baseline (changes in red, green where now darker)';
+
+// Close-ups of changed regions sent to the model per screenshot
+const MAX_REGION_IMAGES = 3;
+
+const RECTANGLE = /^\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*$/;
+
+/**
+ * Parse mask specs
+ *
+ * @param {string[]} specs - CSS selectors or "x,y,width,height" rectangles in CSS pixels
+ * @returns {Mask[]}
+ */
+function parseMasks(specs) {
+  return specs
+    .map((spec) => spec.trim())
+    .filter(Boolean)
+    .map((spec) => {
+      const rect = RECTANGLE.exec(spec);
+      if (!rect) return { selector: spec };
+      const [x, y, width, height] = rect.slice(1).map(Number);
+      if (width === 0 || height === 0) {
+        throw new Error(`Mask "${spec}" is empty (use x,y,width,height)`);
+      }
+      return { rect: { x, y, width, height } };
+    });
+}
+
+/**
+ * Take a viewport screenshot that is stable between runs
+ * Videos are paused at their start, CSS animations and transitions are stopped
+ * and the caret is hidden; masked selectors are painted over.
+ *
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} screenshotPath - Where to save the screenshot
+ * @param {Mask[]} [masks] - Regions to mask
+ * @returns {Promise<{buffer: Buffer, masks: Box[]}>} The screenshot and the masked regions
+ *   in CSS pixels
+ */
+async function captureStableScreenshot(page, screenshotPath, masks = []) {
+  const selectors = masks.filter((m) => m.selector).map((m) => m.selector);
+  const { boxes, invalid } = await page.evaluate(freezeInPage, selectors);
+  for (const selector of invalid) {
+    console.warn(`Ignoring mask "${selector}": not a valid CSS selector`);
+  }
+
+  const buffer = await page.screenshot({
+    path: screenshotPath,
+    fullPage: false,
+    animations: 'disabled',
+    caret: 'hide',
+    mask: selectors.filter((s) => !invalid.includes(s)).map((s) => page.locator(s)),
+  });
+  return { buffer, masks: [...boxes, ...masks.filter((m) => m.rect).map((m) => m.rect)] };
+}
+
+/* eslint-disable no-undef */
+/**
+ * Evaluated in the browser. Pauses videos at their first frame and returns the
+ * viewport boxes of every element matching a mask selector.
+ */
+function freezeInPage(selectors) {
+  for (const video of document.querySelectorAll('video')) {
+    video.pause();
+    video.currentTime = 0;
+  }
+
+  const boxes = [];
+  const invalid = [];
+  for (const selector of selectors) {
+    let elements;
+    try {
+      elements = document.querySelectorAll(selector);
+    } catch {
+      invalid.push(selector);
+      continue;
+    }
+    for (const el of elements) {
+      const rect = el.getBoundingClientRect();
+      if (rect.width > 0 && rect.height > 0) {
+        boxes.push({ x: rect.x, y: rect.y, width: rect.width, height: rect.height });
+      }
+    }
+  }
+  return { boxes, invalid };
+}
+/* eslint-enable no-undef */
+
+/**
+ * Compare viewport screenshots with their baselines
+ *
+ * @param {string} url - Page URL (baselines are kept per page)
+ * @param {Object[]} screenshots - Captured screenshots with `path`; only plain viewport
+ *   screenshots are compared (not journey steps, emulations or labelled extras)
+ * @param {Object} options
+ * @param {string} options.dir - Baseline directory
+ * @param {string} options.diffDir - Directory for the diff images
+ * @param {string} options.browser - Engine of screenshots that do not name one
+ * @param {boolean} [options.update=false] - Replace the baselines with the current screenshots
+ * @param {number} [options.threshold=0.1] - Per-pixel color threshold (pixelmatch)
+ * @param {number} [options.failThreshold=0.5] - Changed pixels (percent) that fail a comparison
+ * @returns {Promise<VisualRegression & {screenshots: Object[]}>} Comparisons, plus the baseline
+ *   and diff images of every changed screenshot
+ */
+async function compareWithBaseline(url, screenshots, options) {
+  const {
+    dir,
+    diffDir,
+    browser,
+    update = false,
+    threshold = 0.1,
+    failThreshold = FAIL_THRESHOLD,
+  } = options;
+  const baselineDir = path.join(dir, pageSlug(url));
+  await fs.mkdir(baselineDir, { recursive: true });
+
+  const comparisons = [];
+  const extraScreenshots = [];
+  for (const shot of screenshots.filter(isViewportShot)) {
+    const name = `${shot.viewport}-${shot.browser || browser}`;
+    const comparison = {
+      name,
+      viewport: shot.viewport,
+      browser: shot.browser || browser,
+      baseline: path.join(baselineDir, `${name}.png`),
+      current: shot.path,
+    };
+
+    if (update || !(await exists(comparison.baseline))) {
+      await fs.copyFile(shot.path, comparison.baseline);
+      comparisons.push({
+        ...comparison,
+        status: update ? 'updated' : 'new',
+        message: update ? 'Baseline replaced' : 'No baseline yet - recorded this screenshot',
+      });
+      continue;
+    }
+
+    const diffPath = path.join(diffDir, `diff-${name}.png`);
+    // Mask boxes are in CSS pixels; device screenshots have more pixels per CSS pixel
+    const scale = shot.deviceScaleFactor || 1;
+    const masks = (shot.masks || []).map((box) => ({
+      x: box.x * scale,
+      y: box.y * scale,
+      width: box.width * scale,
+      height: box.height * scale,
+    }));
+    const result = await compareImages(comparison.baseline, shot.path, diffPath, {
+      threshold,
+      masks,
+    });
+    if (masks.length > 0) {
+      comparison.masked = masks.length;
+    }
+    // Size changes (e.g. a taller page) are compared on a padded canvas
+    const sizeNote = result.sizeDelta
+      ? `; size changed by ${formatSizeDelta(result.sizeDelta)}`
+      : '';
+    if (result.diffPixels === 0 && !result.sizeDelta) {
+      await fs.rm(diffPath, { force: true });
+      comparisons.push({ ...comparison, status: 'passed', message: 'Matches the baseline' });
+      continue;
+    }
+
+    const failed = result.diffPercent > failThreshold;
+    const changed = {
+      ...comparison,
+      status: failed ? 'failed' : 'warning',
+      message:
+        (failed
+          ? `${result.diffPercent}% pixels differ (threshold: ${failThreshold}%)`
+          : `Minor differences: ${result.diffPercent}% pixels differ`) + sizeNote,
+      diff: diffPath,
+      diffPixels: result.diffPixels,
+      diffPercent: result.diffPercent,
+      ssim: result.ssim,
+      regions: result.regions,
+      ...(result.sizeDelta && { sizeDelta: result.sizeDelta }),
+    };
+    comparisons.push(changed);
+
+    // The model gets the baseline, the diff and close-ups of the largest regions
+    // next to the current screenshot
+    extraScreenshots.push(
+      await comparisonScreenshot(shot, 'Baseline', changed.baseline),
+      await comparisonScreenshot(shot, DIFF_LABEL, changed.diff),
+    );
+    const composites = changed.regions.filter((r) => r.composite).slice(0, MAX_REGION_IMAGES);
+    for (const [index, region] of composites.entries()) {
+      extraScreenshots.push(await regionScreenshot(shot, region, index + 1));
+    }
+  }
+
+  return { baselineDir, comparisons, screenshots: extraScreenshots };
+}
+
+/**
+ * Plain viewport screenshots: one per viewport and engine
+ */
+function isViewportShot(screenshot) {
+  return !screenshot.label && !screenshot.step && !screenshot.emulation;
+}
+
+async function comparisonScreenshot(shot, label, imagePath) {
+  return {
+    viewport: shot.viewport,
+    ...(shot.device && { device: shot.device }),
+    ...(shot.browser && { browser: shot.browser }),
+    label,
+    width: shot.width,
+    height: shot.height,
+    path: imagePath,
+    buffer: await fs.readFile(imagePath),
+  };
+}
+
+/**
+ * Close-up of a changed region: baseline, current and diff side by side
+ */
+async function regionScreenshot(shot, region, number) {
+  const buffer = await fs.readFile(region.composite);
+  const { width, height } = PNG.sync.read(buffer);
+  return {
+    viewport: shot.viewport,
+    ...(shot.browser && { browser: shot.browser }),
+    label:
+      `Changed region ${number} at ${region.x},${region.y} ` +
+      '(left to right: baseline, current, diff; image pixels)',
+    width,
+    height,
+    path: region.composite,
+    buffer,
+  };
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Count comparisons by status, e.g. "1 failed, 2 passed"
+ *
+ * @param {VisualComparison[]} comparisons - Comparisons from compareWithBaseline()
+ * @returns {string}
+ */
+function summarizeComparisons(comparisons) {
+  const counts = {};
+  for (const { status } of comparisons) {
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  return ['failed', 'warning', 'passed', 'new', 'updated']
+    .filter((status) => counts[status])
+    .map((status) => `${counts[status]} ${status === 'warning' ? 'minor' : status}`)
+    .join(', ');
+}
+
+/**
+ * Attach the model's verdicts to the comparisons they name
+ *
+ * @param {VisualComparison[]} comparisons - Comparisons from compareWithBaseline()
+ * @param {{name: string, verdict: string, explanation?: string}[]} [verdicts] - The
+ *   `visualChanges` of the model's response
+ * @returns {VisualComparison[]}
+ */
+function applyVerdicts(comparisons, verdicts = []) {
+  return comparisons.map((comparison) => {
+    const match = (Array.isArray(verdicts) ? verdicts : []).find((v) => v.name === comparison.name);
+    if (!match || !['intentional', 'regression'].includes(match.verdict)) return comparison;
+    return {
+      ...comparison,
+      verdict: match.verdict,
+      ...(match.explanation && { explanation: match.explanation }),
+    };
+  });
+}
+
+/**
+ * Bugs for failed comparisons, used when no model judged the changes
+ *
+ * @param {VisualComparison[]} comparisons - Comparisons from compareWithBaseline()
+ * @returns {Object[]} Bugs in report format
+ */
+function comparisonsToBugs(comparisons) {
+  return comparisons
+    .filter((c) => c.status === 'failed')
+    .map((c) => ({
+      severity: 'medium',
+      category: 'visual',
+      title: `Screenshot differs from the baseline (${c.viewport}, ${c.browser})`,
+      description: `${c.message}.${c.diff ? ` Diff: ${c.diff}` : ''}`,
+      viewport: c.viewport,
+      recommendation:
+        'Check the diff. If the change is intended, update the baseline with --update-baseline.',
+      source: 'rules',
+    }));
+}
+
+module.exports = {
+  parseMasks,
+  captureStableScreenshot,
+  compareWithBaseline,
+  summarizeComparisons,
+  applyVerdicts,
+  comparisonsToBugs,
+  FAIL_THRESHOLD,
+};
+
+/**
+ * @typedef {Object} VisualComparison
+ * @property {string} name - Baseline file name without extension, e.g. "desktop-chromium"
+ * @property {string} viewport - Viewport name
+ * @property {string} browser - Engine
+ * @property {'passed'|'warning'|'failed'|'new'|'updated'} status - Outcome
+ * @property {string} message - Human-readable outcome
+ * @property {string} baseline - Baseline image path
+ * @property {string} current - Current screenshot path
+ * @property {string} [diff] - Diff image path (changes in red, green where now darker)
+ * @property {number} [diffPixels] - Changed pixels
+ * @property {number} [diffPercent] - Changed pixels in percent
+ * @property {number} [masked] - Regions ignored by the comparison
+ * @property {number} [ssim] - Structural similarity (1 = identical)
+ * @property {import('../scripts/visual-regression.cjs').DiffRegion[]} [regions] - Clusters of
+ *   changed pixels, largest first, with side-by-side composites for the largest
+ * @property {{width: number, height: number}} [sizeDelta] - Size change in image pixels
+ * @property {'intentional'|'regression'} [verdict] - The model's judgement of the change
+ * @property {string} [explanation] - Why the model judged it so
+ */
+
+/**
+ * @typedef {Object} VisualRegression
+ * @property {string} baselineDir - Baseline directory of the page
+ * @property {VisualComparison[]} comparisons - One per viewport and engine
+ */
+
+/**
+ * @typedef {{selector: string}|{rect: Box}} Mask
+ */
+
+/**
+ * @typedef {Object} Box
+ * @property {number} x - Left edge in CSS pixels
+ * @property {number} y - Top edge in CSS pixels
+ * @property {number} width - Width in CSS pixels
+ * @property {number} height - Height in CSS pixels
+ */